@@ -10,6 +10,7 @@ const screenerController = require('../controllers/screenerController');
 /**
  * @route   GET /api/screener/breakout
  * @desc    Run breakout screener for cryptocurrencies under $1 on ByDFi
+ *          (timeframeProfile query selects scalping, intraday or swing)
  * @access  Public
  */
 router.get('/breakout', screenerController.runBreakoutScreener);
@@ -17,6 +18,7 @@ router.get('/breakout', screenerController.runBreakoutScreener);
 /**
  * @route   GET /api/screener/analyze/:symbol/:currency
  * @desc    Run detailed analysis on a specific cryptocurrency
+ *          (timeframeProfile query selects scalping, intraday or swing)
  * @access  Public
  */
 router.get('/analyze/:symbol/:currency', screenerController.analyzeSymbol);
@@ -24,10 +26,18 @@ router.get('/analyze/:symbol/:currency', screenerController.analyzeSymbol);
 /**
  * @route   POST /api/screener/custom
  * @desc    Run screener with custom parameters
+ *          (timeframeProfile may be a profile name or a list of timeframes)
  * @access  Public
  */
 router.post('/custom', screenerController.runCustomScreener);
 
+/**
+ * @route   POST /api/screener/track
+ * @desc    Track a generated signal through the backtester's exit rules
+ * @access  Public
+ */
+router.post('/track', screenerController.trackSignal);
+
 /**
  * @route   POST /api/screener/optimize
  * @desc    Optimize screener parameters
@@ -66,6 +66,23 @@ export const getCoinAnalysis = async (symbol, currency = 'USDT') => {
   }
 };
 
+/**
+ * Track a generated signal with the backtester's exit rules
+ * 
+ * @param {Object} signal - Signal from the screener
+ * @param {Object} params - Currency, timeframe and exit rule options
+ * @returns {Promise} Promise with response data
+ */
+export const trackSignal = async (signal, params = {}) => {
+  try {
+    const response = await apiClient.post('/screener/track', { ...params, signal });
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
 /**
  * Optimize screener parameters
  * 
@@ -82,6 +99,120 @@ export const optimizeParameters = async (params) => {
   }
 };
 
+/**
+ * Backtest the strategy on one coin over a date range and store the run
+ * 
+ * @param {Object} params - Symbol, startDate, endDate, initialCapital and strategy parameters
+ * @returns {Promise} Promise with response data
+ */
+export const runBacktest = async (params) => {
+  try {
+    const response = await apiClient.post('/backtest/run', params);
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * List stored backtest runs, most recent first
+ * 
+ * @param {Object} params - Query parameters (symbol, limit)
+ * @returns {Promise} Promise with response data
+ */
+export const getBacktests = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/backtest', { params });
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Get a stored backtest run with its trades and equity curve
+ * 
+ * @param {string} id - Backtest ID
+ * @returns {Promise} Promise with response data
+ */
+export const getBacktest = async (id) => {
+  try {
+    const response = await apiClient.get(`/backtest/${id}`);
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a stored backtest run
+ * 
+ * @param {string} id - Backtest ID
+ * @returns {Promise} Promise with response data
+ */
+export const deleteBacktest = async (id) => {
+  try {
+    const response = await apiClient.delete(`/backtest/${id}`);
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Run a Monte Carlo analysis of a stored backtest run's trades
+ * 
+ * @param {string} id - Backtest ID
+ * @param {Object} params - method, simulations, skipProbability, ruinDrawdown
+ * @returns {Promise} Promise with response data
+ */
+export const runMonteCarlo = async (id, params = {}) => {
+  try {
+    const response = await apiClient.post(`/backtest/${id}/monte-carlo`, params);
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Run a walk-forward analysis: parameters optimized on each train window and
+ * traded on the test window after it
+ * 
+ * @param {Object} params - Symbol, window options and strategy parameters
+ * @returns {Promise} Promise with response data
+ */
+export const runWalkForward = async (params) => {
+  try {
+    const response = await apiClient.post('/backtest/walk-forward', params);
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
+/**
+ * Backtest the screener on the eligible universe with one capital pool
+ * 
+ * @param {Object} params - Universe, portfolio and strategy parameters
+ * @returns {Promise} Promise with response data
+ */
+export const runPortfolioBacktest = async (params) => {
+  try {
+    const response = await apiClient.post('/backtest/portfolio', params);
+    return response.data;
+  } catch (error) {
+    handleApiError(error);
+    throw error;
+  }
+};
+
 /**
  * Get list of cryptocurrencies under a specific price
  * 
@@ -194,7 +325,15 @@ export default {
   runBreakoutScreener,
   runCustomScreener,
   getCoinAnalysis,
+  trackSignal,
   optimizeParameters,
+  runBacktest,
+  getBacktests,
+  getBacktest,
+  deleteBacktest,
+  runMonteCarlo,
+  runWalkForward,
+  runPortfolioBacktest,
   getCheapCryptocurrencies,
   getByDFiCryptocurrencies,
   getCoinDetails,
@@ -10,6 +10,7 @@ const coinsRoutes = require('./routes/coins');
 const screenerRoutes = require('./routes/screener');
 const signalsRoutes = require('./routes/signals');
 const userRoutes = require('./routes/user');
+const backtestRoutes = require('./routes/backtest');
 
 // Load environment variables
 dotenv.config();
@@ -39,6 +40,7 @@ app.use('/api/coins', coinsRoutes);
 app.use('/api/screener', screenerRoutes);
 app.use('/api/signals', signalsRoutes);
 app.use('/api/user', userRoutes);
+app.use('/api/backtest', backtestRoutes);
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
@@ -7,86 +7,47 @@ import { createChart } from 'lightweight-charts';
 // API URL
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Position sizing saved on the Settings page
+const getSavedTradingParams = () => {
+  const defaults = { riskPerTrade: 2, maxPositionSize: 10 };
+  
+  try {
+    const { riskPerTrade, maxPositionSize } = JSON.parse(localStorage.getItem('userSettings')) || {};
+    
+    return {
+      riskPerTrade: riskPerTrade || defaults.riskPerTrade,
+      maxPositionSize: maxPositionSize || defaults.maxPositionSize
+    };
+  } catch (error) {
+    console.error('Error parsing saved settings:', error);
+    return defaults;
+  }
+};
+
 const BacktestResults = ({ setLoading }) => {
+  const [tradingParams] = useState(getSavedTradingParams);
   const [backtestData, setBacktestData] = useState(null);
   const [symbol, setSymbol] = useState('BTC');
   const [backtestParameters, setBacktestParameters] = useState({
     startDate: '2023-01-01',
     endDate: '2023-12-31',
     initialCapital: 10000,
-    riskPerTrade: 2 // percentage
+    riskPerTrade: tradingParams.riskPerTrade // percentage
   });
+  const [pastBacktests, setPastBacktests] = useState([]);
   const chartContainerRef = useRef(null);
+  const equitySeriesRef = useRef(null);
+  const bandSeriesRef = useRef(null);
+  const [monteCarlo, setMonteCarlo] = useState(null);
+  const [monteCarloMethod, setMonteCarloMethod] = useState('shuffle');
   const [chartInstance, setChartInstance] = useState(null);
+  const [portfolio, setPortfolio] = useState(null);
+  const [portfolioParameters, setPortfolioParameters] = useState({
+    maxConcurrentPositions: 5,
+    rankBy: 'score'
+  });
   
-  // Mock data - in a real app, this would come from the backend
-  const mockBacktests = [
-    {
-      id: 'bt1',
-      symbol: 'BTC',
-      startDate: '2023-01-01',
-      endDate: '2023-12-31',
-      initialCapital: 10000,
-      totalTrades: 48,
-      winningTrades: 38,
-      losingTrades: 10,
-      winRate: 79.2,
-      profitFactor: 3.7,
-      netProfit: 4235.42,
-      netProfitPercent: 42.35,
-      maxDrawdown: 12.3,
-      averageProfit: 17.4,
-      averageLoss: -5.8,
-      trades: [
-        { date: '2023-01-15', entry: 21450, exit: 23100, pnl: 7.69, type: 'win' },
-        { date: '2023-02-10', entry: 24100, exit: 22800, pnl: -5.39, type: 'loss' },
-        { date: '2023-03-05', entry: 23500, exit: 26300, pnl: 11.91, type: 'win' },
-        // More trades would be here
-      ]
-    },
-    {
-      id: 'bt2',
-      symbol: 'ETH',
-      startDate: '2023-01-01',
-      endDate: '2023-12-31',
-      initialCapital: 10000,
-      totalTrades: 52,
-      winningTrades: 39,
-      losingTrades: 13,
-      winRate: 75.0,
-      profitFactor: 3.1,
-      netProfit: 3845.22,
-      netProfitPercent: 38.45,
-      maxDrawdown: 14.7,
-      averageProfit: 15.2,
-      averageLoss: -6.3,
-      trades: [
-        // Trade data would be here
-      ]
-    },
-    {
-      id: 'bt3',
-      symbol: 'SOL',
-      startDate: '2023-01-01',
-      endDate: '2023-12-31',
-      initialCapital: 10000,
-      totalTrades: 43,
-      winningTrades: 35,
-      losingTrades: 8,
-      winRate: 81.4,
-      profitFactor: 4.2,
-      netProfit: 5632.18,
-      netProfitPercent: 56.32,
-      maxDrawdown: 10.8,
-      averageProfit: 18.9,
-      averageLoss: -5.4,
-      trades: [
-        // Trade data would be here
-      ]
-    }
-  ];
-  
-  // Fetch backtest data or use mock data on component mount
+  // Fetch stored backtests when the symbol changes
   useEffect(() => {
     fetchBacktestData();
     
@@ -105,70 +66,183 @@ const BacktestResults = ({ setLoading }) => {
     }
   }, [chartContainerRef, backtestData, chartInstance]);
   
-  // Fetch backtest data for selected symbol
+  // Show the equity curve of the selected run
+  useEffect(() => {
+    if (equitySeriesRef.current && backtestData) {
+      equitySeriesRef.current.setData(backtestData.equityCurve.map(point => ({
+        time: Math.floor(new Date(point.time).getTime() / 1000),
+        value: point.equity
+      })));
+    }
+  }, [chartInstance, backtestData]);
+  
+  // Resample the selected run's trades
+  useEffect(() => {
+    setMonteCarlo(null);
+    
+    if (backtestData && backtestData.totalTrades > 0) {
+      fetchMonteCarlo(backtestData._id);
+    }
+  }, [backtestData, monteCarloMethod]);
+  
+  // Show the 5th to 95th percentile band of the Monte Carlo equity paths
+  useEffect(() => {
+    if (bandSeriesRef.current) {
+      const toLine = key => (monteCarlo ? monteCarlo.equityBands.map(band => ({
+        time: Math.floor(new Date(band.time).getTime() / 1000),
+        value: band[key]
+      })) : []);
+      
+      bandSeriesRef.current.upper.setData(toLine('p95'));
+      bandSeriesRef.current.median.setData(toLine('p50'));
+      bandSeriesRef.current.lower.setData(toLine('p5'));
+    }
+  }, [chartInstance, monteCarlo]);
+  
+  // The chart container goes away while no run is shown
+  useEffect(() => {
+    if (!backtestData && chartInstance) {
+      chartInstance.remove();
+      equitySeriesRef.current = null;
+      bandSeriesRef.current = null;
+      setChartInstance(null);
+    }
+  }, [backtestData]);
+  
+  // Fetch past runs for the selected symbol and show the latest one
   const fetchBacktestData = async () => {
     try {
       setLoading(true);
       
-      // In a real app, we would call the API
-      // const response = await axios.get(`${API_URL}/backtest/${symbol}`);
-      // if (response.data.success) {
-      //   setBacktestData(response.data);
-      // }
+      const response = await axios.get(`${API_URL}/backtest`, { params: { symbol } });
       
-      // For demo purposes, use mock data
-      const mockData = mockBacktests.find(bt => bt.symbol === symbol) || mockBacktests[0];
-      setBacktestData(mockData);
+      if (response.data.success) {
+        setPastBacktests(response.data.backtests);
       
-      // Simulate API delay
-      setTimeout(() => {
-        setLoading(false);
-      }, 500);
+        if (response.data.backtests.length > 0) {
+          await selectBacktest(response.data.backtests[0]._id);
+        } else {
+          setBacktestData(null);
+        }
+      }
       
     } catch (error) {
       console.error('Error fetching backtest data:', error);
       toast.error('Failed to load backtest data. Please try again.');
+    } finally {
       setLoading(false);
     }
   };
   
+  // Load a stored run with its trades and equity curve
+  const selectBacktest = async (id) => {
+    const response = await axios.get(`${API_URL}/backtest/${id}`);
+    
+    if (response.data.success) {
+      setBacktestData(response.data.backtest);
+    }
+  };
+  
   // Run a new backtest with current parameters
   const runBacktest = async () => {
     try {
       setLoading(true);
       
-      // In a real app, we would call the API with parameters
-      // const response = await axios.post(`${API_URL}/backtest/run`, {
-      //   symbol,
-      //   ...backtestParameters
-      // });
-      // if (response.data.success) {
-      //   setBacktestData(response.data);
-      //   toast.success('Backtest completed successfully!');
-      // }
+      const response = await axios.post(`${API_URL}/backtest/run`, {
+        symbol,
+        ...backtestParameters
+      });
       
-      // For demo purposes, simulate API call
-      setTimeout(() => {
-        // Use existing mock data
-        const mockData = mockBacktests.find(bt => bt.symbol === symbol) || mockBacktests[0];
-        setBacktestData({
-          ...mockData,
-          startDate: backtestParameters.startDate,
-          endDate: backtestParameters.endDate,
-          initialCapital: backtestParameters.initialCapital
-        });
-        
+      if (response.data.success) {
+        setBacktestData(response.data.backtest);
+        setPastBacktests([response.data.backtest, ...pastBacktests]);
         toast.success('Backtest completed successfully!');
-        setLoading(false);
-      }, 1500);
+      }
       
     } catch (error) {
       console.error('Error running backtest:', error);
-      toast.error('Failed to run backtest. Please try again.');
+      toast.error(error.response && error.response.data.message
+        ? error.response.data.message
+        : 'Failed to run backtest. Please try again.');
+    } finally {
       setLoading(false);
     }
   };
   
+  // Replay the screener over the eligible universe with the saved position sizing
+  const runPortfolioBacktest = async () => {
+    try {
+      setLoading(true);
+      
+      const response = await axios.post(`${API_URL}/backtest/portfolio`, {
+        initialCapital: backtestParameters.initialCapital,
+        ...tradingParams,
+        ...portfolioParameters
+      });
+      
+      if (response.data.success) {
+        setPortfolio(response.data);
+        toast.success('Portfolio backtest completed successfully!');
+      }
+      
+    } catch (error) {
+      console.error('Error running portfolio backtest:', error);
+      toast.error(error.response && error.response.data.message
+        ? error.response.data.message
+        : 'Failed to run portfolio backtest. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  // Handle portfolio parameter change
+  const handlePortfolioParamChange = (e) => {
+    const { name, value } = e.target;
+    
+    setPortfolioParameters({
+      ...portfolioParameters,
+      [name]: name === 'maxConcurrentPositions' ? parseInt(value) : value
+    });
+  };
+  
+  // Run a Monte Carlo analysis of a stored run
+  const fetchMonteCarlo = async (id) => {
+    try {
+      const response = await axios.post(`${API_URL}/backtest/${id}/monte-carlo`, {
+        method: monteCarloMethod
+      });
+      
+      if (response.data.success) {
+        setMonteCarlo(response.data);
+      }
+    } catch (error) {
+      console.error('Error running Monte Carlo analysis:', error);
+      toast.error('Failed to run Monte Carlo analysis.');
+    }
+  };
+  
+  // Delete a stored run
+  const deleteBacktest = async (id) => {
+    try {
+      await axios.delete(`${API_URL}/backtest/${id}`);
+      
+      const remaining = pastBacktests.filter(backtest => backtest._id !== id);
+      setPastBacktests(remaining);
+      
+      if (backtestData && backtestData._id === id) {
+        setBacktestData(null);
+        if (remaining.length > 0) {
+          await selectBacktest(remaining[0]._id);
+        }
+      }
+      
+      toast.success('Backtest deleted');
+    } catch (error) {
+      console.error('Error deleting backtest:', error);
+      toast.error('Failed to delete backtest. Please try again.');
+    }
+  };
+  
   // Handle parameter change
   const handleParamChange = (e) => {
     const { name, value } = e.target;
@@ -210,15 +284,21 @@ const BacktestResults = ({ setLoading }) => {
       lineWidth: 2
     });
     
-    // Generate equity curve from trades
-    if (backtestData && backtestData.trades) {
-      const equityCurve = calculateEquityCurve(
-        backtestData.trades,
-        backtestData.initialCapital
-      );
-      
-      areaSeries.setData(equityCurve);
-    }
+    equitySeriesRef.current = areaSeries;
+    
+    // Monte Carlo band around it
+    const bandOptions = {
+      color: 'rgba(255, 193, 7, 0.8)',
+      lineWidth: 1,
+      lineStyle: 2,
+      priceLineVisible: false,
+      lastValueVisible: false
+    };
+    bandSeriesRef.current = {
+      upper: chart.addLineSeries(bandOptions),
+      median: chart.addLineSeries({ ...bandOptions, lineStyle: 0 }),
+      lower: chart.addLineSeries(bandOptions)
+    };
     
     // Handle window resize
     const handleResize = () => {
@@ -233,38 +313,6 @@ const BacktestResults = ({ setLoading }) => {
     };
   };
   
-  // Calculate equity curve from trades
-  const calculateEquityCurve = (trades, initialCapital) => {
-    const equityCurve = [];
-    let equity = initialCapital;
-    let time = new Date('2023-01-01').getTime() / 1000;
-    
-    // Add initial point
-    equityCurve.push({
-      time,
-      value: equity
-    });
-    
-    // Add points for each trade
-    trades.forEach(trade => {
-      // Parse date
-      const tradeDate = new Date(trade.date);
-      time = tradeDate.getTime() / 1000;
-      
-      // Update equity
-      const pnlAmount = (trade.pnl / 100) * equity;
-      equity += pnlAmount;
-      
-      // Add point
-      equityCurve.push({
-        time,
-        value: equity
-      });
-    });
-    
-    return equityCurve;
-  };
-  
   // Format currency
   const formatCurrency = (value) => {
     return new Intl.NumberFormat('en-US', {
@@ -272,6 +320,20 @@ const BacktestResults = ({ setLoading }) => {
       currency: 'USD'
     }).format(value);
   };
+  
+  // Format a ratio that can't always be calculated
+  const formatRatio = (value) => {
+    return value !== null && value !== undefined ? value.toFixed(2) : 'N/A';
+  };
+  
+  // Performance metrics of the equity curve, when the backtest reports them
+  const metrics = backtestData && backtestData.metrics && !backtestData.metrics.error
+    ? backtestData.metrics
+    : null;
+  const maxDrawdown = metrics ? metrics.maxDrawdown.toFixed(2) : 'N/A';
+  
+  // Format a stored date as YYYY-MM-DD
+  const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
 
   return (
     <div className="backtest-results-container">
@@ -359,12 +421,167 @@ const BacktestResults = ({ setLoading }) => {
         </div>
       </div>
       
+      {/* Portfolio Backtest */}
+      <div className="trade-stats-section">
+        <h2>Portfolio Backtest</h2>
+        <p>
+          Replays the screener over every eligible coin with one capital pool, risking
+          {' '}{tradingParams.riskPerTrade}% of equity per trade with at most {tradingParams.maxPositionSize}% of
+          equity in one position, as saved in <Link to="/settings">Settings</Link>.
+        </p>
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="maxConcurrentPositions">Max Open Positions</label>
+            <input
+              type="number"
+              id="maxConcurrentPositions"
+              name="maxConcurrentPositions"
+              min="1"
+              max="20"
+              value={portfolioParameters.maxConcurrentPositions}
+              onChange={handlePortfolioParamChange}
+            />
+          </div>
+          
+          <div className="form-group">
+            <label htmlFor="rankBy">Rank Signals By</label>
+            <select
+              id="rankBy"
+              name="rankBy"
+              value={portfolioParameters.rankBy}
+              onChange={handlePortfolioParamChange}
+            >
+              <option value="score">Breakout score</option>
+              <option value="relativeStrength">Relative strength</option>
+            </select>
+          </div>
+          
+          <div className="form-group form-actions">
+            <button
+              className="btn primary-btn"
+              onClick={runPortfolioBacktest}
+            >
+              Run Portfolio Backtest
+            </button>
+          </div>
+        </div>
+        
+        {portfolio && (
+          <>
+            <div className="stats-grid">
+              <div className="stat-card">
+                <h3>Final Equity</h3>
+                <p className="stat-value">{formatCurrency(portfolio.finalEquity)}</p>
+                <p className={`stat-detail ${portfolio.totalReturn >= 0 ? 'positive' : 'negative'}`}>
+                  {portfolio.totalReturn >= 0 ? '+' : ''}{portfolio.totalReturn.toFixed(2)}%
+                </p>
+              </div>
+              
+              <div className="stat-card">
+                <h3>Win Rate</h3>
+                <p className="stat-value">{portfolio.winRate.toFixed(2)}%</p>
+                <p className="stat-detail">
+                  {portfolio.winningTrades}/{portfolio.totalTrades} trades on {portfolio.coinsTraded} coins
+                </p>
+              </div>
+              
+              <div className="stat-card">
+                <h3>Max Drawdown</h3>
+                <p className="stat-value negative">
+                  {portfolio.metrics && !portfolio.metrics.error ? `-${portfolio.metrics.maxDrawdown.toFixed(2)}%` : 'N/A'}
+                </p>
+              </div>
+              
+              <div className="stat-card">
+                <h3>Skipped Signals</h3>
+                <p className="stat-value">{portfolio.skippedSignals}</p>
+                <p className="stat-detail">No free slot or cash</p>
+              </div>
+            </div>
+            
+            <div className="trades-table-container">
+              <table className="trades-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Coin</th>
+                    <th>Direction</th>
+                    <th>Margin</th>
+                    <th>Exit</th>
+                    <th>Profit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {portfolio.trades.slice(-20).reverse().map((trade, index) => (
+                    <tr key={index} className={`${trade.profit > 0 ? 'win' : 'loss'}-row`}>
+                      <td>{formatDate(trade.date)}</td>
+                      <td>{trade.symbol}</td>
+                      <td>{trade.direction.toUpperCase()}</td>
+                      <td>{formatCurrency(trade.margin)}</td>
+                      <td>{trade.exitType}</td>
+                      <td className={trade.profit >= 0 ? 'positive' : 'negative'}>
+                        {formatCurrency(trade.profit)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+      
+      {/* Past Runs */}
+      {pastBacktests.length > 0 && (
+        <div className="recent-trades-section">
+          <h2>Past {symbol} Backtests</h2>
+          <div className="trades-table-container">
+            <table className="trades-table">
+              <thead>
+                <tr>
+                  <th>Run</th>
+                  <th>Period</th>
+                  <th>Trades</th>
+                  <th>Win Rate</th>
+                  <th>Return</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {pastBacktests.map((backtest) => (
+                  <tr key={backtest._id} onClick={() => selectBacktest(backtest._id)}>
+                    <td>{new Date(backtest.createdAt).toLocaleString()}</td>
+                    <td>{formatDate(backtest.startDate)} to {formatDate(backtest.endDate)}</td>
+                    <td>{backtest.totalTrades}</td>
+                    <td>{backtest.winRate.toFixed(2)}%</td>
+                    <td className={backtest.netProfitPercent >= 0 ? 'positive' : 'negative'}>
+                      {backtest.netProfitPercent >= 0 ? '+' : ''}{backtest.netProfitPercent.toFixed(2)}%
+                    </td>
+                    <td>
+                      <button
+                        className="btn secondary-btn"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          deleteBacktest(backtest._id);
+                        }}
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+      
       {backtestData ? (
         <div className="backtest-results">
           <div className="backtest-header">
             <h2>{backtestData.symbol} Backtest Results</h2>
             <div className="backtest-meta">
-              <span>Period: {backtestData.startDate} to {backtestData.endDate}</span>
+              <span>Period: {formatDate(backtestData.startDate)} to {formatDate(backtestData.endDate)}</span>
               <span>Initial Capital: {formatCurrency(backtestData.initialCapital)}</span>
             </div>
           </div>
@@ -376,8 +593,8 @@ const BacktestResults = ({ setLoading }) => {
                 <h3>Net Profit</h3>
                 <p className="summary-value">
                   {formatCurrency(backtestData.netProfit)}
-                  <span className="summary-subvalue positive">
-                    +{backtestData.netProfitPercent.toFixed(2)}%
+                  <span className={`summary-subvalue ${backtestData.netProfitPercent >= 0 ? 'positive' : 'negative'}`}>
+                    {backtestData.netProfitPercent >= 0 ? '+' : ''}{backtestData.netProfitPercent.toFixed(2)}%
                   </span>
                 </p>
               </div>
@@ -395,14 +612,19 @@ const BacktestResults = ({ setLoading }) => {
               <div className="summary-card">
                 <h3>Profit Factor</h3>
                 <p className="summary-value">
-                  {backtestData.profitFactor.toFixed(2)}
+                  {formatRatio(backtestData.profitFactor)}
                 </p>
               </div>
               
               <div className="summary-card">
                 <h3>Max Drawdown</h3>
                 <p className="summary-value negative">
-                  -{backtestData.maxDrawdown}%
+                  -{maxDrawdown}%
+                  {metrics && (
+                    <span className="summary-subvalue">
+                      {metrics.maxDrawdownDuration} bars ({metrics.maxDrawdownDays.toFixed(0)} days) to recover
+                    </span>
+                  )}
                 </p>
               </div>
             </div>
@@ -417,6 +639,126 @@ const BacktestResults = ({ setLoading }) => {
             ></div>
           </div>
           
+          {/* Monte Carlo */}
+          <div className="trade-stats-section">
+            <div className="section-header">
+              <h2>Monte Carlo Analysis</h2>
+              <select
+                value={monteCarloMethod}
+                onChange={(e) => setMonteCarloMethod(e.target.value)}
+              >
+                <option value="shuffle">Shuffle trade order</option>
+                <option value="bootstrap">Bootstrap trades</option>
+                <option value="skip">Skip 10% of trades</option>
+              </select>
+            </div>
+            {monteCarlo ? (
+              <>
+                <p>
+                  {monteCarlo.simulations} simulations of {monteCarlo.trades} trades. The chart shows the
+                  median and the 5th to 95th percentile band of their equity after each trade.
+                </p>
+                <div className="stats-grid">
+                  <div className="stat-card">
+                    <h3>Final Equity</h3>
+                    <p className="stat-value">{formatCurrency(monteCarlo.finalEquity.p50)}</p>
+                    <p className="stat-detail">
+                      5%: {formatCurrency(monteCarlo.finalEquity.p5)} / 95%: {formatCurrency(monteCarlo.finalEquity.p95)}
+                    </p>
+                  </div>
+                  
+                  <div className="stat-card">
+                    <h3>Max Drawdown</h3>
+                    <p className="stat-value negative">-{monteCarlo.maxDrawdown.p50.toFixed(2)}%</p>
+                    <p className="stat-detail">
+                      95%: -{monteCarlo.maxDrawdown.p95.toFixed(2)}% / Worst: -{monteCarlo.maxDrawdown.max.toFixed(2)}%
+                    </p>
+                  </div>
+                  
+                  <div className="stat-card">
+                    <h3>Risk of Ruin</h3>
+                    <p className={`stat-value ${monteCarlo.riskOfRuin > 0 ? 'negative' : ''}`}>
+                      {monteCarlo.riskOfRuin.toFixed(1)}%
+                    </p>
+                    <p className="stat-detail">Drawdown of {monteCarlo.ruinDrawdown}% or more</p>
+                  </div>
+                  
+                  <div className="stat-card">
+                    <h3>Chance of Loss</h3>
+                    <p className="stat-value">{monteCarlo.probabilityOfLoss.toFixed(1)}%</p>
+                    <p className="stat-detail">Final equity below initial capital</p>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <p>{backtestData.totalTrades > 0 ? 'Running simulations...' : 'No trades to resample.'}</p>
+            )}
+          </div>
+          
+          {/* Risk-Adjusted Performance */}
+          {metrics && (
+            <div className="trade-stats-section">
+              <h2>Risk-Adjusted Performance</h2>
+              <div className="stats-grid">
+                <div className="stat-card">
+                  <h3>CAGR</h3>
+                  <p className={`stat-value ${metrics.cagr >= 0 ? 'positive' : 'negative'}`}>
+                    {metrics.cagr !== null ? `${metrics.cagr.toFixed(2)}%` : 'N/A'}
+                  </p>
+                </div>
+                
+                <div className="stat-card">
+                  <h3>Sharpe Ratio</h3>
+                  <p className="stat-value">{formatRatio(metrics.sharpeRatio)}</p>
+                </div>
+                
+                <div className="stat-card">
+                  <h3>Sortino Ratio</h3>
+                  <p className="stat-value">{formatRatio(metrics.sortinoRatio)}</p>
+                </div>
+                
+                <div className="stat-card">
+                  <h3>Calmar Ratio</h3>
+                  <p className="stat-value">{formatRatio(metrics.calmarRatio)}</p>
+                </div>
+                
+                <div className="stat-card">
+                  <h3>Exposure</h3>
+                  <p className="stat-value">{metrics.exposure.toFixed(1)}%</p>
+                </div>
+                
+                <div className="stat-card">
+                  <h3>Longest Streaks</h3>
+                  <p className="stat-value">
+                    <span className="positive">{metrics.longestWinStreak}W</span> / <span className="negative">{metrics.longestLossStreak}L</span>
+                  </p>
+                </div>
+              </div>
+              
+              <h3>Monthly Returns</h3>
+              <div className="trades-table-container">
+                <table className="trades-table">
+                  <thead>
+                    <tr>
+                      <th>Month</th>
+                      <th>Return</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {metrics.monthlyReturns.map(({ month, return: monthReturn }) => (
+                      <tr key={month}>
+                        <td>{month}</td>
+                        <td className={monthReturn >= 0 ? 'positive' : 'negative'}>
+                          {monthReturn >= 0 ? '+' : ''}{monthReturn.toFixed(2)}%
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+          
           {/* Trade Statistics */}
           <div className="trade-stats-section">
             <h2>Trade Statistics</h2>
@@ -438,19 +780,18 @@ const BacktestResults = ({ setLoading }) => {
               
               <div className="stat-card">
                 <h3>Avg. Profit</h3>
-                <p className="stat-value positive">+{backtestData.averageProfit}%</p>
+                <p className="stat-value positive">+{backtestData.averageProfit.toFixed(2)}%</p>
               </div>
               
               <div className="stat-card">
                 <h3>Avg. Loss</h3>
-                <p className="stat-value negative">{backtestData.averageLoss}%</p>
+                <p className="stat-value negative">-{backtestData.averageLoss.toFixed(2)}%</p>
               </div>
               
               <div className="stat-card">
                 <h3>Expectancy</h3>
                 <p className="stat-value">
-                  {((backtestData.winRate / 100 * backtestData.averageProfit) + 
-                  ((100 - backtestData.winRate) / 100 * backtestData.averageLoss)).toFixed(2)}%
+                  {formatRatio(backtestData.expectancy)}%
                 </p>
               </div>
             </div>
@@ -464,28 +805,36 @@ const BacktestResults = ({ setLoading }) => {
                 <thead>
                   <tr>
                     <th>Date</th>
+                    <th>Direction</th>
                     <th>Entry Price</th>
                     <th>Exit Price</th>
+                    <th>Exit</th>
                     <th>P&L %</th>
                     <th>Result</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {backtestData.trades.map((trade, index) => (
-                    <tr key={index} className={trade.type === 'win' ? 'win-row' : 'loss-row'}>
-                      <td>{trade.date}</td>
-                      <td>${trade.entry.toFixed(2)}</td>
-                      <td>${trade.exit.toFixed(2)}</td>
-                      <td className={trade.pnl >= 0 ? 'positive' : 'negative'}>
-                        {trade.pnl >= 0 ? '+' : ''}{trade.pnl.toFixed(2)}%
-                      </td>
-                      <td>
-                        <span className={`trade-result ${trade.type}`}>
-                          {trade.type.toUpperCase()}
-                        </span>
-                      </td>
-                    </tr>
-                  ))}
+                  {backtestData.trades.slice(-20).reverse().map((trade, index) => {
+                    const result = trade.pnl > 0 ? 'win' : 'loss';
+                    
+                    return (
+                      <tr key={index} className={`${result}-row`}>
+                        <td>{formatDate(trade.date)}</td>
+                        <td>{trade.direction.toUpperCase()}</td>
+                        <td>${trade.entryPrice.toFixed(4)}</td>
+                        <td>${trade.exitPrice.toFixed(4)}</td>
+                        <td>{trade.exitType}</td>
+                        <td className={trade.pnl >= 0 ? 'positive' : 'negative'}>
+                          {trade.pnl >= 0 ? '+' : ''}{trade.pnl.toFixed(2)}%
+                        </td>
+                        <td>
+                          <span className={`trade-result ${result}`}>
+                            {result.toUpperCase()}
+                          </span>
+                        </td>
+                      </tr>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
@@ -496,20 +845,19 @@ const BacktestResults = ({ setLoading }) => {
             <h2>Performance Analysis</h2>
             <div className="analysis-content">
               <p>
-                The backtest results show a strong win rate of {backtestData.winRate.toFixed(2)}% with 
-                a profit factor of {backtestData.profitFactor.toFixed(2)}. This indicates that the 
-                breakout strategy is performing well on {backtestData.symbol}.
+                The breakout strategy won {backtestData.winRate.toFixed(2)}% of its trades on {backtestData.symbol} with 
+                a profit factor of {formatRatio(backtestData.profitFactor)}, net of trading costs.
               </p>
               <p>
-                The average winning trade ({backtestData.averageProfit.toFixed(2)}%) is significantly 
-                larger than the average losing trade ({Math.abs(backtestData.averageLoss).toFixed(2)}%), 
-                resulting in a positive expectancy of 
-                {((backtestData.winRate / 100 * backtestData.averageProfit) + 
-                ((100 - backtestData.winRate) / 100 * backtestData.averageLoss)).toFixed(2)}% per trade.
+                The average winning trade ({backtestData.averageProfit.toFixed(2)}%) is {backtestData.payoffRatio.toFixed(2)} times 
+                the average losing trade ({backtestData.averageLoss.toFixed(2)}%), for an expectancy of 
+                {' '}{formatRatio(backtestData.expectancy)}% per trade.
               </p>
               <p>
-                The maximum drawdown of {backtestData.maxDrawdown}% is within acceptable limits for 
-                the risk parameters. Overall, this strategy shows good potential for profitable trading.
+                The equity curve fell at most {maxDrawdown}% from a peak, with
+                {backtestData.parameters.riskPerTrade
+                  ? ` each trade sized to risk ${backtestData.parameters.riskPerTrade}% of equity at the stop.`
+                  : ' each trade putting up the whole equity as margin.'}
               </p>
             </div>
           </div>
@@ -0,0 +1,502 @@
+/**
+ * Backtest controller
+ * Handles backtests of the screener strategy
+ */
+
+const mongoose = require('mongoose');
+const Backtest = require('../models/Backtest');
+const marketDataService = require('../services/marketDataService');
+const candleStore = require('../services/candleStore');
+const breakoutDetector = require('../utils/breakoutDetector');
+const portfolioBacktester = require('../utils/portfolioBacktester');
+const walkForward = require('../utils/walkForward');
+const monteCarlo = require('../utils/monteCarlo');
+const performanceMetrics = require('../utils/performanceMetrics');
+const futuresMargin = require('../utils/futuresMargin');
+const { getTimeframeMs } = require('../utils/candleResampler');
+
+// Daily bars of history loaded per coin
+const BACKTEST_HISTORY_BARS = 1000;
+
+// Bars loaded before the start date of a run to warm up the indicators; the
+// backtest trades from this bar on
+const BACKTEST_WARMUP_BARS = 200;
+
+// Timeframes a run can be stored with
+const BACKTEST_TIMEFRAMES = Backtest.schema.path('timeframe').enumValues;
+
+/**
+ * Backtest the strategy on one coin over a date range and store the run
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const runBacktest = async (req, res) => {
+  try {
+    // Get parameters; the rest of the body holds the breakout, exit rule,
+    // cost, margin and sizing (riskPerTrade) options
+    const {
+      symbol,
+      currency = 'USDT',
+      timeframe = 'day',
+      startDate,
+      endDate,
+      initialCapital = 10000,
+      provider,
+      ...options
+    } = req.body;
+    
+    if (!symbol || !startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'symbol, startDate and endDate are required'
+      });
+    }
+    
+    const from = new Date(startDate);
+    const to = new Date(endDate);
+    
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({
+        success: false,
+        message: 'startDate must be a valid date before endDate'
+      });
+    }
+    
+    if (!BACKTEST_TIMEFRAMES.includes(timeframe)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported timeframe: ${timeframe}. Use one of ${BACKTEST_TIMEFRAMES.join(', ')}`
+      });
+    }
+    
+    // Validate the leverage before fetching any data
+    try {
+      futuresMargin.getMarginConfig(options);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = marketDataService.getMarketDataService(provider);
+    
+    // The date range, after enough earlier bars to warm up the indicators
+    const warmupStart = from.getTime() - BACKTEST_WARMUP_BARS * getTimeframeMs(timeframe);
+    const data = await candleStore.getCandleRange(dataService, symbol, currency, timeframe, warmupStart, to);
+    
+    const capital = parseFloat(initialCapital);
+    const results = breakoutDetector.backtestBreakoutStrategy(data, { ...options, initialCapital: capital });
+    
+    if (results.error) {
+      return res.status(400).json({
+        success: false,
+        message: results.error
+      });
+    }
+    
+    const { finalEquity } = results.metrics;
+    
+    const backtest = await Backtest.create({
+      symbol,
+      currency,
+      timeframe,
+      provider: dataService.provider,
+      startDate: from,
+      endDate: to,
+      initialCapital: capital,
+      parameters: options,
+      totalTrades: results.totalTrades,
+      winningTrades: results.winningTrades,
+      losingTrades: results.losingTrades,
+      winRate: results.winRate,
+      averageProfit: results.averageProfit,
+      averageLoss: results.averageLoss,
+      profitFactor: results.profitFactor,
+      payoffRatio: results.payoffRatio,
+      expectancy: results.expectancy,
+      finalEquity,
+      netProfit: finalEquity - capital,
+      netProfitPercent: results.metrics.totalReturn,
+      metrics: results.metrics,
+      equityCurve: results.equityCurve.map(({ time, equity }) => ({ time, equity })),
+      trades: results.trades
+    });
+    
+    // Return the stored run
+    res.json({
+      success: true,
+      backtest
+    });
+    
+  } catch (error) {
+    console.error(`Error running backtest for ${req.body.symbol}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error running backtest for ${req.body.symbol}`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List stored backtest runs, most recent first, without their trades and
+ * equity curves
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listBacktests = async (req, res) => {
+  try {
+    // Get parameters
+    const { symbol, limit = 20 } = req.query;
+    const query = symbol ? { symbol: symbol.toUpperCase() } : {};
+    
+    const backtests = await Backtest.find(query)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .select('-trades -equityCurve')
+      .lean();
+      
+    res.json({
+      success: true,
+      count: backtests.length,
+      backtests
+    });
+    
+  } catch (error) {
+    console.error('Error listing backtests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing backtests',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a stored backtest run with its trades and equity curve
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBacktest = async (req, res) => {
+  try {
+    const backtest = mongoose.isValidObjectId(req.params.id)
+      ? await Backtest.findById(req.params.id).lean()
+      : null;
+      
+    if (!backtest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      backtest
+    });
+    
+  } catch (error) {
+    console.error(`Error fetching backtest ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching backtest',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a stored backtest run
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteBacktest = async (req, res) => {
+  try {
+    const backtest = mongoose.isValidObjectId(req.params.id)
+      ? await Backtest.findByIdAndDelete(req.params.id)
+      : null;
+      
+    if (!backtest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Backtest deleted'
+    });
+    
+  } catch (error) {
+    console.error(`Error deleting backtest ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting backtest',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Backtest the screener on the whole eligible universe with one capital pool
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const runPortfolioBacktest = async (req, res) => {
+  try {
+    // Get parameters; the rest of the body holds the portfolio, breakout,
+    // exit rule, cost and margin options
+    const { maxPrice = 1.0, currency = 'USDT', maxCoins = 50, provider, ...options } = req.body;
+    
+    // Validate the ranking and leverage before fetching any data
+    try {
+      portfolioBacktester.resolveRanking(options.rankBy);
+      futuresMargin.getMarginConfig(options);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = candleStore.withCandleStore(
+      marketDataService.getMarketDataService(provider)
+    );
+    
+    // Coins under the price threshold that are available on ByDFi
+    const cheapCryptos = await dataService.getCryptocurrenciesUnderPrice(
+      parseFloat(maxPrice),
+      100,
+      currency
+    );
+    const byDFiCryptos = await dataService.getByDFiCryptocurrencies(currency);
+    const byDFiSymbols = byDFiCryptos.map(crypto => crypto.symbol);
+    
+    const eligibleCryptos = cheapCryptos
+      .filter(crypto => byDFiSymbols.includes(crypto.symbol))
+      .slice(0, parseInt(maxCoins));
+      
+    // Daily history of each coin
+    const universe = [];
+    for (const crypto of eligibleCryptos) {
+      try {
+        const data = await dataService.getHistoricalData(
+          crypto.symbol,
+          currency,
+          'day',
+          BACKTEST_HISTORY_BARS
+        );
+        
+        universe.push({ symbol: crypto.symbol, data });
+      } catch (error) {
+        console.error(`Error loading history for ${crypto.symbol}:`, error);
+        continue;
+      }
+    }
+    
+    const results = portfolioBacktester.backtestPortfolio(universe, options);
+    
+    // Return results
+    res.json({
+      success: true,
+      currency,
+      maxPrice: parseFloat(maxPrice),
+      timestamp: new Date().toISOString(),
+      ...results
+    });
+    
+  } catch (error) {
+    console.error('Error running portfolio backtest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running portfolio backtest',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Monte Carlo analysis of a stored backtest run's trades
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const runMonteCarloAnalysis = async (req, res) => {
+  try {
+    // Get parameters: method, simulations, skipProbability and ruinDrawdown
+    const { initialCapital, ...options } = req.body;
+    
+    // Validate the method before loading the run
+    try {
+      monteCarlo.resolveResamplingMethod(options.method);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    const backtest = mongoose.isValidObjectId(req.params.id)
+      ? await Backtest.findById(req.params.id).lean()
+      : null;
+      
+    if (!backtest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backtest not found'
+      });
+    }
+    
+    // Trades sized as they were in the run
+    const tradeReturns = performanceMetrics.getTradeReturns(backtest.trades, {
+      leverage: futuresMargin.getMarginConfig(backtest.parameters).leverage,
+      riskPerTrade: backtest.parameters.riskPerTrade
+    });
+    const results = monteCarlo.runMonteCarlo(tradeReturns, {
+      ...options,
+      initialCapital: backtest.initialCapital
+    });
+    
+    if (results.error) {
+      return res.status(400).json({
+        success: false,
+        message: results.error
+      });
+    }
+    
+    // Place the band after each trade at that trade's exit in the run, to
+    // plot it around the equity curve
+    const stepTimes = [
+      backtest.equityCurve[0].time,
+      ...backtest.trades.map(trade => trade.exits[trade.exits.length - 1].time)
+    ];
+    
+    res.json({
+      success: true,
+      backtestId: backtest._id,
+      ...results,
+      equityBands: results.equityBands.map((band, step) => ({ time: stepTimes[step], ...band }))
+    });
+    
+  } catch (error) {
+    console.error(`Error running Monte Carlo analysis for backtest ${req.params.id}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running Monte Carlo analysis',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Walk-forward analysis of the strategy on one coin: parameters optimized on
+ * each train window and traded on the test window after it
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const runWalkForwardAnalysis = async (req, res) => {
+  try {
+    // Get parameters; the rest of the body holds the window options and the
+    // initial strategy, exit rule, cost, margin and sizing options
+    const {
+      symbol,
+      currency = 'USDT',
+      timeframe = 'day',
+      historyBars = BACKTEST_HISTORY_BARS,
+      provider,
+      ...options
+    } = req.body;
+    
+    if (!symbol) {
+      return res.status(400).json({
+        success: false,
+        message: 'symbol is required'
+      });
+    }
+    
+    // Validate the windows and leverage before fetching any data
+    try {
+      walkForward.getWalkForwardConfig(options);
+      futuresMargin.getMarginConfig(options);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = candleStore.withCandleStore(
+      marketDataService.getMarketDataService(provider)
+    );
+    
+    const data = await dataService.getHistoricalData(symbol, currency, timeframe, parseInt(historyBars));
+    const results = walkForward.runWalkForward(data, options);
+    
+    if (results.error) {
+      return res.status(400).json({
+        success: false,
+        message: results.error
+      });
+    }
+    
+    // Return results
+    res.json({
+      success: true,
+      symbol,
+      currency,
+      timeframe,
+      timestamp: new Date().toISOString(),
+      ...results
+    });
+    
+  } catch (error) {
+    console.error(`Error running walk-forward analysis for ${req.body.symbol}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error running walk-forward analysis for ${req.body.symbol}`,
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  runBacktest,
+  listBacktests,
+  getBacktest,
+  deleteBacktest,
+  runMonteCarloAnalysis,
+  runWalkForwardAnalysis,
+  runPortfolioBacktest
+};
@@ -0,0 +1,79 @@
+/**
+ * Backtest controller tests
+ * Invalid options are rejected with 400 before any data is loaded
+ */
+
+process.env.CANDLE_STORE_ENABLED = 'false';
+
+const backtestController = require('../controllers/backtestController');
+
+// Minimal Express response that records the status and body
+const mockResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+const RUN = { symbol: 'DOGE', startDate: '2024-01-01', endDate: '2024-06-30', provider: 'fixture' };
+
+describe('backtest run', () => {
+  it('rejects a timeframe a run cannot be stored with', async () => {
+    const res = mockResponse();
+    
+    await backtestController.runBacktest({ body: { ...RUN, timeframe: '1H' } }, res);
+    
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Unsupported timeframe: 1H. Use one of minute, hour, 4hour, day');
+  });
+  
+  it('rejects leverage below 1 with 400', async () => {
+    const res = mockResponse();
+    
+    await backtestController.runBacktest({ body: { ...RUN, leverage: 0 } }, res);
+    
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, message: 'Leverage must be a number of at least 1: 0' });
+  });
+});
+
+describe('portfolio backtest', () => {
+  it('rejects an unknown ranking with 400', async () => {
+    const res = mockResponse();
+    
+    await backtestController.runPortfolioBacktest({ body: { provider: 'fixture', rankBy: 'volume' } }, res);
+    
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Unknown ranking: volume');
+  });
+});
+
+describe('Monte Carlo analysis', () => {
+  it('rejects an unknown resampling method with 400', async () => {
+    const res = mockResponse();
+    
+    await backtestController.runMonteCarloAnalysis({ params: { id: 'nope' }, body: { method: 'nope' } }, res);
+    
+    expect(res.statusCode).toBe(400);
+    expect(res.body.success).toBe(false);
+  });
+});
+
+describe('walk-forward analysis', () => {
+  it('rejects windows that are too short with 400', async () => {
+    const res = mockResponse();
+    
+    await backtestController.runWalkForwardAnalysis({
+      body: { symbol: 'DOGE', provider: 'fixture', trainBars: 10 }
+    }, res);
+    
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/^trainBars must be at least/);
+  });
+});
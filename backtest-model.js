@@ -0,0 +1,120 @@
+/**
+ * Backtest model for stored backtest runs
+ * One document per run, with the parameters it was run with, its statistics,
+ * performance metrics, equity curve and trades
+ */
+
+const mongoose = require('mongoose');
+
+const BacktestSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  timeframe: {
+    type: String,
+    enum: ['minute', 'hour', '4hour', 'day'],
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  initialCapital: {
+    type: Number,
+    required: true
+  },
+  // Strategy, exit rule, cost and margin options the run was made with
+  parameters: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Trade statistics, net of costs
+  totalTrades: {
+    type: Number,
+    default: 0
+  },
+  winningTrades: {
+    type: Number,
+    default: 0
+  },
+  losingTrades: {
+    type: Number,
+    default: 0
+  },
+  winRate: {
+    type: Number,
+    default: 0
+  },
+  averageProfit: {
+    type: Number,
+    default: 0
+  },
+  averageLoss: {
+    type: Number,
+    default: 0
+  },
+  // Null when no trade lost
+  profitFactor: {
+    type: Number,
+    default: null
+  },
+  payoffRatio: {
+    type: Number,
+    default: 0
+  },
+  expectancy: {
+    type: Number,
+    default: 0
+  },
+  finalEquity: {
+    type: Number,
+    required: true
+  },
+  netProfit: {
+    type: Number,
+    required: true
+  },
+  netProfitPercent: {
+    type: Number,
+    required: true
+  },
+  // Performance metrics of the equity curve (see performanceMetrics)
+  metrics: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  equityCurve: [{
+    _id: false,
+    time: Date,
+    equity: Number
+  }],
+  trades: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Recent runs first, optionally for one symbol
+BacktestSchema.index({ symbol: 1, createdAt: -1 });
+BacktestSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Backtest', BacktestSchema);
@@ -0,0 +1,63 @@
+/**
+ * Backtest routes
+ * API routes for backtesting the screener strategy
+ */
+
+const express = require('express');
+const router = express.Router();
+const backtestController = require('../controllers/backtestController');
+
+/**
+ * @route   POST /api/backtest/run
+ * @desc    Backtest the strategy on one coin between startDate and endDate
+ *          (initialCapital, riskPerTrade and strategy options) and store the run
+ * @access  Public
+ */
+router.post('/run', backtestController.runBacktest);
+
+/**
+ * @route   POST /api/backtest/:id/monte-carlo
+ * @desc    Monte Carlo analysis of a stored run's trades (method, simulations,
+ *          skipProbability, ruinDrawdown)
+ * @access  Public
+ */
+router.post('/:id/monte-carlo', backtestController.runMonteCarloAnalysis);
+
+/**
+ * @route   POST /api/backtest/walk-forward
+ * @desc    Walk-forward analysis of one coin (mode, trainBars, testBars,
+ *          generations, historyBars) with out-of-sample results
+ * @access  Public
+ */
+router.post('/walk-forward', backtestController.runWalkForwardAnalysis);
+
+/**
+ * @route   POST /api/backtest/portfolio
+ * @desc    Backtest the screener on every eligible coin with one capital pool
+ *          (riskPerTrade, maxPositionSize, maxConcurrentPositions, rankBy)
+ * @access  Public
+ */
+router.post('/portfolio', backtestController.runPortfolioBacktest);
+
+/**
+ * @route   GET /api/backtest
+ * @desc    List stored backtest runs, most recent first (symbol, limit)
+ * @access  Public
+ */
+router.get('/', backtestController.listBacktests);
+
+/**
+ * @route   GET /api/backtest/:id
+ * @desc    Get a stored backtest run with its trades and equity curve
+ * @access  Public
+ */
+router.get('/:id', backtestController.getBacktest);
+
+/**
+ * @route   DELETE /api/backtest/:id
+ * @desc    Delete a stored backtest run
+ * @access  Public
+ */
+router.delete('/:id', backtestController.deleteBacktest);
+
+module.exports = router;
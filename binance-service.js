@@ -0,0 +1,213 @@
+/**
+ * Binance API service
+ * Market data provider that fetches cryptocurrency data from Binance spot markets
+ */
+
+const axios = require('axios');
+const responseCache = require('./responseCache');
+const { createRequestScheduler } = require('./requestScheduler');
+const { loadTimeframeData } = require('../utils/timeframeProfiles');
+
+// Base URL for Binance API
+const BASE_URL = process.env.BINANCE_API_URL || 'https://api.binance.com/api/v3';
+
+// Binance limits request weight per minute rather than request count
+const scheduler = createRequestScheduler({
+  name: 'Binance',
+  perSecond: parseInt(process.env.BINANCE_MAX_REQUESTS_PER_SECOND) || 20,
+  perMinute: parseInt(process.env.BINANCE_MAX_WEIGHT_PER_MINUTE) || 5000
+});
+
+// Request weight of the 24h ticker endpoint when called for all symbols
+const ALL_TICKERS_WEIGHT = 80;
+
+// Map our timeframe names to Binance kline intervals
+const INTERVALS = {
+  minute: '1m',
+  hour: '1h',
+  '4hour': '4h',
+  day: '1d'
+};
+
+// Binance returns at most this many klines per request
+const MAX_KLINES = 1000;
+
+/**
+ * Make a cached, rate-limited request to the Binance API
+ * 
+ * @param {string} endpoint - API endpoint (e.g., klines)
+ * @param {Object} params - Query parameters
+ * @param {number} ttl - Cache time to live in seconds
+ * @param {number} weight - Binance request weight
+ * @returns {Promise<*>} Response body
+ */
+const apiGet = (endpoint, params, ttl, weight = 1) => {
+  const cacheKey = responseCache.buildCacheKey(`binance/${endpoint}`, params);
+  
+  return responseCache.getOrFetch(cacheKey, ttl, () => scheduler.schedule(async () => {
+    const response = await axios.get(`${BASE_URL}/${endpoint}`, { params });
+    return response.data;
+  }, { weight }));
+};
+
+/**
+ * Get request weight of a klines call for a given limit
+ */
+const getKlinesWeight = (limit) => {
+  if (limit <= 100) return 1;
+  if (limit <= 500) return 2;
+  return 5;
+};
+
+/**
+ * Get historical OHLCV data for a cryptocurrency
+ * 
+ * @param {string} symbol - Cryptocurrency symbol (e.g., BTC)
+ * @param {string} currency - Quote currency (e.g., USDT)
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @param {number} limit - Number of data points
+ * @param {Object} options - Request options
+ * @param {number} options.toTime - Return bars up to this timestamp (ms) instead of now
+ * @returns {Promise<Array>} Historical OHLCV data
+ */
+const getHistoricalData = async (symbol, currency = 'USDT', timeframe = 'hour', limit = 500, options = {}) => {
+  try {
+    let klines = [];
+    let endTime = options.toTime;
+    
+    // Page back from the most recent bars, at most MAX_KLINES per request,
+    // until limit bars are in or the market's history runs out
+    while (klines.length < limit) {
+      const klinesLimit = Math.min(limit - klines.length, MAX_KLINES);
+      
+      const page = await apiGet('klines', {
+        symbol: `${symbol}${currency}`,
+        interval: INTERVALS[timeframe] || INTERVALS.hour,
+        limit: klinesLimit,
+        endTime
+      }, responseCache.getCandleTtl(timeframe, options.toTime), getKlinesWeight(klinesLimit));
+      
+      klines = [...page, ...klines];
+      
+      if (page.length < klinesLimit) break;
+      
+      endTime = page[0][0] - 1;
+    }
+    
+    // Klines are arrays: [openTime, open, high, low, close, volume, ...]
+    return klines.map(kline => ({
+      time: new Date(kline[0]).toISOString(),
+      open: parseFloat(kline[1]),
+      high: parseFloat(kline[2]),
+      low: parseFloat(kline[3]),
+      close: parseFloat(kline[4]),
+      volume: parseFloat(kline[5])
+    }));
+  } catch (error) {
+    console.error('Error fetching Binance historical data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get multiple timeframes of data for a cryptocurrency
+ * 
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string|Array} profile - Timeframe profile name or definition
+ * @returns {Promise<Object>} Data for each timeframe in the profile
+ */
+const getMultiTimeframeData = async (symbol, currency = 'USDT', profile) => {
+  try {
+    return await loadTimeframeData(getHistoricalData, symbol, currency, profile);
+  } catch (error) {
+    console.error('Error fetching Binance multi-timeframe data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get 24h ticker statistics for every symbol quoted in a currency
+ * 
+ * @param {string} currency - Quote currency
+ * @returns {Promise<Array>} Tickers with the base symbol split out
+ */
+const getTickers = async (currency) => {
+  const tickers = await apiGet('ticker/24hr', {}, responseCache.CACHE_TTL.prices, ALL_TICKERS_WEIGHT);
+  
+  return tickers
+    .filter(ticker => ticker.symbol.endsWith(currency))
+    .map(ticker => ({
+      ...ticker,
+      baseSymbol: ticker.symbol.slice(0, -currency.length)
+    }));
+};
+
+/**
+ * Get price data for multiple cryptocurrencies
+ * 
+ * @param {Array<string>} symbols - Array of cryptocurrency symbols
+ * @param {string} currency - Quote currency
+ * @returns {Promise<Object>} Current price data
+ */
+const getCurrentPrices = async (symbols, currency = 'USDT') => {
+  try {
+    const tickers = await getTickers(currency);
+    
+    const result = {};
+    
+    for (const ticker of tickers) {
+      if (symbols.includes(ticker.baseSymbol)) {
+        result[ticker.baseSymbol] = {
+          price: parseFloat(ticker.lastPrice),
+          volume24h: parseFloat(ticker.volume),
+          change24h: parseFloat(ticker.priceChangePercent),
+          marketCap: null, // Binance does not report market cap
+          lastUpdate: new Date(ticker.closeTime).toISOString()
+        };
+      }
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error fetching Binance current prices:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get list of top cryptocurrencies
+ * Binance has no market cap data, so coins are ranked by 24h quote volume
+ * 
+ * @param {number} limit - Number of cryptocurrencies to return
+ * @param {string} currency - Quote currency
+ * @returns {Promise<Array>} List of cryptocurrencies
+ */
+const getTopCryptocurrencies = async (limit = 100, currency = 'USDT') => {
+  try {
+    const tickers = await getTickers(currency);
+    
+    return tickers
+      .sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume))
+      .slice(0, limit)
+      .map(ticker => ({
+        id: ticker.symbol,
+        name: ticker.baseSymbol,
+        symbol: ticker.baseSymbol,
+        price: parseFloat(ticker.lastPrice),
+        volume24h: parseFloat(ticker.volume),
+        change24h: parseFloat(ticker.priceChangePercent),
+        marketCap: null
+      }));
+  } catch (error) {
+    console.error('Error fetching Binance top cryptocurrencies:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getHistoricalData,
+  getMultiTimeframeData,
+  getCurrentPrices,
+  getTopCryptocurrencies
+};
@@ -0,0 +1,66 @@
+/**
+ * Binance service tests
+ * Klines are served from a mocked API holding a fixed hourly history
+ */
+
+jest.mock('axios');
+
+const axios = require('axios');
+const binanceService = require('../services/binanceService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const LAST_OPEN_TIME = Date.UTC(2024, 5, 30, 23);
+
+// Answer klines requests like Binance: the `limit` most recent bars up to endTime
+const serveKlines = (availableBars) => {
+  const openTimes = Array.from({ length: availableBars }, (_, index) => (
+    LAST_OPEN_TIME - (availableBars - 1 - index) * HOUR_MS
+  ));
+  
+  axios.get.mockImplementation(async (url, { params }) => {
+    const endTime = params.endTime !== undefined ? params.endTime : Infinity;
+    const data = openTimes
+      .filter(time => time <= endTime)
+      .slice(-params.limit)
+      .map(time => [time, '1', '2', '0.5', '1.5', '100']);
+      
+    return { data };
+  });
+};
+
+describe('binance historical data', () => {
+  beforeEach(() => axios.get.mockReset());
+  
+  it('pages back beyond 1000 klines until limit bars are returned', async () => {
+    serveKlines(5000);
+    
+    const candles = await binanceService.getHistoricalData('PAGE', 'USDT', 'hour', 2500);
+    
+    expect(axios.get.mock.calls.map(([, { params }]) => params.limit)).toEqual([1000, 1000, 500]);
+    expect(candles).toHaveLength(2500);
+    expect(candles[2499].time).toBe(new Date(LAST_OPEN_TIME).toISOString());
+    candles.slice(1).forEach((candle, index) => {
+      expect(new Date(candle.time) - new Date(candles[index].time)).toBe(HOUR_MS);
+    });
+  });
+  
+  it('stops when the market history runs out', async () => {
+    serveKlines(1200);
+    
+    const candles = await binanceService.getHistoricalData('SHORT', 'USDT', 'hour', 2000);
+    
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(candles).toHaveLength(1200);
+  });
+  
+  it('makes one request up to 1000 klines', async () => {
+    serveKlines(5000);
+    
+    const toTime = LAST_OPEN_TIME - 10 * HOUR_MS;
+    const candles = await binanceService.getHistoricalData('ONE', 'USDT', 'hour', 1000, { toTime });
+    
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(candles).toHaveLength(1000);
+    expect(candles[999].time).toBe(new Date(toTime).toISOString());
+  });
+});
@@ -4,36 +4,323 @@
  */
 
 const indicators = require('./technicalIndicators');
+const streamingIndicators = require('./streamingIndicators');
+const priceLevels = require('./priceLevels');
+const chartPatterns = require('./chartPatterns');
+const volumeAnalysis = require('./volumeAnalysis');
+const breakoutTracker = require('./breakoutTracker');
+const tradePlanner = require('./tradePlanner');
+const exitRules = require('./exitRules');
+const tradingCosts = require('./tradingCosts');
+const futuresMargin = require('./futuresMargin');
+const performanceMetrics = require('./performanceMetrics');
+
+// Streaming indicator inputs taken from a candle
+const HLC = candle => [candle.high, candle.low, candle.close];
+const HLCV = candle => [candle.high, candle.low, candle.close, candle.volume];
+const THLCV = candle => [candle.time, candle.high, candle.low, candle.close, candle.volume];
+
+// Feed a streaming indicator whole candles
+const bindStudy = (study, getInputs) => ({
+  ...study,
+  update: candle => study.update(...getInputs(candle))
+});
+
+const last = values => values[values.length - 1];
+
+/**
+ * Optional confirmation conditions built on the extended indicator set
+ * Enabled with options.confirmations (e.g. ['adx', 'supertrend', 'cmf']); each
+ * passing confirmation adds confirmationPoints to the breakout score, or its
+ * own entry in options.weights. calculate() builds the indicator series for
+ * analyzeBreakout and createStudy() its streaming counterpart for
+ * createBreakoutAnalyzer; threshold() reports a configurable threshold.
+ * Short analysis uses checkShort() and shortSignal instead.
+ */
+const BREAKOUT_CONFIRMATIONS = {
+  adx: {
+    signal: 'Strong trend (ADX)',
+    calculate: ({ highData, lowData, closeData }) => indicators.calculateADX(highData, lowData, closeData),
+    createStudy: () => bindStudy(streamingIndicators.createADX(), HLC),
+    threshold: config => config.adxThreshold,
+    check: (values, closeData, config) => {
+      const { adx, plusDI, minusDI } = last(values);
+      return adx !== null && adx >= config.adxThreshold && plusDI > minusDI;
+    },
+    shortSignal: 'Strong downtrend (ADX)',
+    checkShort: (values, closeData, config) => {
+      const { adx, plusDI, minusDI } = last(values);
+      return adx !== null && adx >= config.adxThreshold && minusDI > plusDI;
+    }
+  },
+  stochRsi: {
+    signal: 'Stochastic RSI turning up',
+    calculate: ({ closeData }) => indicators.calculateStochasticRSI(closeData),
+    createStudy: () => bindStudy(streamingIndicators.createStochasticRSI(), candle => [candle.close]),
+    check: (values) => {
+      const { k, d } = last(values);
+      return k !== null && d !== null && k > d && k < 80;
+    },
+    shortSignal: 'Stochastic RSI turning down',
+    checkShort: (values) => {
+      const { k, d } = last(values);
+      return k !== null && d !== null && k < d && k > 20;
+    }
+  },
+  keltner: {
+    signal: 'Close above Keltner Channel',
+    calculate: ({ highData, lowData, closeData }) => indicators.calculateKeltnerChannels(highData, lowData, closeData),
+    createStudy: () => bindStudy(streamingIndicators.createKeltnerChannels(), HLC),
+    check: (values, closeData) => last(values).upper !== null && last(closeData) > last(values).upper,
+    shortSignal: 'Close below Keltner Channel',
+    checkShort: (values, closeData) => last(values).lower !== null && last(closeData) < last(values).lower
+  },
+  donchian: {
+    signal: 'Donchian Channel breakout',
+    calculate: ({ highData, lowData }) => indicators.calculateDonchianChannels(highData, lowData),
+    createStudy: () => bindStudy(streamingIndicators.createDonchianChannels(), candle => [candle.high, candle.low]),
+    check: (values, closeData) => {
+      // New high above the channel as it stood before this bar
+      const previous = values[values.length - 2];
+      return Boolean(previous) && previous.upper !== null && last(closeData) > previous.upper;
+    },
+    shortSignal: 'Donchian Channel breakdown',
+    checkShort: (values, closeData) => {
+      const previous = values[values.length - 2];
+      return Boolean(previous) && previous.lower !== null && last(closeData) < previous.lower;
+    }
+  },
+  vwap: {
+    signal: 'Price above session VWAP',
+    calculate: ({ timeData, highData, lowData, closeData, volumeData }) =>
+      indicators.calculateSessionVWAP(timeData, highData, lowData, closeData, volumeData),
+    createStudy: () => bindStudy(streamingIndicators.createSessionVWAP(), THLCV),
+    check: (values, closeData) => last(values) !== null && last(closeData) > last(values),
+    shortSignal: 'Price below session VWAP',
+    checkShort: (values, closeData) => last(values) !== null && last(closeData) < last(values)
+  },
+  anchoredVwap: {
+    signal: 'Price above anchored VWAP',
+    calculate: ({ timeData, highData, lowData, closeData, volumeData }, config) => {
+      // Anchor at the first bar at or after vwapAnchor, or at the start of the series
+      const anchor = config.vwapAnchor ? new Date(config.vwapAnchor).getTime() : -Infinity;
+      const anchorIndex = timeData.findIndex(time => new Date(time).getTime() >= anchor);
+      
+      return indicators.calculateAnchoredVWAP(
+        highData,
+        lowData,
+        closeData,
+        volumeData,
+        anchorIndex === -1 ? closeData.length : anchorIndex
+      );
+    },
+    createStudy: (config) => bindStudy(streamingIndicators.createAnchoredVWAP(config.vwapAnchor), THLCV),
+    check: (values, closeData) => last(values) !== null && last(closeData) > last(values),
+    shortSignal: 'Price below anchored VWAP',
+    checkShort: (values, closeData) => last(values) !== null && last(closeData) < last(values)
+  },
+  supertrend: {
+    signal: 'SuperTrend uptrend',
+    calculate: ({ highData, lowData, closeData }) => indicators.calculateSuperTrend(highData, lowData, closeData),
+    createStudy: () => bindStudy(streamingIndicators.createSuperTrend(), HLC),
+    check: (values) => last(values).direction === 1,
+    shortSignal: 'SuperTrend downtrend',
+    checkShort: (values) => last(values).direction === -1
+  },
+  mfi: {
+    signal: 'Money flow rising (MFI)',
+    calculate: ({ highData, lowData, closeData, volumeData }) =>
+      indicators.calculateMFI(highData, lowData, closeData, volumeData),
+    createStudy: () => bindStudy(streamingIndicators.createMFI(), HLCV),
+    check: (values) => last(values) !== null && last(values) >= 50 && last(values) <= 80,
+    shortSignal: 'Money flow falling (MFI)',
+    checkShort: (values) => last(values) !== null && last(values) >= 20 && last(values) <= 50
+  },
+  cmf: {
+    signal: 'Chaikin Money Flow positive',
+    calculate: ({ highData, lowData, closeData, volumeData }) =>
+      indicators.calculateCMF(highData, lowData, closeData, volumeData),
+    createStudy: () => bindStudy(streamingIndicators.createCMF(), HLCV),
+    threshold: config => config.cmfThreshold,
+    check: (values, closeData, config) => last(values) !== null && last(values) >= config.cmfThreshold,
+    shortSignal: 'Chaikin Money Flow negative',
+    checkShort: (values, closeData, config) => last(values) !== null && last(values) <= -config.cmfThreshold
+  },
+  williamsR: {
+    signal: 'Williams %R momentum',
+    calculate: ({ highData, lowData, closeData }) => indicators.calculateWilliamsR(highData, lowData, closeData),
+    createStudy: () => bindStudy(streamingIndicators.createWilliamsR(), HLC),
+    check: (values) => last(values) !== null && last(values) >= -20,
+    shortSignal: 'Williams %R weakness',
+    checkShort: (values) => last(values) !== null && last(values) <= -80
+  },
+  cci: {
+    signal: 'CCI momentum breakout',
+    calculate: ({ highData, lowData, closeData }) => indicators.calculateCCI(highData, lowData, closeData),
+    createStudy: () => bindStudy(streamingIndicators.createCCI(), HLC),
+    check: (values) => last(values) !== null && last(values) >= 100,
+    shortSignal: 'CCI momentum breakdown',
+    checkShort: (values) => last(values) !== null && last(values) <= -100
+  },
+  aroon: {
+    signal: 'Aroon uptrend',
+    calculate: ({ highData, lowData }) => indicators.calculateAroon(highData, lowData),
+    createStudy: () => bindStudy(streamingIndicators.createAroon(), candle => [candle.high, candle.low]),
+    check: (values) => {
+      const { up, down } = last(values);
+      return up !== null && up >= 70 && up > down;
+    },
+    shortSignal: 'Aroon downtrend',
+    checkShort: (values) => {
+      const { up, down } = last(values);
+      return down !== null && down >= 70 && down > up;
+    }
+  }
+};
+
+/**
+ * Validate the list of enabled breakout confirmations
+ */
+const resolveConfirmations = (confirmations = []) => {
+  confirmations.forEach(name => {
+    if (!BREAKOUT_CONFIRMATIONS[name]) {
+      throw new Error(`Unknown breakout confirmation: ${name}`);
+    }
+  });
+  
+  return confirmations;
+};
+
+/**
+ * Validate the trade direction to analyze
+ */
+const resolveDirection = (direction = 'long') => {
+  if (direction !== 'long' && direction !== 'short') {
+    throw new Error(`Unknown breakout direction: ${direction}`);
+  }
+  
+  return direction;
+};
+
+/**
+ * Default points for each breakout condition
+ * Override any of them with options.weights; the breakout score is the share of
+ * available points earned, so a weight of 0 disables a condition
+ */
+const DEFAULT_SCORE_WEIGHTS = {
+  consolidation: 20,
+  rsiRange: 15,
+  squeeze: 15,
+  bollingerBreakout: 20,
+  ema200: 10,
+  volumeSurge: 15,
+  volumeDryUp: 10,
+  rsiDivergence: 15,
+  macdCrossover: 15,
+  obvAccumulation: 10,
+  breakoutPercent: 15,
+  patternBreakout: 15
+};
+
+/**
+ * Resolve condition weights, with confirmations worth confirmationPoints
+ * unless weighted individually
+ */
+const resolveWeights = (weights = {}, confirmationPoints = 10) => {
+  Object.keys(weights).forEach(key => {
+    if (DEFAULT_SCORE_WEIGHTS[key] === undefined && !BREAKOUT_CONFIRMATIONS[key]) {
+      throw new Error(`Unknown score weight: ${key}`);
+    }
+    
+    if (typeof weights[key] !== 'number' || !(weights[key] >= 0)) {
+      throw new Error(`Score weight ${key} must be a non-negative number`);
+    }
+  });
+  
+  const confirmationWeights = {};
+  Object.keys(BREAKOUT_CONFIRMATIONS).forEach(name => {
+    confirmationWeights[name] = confirmationPoints;
+  });
+  
+  return { ...DEFAULT_SCORE_WEIGHTS, ...confirmationWeights, ...weights };
+};
+
+/**
+ * Resolve breakout analysis options to a full configuration
+ */
+const getBreakoutConfig = (options = {}) => ({
+  consolidationPeriod: options.consolidationPeriod || 6,
+  consolidationThreshold: options.consolidationThreshold || 0.15,
+  rsiLowerThreshold: options.rsiLowerThreshold || 50,
+  rsiUpperThreshold: options.rsiUpperThreshold || 75,
+  // Volume is measured against the volumeLookback bars before it; the breakout
+  // bar must surge against the consolidation window and the rolling median
+  volumeLookback: options.volumeLookback || 20,
+  volumeSurgeThreshold: options.volumeSurgeThreshold || 1.5,
+  minRelativeVolume: options.minRelativeVolume || 1.2,
+  volumeDryUpThreshold: options.volumeDryUpThreshold || 0.8,
+  minBreakoutPercent: options.minBreakoutPercent || 0.01,
+  maxBreakoutPercent: options.maxBreakoutPercent || 0.20,
+  bollingerPeriod: options.bollingerPeriod || 20,
+  squeezeKeltnerMultiplier: options.squeezeKeltnerMultiplier || 1.5,
+  squeezeRankPeriod: options.squeezeRankPeriod || 120,
+  squeezeRankThreshold: options.squeezeRankThreshold || 25,
+  minSqueezeBars: options.minSqueezeBars || 3,
+  atrPeriod: options.atrPeriod || 14,
+  lookbackPeriod: options.lookbackPeriod || 20,
+  ema200Required: options.ema200Required !== undefined ? options.ema200Required : true,
+  // 'long' scores breakouts, 'short' mirrors every check to score breakdowns
+  direction: resolveDirection(options.direction),
+  // Support / resistance zones are found in the last levelLookback bars;
+  // shorts require a broken support zone instead of resistance
+  requireResistanceBreak: options.requireResistanceBreak || false,
+  levelLookback: options.levelLookback || 100,
+  swingStrength: options.swingStrength || 3,
+  zoneTolerance: options.zoneTolerance || 0.015,
+  minZoneTouches: options.minZoneTouches || 2,
+  // Chart patterns are found in the last patternLookback bars
+  detectPatterns: options.detectPatterns !== undefined ? options.detectPatterns : true,
+  patternLookback: options.patternLookback || 120,
+  // Recent breakouts are tracked for breakoutTrackBars bars and confirmed once
+  // they hold for breakoutConfirmBars; pullbacks within retestTolerance of the
+  // level count as retests
+  breakoutConfirmBars: options.breakoutConfirmBars || 3,
+  breakoutTrackBars: options.breakoutTrackBars || 10,
+  retestTolerance: options.retestTolerance !== undefined ? options.retestTolerance : 0.005,
+  // Bars a retest entry order stays open in backtests
+  retestEntryBars: options.retestEntryBars || 5,
+  // Trade plan: stop placement ('atr', 'consolidation', 'swing' or 'breakoutLevel'),
+  // final target in multiples of risk and the share of the position per target
+  stopMethod: tradePlanner.resolveStopMethod(options.stopMethod),
+  stopAtrMultiplier: options.stopAtrMultiplier || 1,
+  riskRewardRatio: options.riskRewardRatio || 3,
+  targetSizes: options.targetSizes || [50, 30, 20],
+  confirmations: resolveConfirmations(options.confirmations),
+  weights: resolveWeights(options.weights, options.confirmationPoints),
+  // Minimum breakout score (share of available points) for a breakout candidate
+  minBreakoutScore: options.minBreakoutScore || 45,
+  adxThreshold: options.adxThreshold || 25,
+  cmfThreshold: options.cmfThreshold || 0.05,
+  vwapAnchor: options.vwapAnchor || null
+});
 
 /**
  * Comprehensive breakout analysis
- * Returns a breakout score and detected patterns
+ * Returns a breakout score, the scored conditions and detected patterns
  * 
  * @param {Object} data - OHLCV data
  * @param {Object} options - Configuration options
  * @returns {Object} Breakout analysis results
  */
 const analyzeBreakout = (data, options = {}) => {
-  // Default configuration values
-  const config = {
-    consolidationPeriod: options.consolidationPeriod || 6,
-    consolidationThreshold: options.consolidationThreshold || 0.15,
-    rsiLowerThreshold: options.rsiLowerThreshold || 50,
-    rsiUpperThreshold: options.rsiUpperThreshold || 75,
-    volumeIncreaseThreshold: options.volumeIncreaseThreshold || 0.10,
-    minBreakoutPercent: options.minBreakoutPercent || 0.01,
-    maxBreakoutPercent: options.maxBreakoutPercent || 0.20,
-    bollingerPeriod: options.bollingerPeriod || 20,
-    atrPeriod: options.atrPeriod || 14,
-    lookbackPeriod: options.lookbackPeriod || 20,
-    ema200Required: options.ema200Required !== undefined ? options.ema200Required : true
-  };
+  const config = getBreakoutConfig(options);
   
   // Extract price and volume data
   const closeData = data.map(d => d.close);
   const highData = data.map(d => d.high);
   const lowData = data.map(d => d.low);
   const volumeData = data.map(d => d.volume);
+  const timeData = data.map(d => d.time);
   
   // Calculate technical indicators
   const rsiData = indicators.calculateRSI(closeData);
@@ -42,121 +329,371 @@ const analyzeBreakout = (data, options = {}) => {
   const atrData = indicators.calculateATR(highData, lowData, closeData, config.atrPeriod);
   const obvData = indicators.calculateOBV(closeData, volumeData);
   const macdData = indicators.calculateMACD(closeData);
+  const squeezeData = indicators.calculateTTMSqueeze(
+    highData,
+    lowData,
+    closeData,
+    config.bollingerPeriod,
+    2,
+    config.squeezeKeltnerMultiplier,
+    config.squeezeRankPeriod
+  );
+  
+  const candles = data.slice(-config.levelLookback);
+  const levels = findLevels(candles, config);
+  const patterns = findPatterns(data.slice(-config.patternLookback), config);
+  const breakouts = trackBreakouts(data, config);
+  
+  // Series for the enabled confirmations only
+  const confirmations = {};
+  config.confirmations.forEach(name => {
+    confirmations[name] = BREAKOUT_CONFIRMATIONS[name].calculate(
+      { timeData, highData, lowData, closeData, volumeData },
+      config
+    );
+  });
+  
+  return scoreBreakout(
+    { closeData, volumeData, rsiData, bbData, ema200, atrData, obvData, macdData, squeezeData, candles, levels, patterns, breakouts, confirmations },
+    config
+  );
+};
+
+/**
+ * Find support and resistance zones with the breakout configuration
+ */
+const findLevels = (data, config) => priceLevels.findSupportResistance(data, {
+  strength: config.swingStrength,
+  tolerance: config.zoneTolerance,
+  minTouches: config.minZoneTouches
+});
+
+/**
+ * Find chart patterns with the breakout configuration
+ */
+const findPatterns = (data, config) => (config.detectPatterns
+  ? chartPatterns.detectChartPatterns(data, { swingStrength: config.swingStrength })
+  : []);
+
+/**
+ * Breakout tracking options from the breakout configuration
+ */
+const getTrackingOptions = config => ({
+  direction: config.direction,
+  consolidationPeriod: config.consolidationPeriod,
+  consolidationThreshold: config.consolidationThreshold,
+  confirmBars: config.breakoutConfirmBars,
+  trackBars: config.breakoutTrackBars,
+  retestTolerance: config.retestTolerance
+});
+
+// Candles read when tracking recent breakouts
+const getTrackingLookback = config => Math.ceil(config.breakoutTrackBars + config.consolidationPeriod + 1);
+
+/**
+ * Track recent breakouts with the breakout configuration
+ */
+const trackBreakouts = (data, config) => breakoutTracker.trackBreakouts(
+  data.slice(-getTrackingLookback(config)),
+  getTrackingOptions(config)
+);
+
+/**
+ * Detect chart patterns in the latest candles, as analyzeBreakout does
+ * 
+ * @param {Array} data - OHLCV data, oldest first
+ * @param {Object} options - Configuration options
+ * @returns {Array} Patterns sorted by quality (best first)
+ */
+const detectChartPatterns = (data, options = {}) => {
+  const config = getBreakoutConfig(options);
+  
+  return chartPatterns.detectChartPatterns(data.slice(-config.patternLookback), {
+    swingStrength: config.swingStrength
+  });
+};
+
+/**
+ * Score breakout conditions from indicator series
+ * Only the most recent values of each series are read, so the series may be
+ * full histories or rolling windows of recent values
+ * 
+ * @param {Object} series - Close, volume and indicator series (oldest first),
+ *   the candles levels were found in under series.candles (for trade plans),
+ *   support / resistance levels under series.levels, chart patterns under
+ *   series.patterns, tracked recent breakouts under series.breakouts and the
+ *   series of each enabled confirmation under series.confirmations
+ * @param {Object} config - Breakout configuration
+ * @returns {Object} Breakout analysis results, with each scored condition as
+ *   { key, label, passed, points, maxPoints, value, threshold } under conditions;
+ *   passed is null for skipped conditions
+ */
+const scoreBreakout = (series, config) => {
+  const {
+    closeData,
+    volumeData,
+    rsiData,
+    bbData,
+    ema200,
+    atrData,
+    obvData,
+    macdData,
+    squeezeData,
+    candles,
+    levels,
+    patterns,
+    breakouts,
+    confirmations
+  } = series;
   
   // Initialize results object
   const results = {
+    direction: config.direction,
     isBreakoutCandidate: false,
     breakoutScore: 0,
     signals: [],
+    conditions: [],
+    patterns,
+    recentBreakouts: breakouts,
     metrics: {
       rsi: rsiData[rsiData.length - 1],
       bollingerWidth: bbData[bbData.length - 1]?.width || null,
       bollingerPercent: bbData[bbData.length - 1]?.percent || null,
       atr: atrData[atrData.length - 1],
+      squeeze: squeezeData[squeezeData.length - 1],
+      nearestSupport: levels.nearestSupport,
+      nearestResistance: levels.nearestResistance,
       aboveEma200: ema200[ema200.length - 1] !== null ? closeData[closeData.length - 1] > ema200[ema200.length - 1] : null,
       priceChangePercent: ((closeData[closeData.length - 1] - closeData[closeData.length - 2]) / closeData[closeData.length - 2]) * 100,
       volumeChangePercent: ((volumeData[volumeData.length - 1] - volumeData[volumeData.length - 2]) / volumeData[volumeData.length - 2]) * 100
     }
   };
   
-  // Check conditions and add to signals list
-  let score = 0;
+  // Each condition earns its weight when it passes; disabled conditions
+  // (weight 0 or a skipped check) don't count towards the maximum
+  const addCondition = (key, label, { passed, value, threshold, points, signal }) => {
+    const maxPoints = passed === null ? 0 : config.weights[key];
+    const earned = passed ? (points !== undefined ? points : maxPoints) : 0;
+    
+    results.conditions.push({ key, label, passed, points: earned, maxPoints, value, threshold });
+    if (passed && maxPoints > 0) results.signals.push(signal);
+  };
+  
+  const currentPrice = closeData[closeData.length - 1];
+  const previousPrice = closeData[closeData.length - 2];
+  
+  // Short setups mirror each check: breakdowns below the lower band and
+  // support, bearish RSI and momentum, and distribution
+  const isShort = config.direction === 'short';
+  
+  // Level the latest bar breaks: the top (bottom for shorts) of the closes before it
+  const rangeData = closeData.slice(-config.consolidationPeriod - 1, -1);
+  const breakoutLevel = isShort ? Math.min(...rangeData) : Math.max(...rangeData);
+  results.breakoutLevel = breakoutLevel;
   
   // 1. Check if price is consolidating
-  const isConsolidating = indicators.isPriceConsolidating(
-    closeData,
-    config.consolidationPeriod,
-    config.consolidationThreshold
-  );
+  const consolidationData = closeData.slice(-config.consolidationPeriod);
+  const consolidationHigh = Math.max(...consolidationData);
   
-  if (isConsolidating) {
-    score += 20;
-    results.signals.push('Price consolidation detected');
-  }
+  addCondition('consolidation', 'Price consolidation', {
+    passed: indicators.isPriceConsolidating(closeData, config.consolidationPeriod, config.consolidationThreshold),
+    value: (consolidationHigh - Math.min(...consolidationData)) / consolidationHigh,
+    threshold: config.consolidationThreshold,
+    signal: 'Price consolidation detected'
+  });
   
-  // 2. Check RSI range
+  // 2. Check RSI range (mirrored around 50 for shorts, 25-50 by default)
   const currentRSI = rsiData[rsiData.length - 1];
-  if (currentRSI !== null && 
-      currentRSI >= config.rsiLowerThreshold && 
-      currentRSI <= config.rsiUpperThreshold) {
-    score += 15;
-    results.signals.push('RSI in optimal range');
-  }
+  const rsiLower = isShort ? 100 - config.rsiUpperThreshold : config.rsiLowerThreshold;
+  const rsiUpper = isShort ? 100 - config.rsiLowerThreshold : config.rsiUpperThreshold;
+  
+  addCondition('rsiRange', isShort ? 'RSI bearish range' : 'RSI range', {
+    passed: currentRSI !== null && currentRSI >= rsiLower && currentRSI <= rsiUpper,
+    value: currentRSI,
+    threshold: { min: rsiLower, max: rsiUpper },
+    signal: isShort ? 'RSI in bearish range' : 'RSI in optimal range'
+  });
   
-  // 3. Check Bollinger Band compression
+  // 3. Check for a volatility squeeze (Bollinger Bands inside Keltner Channels)
+  // that has lasted long enough, either still compressed or firing in the trade direction
+  const currentSqueeze = squeezeData[squeezeData.length - 1];
+  const hasSqueeze = Boolean(currentSqueeze) && currentSqueeze.duration >= config.minSqueezeBars;
+  const squeezeFired = hasSqueeze && currentSqueeze.fired &&
+    currentSqueeze.momentumDirection === (isShort ? 'down' : 'up');
+  
+  addCondition('squeeze', 'Volatility squeeze', {
+    passed: squeezeFired ||
+      (hasSqueeze && currentSqueeze.squeezeOn && currentSqueeze.bandwidthRank <= config.squeezeRankThreshold),
+    value: currentSqueeze
+      ? { duration: currentSqueeze.duration, bandwidthRank: currentSqueeze.bandwidthRank, fired: currentSqueeze.fired }
+      : null,
+    threshold: { minBars: config.minSqueezeBars, maxBandwidthRank: config.squeezeRankThreshold },
+    signal: squeezeFired
+      ? `Squeeze fired with ${isShort ? 'bearish' : 'bullish'} momentum after ${currentSqueeze.duration} bars`
+      : `Volatility squeeze for ${hasSqueeze ? currentSqueeze.duration : 0} bars`
+  });
+  
+  // 4. Check for a Bollinger Band breakout (or breakdown for shorts),
+  // optionally through a resistance (or support) zone
   const currentBB = bbData[bbData.length - 1];
-  if (currentBB && currentBB.width !== null && currentBB.width <= 1) {
-    score += 15;
-    results.signals.push('Bollinger Band compression');
-  }
+  const bandBreak = isShort
+    ? indicators.detectBollingerBreakdown(closeData, bbData)
+    : indicators.detectBollingerBreakout(closeData, bbData);
+  const brokenResistance = priceLevels.findBrokenResistance(levels.zones, previousPrice, currentPrice);
+  const brokenSupport = priceLevels.findBrokenSupport(levels.zones, previousPrice, currentPrice);
+  const brokenLevel = isShort ? brokenSupport : brokenResistance;
+  results.metrics.brokenResistance = brokenResistance;
+  results.metrics.brokenSupport = brokenSupport;
   
-  // 4. Check for Bollinger Band breakout
-  const bbBreakout = indicators.detectBollingerBreakout(closeData, bbData);
-  if (bbBreakout) {
-    score += 20;
-    results.signals.push('Bollinger Band breakout');
-  }
+  const bandLevel = (isShort ? currentBB?.lower : currentBB?.upper) ?? null;
+  const levelThreshold = isShort
+    ? { lowerBand: bandLevel, support: brokenSupport ? brokenSupport.low : null }
+    : { upperBand: bandLevel, resistance: brokenResistance ? brokenResistance.high : null };
+  const bandSignal = isShort ? 'Bollinger Band breakdown' : 'Bollinger Band breakout';
   
-  // 5. Check price in relation to EMA200
-  if (config.ema200Required) {
-    const currentEMA200 = ema200[ema200.length - 1];
-    if (currentEMA200 !== null && closeData[closeData.length - 1] > currentEMA200) {
-      score += 10;
-      results.signals.push('Price above EMA200');
-    }
-  } else {
-    score += 10; // Skip this check if not required
-  }
+  addCondition('bollingerBreakout', bandSignal, {
+    passed: config.requireResistanceBreak ? bandBreak && Boolean(brokenLevel) : bandBreak,
+    value: currentPrice,
+    threshold: config.requireResistanceBreak ? levelThreshold : bandLevel,
+    signal: config.requireResistanceBreak && brokenLevel
+      ? `${bandSignal} ${isShort ? 'below support' : 'above resistance'} zone (${brokenLevel.touches} touches)`
+      : bandSignal
+  });
   
-  // 6. Check volume increase
-  const isVolIncreasing = indicators.isVolumeIncreasing(volumeData, config.volumeIncreaseThreshold);
-  if (isVolIncreasing) {
-    score += 15;
-    results.signals.push('Volume increasing');
-  }
+  // 5. Check price in relation to EMA200 (skipped if not required)
+  const currentEMA200 = ema200[ema200.length - 1];
   
-  // 7. Check for positive RSI divergence
-  const rsiDivergence = indicators.detectPositiveRSIDivergence(closeData, rsiData, config.lookbackPeriod);
-  if (rsiDivergence) {
-    score += 15;
-    results.signals.push('Positive RSI divergence');
-  }
+  addCondition('ema200', isShort ? 'Price below EMA200' : 'Price above EMA200', {
+    passed: config.ema200Required
+      ? currentEMA200 !== null && (isShort ? currentPrice < currentEMA200 : currentPrice > currentEMA200)
+      : null,
+    value: currentPrice,
+    threshold: currentEMA200,
+    signal: isShort ? 'Price below EMA200' : 'Price above EMA200'
+  });
+  
+  // 6. Check for a volume surge on the breakout bar against the consolidation
+  // window and the rolling median
+  const volume = volumeAnalysis.analyzeVolume(volumeData, {
+    period: config.volumeLookback,
+    consolidationPeriod: config.consolidationPeriod,
+    surgeThreshold: config.volumeSurgeThreshold,
+    minRelativeVolume: config.minRelativeVolume,
+    dryUpThreshold: config.volumeDryUpThreshold
+  });
+  results.metrics.volume = volume;
   
-  // 8. Check MACD crossover
+  addCondition('volumeSurge', 'Volume surge', {
+    passed: volume.isSurge,
+    value: { surge: volume.surge, relativeVolume: volume.relativeToMedian, zScore: volume.zScore },
+    threshold: { surge: config.volumeSurgeThreshold, relativeVolume: config.minRelativeVolume },
+    signal: `Volume surge (${volume.isSurge ? volume.surge.toFixed(1) : 0}x consolidation average)`
+  });
+  
+  // 7. Check for volume drying up while price consolidated
+  addCondition('volumeDryUp', 'Volume dry-up', {
+    passed: volume.isDryUp,
+    value: volume.dryUpRatio,
+    threshold: config.volumeDryUpThreshold,
+    signal: 'Volume dry-up during consolidation'
+  });
+  
+  // 8. Check for positive (or negative for shorts) RSI divergence
+  const rsiDivergence = isShort
+    ? indicators.detectNegativeRSIDivergence(closeData, rsiData, config.lookbackPeriod)
+    : indicators.detectPositiveRSIDivergence(closeData, rsiData, config.lookbackPeriod);
+  const divergenceSignal = isShort ? 'Negative RSI divergence' : 'Positive RSI divergence';
+  
+  addCondition('rsiDivergence', divergenceSignal, {
+    passed: rsiDivergence,
+    value: rsiDivergence,
+    threshold: { lookbackPeriod: config.lookbackPeriod },
+    signal: divergenceSignal
+  });
+  
+  // 9. Check MACD crossover
   const currentMACD = macdData[macdData.length - 1];
   const previousMACD = macdData[macdData.length - 2];
+  const macdSignal = isShort ? 'MACD bearish crossover' : 'MACD bullish crossover';
   
-  if (currentMACD && previousMACD && 
-      previousMACD.histogram <= 0 && currentMACD.histogram > 0) {
-    score += 15;
-    results.signals.push('MACD bullish crossover');
-  }
+  addCondition('macdCrossover', macdSignal, {
+    passed: Boolean(currentMACD && previousMACD && (isShort
+      ? previousMACD.histogram >= 0 && currentMACD.histogram < 0
+      : previousMACD.histogram <= 0 && currentMACD.histogram > 0)),
+    value: currentMACD ? currentMACD.histogram : null,
+    threshold: 0,
+    signal: macdSignal
+  });
   
-  // 9. Check OBV for accumulation
+  // 10. Check OBV for accumulation (or distribution for shorts)
   const currentOBV = obvData[obvData.length - 1];
   const previousOBV = obvData[obvData.length - 5]; // Check 5 periods back
+  const obvSignal = isShort ? 'OBV distribution' : 'OBV accumulation';
   
-  if (currentOBV > previousOBV && 
-      currentOBV - previousOBV > 0.05 * previousOBV) {
-    score += 10;
-    results.signals.push('OBV accumulation');
-  }
+  addCondition('obvAccumulation', obvSignal, {
+    passed: isShort
+      ? currentOBV < previousOBV && previousOBV - currentOBV > 0.05 * Math.abs(previousOBV)
+      : currentOBV > previousOBV && currentOBV - previousOBV > 0.05 * previousOBV,
+    value: previousOBV ? (currentOBV - previousOBV) / Math.abs(previousOBV) : null,
+    threshold: isShort ? -0.05 : 0.05,
+    signal: obvSignal
+  });
+  
+  // 11. Check breakout (or breakdown) percentage
+  const priceChange = (currentPrice - previousPrice) / previousPrice;
+  const directionalChange = isShort ? -priceChange : priceChange;
   
-  // 10. Check breakout percentage
-  const priceChange = (closeData[closeData.length - 1] - closeData[closeData.length - 2]) / closeData[closeData.length - 2];
+  addCondition('breakoutPercent', isShort ? 'Breakdown percentage' : 'Breakout percentage', {
+    passed: directionalChange >= config.minBreakoutPercent &&
+      directionalChange <= config.maxBreakoutPercent,
+    value: priceChange,
+    threshold: isShort
+      ? { min: -config.maxBreakoutPercent, max: -config.minBreakoutPercent }
+      : { min: config.minBreakoutPercent, max: config.maxBreakoutPercent },
+    signal: isShort ? 'Ideal breakdown percentage' : 'Ideal breakout percentage'
+  });
   
-  if (priceChange >= config.minBreakoutPercent && 
-      priceChange <= config.maxBreakoutPercent) {
-    score += 15;
-    results.signals.push('Ideal breakout percentage');
+  // 12. Check for a breakout from a chart pattern, scaled by the best pattern's quality
+  // (patterns are bullish, so this is skipped for shorts)
+  const patternBreakout = isShort ? null : patterns.find(pattern => pattern.status === 'breakout');
+  
+  addCondition('patternBreakout', 'Chart pattern breakout', {
+    passed: config.detectPatterns && !isShort ? Boolean(patternBreakout) : null,
+    value: patternBreakout ? { pattern: patternBreakout.name, quality: patternBreakout.quality } : null,
+    threshold: 'breakout',
+    points: patternBreakout ? Math.round(config.weights.patternBreakout * patternBreakout.quality / 100) : 0,
+    signal: patternBreakout ? `${patternBreakout.name} breakout (quality ${patternBreakout.quality})` : null
+  });
+  
+  // 13. Check optional confirmations from the extended indicator set
+  if (config.confirmations.length > 0) {
+    results.metrics.confirmations = {};
   }
   
-  // Calculate final breakout score (normalize to 0-100)
-  results.breakoutScore = Math.min(100, score);
+  config.confirmations.forEach(name => {
+    const confirmation = BREAKOUT_CONFIRMATIONS[name];
+    results.metrics.confirmations[name] = last(confirmations[name]);
+    
+    const signal = isShort ? confirmation.shortSignal : confirmation.signal;
+    const check = isShort ? confirmation.checkShort : confirmation.check;
+    
+    addCondition(name, signal, {
+      passed: check(confirmations[name], closeData, config),
+      value: last(confirmations[name]),
+      threshold: confirmation.threshold ? confirmation.threshold(config) : null,
+      signal
+    });
+  });
+  
+  // Breakout score is the share of available points earned (0-100)
+  results.maxScore = results.conditions.reduce((sum, condition) => sum + condition.maxPoints, 0);
+  results.rawScore = results.conditions.reduce((sum, condition) => sum + condition.points, 0);
+  results.breakoutScore = results.maxScore > 0
+    ? Math.round(results.rawScore / results.maxScore * 100)
+    : 0;
   
   // Determine if this is a breakout candidate
-  // Require at least 70% score for high probability
-  results.isBreakoutCandidate = results.breakoutScore >= 70;
+  results.isBreakoutCandidate = results.breakoutScore >= config.minBreakoutScore;
   
   // Calculate profit potential and risk level
   results.profitPotential = calculateProfitPotential(
@@ -172,18 +709,40 @@ const analyzeBreakout = (data, options = {}) => {
     results.breakoutScore
   );
   
-  // Add suggested stop loss and take profit levels
+  // Add a trade plan with the suggested stop loss and take profit levels
   if (results.isBreakoutCandidate) {
-    const currentPrice = closeData[closeData.length - 1];
     const currentATR = atrData[atrData.length - 1];
     
     if (currentATR !== null) {
-      // Set stop loss at 1 ATR below entry
-      results.suggestedStopLoss = Math.round((currentPrice - currentATR) * 10000) / 10000;
+      const market = { direction: config.direction, atr: currentATR, candles, breakoutLevel, levels, patterns };
+      const planOptions = {
+        stopMethod: config.stopMethod,
+        stopAtrMultiplier: config.stopAtrMultiplier,
+        consolidationPeriod: config.consolidationPeriod,
+        swingStrength: config.swingStrength,
+        riskRewardRatio: config.riskRewardRatio,
+        targetSizes: config.targetSizes
+      };
       
-      // Set take profit at 3x risk (risk/reward ratio of 1:3)
-      const risk = currentPrice - results.suggestedStopLoss;
-      results.suggestedTakeProfit = Math.round((currentPrice + (risk * 3)) * 10000) / 10000;
+      // By default the stop sits 1 ATR beyond entry and the final target at 3x risk
+      results.tradePlan = tradePlanner.createTradePlan({ ...market, entryPrice: currentPrice }, planOptions);
+      results.suggestedStopLoss = results.tradePlan.stopLoss;
+      results.suggestedTakeProfit = last(results.tradePlan.targets).price;
+      
+      // Alternative entry on a pullback to the broken level, once price has closed beyond it
+      if (isShort ? currentPrice < breakoutLevel : currentPrice > breakoutLevel) {
+        const retestPlan = tradePlanner.createTradePlan(
+          { ...market, entryPrice: tradePlanner.roundPrice(breakoutLevel) },
+          planOptions
+        );
+        
+        results.retestEntry = {
+          price: retestPlan.entryPrice,
+          stopLoss: retestPlan.stopLoss,
+          takeProfit: last(retestPlan.targets).price,
+          tradePlan: retestPlan
+        };
+      }
     }
   }
   
@@ -204,11 +763,11 @@ const calculateProfitPotential = (closeData, atrData, bbData, breakoutScore) =>
   const atrPercentage = (currentATR / currentPrice) * 100;
   
   // Calculate potential based on ATR and breakout score
-  if (atrPercentage > 5 && breakoutScore > 85) {
+  if (atrPercentage > 5 && breakoutScore > 50) {
     return 'Very High';
-  } else if (atrPercentage > 3 && breakoutScore > 75) {
+  } else if (atrPercentage > 3 && breakoutScore > 45) {
     return 'High';
-  } else if (atrPercentage > 2 && breakoutScore > 65) {
+  } else if (atrPercentage > 2 && breakoutScore > 40) {
     return 'Medium';
   } else {
     return 'Low';
@@ -240,122 +799,430 @@ const calculateRiskLevel = (closeData, atrData, breakoutScore) => {
   }
 };
 
+/**
+ * Create an incremental breakout analyzer
+ * Indicators update in constant time per candle and only the recent values
+ * read by scoreBreakout are kept, so analyzing every bar of a series is
+ * linear in its length. Feeding candles one by one gives the same results as
+ * calling analyzeBreakout on the candles seen so far.
+ * 
+ * @param {Object} options - Configuration options
+ * @returns {Object} Analyzer with update(candle), analyze(), snapshot() and restore(state)
+ */
+const createBreakoutAnalyzer = (options = {}) => {
+  const config = getBreakoutConfig(options);
+  
+  // Longest lookback read by any breakout condition
+  const windowSize = Math.ceil(Math.max(
+    20,
+    config.consolidationPeriod,
+    config.lookbackPeriod,
+    config.volumeLookback + config.consolidationPeriod + 1
+  ));
+  
+  const studies = {
+    rsi: streamingIndicators.createRSI(),
+    bollinger: streamingIndicators.createBollingerBands(config.bollingerPeriod),
+    ema200: streamingIndicators.createEMA(200),
+    atr: streamingIndicators.createATR(config.atrPeriod),
+    obv: streamingIndicators.createOBV(),
+    macd: streamingIndicators.createMACD(),
+    squeeze: streamingIndicators.createTTMSqueeze(
+      config.bollingerPeriod,
+      2,
+      config.squeezeKeltnerMultiplier,
+      config.squeezeRankPeriod
+    )
+  };
+  
+  const windows = {
+    closeData: streamingIndicators.createRollingWindow(windowSize),
+    volumeData: streamingIndicators.createRollingWindow(windowSize),
+    rsiData: streamingIndicators.createRollingWindow(windowSize),
+    bbData: streamingIndicators.createRollingWindow(windowSize),
+    ema200: streamingIndicators.createRollingWindow(windowSize),
+    atrData: streamingIndicators.createRollingWindow(windowSize),
+    obvData: streamingIndicators.createRollingWindow(windowSize),
+    macdData: streamingIndicators.createRollingWindow(windowSize),
+    squeezeData: streamingIndicators.createRollingWindow(windowSize)
+  };
+  
+  // Recent candles for support / resistance zones, chart patterns and breakout tracking
+  const candleWindow = streamingIndicators.createRollingWindow(Math.max(
+    config.levelLookback,
+    config.patternLookback,
+    getTrackingLookback(config)
+  ));
+  
+  const confirmationStudies = {};
+  const confirmationWindows = {};
+  config.confirmations.forEach(name => {
+    confirmationStudies[name] = BREAKOUT_CONFIRMATIONS[name].createStudy(config);
+    confirmationWindows[name] = streamingIndicators.createRollingWindow(windowSize);
+  });
+  
+  const analyze = () => {
+    const candles = candleWindow.toArray();
+    const series = {
+      levels: findLevels(candles.slice(-config.levelLookback), config),
+      patterns: findPatterns(candles.slice(-config.patternLookback), config),
+      breakouts: trackBreakouts(candles, config),
+      candles: candles.slice(-config.levelLookback),
+      confirmations: {}
+    };
+    Object.keys(windows).forEach(name => {
+      series[name] = windows[name].toArray();
+    });
+    Object.keys(confirmationWindows).forEach(name => {
+      series.confirmations[name] = confirmationWindows[name].toArray();
+    });
+    
+    return scoreBreakout(series, config);
+  };
+  
+  const update = (candle) => {
+    candleWindow.push(candle);
+    windows.closeData.push(candle.close);
+    windows.volumeData.push(candle.volume);
+    windows.rsiData.push(studies.rsi.update(candle.close));
+    windows.bbData.push(studies.bollinger.update(candle.close));
+    windows.ema200.push(studies.ema200.update(candle.close));
+    windows.atrData.push(studies.atr.update(candle.high, candle.low, candle.close));
+    windows.obvData.push(studies.obv.update(candle.close, candle.volume));
+    const macd = studies.macd.update(candle.close);
+    // The bar before the first MACD value gets one too, as in calculateMACD
+    if (macd.macd !== null && windows.macdData.length() > 0 && windows.macdData.get(0).macd === null) {
+      windows.macdData.set(0, studies.macd.previous());
+    }
+    windows.macdData.push(macd);
+    windows.squeezeData.push(studies.squeeze.update(candle.high, candle.low, candle.close));
+    Object.keys(confirmationStudies).forEach(name => {
+      confirmationWindows[name].push(confirmationStudies[name].update(candle));
+    });
+    
+    return analyze();
+  };
+  
+  const snapshot = () => {
+    const state = {
+      studies: {},
+      windows: {},
+      candleWindow: candleWindow.snapshot(),
+      confirmationStudies: {},
+      confirmationWindows: {}
+    };
+    Object.keys(studies).forEach(name => {
+      state.studies[name] = studies[name].snapshot();
+    });
+    Object.keys(windows).forEach(name => {
+      state.windows[name] = windows[name].snapshot();
+    });
+    Object.keys(confirmationStudies).forEach(name => {
+      state.confirmationStudies[name] = confirmationStudies[name].snapshot();
+      state.confirmationWindows[name] = confirmationWindows[name].snapshot();
+    });
+    
+    return state;
+  };
+  
+  const restore = (state) => {
+    Object.keys(studies).forEach(name => studies[name].restore(state.studies[name]));
+    Object.keys(windows).forEach(name => windows[name].restore(state.windows[name]));
+    candleWindow.restore(state.candleWindow);
+    Object.keys(confirmationStudies).forEach(name => {
+      confirmationStudies[name].restore(state.confirmationStudies[name]);
+      confirmationWindows[name].restore(state.confirmationWindows[name]);
+    });
+  };
+  
+  return {
+    update,
+    analyze,
+    snapshot,
+    restore
+  };
+};
+
 /**
  * Check multiple timeframes for breakout confirmation
+ * 
+ * @param {Array} timeframes - Ordered list (lowest first) of
+ *   { timeframe, data, weight, alignmentPoints }
+ * @param {Object} options - Analysis options
  */
-const multiTimeframeAnalysis = (hourlyData, fourHourData, dailyData, options = {}) => {
-  const hourlyResults = analyzeBreakout(hourlyData, options);
-  const fourHourResults = analyzeBreakout(fourHourData, options);
-  const dailyResults = analyzeBreakout(dailyData, options);
+const multiTimeframeAnalysis = (timeframes, options = {}) => {
+  const results = timeframes.map(tf => ({
+    ...tf,
+    analysis: analyzeBreakout(tf.data, options)
+  }));
   
   // Calculate alignment score (how well signals align across timeframes)
   let alignmentScore = 0;
+  let maxAlignmentScore = 0;
   
-  if (hourlyResults.isBreakoutCandidate) alignmentScore += 1;
-  if (fourHourResults.isBreakoutCandidate) alignmentScore += 2;
-  if (dailyResults.isBreakoutCandidate) alignmentScore += 3;
+  results.forEach(({ analysis, alignmentPoints }) => {
+    maxAlignmentScore += alignmentPoints;
+    if (analysis.isBreakoutCandidate) alignmentScore += alignmentPoints;
+  });
   
   // Combine signals from all timeframes
-  const combinedSignals = [
-    ...hourlyResults.signals.map(signal => `1H: ${signal}`),
-    ...fourHourResults.signals.map(signal => `4H: ${signal}`),
-    ...dailyResults.signals.map(signal => `1D: ${signal}`)
-  ];
-  
-  // Calculate weighted score
-  const weightedScore = (
-    (hourlyResults.breakoutScore * 0.2) +
-    (fourHourResults.breakoutScore * 0.3) +
-    (dailyResults.breakoutScore * 0.5)
-  );
+  const combinedSignals = results.reduce((signals, { timeframe, analysis }) => [
+    ...signals,
+    ...analysis.signals.map(signal => `${timeframe}: ${signal}`)
+  ], []);
+  
+  // Calculate weighted score, normalizing weights so the score stays within 0-100
+  const totalWeight = results.reduce((sum, { weight }) => sum + weight, 0);
+  const weightedScore = totalWeight > 0
+    ? results.reduce((sum, { analysis, weight }) => sum + analysis.breakoutScore * weight, 0) / totalWeight
+    : 0;
+    
+  // Targets come from the highest timeframe, stops from the ones below it
+  const higherResults = results[results.length - 1].analysis;
+  const lowerResults = results.length > 1
+    ? results.slice(0, -1).reverse().map(({ analysis }) => analysis)
+    : [higherResults];
+  const nextResults = lowerResults[0];
+  
+  const minAlignmentScore = options.minAlignmentScore || Math.ceil(maxAlignmentScore * 2 / 3);
   
   return {
+    direction: higherResults.direction,
     mtfScore: Math.round(weightedScore),
     alignmentScore,
-    hourlyScore: hourlyResults.breakoutScore,
-    fourHourScore: fourHourResults.breakoutScore,
-    dailyScore: dailyResults.breakoutScore,
-    isConfirmedBreakout: alignmentScore >= 4 && weightedScore >= 75,
+    maxAlignmentScore,
+    timeframes: results.map(({ timeframe, weight, alignmentPoints, analysis }) => ({
+      timeframe,
+      weight,
+      alignmentPoints,
+      score: analysis.breakoutScore,
+      rawScore: analysis.rawScore,
+      maxScore: analysis.maxScore,
+      isBreakoutCandidate: analysis.isBreakoutCandidate,
+      conditions: analysis.conditions
+    })),
+    higherTimeframeScore: higherResults.breakoutScore,
+    isConfirmedBreakout: alignmentScore >= minAlignmentScore && weightedScore >= (options.minMTFScore || 45),
     combinedSignals,
-    profitPotential: dailyResults.profitPotential || fourHourResults.profitPotential,
-    riskLevel: dailyResults.riskLevel || fourHourResults.riskLevel,
-    suggestedStopLoss: fourHourResults.suggestedStopLoss || hourlyResults.suggestedStopLoss,
-    suggestedTakeProfit: fourHourResults.suggestedTakeProfit || hourlyResults.suggestedTakeProfit
+    profitPotential: higherResults.profitPotential || nextResults.profitPotential,
+    riskLevel: higherResults.riskLevel || nextResults.riskLevel,
+    suggestedStopLoss: lowerResults.map(r => r.suggestedStopLoss).find(Boolean),
+    suggestedTakeProfit: lowerResults.map(r => r.suggestedTakeProfit).find(Boolean),
+    tradePlan: lowerResults.map(r => r.tradePlan).find(Boolean),
+    retestEntry: lowerResults.map(r => r.retestEntry).find(Boolean)
   };
 };
 
 /**
- * Backtest breakout strategy on historical data
+ * Follow a trade through the exit rules from the bar after entry, closing it
+ * at the last bar when the data ends first
+ * 
+ * @returns {Object} { exitPrice, exitType, barsHeld, exits, pnl }
  */
-const backtestBreakoutStrategy = (historicalData, options = {}) => {
-  const results = {
-    totalTrades: 0,
+const simulateExit = (historicalData, entryBar, trade, options) => {
+  const position = exitRules.replayTrade(historicalData, entryBar, trade, options);
+  const { exitPrice, exitType, barsHeld, exits, pnl } = position.close(historicalData[historicalData.length - 1]);
+  
+  return { exitPrice, exitType, barsHeld, exits, pnl };
+};
+
+/**
+ * Simulate a retest entry: a limit order at the broken level, open for
+ * retestEntryBars bars from the breakout signal. It fills at the level, or at
+ * the open when a bar gaps through it, and is stopped out (or liquidated) on
+ * the fill bar when that bar also reaches the stop loss.
+ * 
+ * @returns {Object|null} Trade, or null when price never came back to the level
+ */
+const simulateRetestEntry = (historicalData, signalBar, retestEntry, direction, options) => {
+  const isShort = direction === 'short';
+  const { price, stopLoss, takeProfit, tradePlan } = retestEntry;
+  const { retestEntryBars } = getBreakoutConfig(options);
+  const lastBar = Math.min(signalBar + retestEntryBars, historicalData.length) - 1;
+  
+  for (let i = signalBar; i <= lastBar; i++) {
+    const bar = historicalData[i];
+    
+    if (isShort ? bar.high < price : bar.low > price) continue;
+    
+    const entryPrice = isShort ? Math.max(bar.open, price) : Math.min(bar.open, price);
+    const liquidationPrice = futuresMargin.getLiquidationPrice(direction, entryPrice, options);
+    const liquidatedOnEntry = futuresMargin.isStopBeyondLiquidation(direction, stopLoss, liquidationPrice) &&
+      (isShort ? bar.high >= liquidationPrice : bar.low <= liquidationPrice);
+    const stoppedOnEntry = isShort ? bar.high >= stopLoss : bar.low <= stopLoss;
+    const entryExit = liquidatedOnEntry
+      ? { price: liquidationPrice, type: 'Liquidation' }
+      : { price: isShort ? Math.max(stopLoss, entryPrice) : Math.min(stopLoss, entryPrice), type: 'Stop Loss' };
+    const trade = { direction, entryPrice, stopLoss, takeProfit, targets: tradePlan.targets };
+    const exit = liquidatedOnEntry || stoppedOnEntry
+      ? {
+        exitPrice: entryExit.price,
+        exitType: entryExit.type,
+        barsHeld: 0,
+        exits: [{ price: entryExit.price, sizePercent: 100, type: entryExit.type, time: bar.time, barsHeld: 0 }],
+        pnl: (isShort ? entryPrice - entryExit.price : entryExit.price - entryPrice) / entryPrice * 100
+      }
+      : simulateExit(historicalData, i, trade, options);
+    
+    return {
+      direction,
+      entryType: 'retest',
+      entryBar: i,
+      entryPrice,
+      stopLoss,
+      takeProfit,
+      ...exit,
+      date: bar.time
+    };
+  }
+  
+  return null;
+};
+
+/**
+ * Win rate, average win / loss, profit factor (gross profit over gross loss,
+ * null without losing trades), payoff ratio (average win over average loss)
+ * and expectancy of a list of P&Ls
+ */
+const summarizePnl = (pnls) => {
+  const summary = {
+    totalTrades: pnls.length,
     winningTrades: 0,
     losingTrades: 0,
     winRate: 0,
     averageProfit: 0,
     averageLoss: 0,
-    profitFactor: 0,
-    trades: []
+    profitFactor: null,
+    payoffRatio: 0,
+    expectancy: 0
   };
   
+  let totalProfit = 0;
+  let totalLoss = 0;
+  
+  pnls.forEach(pnl => {
+    if (pnl > 0) {
+      summary.winningTrades++;
+      totalProfit += pnl;
+    } else {
+      summary.losingTrades++;
+      totalLoss += Math.abs(pnl);
+    }
+  });
+  
+  if (summary.totalTrades > 0) {
+    summary.winRate = (summary.winningTrades / summary.totalTrades) * 100;
+    summary.averageProfit = summary.winningTrades > 0 ? totalProfit / summary.winningTrades : 0;
+    summary.averageLoss = summary.losingTrades > 0 ? totalLoss / summary.losingTrades : 0;
+    summary.profitFactor = totalLoss > 0 ? totalProfit / totalLoss : null;
+    summary.payoffRatio = summary.averageLoss > 0 ? summary.averageProfit / summary.averageLoss : 0;
+    
+    // Calculate expectancy
+    summary.expectancy = (summary.winRate / 100 * summary.averageProfit) - 
+                          ((100 - summary.winRate) / 100 * summary.averageLoss);
+  }
+  
+  return summary;
+};
+
+/**
+ * Trade statistics net of costs, the same before costs under gross, the
+ * average cost per trade and how often positions were liquidated
+ */
+const summarizeTrades = (trades) => {
+  const average = getValue => (trades.length > 0
+    ? trades.reduce((sum, trade) => sum + getValue(trade), 0) / trades.length
+    : 0);
+  const averageCost = key => average(trade => trade.costs[key]);
+  const liquidations = trades.filter(trade => trade.liquidated).length;
+  
+  return {
+    ...summarizePnl(trades.map(trade => trade.pnl)),
+    gross: summarizePnl(trades.map(trade => trade.grossPnl)),
+    averageCosts: {
+      fees: averageCost('fees'),
+      slippage: averageCost('slippage'),
+      funding: averageCost('funding'),
+      liquidation: averageCost('liquidation'),
+      total: averageCost('total')
+    },
+    margin: {
+      liquidations,
+      liquidationRate: trades.length > 0 ? (liquidations / trades.length) * 100 : 0,
+      stopsBeyondLiquidation: trades.filter(trade => trade.stopBeyondLiquidation).length,
+      averageReturnOnMargin: average(trade => trade.returnOnMargin)
+    }
+  };
+};
+
+/**
+ * Backtest breakout strategy on historical data
+ * With options.direction 'short' it trades breakdowns instead. Each signal is
+ * traded at the close (immediate entry) and, separately, with a limit order
+ * at the broken level (retest entry); the top-level statistics are those of
+ * immediate entries and entryTypes reports both. breakoutOutcomes counts how
+ * the breakouts behind the signals played out. Trades exit by the exit rules
+ * in options (trailing stops, breakeven, partial exits, EMA cross, holding
+ * period), the same ones the live signal tracker applies. Trade P&L and the
+ * statistics are net of fees, slippage and funding (see tradingCosts), with
+ * the figures before costs under gross. Positions are isolated margin at
+ * options.leverage (see futuresMargin); liquidated trades are also listed
+ * under liquidatedTrades. equityCurve compounds the immediate entries from
+ * options.initialCapital bar by bar, from the first bar a trade can be
+ * entered, sized by options.riskPerTrade when given; metrics reports its
+ * drawdowns, risk-adjusted returns and exposure (see performanceMetrics).
+ * No trades are entered on the last 20 bars, unless options.tradeToEnd is
+ * set, in which case trades still open at the last bar are closed there.
+ */
+const backtestBreakoutStrategy = (historicalData, options = {}) => {
   // Need at least 250 candles for meaningful backtest
   if (historicalData.length < 250) {
     return { error: 'Not enough historical data for backtest' };
   }
   
-  let totalProfit = 0;
-  let totalLoss = 0;
+  const config = getBreakoutConfig(options);
+  const costModel = tradingCosts.createCostModel(historicalData, options);
+  const { leverage } = futuresMargin.getMarginConfig(options);
+  const recordTrade = trade => futuresMargin.applyMargin(costModel.applyCosts(trade), options);
+  const trades = [];
+  const retestTrades = [];
+  const breakoutOutcomes = { confirmed: 0, failed: 0, retest: 0, pending: 0 };
+  let missedRetests = 0;
+  
+  // Indicators are updated one candle at a time instead of recomputed per bar
+  const analyzer = createBreakoutAnalyzer(options);
+  let analysis = null;
+  const firstEntryBar = 200;
+  const entryEndBar = historicalData.length - (options.tradeToEnd ? 1 : 20);
+  let nextEntryBar = firstEntryBar;
   
   // Simulate trading through the data
-  for (let i = 200; i < historicalData.length - 20; i++) {
-    // Get data up to current point
-    const dataSlice = historicalData.slice(0, i);
-    
-    // Analyze for breakout
-    const analysis = analyzeBreakout(dataSlice, options);
+  for (let i = 0; i < entryEndBar; i++) {
+    // Analysis of the data up to the previous bar
+    if (i > 0) {
+      analysis = analyzer.update(historicalData[i - 1]);
+    }
     
     // If breakout detected, simulate trade
-    if (analysis.isBreakoutCandidate) {
+    if (i >= nextEntryBar && analysis.isBreakoutCandidate) {
       const entryPrice = historicalData[i].close;
       const stopLoss = analysis.suggestedStopLoss;
       const takeProfit = analysis.suggestedTakeProfit;
       
       // Look forward to see what happened
-      let exitPrice = null;
-      let exitType = null;
-      let barsHeld = 0;
-      
-      for (let j = i + 1; j < Math.min(i + 20, historicalData.length); j++) {
-        const currentBar = historicalData[j];
-        barsHeld++;
-        
-        // Check if stop loss was hit
-        if (currentBar.low <= stopLoss) {
-          exitPrice = stopLoss;
-          exitType = 'Stop Loss';
-          break;
-        }
-        
-        // Check if take profit was hit
-        if (currentBar.high >= takeProfit) {
-          exitPrice = takeProfit;
-          exitType = 'Take Profit';
-          break;
-        }
-        
-        // If reached end of lookforward period, exit at close
-        if (j === Math.min(i + 19, historicalData.length - 1)) {
-          exitPrice = currentBar.close;
-          exitType = 'Time Exit';
-        }
-      }
-      
-      // Calculate profit/loss
-      const pnl = (exitPrice - entryPrice) / entryPrice * 100;
-      
-      // Record trade
       const trade = {
+        direction: analysis.direction,
+        entryPrice,
+        stopLoss,
+        takeProfit,
+        targets: analysis.tradePlan && analysis.tradePlan.targets
+      };
+      const { exitPrice, exitType, barsHeld, exits, pnl } = simulateExit(historicalData, i, trade, options);
+      
+      // Record trade, net of fees, slippage and funding, on isolated margin
+      trades.push(recordTrade({
+        direction: analysis.direction,
+        entryType: 'immediate',
         entryBar: i,
         entryPrice,
         stopLoss,
@@ -363,43 +1230,77 @@ const backtestBreakoutStrategy = (historicalData, options = {}) => {
         exitPrice,
         exitType,
         barsHeld,
+        exits,
         pnl,
         date: historicalData[i].time
-      };
+      }));
       
-      results.trades.push(trade);
-      results.totalTrades++;
+      // Same signal entered on a pullback to the broken level
+      if (analysis.retestEntry) {
+        const retestTrade = simulateRetestEntry(
+          historicalData,
+          i,
+          analysis.retestEntry,
+          analysis.direction,
+          options
+        );
       
-      if (pnl > 0) {
-        results.winningTrades++;
-        totalProfit += pnl;
-      } else {
-        results.losingTrades++;
-        totalLoss += Math.abs(pnl);
+        if (retestTrade) {
+          retestTrades.push(recordTrade(retestTrade));
+        } else {
+          missedRetests++;
+        }
       }
       
+      // How the breakout on the signal bar played out, whether or not it
+      // offered a retest entry
+      const outcome = breakoutTracker.classifyBreakout(
+        historicalData,
+        i - 1,
+        analysis.breakoutLevel,
+        getTrackingOptions(config)
+      );
+      breakoutOutcomes[outcome.status]++;
+      
       // Skip forward to avoid overlapping trades
-      i += barsHeld;
+      nextEntryBar = i + barsHeld + 1;
     }
   }
   
-  // Calculate statistics
-  if (results.totalTrades > 0) {
-    results.winRate = (results.winningTrades / results.totalTrades) * 100;
-    results.averageProfit = results.winningTrades > 0 ? totalProfit / results.winningTrades : 0;
-    results.averageLoss = results.losingTrades > 0 ? totalLoss / results.losingTrades : 0;
-    results.profitFactor = results.averageLoss > 0 ? results.averageProfit / results.averageLoss : 0;
-    
-    // Calculate expectancy
-    results.expectancy = (results.winRate / 100 * results.averageProfit) - 
-                          ((100 - results.winRate) / 100 * results.averageLoss);
-  }
+  const equityCurve = performanceMetrics.buildEquityCurve(historicalData, trades, {
+    initialCapital: options.initialCapital,
+    riskPerTrade: options.riskPerTrade,
+    leverage,
+    fromBar: firstEntryBar
+  });
   
-  return results;
+  return {
+    ...summarizeTrades(trades),
+    leverage,
+    trades,
+    equityCurve,
+    metrics: performanceMetrics.calculateMetrics(equityCurve, trades.map(trade => trade.returnOnMargin), options),
+    liquidatedTrades: trades.filter(trade => trade.liquidated),
+    entryTypes: {
+      immediate: summarizeTrades(trades),
+      retest: {
+        ...summarizeTrades(retestTrades),
+        missedEntries: missedRetests,
+        trades: retestTrades,
+        liquidatedTrades: retestTrades.filter(trade => trade.liquidated)
+      }
+    },
+    breakoutOutcomes
+  };
 };
 
 module.exports = {
+  BREAKOUT_CONFIRMATIONS,
+  DEFAULT_SCORE_WEIGHTS,
+  resolveWeights,
   analyzeBreakout,
+  detectChartPatterns,
+  createBreakoutAnalyzer,
   multiTimeframeAnalysis,
   backtestBreakoutStrategy
 };
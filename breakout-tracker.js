@@ -0,0 +1,145 @@
+/**
+ * Breakout tracking for crypto breakout screening
+ * Follows each breakout level over the bars after the breakout and classifies
+ * how it played out
+ */
+
+const indicators = require('./technicalIndicators');
+
+/**
+ * Resolve tracking options
+ */
+const getTrackingConfig = (options = {}) => ({
+  direction: options.direction || 'long',
+  consolidationPeriod: options.consolidationPeriod || 6,
+  consolidationThreshold: options.consolidationThreshold || 0.15,
+  // Bars the close must hold beyond the level for a confirmed breakout
+  confirmBars: options.confirmBars || 3,
+  // Bars after the breakout that are tracked
+  trackBars: options.trackBars || 10,
+  // How close (fraction of the level) a pullback must come to count as a retest
+  retestTolerance: options.retestTolerance !== undefined ? options.retestTolerance : 0.005
+});
+
+/**
+ * Level a bar would have to break: the highest close (lowest for shorts) of the
+ * consolidating bars before it
+ * 
+ * @param {Array} data - OHLCV data, oldest first
+ * @param {number} index - Index of the breakout bar
+ * @param {Object} options - Tracking options
+ * @returns {number|null} Level, or null if price wasn't consolidating
+ */
+const getBreakoutLevel = (data, index, options = {}) => {
+  const config = getTrackingConfig(options);
+  
+  if (index < config.consolidationPeriod) return null;
+  
+  const closes = data.slice(index - config.consolidationPeriod, index).map(d => d.close);
+  
+  if (!indicators.isPriceConsolidating(closes, config.consolidationPeriod, config.consolidationThreshold)) {
+    return null;
+  }
+  
+  return config.direction === 'short' ? Math.min(...closes) : Math.max(...closes);
+};
+
+/**
+ * Classify the outcome of a breakout from the bars after it
+ * - failed: closed back inside the range
+ * - retest: pulled back to the level, then closed beyond the pullback bar
+ * - confirmed: held beyond the level for confirmBars bars without a retest
+ * - pending: not enough bars yet to tell
+ * 
+ * @param {Array} data - OHLCV data, oldest first
+ * @param {number} breakoutIndex - Index of the breakout bar
+ * @param {number} level - Breakout level
+ * @param {Object} options - Tracking options
+ * @returns {Object} { status, barsTracked, confirmedIndex, retestIndex, bounceIndex, failedIndex }
+ */
+const classifyBreakout = (data, breakoutIndex, level, options = {}) => {
+  const config = getTrackingConfig(options);
+  const isShort = config.direction === 'short';
+  const lastIndex = Math.min(breakoutIndex + config.trackBars, data.length - 1);
+  
+  const outcome = {
+    status: 'pending',
+    barsTracked: lastIndex - breakoutIndex,
+    confirmedIndex: null,
+    retestIndex: null,
+    bounceIndex: null,
+    failedIndex: null
+  };
+  
+  for (let i = breakoutIndex + 1; i <= lastIndex; i++) {
+    const bar = data[i];
+    
+    // Closed back inside the range
+    if (isShort ? bar.close > level : bar.close < level) {
+      return { ...outcome, status: 'failed', failedIndex: i };
+    }
+    
+    // Bounced: closed beyond the pullback bar
+    const pullback = outcome.retestIndex !== null ? data[outcome.retestIndex] : null;
+    if (pullback && (isShort ? bar.close < pullback.low : bar.close > pullback.high)) {
+      return { ...outcome, status: 'retest', bounceIndex: i };
+    }
+    
+    // Pulled back to the level
+    if (isShort ? bar.high >= level * (1 - config.retestTolerance) : bar.low <= level * (1 + config.retestTolerance)) {
+      outcome.retestIndex = i;
+    } else if (outcome.retestIndex === null && outcome.confirmedIndex === null &&
+      i - breakoutIndex >= config.confirmBars) {
+      outcome.confirmedIndex = i;
+    }
+  }
+  
+  if (outcome.confirmedIndex !== null) outcome.status = 'confirmed';
+  
+  return outcome;
+};
+
+/**
+ * Find breakouts from a consolidation in the last trackBars bars and classify each
+ * 
+ * @param {Array} data - OHLCV data, oldest first; only the last
+ *   trackBars + consolidationPeriod + 1 candles are read
+ * @param {Object} options - Tracking options
+ * @returns {Array} Breakouts { time, level, barsAgo, status, confirmedTime,
+ *   retestTime, bounceTime, failedTime }, oldest first
+ */
+const trackBreakouts = (data, options = {}) => {
+  const config = getTrackingConfig(options);
+  const isShort = config.direction === 'short';
+  const lastIndex = data.length - 1;
+  const getTime = (index) => (index !== null ? data[index].time : null);
+  const breakouts = [];
+  
+  // Periods may be fractional (the optimizer adjusts them continuously)
+  for (let i = Math.max(Math.ceil(config.consolidationPeriod), lastIndex - config.trackBars); i <= lastIndex; i++) {
+    const level = getBreakoutLevel(data, i, config);
+    
+    if (level !== null && (isShort ? data[i].close < level : data[i].close > level)) {
+      const outcome = classifyBreakout(data, i, level, config);
+      
+      breakouts.push({
+        time: data[i].time,
+        level,
+        barsAgo: lastIndex - i,
+        status: outcome.status,
+        confirmedTime: getTime(outcome.confirmedIndex),
+        retestTime: getTime(outcome.retestIndex),
+        bounceTime: getTime(outcome.bounceIndex),
+        failedTime: getTime(outcome.failedIndex)
+      });
+    }
+  }
+  
+  return breakouts;
+};
+
+module.exports = {
+  getBreakoutLevel,
+  classifyBreakout,
+  trackBreakouts
+};
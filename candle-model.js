@@ -0,0 +1,61 @@
+/**
+ * Candle model for the local OHLCV store
+ * One document per bar, keyed by provider, symbol, quote currency and timeframe
+ */
+
+const mongoose = require('mongoose');
+
+const CandleSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  timeframe: {
+    type: String,
+    enum: ['minute', 'hour', '4hour', 'day'],
+    required: true
+  },
+  // Bar open time
+  time: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  volume: {
+    type: Number,
+    default: 0
+  }
+});
+
+// A bar is unique per series and open time; also serves range queries
+CandleSchema.index(
+  { provider: 1, symbol: 1, currency: 1, timeframe: 1, time: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('Candle', CandleSchema);
@@ -0,0 +1,159 @@
+/**
+ * Candle resampler
+ * Aggregates candles from a base timeframe into higher timeframes aligned
+ * to UTC session boundaries (4H bars open at 00/04/08/12/16/20 UTC, weekly
+ * bars open on Monday 00:00 UTC)
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+const WEEK_MS = 7 * DAY_MS;
+
+// Duration of one bar for each supported timeframe (ms)
+const TIMEFRAME_MS = {
+  '1m': MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '15m': 15 * MINUTE_MS,
+  '30m': 30 * MINUTE_MS,
+  '1H': HOUR_MS,
+  '2H': 2 * HOUR_MS,
+  '4H': 4 * HOUR_MS,
+  '6H': 6 * HOUR_MS,
+  '12H': 12 * HOUR_MS,
+  '1D': DAY_MS,
+  '1W': WEEK_MS
+};
+
+// Timeframe names used by the market data providers
+const PROVIDER_TIMEFRAMES = {
+  minute: '1m',
+  hour: '1H',
+  '4hour': '4H',
+  day: '1D'
+};
+
+// The Unix epoch fell on a Thursday; the first Monday 00:00 UTC is 4 days later
+const WEEK_OFFSET_MS = 4 * DAY_MS;
+
+/**
+ * Get the duration of one bar
+ * 
+ * @param {string} timeframe - Timeframe (e.g., 4H, or a provider name such as hour)
+ * @returns {number|undefined} Bar duration in ms
+ */
+const getTimeframeMs = (timeframe) => TIMEFRAME_MS[PROVIDER_TIMEFRAMES[timeframe] || timeframe];
+
+/**
+ * Get the open time of the bar containing a timestamp
+ * 
+ * @param {number} time - Timestamp (ms)
+ * @param {number} timeframeMs - Bar duration (ms)
+ * @returns {number} Bar open time (ms)
+ */
+const getBarStart = (time, timeframeMs) => {
+  if (timeframeMs === WEEK_MS) {
+    return Math.floor((time - WEEK_OFFSET_MS) / WEEK_MS) * WEEK_MS + WEEK_OFFSET_MS;
+  }
+  
+  return Math.floor(time / timeframeMs) * timeframeMs;
+};
+
+/**
+ * Resample candles into a higher timeframe
+ * 
+ * Bars missing from the base series are skipped and counted in `missingBars`.
+ * A leading bar whose period starts before the first base candle is dropped,
+ * so the output does not depend on where the input happens to begin. The bar
+ * still in progress at `now` is flagged with `isComplete: false`.
+ * 
+ * @param {Array} candles - Base OHLCV candles in ascending time order
+ * @param {string} baseTimeframe - Timeframe of the input candles (e.g., 1H or hour)
+ * @param {string} targetTimeframe - Timeframe to produce (e.g., 4H)
+ * @param {Object} options - Resampling options
+ * @param {number} options.now - Current time (ms), used to flag the incomplete bar
+ * @param {boolean} options.completeOnly - Drop the bar still in progress
+ * @returns {Array} Resampled OHLCV candles
+ */
+const resampleCandles = (candles, baseTimeframe, targetTimeframe, options = {}) => {
+  const baseMs = getTimeframeMs(baseTimeframe);
+  const targetMs = getTimeframeMs(targetTimeframe);
+  
+  if (!baseMs || !targetMs) {
+    throw new Error(`Unsupported timeframe: ${!baseMs ? baseTimeframe : targetTimeframe}`);
+  }
+  
+  if (targetMs < baseMs || targetMs % baseMs !== 0) {
+    throw new Error(`Cannot resample ${baseTimeframe} candles into ${targetTimeframe}`);
+  }
+  
+  const now = options.now || Date.now();
+  const expectedBars = targetMs / baseMs;
+  const bars = [];
+  let currentBar = null;
+  let previousTime = null;
+  
+  for (const candle of candles) {
+    const time = new Date(candle.time).getTime();
+    
+    // Skip duplicated base bars
+    if (time === previousTime) continue;
+    previousTime = time;
+    
+    const barStart = getBarStart(time, targetMs);
+    
+    if (!currentBar || currentBar.start !== barStart) {
+      currentBar = {
+        start: barStart,
+        firstBaseTime: time,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume,
+        barCount: 1
+      };
+      bars.push(currentBar);
+    } else {
+      currentBar.high = Math.max(currentBar.high, candle.high);
+      currentBar.low = Math.min(currentBar.low, candle.low);
+      currentBar.close = candle.close;
+      currentBar.volume += candle.volume;
+      currentBar.barCount++;
+    }
+  }
+  
+  // The first period is only partly covered when the input starts mid-period
+  if (bars.length > 0 && bars[0].firstBaseTime > bars[0].start) {
+    bars.shift();
+  }
+  
+  const resampled = bars.map(bar => {
+    const isComplete = bar.start + targetMs <= now;
+    
+    // An incomplete bar can only be missing base bars that have already opened
+    const barsDue = isComplete
+      ? expectedBars
+      : Math.min(expectedBars, Math.floor((now - bar.start) / baseMs) + 1);
+      
+    return {
+      time: new Date(bar.start).toISOString(),
+      open: bar.open,
+      high: bar.high,
+      low: bar.low,
+      close: bar.close,
+      volume: bar.volume,
+      isComplete,
+      missingBars: Math.max(0, barsDue - bar.barCount)
+    };
+  });
+  
+  return options.completeOnly ? resampled.filter(bar => bar.isComplete) : resampled;
+};
+
+module.exports = {
+  TIMEFRAME_MS,
+  getTimeframeMs,
+  getBarStart,
+  resampleCandles
+};
@@ -0,0 +1,77 @@
+/**
+ * Candle resampler tests
+ */
+
+const candleResampler = require('../utils/candleResampler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Base candles from `start`, one per `stepMs`; bar n opens at n and closes at n + 1
+const makeCandles = (start, stepMs, count) => Array.from({ length: count }, (_, index) => ({
+  time: new Date(Date.parse(start) + index * stepMs).toISOString(),
+  open: index,
+  high: index + 1.5,
+  low: index - 0.5,
+  close: index + 1,
+  volume: 10
+}));
+
+describe('candle resampler', () => {
+  it('opens 4H bars on 4-hour UTC boundaries and drops a leading partial bar', () => {
+    // 02:00 to 13:00 UTC: 02-03 belong to the 00:00 bar, which starts before the data
+    const candles = makeCandles('2024-01-01T02:00:00.000Z', HOUR_MS, 12);
+    const bars = candleResampler.resampleCandles(candles, 'hour', '4H', { now: Date.parse('2024-01-02T00:00:00.000Z') });
+    
+    expect(bars).toEqual([
+      { time: '2024-01-01T04:00:00.000Z', open: 2, high: 6.5, low: 1.5, close: 6, volume: 40, isComplete: true, missingBars: 0 },
+      { time: '2024-01-01T08:00:00.000Z', open: 6, high: 10.5, low: 5.5, close: 10, volume: 40, isComplete: true, missingBars: 0 },
+      { time: '2024-01-01T12:00:00.000Z', open: 10, high: 12.5, low: 9.5, close: 12, volume: 20, isComplete: true, missingBars: 2 }
+    ]);
+  });
+  
+  it('counts base bars missing from a period', () => {
+    const candles = makeCandles('2024-01-01T00:00:00.000Z', HOUR_MS, 8).filter((_, index) => index !== 5);
+    const bars = candleResampler.resampleCandles(candles, '1H', '4H', { now: Date.parse('2024-01-02T00:00:00.000Z') });
+    
+    expect(bars.map(bar => bar.missingBars)).toEqual([0, 1]);
+    expect(bars[1].volume).toBe(30);
+  });
+  
+  it('only counts the base bars already due in the bar in progress', () => {
+    // At 13:30 the 12:00 bar has had its 12:00 and 13:00 hours
+    const candles = makeCandles('2024-01-01T08:00:00.000Z', HOUR_MS, 6);
+    const now = Date.parse('2024-01-01T13:30:00.000Z');
+    const bars = candleResampler.resampleCandles(candles, '1H', '4H', { now });
+    
+    expect(bars[1]).toMatchObject({ time: '2024-01-01T12:00:00.000Z', isComplete: false, missingBars: 0 });
+    expect(candleResampler.resampleCandles(candles, '1H', '4H', { now, completeOnly: true })).toHaveLength(1);
+  });
+  
+  it('opens weekly bars on Monday 00:00 UTC', () => {
+    // 2024-01-01 was a Monday; a Wednesday and a Sunday fall in its week
+    const weekMs = candleResampler.TIMEFRAME_MS['1W'];
+    
+    expect(candleResampler.getBarStart(Date.parse('2024-01-03T15:00:00.000Z'), weekMs)).toBe(Date.parse('2024-01-01T00:00:00.000Z'));
+    expect(candleResampler.getBarStart(Date.parse('2024-01-07T23:59:59.999Z'), weekMs)).toBe(Date.parse('2024-01-01T00:00:00.000Z'));
+    expect(candleResampler.getBarStart(Date.parse('2024-01-08T00:00:00.000Z'), weekMs)).toBe(Date.parse('2024-01-08T00:00:00.000Z'));
+  });
+  
+  it('resamples daily candles into weeks', () => {
+    // Sunday 2023-12-31 belongs to the previous week and is dropped
+    const candles = makeCandles('2023-12-31T00:00:00.000Z', DAY_MS, 15);
+    const bars = candleResampler.resampleCandles(candles, 'day', '1W', { now: Date.parse('2024-02-01T00:00:00.000Z') });
+    
+    expect(bars.map(bar => [bar.time, bar.open, bar.close, bar.volume])).toEqual([
+      ['2024-01-01T00:00:00.000Z', 1, 8, 70],
+      ['2024-01-08T00:00:00.000Z', 8, 15, 70]
+    ]);
+  });
+  
+  it('rejects timeframes it cannot resample into', () => {
+    const candles = makeCandles('2024-01-01T00:00:00.000Z', 4 * HOUR_MS, 2);
+    
+    expect(() => candleResampler.resampleCandles(candles, '4H', '1H')).toThrow('Cannot resample 4H candles into 1H');
+    expect(() => candleResampler.resampleCandles(candles, '4H', '3H')).toThrow('Unsupported timeframe: 3H');
+  });
+});
@@ -0,0 +1,327 @@
+/**
+ * Candle store service
+ * Persists OHLCV candles in MongoDB and keeps them in sync with the
+ * market data provider, fetching only bars newer than the last stored one
+ */
+
+const Candle = require('../models/Candle');
+const { getTimeframeMs } = require('../utils/candleResampler');
+const { TIMEFRAME_SOURCES, loadTimeframeData } = require('../utils/timeframeProfiles');
+
+// Fewest bars fetched the first time a series is synced
+const MIN_SYNC_BARS = 2000;
+
+/**
+ * Bars fetched the first time a series is synced: at least as many as the
+ * analysis timeframe built on it that reads the most of them
+ */
+const getInitialSyncBars = (timeframe) => Math.max(
+  MIN_SYNC_BARS,
+  ...Object.values(TIMEFRAME_SOURCES)
+    .filter(({ source }) => source === timeframe)
+    .map(({ sourceBars }) => sourceBars)
+);
+
+// Bars requested from the provider per call when paging through history
+const PAGE_SIZE = 1000;
+
+// Set CANDLE_STORE_ENABLED=false to read straight from the provider
+const isStoreEnabled = () => process.env.CANDLE_STORE_ENABLED !== 'false';
+
+/**
+ * Fetch candles from the provider, paging backwards from now
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @param {Object} options - Fetch options
+ * @param {number} options.since - Stop once bars at or before this timestamp (ms) are reached
+ * @param {number} options.until - Start paging from this timestamp (ms) instead of now
+ * @param {number} options.maxBars - Maximum number of bars to fetch
+ * @returns {Promise<Array>} Candles in ascending time order
+ */
+const fetchCandles = async (dataService, symbol, currency, timeframe, options = {}) => {
+  const { since, maxBars = getInitialSyncBars(timeframe) } = options;
+  const candlesByTime = new Map();
+  let toTime = options.until || Date.now();
+  
+  while (candlesByTime.size < maxBars) {
+    const pageSize = Math.min(PAGE_SIZE, maxBars - candlesByTime.size);
+    const page = await dataService.getHistoricalData(symbol, currency, timeframe, pageSize, { toTime });
+    
+    // Providers pad history from before a coin was listed with empty bars
+    const validBars = page.filter(candle => candle.close > 0 && new Date(candle.time).getTime() <= toTime);
+    
+    if (validBars.length === 0) break;
+    
+    validBars.forEach(candle => candlesByTime.set(new Date(candle.time).getTime(), candle));
+    
+    const oldestTime = new Date(validBars[0].time).getTime();
+    
+    // Reached the requested start or the beginning of the provider's history
+    if ((since !== undefined && oldestTime <= since) || validBars.length < pageSize) break;
+    
+    toTime = oldestTime - 1;
+  }
+  
+  return [...candlesByTime.entries()]
+    .filter(([time]) => since === undefined || time >= since)
+    .sort((a, b) => a[0] - b[0])
+    .map(([, candle]) => candle);
+};
+
+/**
+ * Insert or update candles for a series
+ * 
+ * @param {Object} series - Series key (provider, symbol, currency, timeframe)
+ * @param {Array} candles - Candles to store
+ * @returns {Promise<number>} Number of candles written
+ */
+const saveCandles = async (series, candles) => {
+  if (candles.length === 0) return 0;
+  
+  const operations = candles.map(candle => ({
+    updateOne: {
+      filter: { ...series, time: new Date(candle.time) },
+      update: {
+        $set: {
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume
+        }
+      },
+      upsert: true
+    }
+  }));
+  
+  await Candle.bulkWrite(operations, { ordered: false });
+  
+  return candles.length;
+};
+
+/**
+ * Build the key identifying a stored candle series
+ */
+const getSeriesKey = (dataService, symbol, currency, timeframe) => ({
+  provider: dataService.provider,
+  symbol: symbol.toUpperCase(),
+  currency: currency.toUpperCase(),
+  timeframe
+});
+
+/**
+ * Sync a candle series with the provider
+ * Only bars from the last stored one onwards are fetched; the last stored bar
+ * is refetched because it may have been stored while still in progress
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @returns {Promise<number>} Number of candles written
+ */
+const syncCandles = async (dataService, symbol, currency = 'USDT', timeframe = 'hour') => {
+  try {
+    const series = getSeriesKey(dataService, symbol, currency, timeframe);
+    const lastCandle = await Candle.findOne(series).sort({ time: -1 }).lean();
+    
+    let candles;
+    
+    if (lastCandle) {
+      const since = lastCandle.time.getTime();
+      const barsMissing = Math.ceil((Date.now() - since) / getTimeframeMs(timeframe)) + 1;
+      
+      candles = await fetchCandles(dataService, symbol, currency, timeframe, {
+        since,
+        maxBars: barsMissing
+      });
+    } else {
+      candles = await fetchCandles(dataService, symbol, currency, timeframe);
+    }
+    
+    return saveCandles(series, candles);
+  } catch (error) {
+    console.error(`Error syncing ${timeframe} candles for ${symbol}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Backfill a candle series further into the past than the initial sync
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @param {Date|string} since - Earliest bar to load
+ * @returns {Promise<number>} Number of candles written
+ */
+const backfillCandles = async (dataService, symbol, currency, timeframe, since) => {
+  try {
+    const series = getSeriesKey(dataService, symbol, currency, timeframe);
+    const firstCandle = await Candle.findOne(series).sort({ time: 1 }).lean();
+    const sinceTime = new Date(since).getTime();
+    const untilTime = firstCandle ? firstCandle.time.getTime() - 1 : Date.now();
+    
+    if (sinceTime >= untilTime) return 0;
+    
+    const candles = await fetchCandles(dataService, symbol, currency, timeframe, {
+      since: sinceTime,
+      until: untilTime,
+      maxBars: Math.ceil((untilTime - sinceTime) / getTimeframeMs(timeframe)) + 1
+    });
+    
+    return saveCandles(series, candles);
+  } catch (error) {
+    console.error(`Error backfilling ${timeframe} candles for ${symbol}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Read stored candles for a series
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Return only the most recent bars
+ * @param {Date|string} options.from - Earliest bar time
+ * @param {Date|string} options.to - Latest bar time
+ * @returns {Promise<Array>} Candles in ascending time order
+ */
+const getCandles = async (dataService, symbol, currency, timeframe, options = {}) => {
+  const query = getSeriesKey(dataService, symbol, currency, timeframe);
+  
+  if (options.from || options.to) {
+    query.time = {};
+    if (options.from) query.time.$gte = new Date(options.from);
+    if (options.to) query.time.$lte = new Date(options.to);
+  }
+  
+  let cursor = Candle.find(query).sort({ time: -1 });
+  
+  if (options.limit) {
+    cursor = cursor.limit(options.limit);
+  }
+  
+  const candles = await cursor.lean();
+  
+  // Format data like the providers do
+  return candles.reverse().map(candle => ({
+    time: candle.time.toISOString(),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume
+  }));
+};
+
+/**
+ * Sync a series and return its most recent candles
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @param {number} limit - Number of data points
+ * @param {Object} options - Request options
+ * @param {number} options.toTime - Return bars up to this timestamp (ms) instead of now
+ * @returns {Promise<Array>} Historical OHLCV data
+ */
+const getHistoricalData = async (dataService, symbol, currency = 'USDT', timeframe = 'hour', limit = 500, options = {}) => {
+  if (options.toTime) {
+    const from = options.toTime - (limit - 1) * getTimeframeMs(timeframe);
+    const candles = await getCandleRange(dataService, symbol, currency, timeframe, from, options.toTime);
+    
+    return candles.slice(-limit);
+  }
+  
+  await syncCandles(dataService, symbol, currency, timeframe);
+  return getCandles(dataService, symbol, currency, timeframe, { limit });
+};
+
+/**
+ * Get the candles of a series between two dates
+ * Through the store the series is backfilled to the start date and synced
+ * first; with the store disabled the range is fetched from the provider
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @param {Date|string} from - Earliest bar time
+ * @param {Date|string} to - Latest bar time
+ * @returns {Promise<Array>} Candles in ascending time order
+ */
+const getCandleRange = async (dataService, symbol, currency, timeframe, from, to) => {
+  const since = new Date(from).getTime();
+  const until = Math.min(new Date(to).getTime(), Date.now());
+  
+  if (!isStoreEnabled()) {
+    return fetchCandles(dataService, symbol, currency, timeframe, {
+      since,
+      until,
+      maxBars: Math.ceil((until - since) / getTimeframeMs(timeframe)) + 1
+    });
+  }
+  
+  await backfillCandles(dataService, symbol, currency, timeframe, since);
+  await syncCandles(dataService, symbol, currency, timeframe);
+  
+  return getCandles(dataService, symbol, currency, timeframe, { from: since, to: until });
+};
+
+/**
+ * Get multiple timeframes of data for a cryptocurrency from the store
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string|Array} profile - Timeframe profile name or definition
+ * @returns {Promise<Object>} Data for each timeframe in the profile
+ */
+const getMultiTimeframeData = async (dataService, symbol, currency = 'USDT', profile) => {
+  try {
+    return await loadTimeframeData(
+      (...args) => getHistoricalData(dataService, ...args),
+      symbol,
+      currency,
+      profile
+    );
+  } catch (error) {
+    console.error('Error reading multi-timeframe data from candle store:', error);
+    throw error;
+  }
+};
+
+/**
+ * Wrap a market data service so historical reads go through the candle store
+ * 
+ * @param {Object} dataService - Market data service
+ * @returns {Object} Market data service backed by the candle store
+ */
+const withCandleStore = (dataService) => {
+  if (!isStoreEnabled()) return dataService;
+  
+  return {
+    ...dataService,
+    getHistoricalData: (symbol, currency, timeframe, limit, options) =>
+      getHistoricalData(dataService, symbol, currency, timeframe, limit, options),
+    getMultiTimeframeData: (symbol, currency, profile) =>
+      getMultiTimeframeData(dataService, symbol, currency, profile)
+  };
+};
+
+module.exports = {
+  syncCandles,
+  backfillCandles,
+  getCandles,
+  getCandleRange,
+  withCandleStore
+};
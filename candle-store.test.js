@@ -0,0 +1,119 @@
+/**
+ * Candle store tests
+ * The Candle model is replaced by an in-memory collection
+ */
+
+process.env.CANDLE_STORE_ENABLED = 'true';
+
+jest.mock('../models/Candle', () => {
+  let documents = [];
+  
+  const matches = (document, query) => Object.keys(query).every(key => {
+    if (key !== 'time') return document[key] === query[key];
+    
+    const time = document.time.getTime();
+    if (query.time instanceof Date) return time === query.time.getTime();
+    
+    return (!query.time.$gte || time >= query.time.$gte.getTime()) &&
+      (!query.time.$lte || time <= query.time.$lte.getTime());
+  });
+  
+  // Chainable query over the matching documents
+  const createQuery = (query, single) => {
+    let results = documents.filter(document => matches(document, query));
+    const chain = {
+      sort: ({ time }) => {
+        results = [...results].sort((a, b) => (a.time - b.time) * time);
+        return chain;
+      },
+      limit: (count) => {
+        results = results.slice(0, count);
+        return chain;
+      },
+      lean: async () => (single ? results[0] || null : results)
+    };
+    
+    return chain;
+  };
+  
+  return {
+    find: query => createQuery(query, false),
+    findOne: query => createQuery(query, true),
+    bulkWrite: async (operations) => {
+      operations.forEach(({ updateOne: { filter, update } }) => {
+        documents = documents.filter(document => !matches(document, filter));
+        documents.push({ ...filter, ...update.$set });
+      });
+    },
+    reset: () => {
+      documents = [];
+    }
+  };
+});
+
+const Candle = require('../models/Candle');
+const candleStore = require('../services/candleStore');
+const fixtureProvider = require('../services/fixtureProvider');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fixture provider that records the bars each request asks for
+const createDataService = () => ({
+  provider: 'fixture',
+  requests: [],
+  getHistoricalData(symbol, currency, timeframe, limit, options) {
+    this.requests.push({ timeframe, limit });
+    return fixtureProvider.getHistoricalData(symbol, currency, timeframe, limit, options);
+  }
+});
+
+describe('candle store', () => {
+  beforeEach(() => Candle.reset());
+  
+  it('syncs enough minute bars for the 15m and 30m timeframes', async () => {
+    const dataService = createDataService();
+    // Full pages of minute bars up to toTime
+    dataService.getHistoricalData = async function (symbol, currency, timeframe, limit, { toTime }) {
+      this.requests.push({ timeframe, limit });
+      const lastTime = Math.floor(toTime / MINUTE_MS) * MINUTE_MS;
+      
+      return Array.from({ length: limit }, (_, index) => ({
+        time: new Date(lastTime - (limit - 1 - index) * MINUTE_MS).toISOString(),
+        open: 1,
+        high: 1,
+        low: 1,
+        close: 1,
+        volume: 1
+      }));
+    };
+    
+    const written = await candleStore.syncCandles(dataService, 'DOGE', 'USDT', 'minute');
+    
+    expect(dataService.requests).toEqual([
+      { timeframe: 'minute', limit: 1000 },
+      { timeframe: 'minute', limit: 1000 }
+    ]);
+    expect(written).toBe(2000);
+  });
+  
+  it('passes toTime through a wrapped data service', async () => {
+    const dataService = candleStore.withCandleStore(createDataService());
+    const toTime = new Date('2024-06-01T00:00:00.000Z').getTime();
+    
+    const candles = await dataService.getHistoricalData('DOGE', 'USDT', 'day', 10, { toTime });
+    
+    expect(candles).toHaveLength(10);
+    expect(candles[9].time).toBe('2024-06-01T00:00:00.000Z');
+    expect(new Date(candles[0].time).getTime()).toBe(toTime - 9 * DAY_MS);
+  });
+  
+  it('returns the most recent bars without toTime', async () => {
+    const dataService = candleStore.withCandleStore(createDataService());
+    
+    const candles = await dataService.getHistoricalData('DOGE', 'USDT', 'day', 10);
+    
+    expect(candles).toHaveLength(10);
+    expect(candles[9].time).toBe('2024-06-30T00:00:00.000Z');
+  });
+});
@@ -0,0 +1,534 @@
+/**
+ * Chart pattern recognition for crypto breakout screening
+ * Detects classical bullish continuation and reversal patterns from swing
+ * points. Every pattern reports its boundaries, breakout level,
+ * measured-move target and a 0-100 quality score.
+ */
+
+const { findSwingHighs, findSwingLows } = require('./priceLevels');
+
+const PATTERN_NAMES = {
+  ascendingTriangle: 'Ascending Triangle',
+  descendingTriangle: 'Descending Triangle',
+  symmetricalTriangle: 'Symmetrical Triangle',
+  rectangle: 'Rectangle',
+  bullFlag: 'Bull Flag',
+  pennant: 'Pennant',
+  cupAndHandle: 'Cup and Handle',
+  doubleBottom: 'Double Bottom',
+  inverseHeadAndShoulders: 'Inverse Head and Shoulders'
+};
+
+/**
+ * Resolve pattern detection options to a full configuration
+ */
+const getPatternConfig = (options = {}) => ({
+  swingStrength: options.swingStrength || 3,
+  // Slope (fraction of price per bar) below which a boundary counts as flat
+  flatSlope: options.flatSlope || 0.001,
+  minPatternBars: options.minPatternBars || 10,
+  // Breakouts older than this many bars are no longer reported
+  maxBreakoutBars: options.maxBreakoutBars || 3,
+  minPoleGain: options.minPoleGain || 0.08,
+  maxPoleBars: options.maxPoleBars || 15,
+  minFlagBars: options.minFlagBars || 3,
+  maxFlagBars: options.maxFlagBars || 20,
+  minCupBars: options.minCupBars || 15,
+  minCupDepth: options.minCupDepth || 0.10,
+  maxCupDepth: options.maxCupDepth || 0.50,
+  rimTolerance: options.rimTolerance || 0.05,
+  bottomTolerance: options.bottomTolerance || 0.03,
+  minBottomDepth: options.minBottomDepth || 0.05,
+  shoulderTolerance: options.shoulderTolerance || 0.05
+});
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Fit a least-squares line through points { index, price }
+ */
+const fitLine = (points) => {
+  const n = points.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+  
+  points.forEach(({ index, price }) => {
+    sumX += index;
+    sumY += price;
+    sumXY += index * price;
+    sumXX += index * index;
+  });
+  
+  const denominator = n * sumXX - sumX * sumX;
+  const slope = denominator === 0 ? 0 : (n * sumXY - sumX * sumY) / denominator;
+  const intercept = (sumY - slope * sumX) / n;
+  
+  return {
+    slope,
+    valueAt: (index) => intercept + slope * index,
+    // Mean absolute distance of the points from the line
+    error: points.reduce((sum, { index, price }) => sum + Math.abs(price - (intercept + slope * index)), 0) / n
+  };
+};
+
+/**
+ * Classify a line slope relative to price as rising, falling or flat
+ */
+const getSlopeDirection = (line, price, config) => {
+  const slope = line.slope / price;
+  
+  if (slope > config.flatSlope) return 'rising';
+  if (slope < -config.flatSlope) return 'falling';
+  return 'flat';
+};
+
+const highest = (data, start, end) => {
+  let index = start;
+  for (let i = start + 1; i <= end; i++) {
+    if (data[i].high > data[index].high) index = i;
+  }
+  return index;
+};
+
+const lowest = (data, start, end) => {
+  let index = start;
+  for (let i = start + 1; i <= end; i++) {
+    if (data[i].low < data[index].low) index = i;
+  }
+  return index;
+};
+
+const toPoint = (data, index, price) => ({ time: data[index].time, price });
+
+// Boundary line drawn from startIndex to the latest bar
+const toLine = (data, name, line, startIndex) => ({
+  name,
+  points: [
+    toPoint(data, startIndex, line.valueAt(startIndex)),
+    toPoint(data, data.length - 1, line.valueAt(data.length - 1))
+  ]
+});
+
+/**
+ * Where the latest close stands against the breakout line
+ * Returns 'forming' below the line, 'breakout' when the close crossed it within
+ * maxBreakoutBars bars, and null for older breakouts
+ */
+const getBreakoutStatus = (data, levelAt, startIndex, config) => {
+  const last = data.length - 1;
+  
+  if (data[last].close <= levelAt(last)) return 'forming';
+  
+  for (let i = last - 1; i >= Math.max(startIndex, last - config.maxBreakoutBars); i--) {
+    if (data[i].close <= levelAt(i)) return 'breakout';
+  }
+  
+  return null;
+};
+
+/**
+ * Assemble a detected pattern, dropping stale, completed or invalidated ones
+ * 
+ * @param {Array} data - OHLC data the pattern was found in
+ * @param {string} type - Pattern type (key of PATTERN_NAMES)
+ * @param {Object} pattern - { startIndex, boundaries, levelAt, height, invalidation, quality }
+ * @param {Object} config - Pattern configuration
+ * @returns {Object|null} Pattern
+ */
+const buildPattern = (data, type, pattern, config) => {
+  const last = data.length - 1;
+  const close = data[last].close;
+  const status = getBreakoutStatus(data, pattern.levelAt, pattern.startIndex, config);
+  
+  if (!status || pattern.height <= 0) return null;
+  
+  const breakoutLevel = pattern.levelAt(last);
+  const target = breakoutLevel + pattern.height;
+  
+  // Target already reached or pattern low lost
+  if (close >= target || close < pattern.invalidation) return null;
+  
+  return {
+    type,
+    name: PATTERN_NAMES[type],
+    status,
+    startTime: data[pattern.startIndex].time,
+    endTime: data[last].time,
+    boundaries: pattern.boundaries,
+    breakoutLevel,
+    target,
+    targetPercent: ((target - close) / close) * 100,
+    quality: Math.round(clamp(pattern.quality) * 100)
+  };
+};
+
+/**
+ * Detect triangles and rectangles from the latest swing highs and lows
+ */
+const detectTriangles = (data, swings, config) => {
+  const highs = swings.highs.slice(-4);
+  const lows = swings.lows.slice(-4);
+  
+  if (highs.length < 2 || lows.length < 2) return [];
+  
+  const last = data.length - 1;
+  const startIndex = Math.min(highs[0], lows[0]);
+  const endIndex = Math.max(highs[highs.length - 1], lows[lows.length - 1]);
+  
+  if (endIndex - startIndex < config.minPatternBars) return [];
+  
+  const upper = fitLine(highs.map(index => ({ index, price: data[index].high })));
+  const lower = fitLine(lows.map(index => ({ index, price: data[index].low })));
+  const height = upper.valueAt(startIndex) - lower.valueAt(startIndex);
+  
+  // Lines must not have crossed yet
+  if (height <= 0 || upper.valueAt(last) <= lower.valueAt(last)) return [];
+  
+  // Closes between the touches must stay within the boundaries
+  const margin = height * 0.1;
+  for (let i = startIndex; i <= endIndex; i++) {
+    if (data[i].close > upper.valueAt(i) + margin || data[i].close < lower.valueAt(i) - margin) return [];
+  }
+  
+  const price = data[endIndex].close;
+  const upperDirection = getSlopeDirection(upper, price, config);
+  const lowerDirection = getSlopeDirection(lower, price, config);
+  
+  let type = null;
+  if (upperDirection === 'flat' && lowerDirection === 'rising') type = 'ascendingTriangle';
+  else if (upperDirection === 'falling' && lowerDirection === 'flat') type = 'descendingTriangle';
+  else if (upperDirection === 'falling' && lowerDirection === 'rising') type = 'symmetricalTriangle';
+  else if (upperDirection === 'flat' && lowerDirection === 'flat') type = 'rectangle';
+  
+  if (!type) return [];
+  
+  const touches = highs.length + lows.length;
+  const fit = 1 - ((upper.error + lower.error) / 2) / (height * 0.1);
+  
+  const pattern = buildPattern(data, type, {
+    startIndex,
+    boundaries: [
+      toLine(data, 'resistance', upper, startIndex),
+      toLine(data, 'support', lower, startIndex)
+    ],
+    levelAt: upper.valueAt,
+    height,
+    invalidation: Math.min(...lows.map(index => data[index].low)),
+    quality: 0.4 * clamp((touches - 2) / 4) + 0.4 * clamp(fit) + 0.2 * clamp((endIndex - startIndex) / 40)
+  }, config);
+  
+  return pattern ? [pattern] : [];
+};
+
+/**
+ * Detect bull flags and pennants: a sharp rally followed by a short, shallow
+ * consolidation that is either parallel (flag) or converging (pennant)
+ */
+const detectFlags = (data, config) => {
+  const last = data.length - 1;
+  const earliestTop = last - config.maxFlagBars;
+  const latestTop = last - config.minFlagBars;
+  
+  if (earliestTop - config.maxPoleBars < 0) return [];
+  
+  // Pole top, with no higher high during the consolidation
+  const top = highest(data, earliestTop, latestTop);
+  if (highest(data, top, last - 1) !== top) return [];
+  
+  const poleStart = lowest(data, top - config.maxPoleBars, top - 1);
+  const poleHeight = data[top].high - data[poleStart].low;
+  const poleGain = poleHeight / data[poleStart].low;
+  
+  if (poleGain < config.minPoleGain) return [];
+  
+  // Consolidation bars, excluding the latest bar that may be breaking out
+  const flagBars = [];
+  for (let i = top; i < last; i++) flagBars.push(i);
+  
+  const flagLow = data[lowest(data, top, last - 1)].low;
+  const retracement = (data[top].high - flagLow) / poleHeight;
+  
+  if (retracement > 0.5) return [];
+  
+  const upper = fitLine(flagBars.map(index => ({ index, price: data[index].high })));
+  const lower = fitLine(flagBars.map(index => ({ index, price: data[index].low })));
+  const flagHeight = upper.valueAt(top) - lower.valueAt(top);
+  
+  if (flagHeight <= 0) return [];
+  
+  const price = data[top].high;
+  const upperDirection = getSlopeDirection(upper, price, config);
+  const lowerDirection = getSlopeDirection(lower, price, config);
+  
+  let type = null;
+  if (upperDirection === 'falling' && lowerDirection === 'rising') {
+    type = 'pennant';
+  } else if (upperDirection !== 'rising' && lowerDirection !== 'rising' &&
+             Math.abs(upper.slope - lower.slope) / price <= config.flatSlope * 2) {
+    type = 'bullFlag';
+  }
+  
+  if (!type) return [];
+  
+  const fit = 1 - ((upper.error + lower.error) / 2) / (flagHeight * 0.25);
+  
+  const pattern = buildPattern(data, type, {
+    startIndex: poleStart,
+    boundaries: [
+      {
+        name: 'pole',
+        points: [toPoint(data, poleStart, data[poleStart].low), toPoint(data, top, data[top].high)]
+      },
+      toLine(data, 'resistance', upper, top),
+      toLine(data, 'support', lower, top)
+    ],
+    levelAt: upper.valueAt,
+    height: poleHeight,
+    invalidation: flagLow,
+    quality: 0.4 * clamp(poleGain / (config.minPoleGain * 2)) + 0.3 * clamp(1 - retracement / 0.5) + 0.3 * clamp(fit)
+  }, config);
+  
+  return pattern ? [pattern] : [];
+};
+
+/**
+ * Detect cup-and-handle patterns: two rims at similar highs around a rounded
+ * bottom, followed by a shallow handle below the right rim
+ */
+const detectCupAndHandle = (data, swings, config) => {
+  const last = data.length - 1;
+  let best = null;
+  
+  swings.highs.forEach(right => {
+    // Handle must exist and be shorter than half the cup
+    const highestAfterRim = right < last - 1 ? data[highest(data, right + 1, last - 1)].high : -Infinity;
+    if (right >= last || highestAfterRim > data[right].high) return;
+    
+    swings.highs.forEach(left => {
+      const cupBars = right - left;
+      if (cupBars < config.minCupBars || last - right > cupBars / 2) return;
+      
+      const rim = Math.min(data[left].high, data[right].high);
+      const rimDifference = Math.abs(data[right].high - data[left].high) / data[left].high;
+      if (rimDifference > config.rimTolerance) return;
+      
+      // Cup must stay below the rims
+      if (data[highest(data, left + 1, right - 1)].high > Math.max(data[left].high, data[right].high)) return;
+      
+      const bottom = lowest(data, left + 1, right - 1);
+      const depth = rim - data[bottom].low;
+      if (depth / rim < config.minCupDepth || depth / rim > config.maxCupDepth) return;
+      
+      // Rounded rather than V-shaped: bottom near the middle, time spent near it
+      const bottomPosition = (bottom - left) / cupBars;
+      if (bottomPosition < 0.25 || bottomPosition > 0.75) return;
+      
+      let barsNearBottom = 0;
+      for (let i = left + 1; i < right; i++) {
+        if (data[i].low <= data[bottom].low + depth / 2) barsNearBottom++;
+      }
+      const roundness = clamp((barsNearBottom / cupBars) / 0.3);
+      
+      // Handle stays in the upper half of the cup
+      const handleLow = right < last - 1 ? data[lowest(data, right + 1, last - 1)].low : data[right].high;
+      const handleRetracement = (data[right].high - handleLow) / depth;
+      if (handleRetracement > 0.5) return;
+      
+      const level = data[right].high;
+      const pattern = buildPattern(data, 'cupAndHandle', {
+        startIndex: left,
+        boundaries: [
+          {
+            name: 'cup',
+            points: [
+              toPoint(data, left, data[left].high),
+              toPoint(data, bottom, data[bottom].low),
+              toPoint(data, right, data[right].high)
+            ]
+          },
+          {
+            name: 'resistance',
+            points: [toPoint(data, left, level), toPoint(data, last, level)]
+          }
+        ],
+        levelAt: () => level,
+        height: depth,
+        invalidation: handleLow - depth * 0.25,
+        quality: 0.35 * clamp(1 - rimDifference / config.rimTolerance) +
+                 0.35 * roundness +
+                 0.3 * clamp(1 - handleRetracement / 0.5)
+      }, config);
+      
+      if (pattern && (!best || pattern.quality > best.quality)) best = pattern;
+    });
+  });
+  
+  return best ? [best] : [];
+};
+
+/**
+ * Detect double bottoms: two similar lows separated by a peak (the neckline)
+ */
+const detectDoubleBottom = (data, swings, config) => {
+  const last = data.length - 1;
+  const lows = swings.lows;
+  if (lows.length < 2) return [];
+  
+  // Second bottom is the latest swing low
+  const second = lows[lows.length - 1];
+  let best = null;
+  
+  lows.slice(0, -1).forEach(first => {
+    if (second - first < config.minPatternBars / 2) return;
+    
+    const lowDifference = Math.abs(data[second].low - data[first].low) / data[first].low;
+    if (lowDifference > config.bottomTolerance) return;
+    
+    const bottomLow = Math.min(data[first].low, data[second].low);
+    
+    // Neither bottom undercut between or after them
+    if (data[lowest(data, first, last)].low < bottomLow) return;
+    
+    const neck = highest(data, first + 1, second - 1);
+    const neckline = data[neck].high;
+    const depth = (neckline - Math.max(data[first].low, data[second].low)) / neckline;
+    if (depth < config.minBottomDepth) return;
+    
+    const pattern = buildPattern(data, 'doubleBottom', {
+      startIndex: first,
+      boundaries: [
+        {
+          name: 'pattern',
+          points: [
+            toPoint(data, first, data[first].low),
+            toPoint(data, neck, neckline),
+            toPoint(data, second, data[second].low)
+          ]
+        },
+        {
+          name: 'neckline',
+          points: [toPoint(data, first, neckline), toPoint(data, last, neckline)]
+        }
+      ],
+      levelAt: () => neckline,
+      height: neckline - (data[first].low + data[second].low) / 2,
+      invalidation: bottomLow,
+      quality: 0.4 * clamp(1 - lowDifference / config.bottomTolerance) +
+               0.4 * clamp(depth / (config.minBottomDepth * 3)) +
+               0.2 * clamp((second - first) / 30)
+    }, config);
+    
+    if (pattern && (!best || pattern.quality > best.quality)) best = pattern;
+  });
+  
+  return best ? [best] : [];
+};
+
+/**
+ * Detect inverse head-and-shoulders: a low (head) between two higher, similar
+ * lows (shoulders), with a neckline through the peaks between them
+ */
+const detectInverseHeadAndShoulders = (data, swings, config) => {
+  const last = data.length - 1;
+  const lows = swings.lows.slice(-6);
+  let best = null;
+  
+  // Right shoulder is one of the two latest swing lows
+  for (let r = Math.max(2, lows.length - 2); r < lows.length; r++) {
+    for (let h = 1; h < r; h++) {
+      for (let l = 0; l < h; l++) {
+        const [leftShoulder, head, rightShoulder] = [lows[l], lows[h], lows[r]];
+        const headLow = data[head].low;
+        
+        if (headLow >= data[leftShoulder].low || headLow >= data[rightShoulder].low) continue;
+        if (rightShoulder - leftShoulder < config.minPatternBars) continue;
+        if (head - leftShoulder < 2 || rightShoulder - head < 2) continue;
+        
+        const shoulderDifference = Math.abs(data[rightShoulder].low - data[leftShoulder].low) / data[leftShoulder].low;
+        if (shoulderDifference > config.shoulderTolerance) continue;
+        
+        // Head must be the lowest point of the pattern so far
+        if (data[lowest(data, leftShoulder, last)].low < headLow) continue;
+        
+        const leftPeak = highest(data, leftShoulder + 1, head - 1);
+        const rightPeak = highest(data, head + 1, rightShoulder - 1);
+        const neckline = fitLine([
+          { index: leftPeak, price: data[leftPeak].high },
+          { index: rightPeak, price: data[rightPeak].high }
+        ]);
+        
+        // Head clearly below the shoulders, neckline clearly above them
+        const shoulderLow = Math.min(data[leftShoulder].low, data[rightShoulder].low);
+        const shoulderHigh = Math.max(data[leftShoulder].low, data[rightShoulder].low);
+        if ((shoulderLow - headLow) / shoulderLow < config.bottomTolerance) continue;
+        if ((neckline.valueAt(head) - shoulderHigh) / neckline.valueAt(head) < config.minBottomDepth) continue;
+        
+        const timeSymmetry = Math.min(head - leftShoulder, rightShoulder - head) /
+                             Math.max(head - leftShoulder, rightShoulder - head);
+        const neckSlope = Math.abs(neckline.slope) / neckline.valueAt(head);
+        
+        const pattern = buildPattern(data, 'inverseHeadAndShoulders', {
+          startIndex: leftShoulder,
+          boundaries: [
+            {
+              name: 'pattern',
+              points: [
+                toPoint(data, leftShoulder, data[leftShoulder].low),
+                toPoint(data, leftPeak, data[leftPeak].high),
+                toPoint(data, head, headLow),
+                toPoint(data, rightPeak, data[rightPeak].high),
+                toPoint(data, rightShoulder, data[rightShoulder].low)
+              ]
+            },
+            toLine(data, 'neckline', neckline, leftPeak)
+          ],
+          levelAt: neckline.valueAt,
+          height: neckline.valueAt(head) - headLow,
+          invalidation: headLow,
+          quality: 0.4 * clamp(1 - shoulderDifference / config.shoulderTolerance) +
+                   0.3 * clamp(timeSymmetry) +
+                   0.3 * clamp(1 - neckSlope / (config.flatSlope * 5))
+        }, config);
+        
+        if (pattern && (!best || pattern.quality > best.quality)) best = pattern;
+      }
+    }
+  }
+  
+  return best ? [best] : [];
+};
+
+/**
+ * Detect chart patterns in OHLC data
+ * Only patterns that are still forming or broke out within the last
+ * maxBreakoutBars bars are returned
+ * 
+ * @param {Array} data - OHLC data, oldest first
+ * @param {Object} options - Detection options
+ * @returns {Array} Patterns sorted by quality (best first)
+ */
+const detectChartPatterns = (data, options = {}) => {
+  const config = getPatternConfig(options);
+  
+  if (data.length < config.minPatternBars + config.swingStrength * 2) return [];
+  
+  const swings = {
+    highs: findSwingHighs(data.map(d => d.high), config.swingStrength),
+    lows: findSwingLows(data.map(d => d.low), config.swingStrength)
+  };
+  
+  return [
+    ...detectTriangles(data, swings, config),
+    ...detectFlags(data, config),
+    ...detectCupAndHandle(data, swings, config),
+    ...detectDoubleBottom(data, swings, config),
+    ...detectInverseHeadAndShoulders(data, swings, config)
+  ].sort((a, b) => b.quality - a.quality);
+};
+
+module.exports = {
+  PATTERN_NAMES,
+  detectChartPatterns
+};
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import axios from 'axios';
 import { toast } from 'react-toastify';
 import { createChart } from 'lightweight-charts';
@@ -7,12 +7,50 @@ import { createChart } from 'lightweight-charts';
 // API URL
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Timeframe profile saved in user settings
+const getDefaultTimeframeProfile = () => {
+  try {
+    const savedSettings = JSON.parse(localStorage.getItem('userSettings'));
+    return savedSettings?.defaultTimeframeProfile || 'intraday';
+  } catch (error) {
+    return 'intraday';
+  }
+};
+
+// Leverage saved in user settings, for the backtest's margin simulation
+const getPreferredLeverage = () => {
+  try {
+    const savedSettings = JSON.parse(localStorage.getItem('userSettings'));
+    return savedSettings?.preferredLeverage || 1;
+  } catch (error) {
+    return 1;
+  }
+};
+
+// Colors used to draw chart patterns, best pattern first
+const PATTERN_COLORS = ['#FFC107', '#00BCD4', '#E040FB', '#FF7043'];
+
+// Trade plan stop methods and target sources
+const PLAN_LABELS = {
+  atr: 'ATR multiple',
+  consolidation: 'consolidation range',
+  swing: 'last swing point',
+  breakoutLevel: 'breakout level',
+  riskReward: 'Risk/reward target',
+  rMultiple: 'R-multiple',
+  resistance: 'Resistance zone',
+  support: 'Support zone'
+};
+
 const CoinDetails = ({ setLoading }) => {
   const { symbol } = useParams();
+  const [searchParams] = useSearchParams();
+  const direction = searchParams.get('direction') || 'long';
   const [analysisData, setAnalysisData] = useState(null);
-  const [timeframe, setTimeframe] = useState('4h');
+  const [timeframe, setTimeframe] = useState(null);
   const chartContainerRef = useRef(null);
   const [chartInstance, setChartInstance] = useState(null);
+  const seriesRef = useRef([]);
   
   // Fetch coin analysis data on component mount
   useEffect(() => {
@@ -24,7 +62,7 @@ const CoinDetails = ({ setLoading }) => {
         chartInstance.remove();
       }
     };
-  }, [symbol]);
+  }, [symbol, direction]);
   
   // Initialize chart when container ref and data are available
   useEffect(() => {
@@ -46,11 +84,17 @@ const CoinDetails = ({ setLoading }) => {
       setLoading(true);
       
       // Call API for detailed analysis
-      const response = await axios.get(`${API_URL}/screener/analyze/${symbol}/USDT`);
+      const response = await axios.get(`${API_URL}/screener/analyze/${symbol}/USDT`, {
+        params: { timeframeProfile: getDefaultTimeframeProfile(), direction, leverage: getPreferredLeverage() }
+      });
       
       // Check for success
       if (response.data.success) {
         setAnalysisData(response.data);
+        
+        // Start on the middle timeframe of the profile
+        const profileTimeframes = Object.keys(response.data.candles || {});
+        setTimeframe(profileTimeframes[Math.floor(profileTimeframes.length / 2)] || null);
       } else {
         toast.error(`Failed to analyze ${symbol}. Please try again.`);
       }
@@ -86,13 +130,13 @@ const CoinDetails = ({ setLoading }) => {
     });
     
     // Add price series
-    chart.addCandlestickSeries({
+    seriesRef.current = [chart.addCandlestickSeries({
       upColor: '#4CAF50',
       downColor: '#F44336',
       borderVisible: false,
       wickUpColor: '#4CAF50',
       wickDownColor: '#F44336'
-    });
+    })];
     
     // Handle window resize
     const handleResize = () => {
@@ -112,7 +156,8 @@ const CoinDetails = ({ setLoading }) => {
     if (!chartInstance || !analysisData) return;
     
     // Clear existing series
-    chartInstance.removeSeries();
+    seriesRef.current.forEach(series => chartInstance.removeSeries(series));
+    seriesRef.current = [];
     
     // Add candlestick series
     const candleSeries = chartInstance.addCandlestickSeries({
@@ -122,22 +167,11 @@ const CoinDetails = ({ setLoading }) => {
       wickUpColor: '#4CAF50',
       wickDownColor: '#F44336'
     });
+    seriesRef.current.push(candleSeries);
     
     // Get data for selected timeframe
-    let ohlcData;
-    switch (timeframe) {
-      case '1h':
-        ohlcData = analysisData.signal.hourlyData;
-        break;
-      case '4h':
-        ohlcData = analysisData.signal.fourHourData;
-        break;
-      case '1d':
-        ohlcData = analysisData.signal.dailyData;
-        break;
-      default:
-        ohlcData = analysisData.signal.fourHourData;
-    }
+    const ohlcData = analysisData.candles?.[timeframe] || [];
+    if (ohlcData.length === 0) return;
     
     // Format data for chart
     const formattedData = ohlcData.map(candle => ({
@@ -173,6 +207,38 @@ const CoinDetails = ({ setLoading }) => {
     
     // Set volume data
     volumeSeries.setData(volumeData);
+    seriesRef.current.push(volumeSeries);
+    
+    // Draw chart patterns detected on this timeframe
+    (analysisData.patterns?.[timeframe] || []).forEach((pattern, index) => {
+      const color = PATTERN_COLORS[index % PATTERN_COLORS.length];
+      
+      pattern.boundaries.forEach(boundary => {
+        const lineSeries = chartInstance.addLineSeries({
+          color,
+          lineWidth: 2,
+          priceLineVisible: false,
+          lastValueVisible: false,
+          crosshairMarkerVisible: false
+        });
+        
+        lineSeries.setData(boundary.points.map(point => ({
+          time: new Date(point.time).getTime() / 1000,
+          value: point.price
+        })));
+        seriesRef.current.push(lineSeries);
+      });
+      
+      // Measured-move target
+      candleSeries.createPriceLine({
+        price: pattern.target,
+        color,
+        lineWidth: 1,
+        lineStyle: 2,
+        axisLabelVisible: true,
+        title: `${pattern.name} target`
+      });
+    });
     
     // Add markers for signals
     if (analysisData.signal.signals && analysisData.signal.signals.length > 0) {
@@ -190,7 +256,7 @@ const CoinDetails = ({ setLoading }) => {
           position: 'aboveBar',
           color: '#2962FF',
           shape: 'arrowDown',
-          text: 'BREAKOUT'
+          text: direction === 'short' ? 'BREAKDOWN' : 'BREAKOUT'
         }
       ]);
     }
@@ -199,9 +265,9 @@ const CoinDetails = ({ setLoading }) => {
     chartInstance.timeScale().fitContent();
   };
   
-  // Calculate profit/loss percentage
+  // Calculate the size of a move from entry, for either direction
   const calculateProfitLoss = (entry, target) => {
-    return ((target - entry) / entry * 100).toFixed(2);
+    return (Math.abs(target - entry) / entry * 100).toFixed(2);
   };
   
   // Format timestamp
@@ -230,7 +296,7 @@ const CoinDetails = ({ setLoading }) => {
           {analysisData.signal.success ? (
             <div className="signal-card">
               <div className="signal-header">
-                <h2>Breakout Signal Detected</h2>
+                <h2>{analysisData.signal.direction} {analysisData.signal.signalType} Signal Detected</h2>
                 <div className="signal-confidence">
                   <span>Confidence: </span>
                   <div className="confidence-indicator large">
@@ -256,7 +322,7 @@ const CoinDetails = ({ setLoading }) => {
                     <span className="detail-label">Stop Loss</span>
                     <span className="detail-value">${analysisData.signal.stopLoss.toFixed(4)}</span>
                     <span className="detail-subvalue negative">
-                      {calculateProfitLoss(analysisData.signal.entryPrice, analysisData.signal.stopLoss)}%
+                      -{calculateProfitLoss(analysisData.signal.entryPrice, analysisData.signal.stopLoss)}%
                     </span>
                   </div>
                   <div className="detail-group">
@@ -288,12 +354,49 @@ const CoinDetails = ({ setLoading }) => {
                     <span className="detail-label">Signal Expiration</span>
                     <span className="detail-value">{formatTimestamp(analysisData.signal.expiresAt)}</span>
                   </div>
+                  {analysisData.signal.entries?.retest && (
+                    <div className="detail-group">
+                      <span className="detail-label">Retest Entry</span>
+                      <span className="detail-value">${analysisData.signal.entries.retest.price.toFixed(4)}</span>
+                      <span className="detail-subvalue">
+                        Stop ${analysisData.signal.entries.retest.stopLoss.toFixed(4)} / Target ${analysisData.signal.entries.retest.takeProfit.toFixed(4)}
+                      </span>
+                    </div>
+                  )}
                 </div>
               </div>
+              
+              {analysisData.signal.tradePlan && (
+                <div className="signals-table-container">
+                  <h3>Trade Plan (stop: {PLAN_LABELS[analysisData.signal.tradePlan.stopMethod]})</h3>
+                  <table className="signals-table">
+                    <thead>
+                      <tr>
+                        <th>Target</th>
+                        <th>Price</th>
+                        <th>R-Multiple</th>
+                        <th>Position %</th>
+                        <th>Source</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {analysisData.signal.tradePlan.targets.map((target, index) => (
+                        <tr key={target.price}>
+                          <td>TP{index + 1}</td>
+                          <td>${target.price.toFixed(4)}</td>
+                          <td>{target.rMultiple}R</td>
+                          <td>{target.sizePercent}%</td>
+                          <td>{target.pattern ? `${target.pattern} measured move` : PLAN_LABELS[target.source]}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
             </div>
           ) : (
             <div className="no-signal-card">
-              <h2>No Breakout Signal Detected</h2>
+              <h2>No {direction === 'short' ? 'Breakdown' : 'Breakout'} Signal Detected</h2>
               <p>
                 {analysisData.signal.message || 'This cryptocurrency does not currently meet the criteria for a high-probability breakout.'}
               </p>
@@ -305,24 +408,15 @@ const CoinDetails = ({ setLoading }) => {
             <div className="chart-header">
               <h2>Price Chart</h2>
               <div className="timeframe-selector">
-                <button 
-                  className={`tf-btn ${timeframe === '1h' ? 'active' : ''}`}
-                  onClick={() => setTimeframe('1h')}
-                >
-                  1H
-                </button>
-                <button 
-                  className={`tf-btn ${timeframe === '4h' ? 'active' : ''}`}
-                  onClick={() => setTimeframe('4h')}
-                >
-                  4H
-                </button>
-                <button 
-                  className={`tf-btn ${timeframe === '1d' ? 'active' : ''}`}
-                  onClick={() => setTimeframe('1d')}
-                >
-                  1D
-                </button>
+                {Object.keys(analysisData.candles || {}).map(tf => (
+                  <button 
+                    key={tf}
+                    className={`tf-btn ${timeframe === tf ? 'active' : ''}`}
+                    onClick={() => setTimeframe(tf)}
+                  >
+                    {tf}
+                  </button>
+                ))}
               </div>
             </div>
             <div 
@@ -341,20 +435,18 @@ const CoinDetails = ({ setLoading }) => {
               </div>
               <div className="metric-card">
                 <h3>Alignment Score</h3>
-                <p className="metric-value">{analysisData.signal.mtfAnalysis?.alignmentScore || 'N/A'}</p>
-              </div>
-              <div className="metric-card">
-                <h3>1H Score</h3>
-                <p className="metric-value">{analysisData.signal.mtfAnalysis?.hourlyScore || 'N/A'}</p>
-              </div>
-              <div className="metric-card">
-                <h3>4H Score</h3>
-                <p className="metric-value">{analysisData.signal.mtfAnalysis?.fourHourScore || 'N/A'}</p>
-              </div>
-              <div className="metric-card">
-                <h3>1D Score</h3>
-                <p className="metric-value">{analysisData.signal.mtfAnalysis?.dailyScore || 'N/A'}</p>
+                <p className="metric-value">
+                  {analysisData.signal.mtfAnalysis
+                    ? `${analysisData.signal.mtfAnalysis.alignmentScore} / ${analysisData.signal.mtfAnalysis.maxAlignmentScore}`
+                    : 'N/A'}
+                </p>
               </div>
+              {(analysisData.signal.mtfAnalysis?.timeframes || []).map(tf => (
+                <div key={tf.timeframe} className="metric-card">
+                  <h3>{tf.timeframe} Score</h3>
+                  <p className="metric-value">{tf.score}</p>
+                </div>
+              ))}
               <div className="metric-card">
                 <h3>Risk/Reward Ratio</h3>
                 <p className="metric-value">
@@ -379,6 +471,58 @@ const CoinDetails = ({ setLoading }) => {
             </div>
           )}
           
+          {/* Score Breakdown */}
+          {analysisData.scoreBreakdown?.[timeframe] && (
+            <div className="metrics-section">
+              <h2>
+                Score Breakdown ({timeframe}): {analysisData.scoreBreakdown[timeframe].score}/100
+                ({analysisData.scoreBreakdown[timeframe].rawScore} of {analysisData.scoreBreakdown[timeframe].maxScore} points)
+              </h2>
+              <div className="signals-table-container">
+                <table className="signals-table">
+                  <thead>
+                    <tr>
+                      <th>Condition</th>
+                      <th>Value</th>
+                      <th>Threshold</th>
+                      <th>Points</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {analysisData.scoreBreakdown[timeframe].conditions.map(condition => (
+                      <tr key={condition.key}>
+                        <td className={condition.passed ? 'positive' : condition.passed === false ? 'negative' : ''}>
+                          {condition.passed ? '✓' : condition.passed === false ? '✗' : '–'} {condition.label}
+                        </td>
+                        <td>{formatConditionValue(condition.value)}</td>
+                        <td>{formatConditionValue(condition.threshold)}</td>
+                        <td>{condition.passed === null ? 'Skipped' : `${condition.points} / ${condition.maxPoints}`}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+          
+          {/* Chart Patterns */}
+          {(analysisData.patterns?.[timeframe] || []).length > 0 && (
+            <div className="metrics-section">
+              <h2>Chart Patterns ({timeframe})</h2>
+              <div className="metrics-grid">
+                {analysisData.patterns[timeframe].map((pattern, index) => (
+                  <div key={index} className="metric-card">
+                    <h3 style={{ color: PATTERN_COLORS[index % PATTERN_COLORS.length] }}>{pattern.name}</h3>
+                    <p className="metric-value">{pattern.quality}/100</p>
+                    <p>{pattern.status === 'breakout' ? 'Breakout' : 'Forming'}</p>
+                    <p>Breakout: ${pattern.breakoutLevel.toFixed(4)}</p>
+                    <p>Target: ${pattern.target.toFixed(4)} (+{pattern.targetPercent.toFixed(2)}%)</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          
           {/* Backtest Results */}
           {analysisData.backtestResults && !analysisData.backtestResults.error && (
             <div className="backtest-section">
@@ -392,6 +536,11 @@ const CoinDetails = ({ setLoading }) => {
                   <p className="stat-detail">
                     {analysisData.backtestResults.winningTrades || 0} / {analysisData.backtestResults.totalTrades || 0} trades
                   </p>
+                  {analysisData.backtestResults.gross && (
+                    <p className="stat-detail">
+                      Gross: {analysisData.backtestResults.gross.winRate.toFixed(2)}%
+                    </p>
+                  )}
                 </div>
                 <div className="backtest-stat-card">
                   <h3>Avg. Profit</h3>
@@ -410,13 +559,67 @@ const CoinDetails = ({ setLoading }) => {
                   <p className="stat-value">
                     {analysisData.backtestResults.profitFactor ? analysisData.backtestResults.profitFactor.toFixed(2) : 'N/A'}
                   </p>
+                  {analysisData.backtestResults.payoffRatio !== undefined && (
+                    <p className="stat-detail">
+                      Payoff ratio: {analysisData.backtestResults.payoffRatio.toFixed(2)}
+                    </p>
+                  )}
                 </div>
                 <div className="backtest-stat-card">
                   <h3>Expectancy</h3>
                   <p className="stat-value">
                     {analysisData.backtestResults.expectancy ? analysisData.backtestResults.expectancy.toFixed(2) : 'N/A'}%
                   </p>
+                  {analysisData.backtestResults.gross && (
+                    <p className="stat-detail">
+                      Gross: {analysisData.backtestResults.gross.expectancy ? analysisData.backtestResults.gross.expectancy.toFixed(2) : 'N/A'}%
+                    </p>
+                  )}
                 </div>
+                {analysisData.backtestResults.metrics && !analysisData.backtestResults.metrics.error && (
+                  <div className="backtest-stat-card">
+                    <h3>Max Drawdown</h3>
+                    <p className="stat-value negative">
+                      -{analysisData.backtestResults.metrics.maxDrawdown.toFixed(2)}%
+                    </p>
+                    <p className="stat-detail">
+                      Sharpe {analysisData.backtestResults.metrics.sharpeRatio !== null ? analysisData.backtestResults.metrics.sharpeRatio.toFixed(2) : 'N/A'} / Exposure {analysisData.backtestResults.metrics.exposure.toFixed(1)}%
+                    </p>
+                  </div>
+                )}
+                {analysisData.backtestResults.averageCosts && (
+                  <div className="backtest-stat-card">
+                    <h3>Costs per Trade</h3>
+                    <p className="stat-value negative">
+                      {analysisData.backtestResults.averageCosts.total.toFixed(2)}%
+                    </p>
+                    <p className="stat-detail">
+                      Fees {analysisData.backtestResults.averageCosts.fees.toFixed(2)}% / Slippage {analysisData.backtestResults.averageCosts.slippage.toFixed(2)}% / Funding {analysisData.backtestResults.averageCosts.funding.toFixed(2)}%
+                    </p>
+                  </div>
+                )}
+                {analysisData.backtestResults.margin && (
+                  <div className="backtest-stat-card">
+                    <h3>Liquidations at {analysisData.backtestResults.leverage}x</h3>
+                    <p className={`stat-value ${analysisData.backtestResults.margin.liquidations > 0 ? 'negative' : ''}`}>
+                      {analysisData.backtestResults.margin.liquidations} / {analysisData.backtestResults.totalTrades || 0}
+                    </p>
+                    <p className="stat-detail">
+                      {analysisData.backtestResults.margin.stopsBeyondLiquidation} stops beyond liquidation / Avg. return on margin {analysisData.backtestResults.margin.averageReturnOnMargin.toFixed(2)}%
+                    </p>
+                  </div>
+                )}
+                {analysisData.backtestResults.entryTypes && (
+                  <div className="backtest-stat-card">
+                    <h3>Retest Win Rate</h3>
+                    <p className="stat-value">
+                      {analysisData.backtestResults.entryTypes.retest.totalTrades > 0 ? analysisData.backtestResults.entryTypes.retest.winRate.toFixed(2) : 'N/A'}%
+                    </p>
+                    <p className="stat-detail">
+                      {analysisData.backtestResults.entryTypes.retest.totalTrades} filled / {analysisData.backtestResults.entryTypes.retest.missedEntries} missed
+                    </p>
+                  </div>
+                )}
               </div>
             </div>
           )}
@@ -455,6 +658,19 @@ const CoinDetails = ({ setLoading }) => {
   );
 };
 
+// Helper function to format a score condition's value or threshold
+const formatConditionValue = (value) => {
+  if (value === null || value === undefined) return 'N/A';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(4);
+  if (typeof value === 'object') {
+    return Object.keys(value)
+      .map(key => `${key}: ${formatConditionValue(value[key])}`)
+      .join(', ');
+  }
+  return value;
+};
+
 // Helper function to get color based on confidence score
 const getConfidenceColor = (confidence) => {
   if (confidence >= 8.5) return '#4CAF50'; // Green
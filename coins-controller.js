@@ -3,7 +3,8 @@
  * Handles API requests related to cryptocurrency data
  */
 
-const cryptoCompareService = require('../services/cryptoCompareService');
+const marketDataService = require('../services/marketDataService');
+const candleStore = require('../services/candleStore');
 
 /**
  * Get list of cryptocurrencies under a specific price
@@ -17,11 +18,22 @@ const getCheapCryptocurrencies = async (req, res) => {
     const { 
       maxPrice = 1.0,
       limit = 100,
-      currency = 'USDT'
+      currency = 'USDT',
+      provider
     } = req.query;
     
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = marketDataService.getMarketDataService(provider);
+    
     // Get cryptocurrencies under price threshold
-    const cheapCryptos = await cryptoCompareService.getCryptocurrenciesUnderPrice(
+    const cheapCryptos = await dataService.getCryptocurrenciesUnderPrice(
       parseFloat(maxPrice),
       parseInt(limit),
       currency
@@ -55,10 +67,20 @@ const getCheapCryptocurrencies = async (req, res) => {
 const getByDFiCryptocurrencies = async (req, res) => {
   try {
     // Parse request parameters
-    const { currency = 'USDT' } = req.query;
+    const { currency = 'USDT', provider } = req.query;
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = marketDataService.getMarketDataService(provider);
     
     // Get cryptocurrencies available on ByDFi
-    const byDFiCryptos = await cryptoCompareService.getByDFiCryptocurrencies(currency);
+    const byDFiCryptos = await dataService.getByDFiCryptocurrencies(currency);
     
     // Return results
     res.json({
@@ -90,18 +112,29 @@ const getCheapByDFiCryptocurrencies = async (req, res) => {
     const { 
       maxPrice = 1.0,
       limit = 100,
-      currency = 'USDT'
+      currency = 'USDT',
+      provider
     } = req.query;
     
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = marketDataService.getMarketDataService(provider);
+    
     // Get cryptocurrencies under price threshold
-    const cheapCryptos = await cryptoCompareService.getCryptocurrenciesUnderPrice(
+    const cheapCryptos = await dataService.getCryptocurrenciesUnderPrice(
       parseFloat(maxPrice),
       parseInt(limit),
       currency
     );
     
     // Get cryptocurrencies available on ByDFi
-    const byDFiCryptos = await cryptoCompareService.getByDFiCryptocurrencies(currency);
+    const byDFiCryptos = await dataService.getByDFiCryptocurrencies(currency);
     const byDFiSymbols = byDFiCryptos.map(crypto => crypto.symbol);
     
     // Filter cheap cryptos to only include those available on ByDFi
@@ -139,11 +172,21 @@ const getCoinDetails = async (req, res) => {
     // Get parameters
     const { symbol, currency = 'USDT' } = req.params;
     
+    if (!marketDataService.hasProvider(req.query.provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${req.query.provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = marketDataService.getMarketDataService(req.query.provider);
+    
     // Get current prices
-    const prices = await cryptoCompareService.getCurrentPrices([symbol], currency);
+    const prices = await dataService.getCurrentPrices([symbol], currency);
     
     // Get historical data
-    const historicalData = await cryptoCompareService.getMultiTimeframeData(symbol, currency);
+    const historicalData = await dataService.getMultiTimeframeData(symbol, currency);
     
     // Return details
     res.json({
@@ -183,8 +226,18 @@ const getPriceHistory = async (req, res) => {
     // Get parameters
     const { symbol, currency = 'USDT', timeframe = 'hour', limit = 168 } = req.params;
     
+    if (!marketDataService.hasProvider(req.query.provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${req.query.provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = marketDataService.getMarketDataService(req.query.provider);
+    
     // Get historical data
-    const historicalData = await cryptoCompareService.getHistoricalData(
+    const historicalData = await dataService.getHistoricalData(
       symbol,
       currency,
       timeframe,
@@ -220,10 +273,20 @@ const getPriceHistory = async (req, res) => {
 const getTopCryptocurrencies = async (req, res) => {
   try {
     // Parse request parameters
-    const { limit = 100, currency = 'USDT' } = req.query;
+    const { limit = 100, currency = 'USDT', provider } = req.query;
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = marketDataService.getMarketDataService(provider);
     
     // Get top cryptocurrencies
-    const topCryptos = await cryptoCompareService.getTopCryptocurrencies(
+    const topCryptos = await dataService.getTopCryptocurrencies(
       parseInt(limit),
       currency
     );
@@ -246,11 +309,65 @@ const getTopCryptocurrencies = async (req, res) => {
   }
 };
 
+/**
+ * Backfill stored price history for a cryptocurrency
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const backfillPriceHistory = async (req, res) => {
+  try {
+    // Get parameters
+    const { symbol, currency = 'USDT', timeframe = 'day', since, provider } = req.body;
+    
+    if (!symbol || !since) {
+      return res.status(400).json({
+        success: false,
+        message: 'symbol and since are required'
+      });
+    }
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = marketDataService.getMarketDataService(provider);
+    
+    // Load older bars first, then bring the series up to date
+    const backfilled = await candleStore.backfillCandles(dataService, symbol, currency, timeframe, since);
+    const synced = await candleStore.syncCandles(dataService, symbol, currency, timeframe);
+    
+    // Return results
+    res.json({
+      success: true,
+      symbol,
+      currency,
+      timeframe,
+      provider: dataService.provider,
+      backfilled,
+      synced
+    });
+    
+  } catch (error) {
+    console.error(`Error backfilling price history for ${req.body.symbol}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Error backfilling price history for ${req.body.symbol}`,
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getCheapCryptocurrencies,
   getByDFiCryptocurrencies,
   getCheapByDFiCryptocurrencies,
   getCoinDetails,
   getPriceHistory,
-  getTopCryptocurrencies
+  getTopCryptocurrencies,
+  backfillPriceHistory
 };
@@ -6,6 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const coinsController = require('../controllers/coinsController');
+const { protect } = require('../middleware/auth');
 
 /**
  * @route   GET /api/coins/cheap
@@ -49,4 +50,11 @@ router.get('/details/:symbol/:currency', coinsController.getCoinDetails);
  */
 router.get('/history/:symbol/:currency/:timeframe/:limit', coinsController.getPriceHistory);
 
+/**
+ * @route   POST /api/coins/backfill
+ * @desc    Load older price history into the candle store
+ * @access  Private
+ */
+router.post('/backfill', protect, coinsController.backfillPriceHistory);
+
 module.exports = router;
@@ -1,10 +1,13 @@
 /**
  * CryptoCompare API service
- * Fetches cryptocurrency data for analysis and screening
+ * Market data provider that fetches cryptocurrency data for analysis and screening
  */
 
 const axios = require('axios');
 const dotenv = require('dotenv');
+const responseCache = require('./responseCache');
+const { createRequestScheduler } = require('./requestScheduler');
+const { loadTimeframeData } = require('../utils/timeframeProfiles');
 
 dotenv.config();
 
@@ -14,6 +17,48 @@ const API_KEY = process.env.CRYPTOCOMPARE_API_KEY;
 // Base URL for CryptoCompare API
 const BASE_URL = 'https://min-api.cryptocompare.com/data';
 
+// Throttle requests to stay within the API key's rate limits
+const scheduler = createRequestScheduler({
+  name: 'CryptoCompare',
+  perSecond: parseInt(process.env.CRYPTOCOMPARE_MAX_REQUESTS_PER_SECOND) || 20,
+  perMinute: parseInt(process.env.CRYPTOCOMPARE_MAX_REQUESTS_PER_MINUTE) || 300
+});
+
+/**
+ * Make a cached, rate-limited request to the CryptoCompare API
+ * 
+ * @param {string} endpoint - API endpoint (e.g., histohour)
+ * @param {Object} params - Query parameters (without the API key)
+ * @param {number} ttl - Cache time to live in seconds
+ * @returns {Promise<Object>} Response body
+ */
+const apiGet = (endpoint, params, ttl) => {
+  const cacheKey = responseCache.buildCacheKey(`cryptocompare/${endpoint}`, params);
+  
+  return responseCache.getOrFetch(cacheKey, ttl, () => scheduler.schedule(async () => {
+    const response = await axios.get(`${BASE_URL}/${endpoint}`, {
+      params: {
+        ...params,
+        api_key: API_KEY
+      }
+    });
+    
+    // Check for error response
+    if (response.data.Response === 'Error') {
+      const error = new Error(`CryptoCompare API error: ${response.data.Message}`);
+      
+      // CryptoCompare reports rate limiting in the body of a 200 response
+      if (/rate limit/i.test(response.data.Message)) {
+        error.status = 429;
+      }
+      
+      throw error;
+    }
+    
+    return response.data;
+  }));
+};
+
 /**
  * Get historical OHLCV data for a cryptocurrency
  * 
@@ -21,9 +66,11 @@ const BASE_URL = 'https://min-api.cryptocompare.com/data';
  * @param {string} currency - Quote currency (e.g., USDT)
  * @param {string} timeframe - Timeframe (minute, hour, day)
  * @param {number} limit - Number of data points
+ * @param {Object} options - Request options
+ * @param {number} options.toTime - Return bars up to this timestamp (ms) instead of now
  * @returns {Promise<Array>} Historical OHLCV data
  */
-const getHistoricalData = async (symbol, currency = 'USDT', timeframe = 'hour', limit = 500) => {
+const getHistoricalData = async (symbol, currency = 'USDT', timeframe = 'hour', limit = 500, options = {}) => {
   try {
     // Map timeframe to API endpoint
     let endpoint;
@@ -42,22 +89,15 @@ const getHistoricalData = async (symbol, currency = 'USDT', timeframe = 'hour',
     }
     
     // Make API request
-    const response = await axios.get(`${BASE_URL}/${endpoint}`, {
-      params: {
-        fsym: symbol,
-        tsym: currency,
-        limit,
-        api_key: API_KEY
-      }
-    });
-    
-    // Check for error response
-    if (response.data.Response === 'Error') {
-      throw new Error(`CryptoCompare API error: ${response.data.Message}`);
-    }
+    const data = await apiGet(endpoint, {
+      fsym: symbol,
+      tsym: currency,
+      limit,
+      toTs: options.toTime ? Math.floor(options.toTime / 1000) : undefined
+    }, responseCache.getCandleTtl(timeframe, options.toTime));
     
     // Format data for our application
-    return response.data.Data.map(item => ({
+    return data.Data.map(item => ({
       time: new Date(item.time * 1000).toISOString(),
       open: item.open,
       high: item.high,
@@ -76,41 +116,13 @@ const getHistoricalData = async (symbol, currency = 'USDT', timeframe = 'hour',
  * 
  * @param {string} symbol - Cryptocurrency symbol
  * @param {string} currency - Quote currency
- * @returns {Promise<Object>} Data for multiple timeframes
+ * @param {string|Array} profile - Timeframe profile name or definition
+ * @returns {Promise<Object>} Data for each timeframe in the profile
  */
-const getMultiTimeframeData = async (symbol, currency = 'USDT') => {
+const getMultiTimeframeData = async (symbol, currency = 'USDT', profile) => {
   try {
-    // Get data for each timeframe
-    const [hourlyData, fourHourData, dailyData] = await Promise.all([
-      getHistoricalData(symbol, currency, 'hour', 168),
-      getHistoricalData(symbol, currency, 'hour', 500).then(data => {
-        // Convert hourly to 4-hour data
-        const fourHourData = [];
-        for (let i = 0; i < data.length; i += 4) {
-          if (i + 3 < data.length) {
-            const chunk = data.slice(i, i + 4);
-            fourHourData.push({
-              time: chunk[0].time,
-              open: chunk[0].open,
-              high: Math.max(...chunk.map(c => c.high)),
-              low: Math.min(...chunk.map(c => c.low)),
-              close: chunk[3].close,
-              volume: chunk.reduce((sum, c) => sum + c.volume, 0)
-            });
-          }
-        }
-        return fourHourData;
-      }),
-      getHistoricalData(symbol, currency, 'day', 100)
-    ]);
-    
-    return {
-      symbol,
-      currency,
-      hourlyData,
-      fourHourData,
-      dailyData
-    };
+    // Higher timeframes are resampled on UTC boundaries from minute, hourly and daily bars
+    return await loadTimeframeData(getHistoricalData, symbol, currency, profile);
   } catch (error) {
     console.error('Error fetching multi-timeframe data:', error);
     throw error;
@@ -130,22 +142,14 @@ const getCurrentPrices = async (symbols, currency = 'USDT') => {
     const symbolString = symbols.join(',');
     
     // Make API request
-    const response = await axios.get(`${BASE_URL}/pricemultifull`, {
-      params: {
-        fsyms: symbolString,
-        tsyms: currency,
-        api_key: API_KEY
-      }
-    });
-    
-    // Check for error response
-    if (response.data.Response === 'Error') {
-      throw new Error(`CryptoCompare API error: ${response.data.Message}`);
-    }
+    const response = await apiGet('pricemultifull', {
+      fsyms: symbolString,
+      tsyms: currency
+    }, responseCache.CACHE_TTL.prices);
     
     // Format data
     const result = {};
-    const data = response.data.RAW;
+    const data = response.RAW;
     
     for (const symbol of symbols) {
       if (data[symbol] && data[symbol][currency]) {
@@ -176,21 +180,13 @@ const getCurrentPrices = async (symbols, currency = 'USDT') => {
 const getTopCryptocurrencies = async (limit = 100, currency = 'USDT') => {
   try {
     // Make API request
-    const response = await axios.get(`${BASE_URL}/top/mktcapfull`, {
-      params: {
-        limit,
-        tsym: currency,
-        api_key: API_KEY
-      }
-    });
-    
-    // Check for error response
-    if (response.data.Response === 'Error') {
-      throw new Error(`CryptoCompare API error: ${response.data.Message}`);
-    }
+    const response = await apiGet('top/mktcapfull', {
+      limit,
+      tsym: currency
+    }, responseCache.CACHE_TTL.markets);
     
     // Format data
-    return response.data.Data.map(item => ({
+    return response.Data.map(item => ({
       id: item.CoinInfo.Id,
       name: item.CoinInfo.FullName,
       symbol: item.CoinInfo.Name,
@@ -205,70 +201,9 @@ const getTopCryptocurrencies = async (limit = 100, currency = 'USDT') => {
   }
 };
 
-/**
- * Get list of cryptocurrencies under a specific price
- * 
- * @param {number} maxPrice - Maximum price
- * @param {number} limit - Number of cryptocurrencies to return
- * @param {string} currency - Quote currency
- * @returns {Promise<Array>} List of cryptocurrencies under the price threshold
- */
-const getCryptocurrenciesUnderPrice = async (maxPrice = 1.0, limit = 200, currency = 'USDT') => {
-  try {
-    // Get top cryptocurrencies to start with
-    const topCryptos = await getTopCryptocurrencies(limit * 2, currency);
-    
-    // Filter by price and sort by market cap
-    const filteredCryptos = topCryptos
-      .filter(crypto => crypto.price !== null && crypto.price <= maxPrice)
-      .sort((a, b) => (b.marketCap || 0) - (a.marketCap || 0))
-      .slice(0, limit);
-    
-    return filteredCryptos;
-  } catch (error) {
-    console.error('Error fetching cryptocurrencies under price:', error);
-    throw error;
-  }
-};
-
-/**
- * Get list of cryptocurrencies available on ByDFi exchange
- * 
- * @param {string} currency - Quote currency
- * @returns {Promise<Array>} List of ByDFi-listed cryptocurrencies
- */
-const getByDFiCryptocurrencies = async (currency = 'USDT') => {
-  try {
-    // Note: This is a mock function as there's no direct API for ByDFi listings
-    // In a production app, you would integrate with ByDFi's API if available
-    // or maintain a current list in your database
-    
-    // Get top cryptocurrencies
-    const topCryptos = await getTopCryptocurrencies(500, currency);
-    
-    // Filter based on known ByDFi listings (this list should be updated regularly)
-    // This is just a sample - in production, this would come from a real data source
-    const byDFiSymbols = [
-      'BTC', 'ETH', 'XRP', 'SOL', 'ADA', 'DOT', 'AVAX', 'MATIC', 
-      'LINK', 'ATOM', 'UNI', 'ALGO', 'VET', 'FIL', 'THETA', 'XTZ',
-      'MANA', 'SAND', 'AXS', 'GALA', 'CHZ', 'ENJ', 'ROSE', 'ONE',
-      'DOGE', 'SHIB', 'FTM', 'NEAR', 'EGLD', 'ICP', 'EOS', 'XLM',
-      'HBAR', 'XMR', 'CAKE', 'LTC', 'BCH', 'TRX', 'ETC', 'ZEC',
-      'BAT', 'WAVES', 'DASH', 'KSM', 'NEO', 'QTUM', 'IOTA', 'ZIL'
-    ];
-    
-    return topCryptos.filter(crypto => byDFiSymbols.includes(crypto.symbol));
-  } catch (error) {
-    console.error('Error fetching ByDFi cryptocurrencies:', error);
-    throw error;
-  }
-};
-
 module.exports = {
   getHistoricalData,
   getMultiTimeframeData,
   getCurrentPrices,
-  getTopCryptocurrencies,
-  getCryptocurrenciesUnderPrice,
-  getByDFiCryptocurrencies
+  getTopCryptocurrencies
 };
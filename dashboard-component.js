@@ -66,33 +66,19 @@ const Dashboard = ({ setLoading }) => {
         });
       }
       
-      // Mock data for backtests (in a real app, fetch from API)
-      setRecentBacktests([
-        {
-          id: 'bt1',
-          symbol: 'LINK',
-          date: '2025-04-25',
-          winRate: 82.5,
-          profitFactor: 3.2,
-          trades: 57
-        },
-        {
-          id: 'bt2',
-          symbol: 'SOL',
-          date: '2025-04-24',
-          winRate: 79.3,
-          profitFactor: 2.8,
-          trades: 43
-        },
-        {
-          id: 'bt3',
-          symbol: 'AVAX',
-          date: '2025-04-23',
-          winRate: 81.7,
-          profitFactor: 3.1,
-          trades: 38
-        }
-      ]);
+      // Most recent stored backtest runs
+      const backtestsResponse = await axios.get(`${API_URL}/backtest?limit=3`);
+      
+      if (backtestsResponse.data.success) {
+        setRecentBacktests(backtestsResponse.data.backtests.map(backtest => ({
+          id: backtest._id,
+          symbol: backtest.symbol,
+          date: new Date(backtest.createdAt).toISOString().slice(0, 10),
+          winRate: backtest.winRate.toFixed(1),
+          profitFactor: backtest.profitFactor !== null ? backtest.profitFactor.toFixed(2) : 'N/A',
+          trades: backtest.totalTrades
+        })));
+      }
       
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
@@ -259,7 +245,7 @@ const Dashboard = ({ setLoading }) => {
                     </td>
                     <td>{signal.successProbability}%</td>
                     <td>
-                      <Link to={`/coin/${signal.symbol}`} className="btn sm-btn">
+                      <Link to={`/coin/${signal.symbol}${signal.direction === 'Short' ? '?direction=short' : ''}`} className="btn sm-btn">
                         Details
                       </Link>
                     </td>
@@ -292,6 +278,9 @@ const Dashboard = ({ setLoading }) => {
         </div>
         
         <div className="backtests-container">
+          {recentBacktests.length === 0 && (
+            <p>No backtests yet. Run one from the Backtest page.</p>
+          )}
           {recentBacktests.map((backtest) => (
             <div className="backtest-card" key={backtest.id}>
               <div className="backtest-header">
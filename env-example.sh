@@ -5,8 +5,26 @@ NODE_ENV=development
 # MongoDB Connection String
 MONGODB_URI=mongodb://localhost:27017/crypto-breakout-screener
 
+# Market Data Provider (cryptocompare, binance or fixture)
+MARKET_DATA_PROVIDER=cryptocompare
+
+# Candle store (set to false to always read candles straight from the provider)
+CANDLE_STORE_ENABLED=true
+
 # CryptoCompare API
 CRYPTOCOMPARE_API_KEY=your_cryptocompare_api_key_here
+CRYPTOCOMPARE_MAX_REQUESTS_PER_SECOND=20
+CRYPTOCOMPARE_MAX_REQUESTS_PER_MINUTE=300
+
+# Binance API (optional, used by the binance provider)
+BINANCE_API_URL=https://api.binance.com/api/v3
+BINANCE_MAX_REQUESTS_PER_SECOND=20
+BINANCE_MAX_WEIGHT_PER_MINUTE=5000
+
+# Local fixture data (optional, used by the fixture provider, which is only
+# available when NODE_ENV=test or FIXTURE_PROVIDER_ENABLED=true)
+FIXTURE_PROVIDER_ENABLED=false
+FIXTURE_DATA_DIR=./fixtures
 
 # JWT Secret for Authentication (if implemented)
 JWT_SECRET=your_jwt_secret_key_here
@@ -0,0 +1,255 @@
+/**
+ * Exit rules for crypto breakout trades
+ * Manages an open trade one candle at a time: stop loss, take-profit targets,
+ * trailing stops and time / indicator exits. The backtester and the live
+ * signal tracker both run trades through it, so simulated and tracked trades
+ * exit by the same rules.
+ */
+
+const streamingIndicators = require('./streamingIndicators');
+const futuresMargin = require('./futuresMargin');
+
+/**
+ * Resolve exit rule options
+ * Rules set to null are off; by default a trade exits only at its stop loss,
+ * its final target or the end of the holding period
+ */
+const getExitConfig = (options = {}) => ({
+  // ATR trailing stop: close minus trailingStopAtr ATRs (plus for shorts)
+  trailingStopAtr: options.trailingStopAtr || null,
+  // Chandelier exit: highest high of chandelierPeriod bars minus chandelierAtr ATRs
+  chandelierAtr: options.chandelierAtr || null,
+  chandelierPeriod: options.chandelierPeriod || 22,
+  exitAtrPeriod: options.exitAtrPeriod || 14,
+  // Move the stop to entry once price has gone breakevenAfterR times the risk in favor
+  breakevenAfterR: options.breakevenAfterR || null,
+  // Scale out at each trade plan target instead of exiting everything at the final one
+  partialExits: Boolean(options.partialExits),
+  // Exit at the close once it crosses back over the emaExitPeriod EMA
+  emaExitPeriod: options.emaExitPeriod || null,
+  // Bars after entry before the trade is closed at the close
+  maxHoldingBars: options.maxHoldingBars || 19,
+  // Candles up to entry used to warm up the ATR and EMA
+  warmupBars: options.warmupBars || 100
+});
+
+/**
+ * Create a manager for one open trade
+ * Feed it the candles up to entry with warmUp(), then each candle after entry
+ * with update(). Within a bar the stop (or liquidation, when the stop sits
+ * beyond it) is checked before the targets, and trailing stops move at the
+ * bar's close, for the next bar.
+ * 
+ * @param {Object} trade - { direction, entryPrice, stopLoss, takeProfit, targets },
+ *   targets as in a trade plan ({ price, sizePercent }, nearest first)
+ * @param {Object} options - Exit rule options, and margin options for the liquidation price
+ * @returns {Object} Trade manager
+ */
+const createTradeManager = (trade, options = {}) => {
+  const config = getExitConfig(options);
+  const isShort = trade.direction === 'short';
+  const side = isShort ? -1 : 1;
+  const { entryPrice } = trade;
+  const risk = Math.abs(entryPrice - trade.stopLoss);
+  // Isolated-margin liquidation at options.leverage (1x by default)
+  const liquidationPrice = futuresMargin.getLiquidationPrice(trade.direction, entryPrice, options);
+  
+  const atr = streamingIndicators.createATR(config.exitAtrPeriod);
+  const ema = config.emaExitPeriod ? streamingIndicators.createEMA(config.emaExitPeriod) : null;
+  const extremes = streamingIndicators.createRollingWindow(config.chandelierPeriod);
+  
+  const targets = config.partialExits && trade.targets && trade.targets.length > 0
+    ? trade.targets.map(target => ({ price: target.price, sizePercent: target.sizePercent }))
+    : [{ price: trade.takeProfit, sizePercent: 100 }];
+    
+  const state = {
+    stopLoss: trade.stopLoss,
+    stopType: 'Stop Loss',
+    remainingPercent: 100,
+    nextTarget: 0,
+    barsHeld: 0,
+    bestPrice: entryPrice,
+    exits: []
+  };
+  
+  const isOpen = () => state.remainingPercent > 0;
+  
+  const exit = (candle, price, sizePercent, type) => {
+    const size = Math.min(sizePercent, state.remainingPercent);
+    state.remainingPercent = Math.max(0, state.remainingPercent - size);
+    state.exits.push({ price, sizePercent: size, type, time: candle.time, barsHeld: state.barsHeld });
+  };
+  
+  // Track the indicators the trailing rules read
+  const observe = (candle) => {
+    atr.update(candle.high, candle.low, candle.close);
+    if (ema) ema.update(candle.close);
+    extremes.push(isShort ? candle.low : candle.high);
+  };
+  
+  // Tighten the stop for the next bar; it never moves against the trade
+  const moveStop = (candle) => {
+    const candidates = [];
+    const atrValue = atr.value();
+    
+    if (config.breakevenAfterR && side * (state.bestPrice - entryPrice) >= config.breakevenAfterR * risk) {
+      candidates.push({ price: entryPrice, type: 'Breakeven Stop' });
+    }
+    
+    if (config.trailingStopAtr && atrValue !== null) {
+      candidates.push({ price: candle.close - side * config.trailingStopAtr * atrValue, type: 'Trailing Stop' });
+    }
+    
+    if (config.chandelierAtr && atrValue !== null) {
+      const extreme = isShort ? Math.min(...extremes.toArray()) : Math.max(...extremes.toArray());
+      candidates.push({ price: extreme - side * config.chandelierAtr * atrValue, type: 'Chandelier Exit' });
+    }
+    
+    candidates.forEach(({ price, type }) => {
+      if (side * (price - state.stopLoss) > 0) {
+        state.stopLoss = price;
+        state.stopType = type;
+      }
+    });
+  };
+  
+  /**
+   * Process a candle after entry
+   * 
+   * @returns {Object} Trade state after the candle
+   */
+  const update = (candle) => {
+    if (!isOpen()) return getState();
+    
+    state.barsHeld++;
+    
+    // Liquidated before the stop can trigger when the stop sits beyond the liquidation price
+    const isLiquidated = futuresMargin.isStopBeyondLiquidation(trade.direction, state.stopLoss, liquidationPrice) &&
+      (isShort ? candle.high >= liquidationPrice : candle.low <= liquidationPrice);
+      
+    if (isLiquidated) {
+      exit(candle, liquidationPrice, state.remainingPercent, 'Liquidation');
+      return getState();
+    }
+    
+    if (isShort ? candle.high >= state.stopLoss : candle.low <= state.stopLoss) {
+      exit(candle, state.stopLoss, state.remainingPercent, state.stopType);
+      return getState();
+    }
+    
+    while (isOpen() && state.nextTarget < targets.length) {
+      const target = targets[state.nextTarget];
+      if (isShort ? candle.low > target.price : candle.high < target.price) break;
+      
+      // The last target closes whatever is left of the position
+      const isFinal = state.nextTarget === targets.length - 1;
+      exit(candle, target.price, isFinal ? state.remainingPercent : target.sizePercent,
+        isFinal ? 'Take Profit' : 'Partial Take Profit');
+      state.nextTarget++;
+    }
+    
+    observe(candle);
+    state.bestPrice = isShort ? Math.min(state.bestPrice, candle.low) : Math.max(state.bestPrice, candle.high);
+    
+    if (isOpen() && ema && ema.value() !== null && side * (candle.close - ema.value()) < 0) {
+      exit(candle, candle.close, state.remainingPercent, 'EMA Cross');
+    }
+    
+    if (isOpen() && state.barsHeld >= config.maxHoldingBars) {
+      exit(candle, candle.close, state.remainingPercent, 'Time Exit');
+    }
+    
+    if (isOpen()) moveStop(candle);
+    
+    return getState();
+  };
+  
+  /**
+   * Close whatever is left of the position at a candle's close
+   */
+  const close = (candle, type = 'Time Exit') => {
+    if (isOpen()) exit(candle, candle.close, state.remainingPercent, type);
+    return getState();
+  };
+  
+  /**
+   * Trade state: exits so far and, once closed, the size-weighted exit price and P&L
+   * 
+   * @param {number} markPrice - Price the open part of the position is valued at
+   * @returns {Object} { isOpen, liquidationPrice, stopLoss, stopType, remainingPercent, barsHeld,
+   *   exits, exitPrice, exitType, pnl }; pnl is realized plus unrealized at markPrice
+   */
+  const getState = (markPrice = null) => {
+    const getPnl = price => (side * (price - entryPrice)) / entryPrice * 100;
+    const closedPercent = state.exits.reduce((sum, { sizePercent }) => sum + sizePercent, 0);
+    const lastExit = state.exits[state.exits.length - 1];
+    
+    const realizedPnl = state.exits.reduce((sum, { price, sizePercent }) => sum + getPnl(price) * (sizePercent / 100), 0);
+    const unrealizedPnl = markPrice !== null ? getPnl(markPrice) * (state.remainingPercent / 100) : 0;
+    
+    return {
+      isOpen: isOpen(),
+      liquidationPrice,
+      stopLoss: state.stopLoss,
+      stopType: state.stopType,
+      remainingPercent: state.remainingPercent,
+      barsHeld: state.barsHeld,
+      exits: state.exits.slice(),
+      exitPrice: closedPercent > 0
+        ? state.exits.reduce((sum, { price, sizePercent }) => sum + price * (sizePercent / closedPercent), 0)
+        : null,
+      exitType: isOpen() || !lastExit ? null : lastExit.type,
+      pnl: realizedPnl + unrealizedPnl
+    };
+  };
+  
+  return {
+    warmUp: observe,
+    update,
+    close,
+    getState
+  };
+};
+
+/**
+ * Open a trade: create its manager and warm it up on the candles up to entry
+ * 
+ * @param {Array} data - OHLCV data, oldest first
+ * @param {number} entryIndex - Index of the entry candle
+ * @param {Object} trade - Trade as for createTradeManager
+ * @param {Object} options - Exit rule options
+ * @returns {Object} Trade manager, ready for the candle after entry
+ */
+const openTrade = (data, entryIndex, trade, options = {}) => {
+  const config = getExitConfig(options);
+  const manager = createTradeManager(trade, options);
+  
+  data.slice(Math.max(0, entryIndex - config.warmupBars + 1), entryIndex + 1).forEach(manager.warmUp);
+  
+  return manager;
+};
+
+/**
+ * Run a trade through the exit rules from the candle after entry
+ * 
+ * @param {Array} data - OHLCV data, oldest first
+ * @param {number} entryIndex - Index of the entry candle
+ * @param {Object} trade - Trade as for createTradeManager
+ * @param {Object} options - Exit rule options
+ * @returns {Object} Trade manager after the last candle, or after the exit
+ */
+const replayTrade = (data, entryIndex, trade, options = {}) => {
+  const manager = openTrade(data, entryIndex, trade, options);
+  
+  for (let i = entryIndex + 1; i < data.length && manager.getState().isOpen; i++) {
+    manager.update(data[i]);
+  }
+  
+  return manager;
+};
+
+module.exports = {
+  createTradeManager,
+  openTrade,
+  replayTrade
+};
@@ -0,0 +1,99 @@
+/**
+ * Exit rules tests
+ * A long from 100 with a 95 stop (5 risk) and a 110 target unless noted
+ */
+
+const exitRules = require('../utils/exitRules');
+
+const LONG = { direction: 'long', entryPrice: 100, stopLoss: 95, takeProfit: 110 };
+
+const candle = (high, low, close, time = 0) => ({ time, open: close, high, low, close });
+
+// Run candles through a new trade manager and return its final state
+const run = (trade, candles, options = {}) => {
+  const manager = exitRules.createTradeManager(trade, options);
+  candles.forEach(manager.update);
+  return manager.getState();
+};
+
+describe('exit rules', () => {
+  it('takes profit at the target', () => {
+    const state = run(LONG, [candle(105, 96, 104), candle(111, 103, 109)]);
+    
+    expect(state).toMatchObject({ isOpen: false, exitType: 'Take Profit', exitPrice: 110, barsHeld: 2 });
+    expect(state.pnl).toBeCloseTo(10, 10);
+  });
+  
+  it('checks the stop before the target within a bar', () => {
+    const state = run(LONG, [candle(111, 94, 100)]);
+    
+    expect(state).toMatchObject({ exitType: 'Stop Loss', exitPrice: 95 });
+    expect(state.pnl).toBeCloseTo(-5, 10);
+  });
+  
+  it('mirrors stops and targets for shorts', () => {
+    const state = run({ direction: 'short', entryPrice: 100, stopLoss: 105, takeProfit: 90 }, [candle(101, 89, 92)]);
+    
+    expect(state).toMatchObject({ exitType: 'Take Profit', exitPrice: 90 });
+    expect(state.pnl).toBeCloseTo(10, 10);
+  });
+  
+  it('scales out at each target with partial exits', () => {
+    const trade = { ...LONG, targets: [{ price: 105, sizePercent: 50 }, { price: 110, sizePercent: 50 }] };
+    const state = run(trade, [candle(106, 99, 105), candle(110.5, 104, 110)], { partialExits: true });
+    
+    // Half at 105 (+5%) and half at 110 (+10%)
+    expect(state.exits.map(exit => [exit.type, exit.price, exit.sizePercent])).toEqual([
+      ['Partial Take Profit', 105, 50],
+      ['Take Profit', 110, 50]
+    ]);
+    expect(state.exitPrice).toBeCloseTo(107.5, 10);
+    expect(state.pnl).toBeCloseTo(7.5, 10);
+  });
+  
+  it('moves the stop to entry once price has gone 1R in favor', () => {
+    // 105.5 is more than 1R (5) above entry
+    const state = run(LONG, [candle(105.5, 100, 104), candle(104, 99.9, 100)], { breakevenAfterR: 1 });
+    
+    expect(state).toMatchObject({ exitType: 'Breakeven Stop', exitPrice: 100 });
+    expect(state.pnl).toBeCloseTo(0, 10);
+  });
+  
+  it('trails the stop by ATRs from the close, for the next bar', () => {
+    const manager = exitRules.createTradeManager(LONG, { trailingStopAtr: 2 });
+    
+    // 14 bars with a true range of 2 seed a 2.0 ATR
+    for (let i = 0; i < 14; i++) manager.warmUp(candle(101, 99, 100));
+    
+    // True range 4 (104 - 100): ATR (2 * 13 + 4) / 14, stop 103 - 2 ATRs
+    const state = manager.update(candle(104, 100.5, 103));
+    const atr = 30 / 14;
+    
+    expect(state.stopType).toBe('Trailing Stop');
+    expect(state.stopLoss).toBeCloseTo(103 - 2 * atr, 10);
+  });
+  
+  it('closes the trade at the close after maxHoldingBars', () => {
+    const state = run(LONG, [candle(102, 99, 101), candle(103, 100, 102)], { maxHoldingBars: 2 });
+    
+    expect(state).toMatchObject({ exitType: 'Time Exit', exitPrice: 102, barsHeld: 2 });
+    expect(state.pnl).toBeCloseTo(2, 10);
+  });
+  
+  it('liquidates before a stop that sits beyond the liquidation price', () => {
+    // At 10x with 0.5% maintenance margin a long from 100 is liquidated at 90.5
+    const state = run({ ...LONG, stopLoss: 80 }, [candle(101, 85, 88)], { leverage: 10 });
+    
+    expect(state.liquidationPrice).toBeCloseTo(90.5, 10);
+    expect(state).toMatchObject({ exitType: 'Liquidation', exitPrice: state.liquidationPrice });
+    expect(state.pnl).toBeCloseTo(-9.5, 10);
+  });
+  
+  it('values the open position at the mark price', () => {
+    const manager = exitRules.createTradeManager(LONG);
+    manager.update(candle(103, 99, 102));
+    
+    expect(manager.getState(104).pnl).toBeCloseTo(4, 10);
+    expect(manager.getState().isOpen).toBe(true);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Fixture market data provider
+ * Serves cryptocurrency data from local JSON files for offline runs and tests
+ * 
+ * Expected layout of FIXTURE_DATA_DIR:
+ *   markets-<CURRENCY>.json            - [{ id, name, symbol, price, volume24h, change24h, marketCap }]
+ *   candles/<SYMBOL>-<CURRENCY>-<timeframe>.json - [{ time, open, high, low, close, volume }]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { loadTimeframeData } = require('../utils/timeframeProfiles');
+
+// Directory holding the fixture files
+const FIXTURE_DIR = process.env.FIXTURE_DATA_DIR || path.join(__dirname, '../fixtures');
+
+// Symbols, currencies and timeframes become part of file names
+const FILE_NAME_PART = /^[A-Z0-9]+$/i;
+
+/**
+ * Join symbol, currency and timeframe into a fixture file name, rejecting
+ * anything but plain alphanumeric parts so names can't leave the directory
+ */
+const getFileName = (...parts) => {
+  const invalidPart = parts.find(part => !FILE_NAME_PART.test(part));
+  
+  if (invalidPart !== undefined) {
+    throw new Error(`Invalid fixture name: ${invalidPart}`);
+  }
+  
+  return parts.join('-');
+};
+
+/**
+ * Read and parse a fixture file
+ * 
+ * @param {string} relativePath - Path relative to the fixture directory
+ * @returns {Promise<*>} Parsed JSON content
+ */
+const readFixture = async (relativePath) => {
+  const content = await fs.readFile(path.join(FIXTURE_DIR, relativePath), 'utf8');
+  return JSON.parse(content);
+};
+
+/**
+ * Get historical OHLCV data for a cryptocurrency
+ * 
+ * @param {string} symbol - Cryptocurrency symbol (e.g., BTC)
+ * @param {string} currency - Quote currency (e.g., USDT)
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @param {number} limit - Number of data points
+ * @param {Object} options - Request options
+ * @param {number} options.toTime - Return bars up to this timestamp (ms) instead of now
+ * @returns {Promise<Array>} Historical OHLCV data
+ */
+const getHistoricalData = async (symbol, currency = 'USDT', timeframe = 'hour', limit = 500, options = {}) => {
+  try {
+    const candles = await readFixture(path.join('candles', `${getFileName(symbol, currency, timeframe)}.json`));
+    
+    const visibleCandles = options.toTime
+      ? candles.filter(candle => new Date(candle.time).getTime() <= options.toTime)
+      : candles;
+    
+    // Return the most recent candles, like a live API would
+    return visibleCandles.slice(-limit);
+  } catch (error) {
+    console.error('Error reading fixture historical data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get multiple timeframes of data for a cryptocurrency
+ * 
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string|Array} profile - Timeframe profile name or definition
+ * @returns {Promise<Object>} Data for each timeframe in the profile
+ */
+const getMultiTimeframeData = async (symbol, currency = 'USDT', profile) => {
+  try {
+    return await loadTimeframeData(getHistoricalData, symbol, currency, profile);
+  } catch (error) {
+    console.error('Error reading fixture multi-timeframe data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get price data for multiple cryptocurrencies
+ * 
+ * @param {Array<string>} symbols - Array of cryptocurrency symbols
+ * @param {string} currency - Quote currency
+ * @returns {Promise<Object>} Current price data
+ */
+const getCurrentPrices = async (symbols, currency = 'USDT') => {
+  try {
+    const markets = await readFixture(`markets-${getFileName(currency)}.json`);
+    
+    const result = {};
+    
+    for (const market of markets) {
+      if (symbols.includes(market.symbol)) {
+        result[market.symbol] = {
+          price: market.price,
+          volume24h: market.volume24h,
+          change24h: market.change24h,
+          marketCap: market.marketCap,
+          lastUpdate: market.lastUpdate || null
+        };
+      }
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error reading fixture current prices:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get list of top cryptocurrencies by market cap
+ * 
+ * @param {number} limit - Number of cryptocurrencies to return
+ * @param {string} currency - Quote currency
+ * @returns {Promise<Array>} List of cryptocurrencies
+ */
+const getTopCryptocurrencies = async (limit = 100, currency = 'USDT') => {
+  try {
+    const markets = await readFixture(`markets-${getFileName(currency)}.json`);
+    
+    return markets
+      .sort((a, b) => (b.marketCap || 0) - (a.marketCap || 0))
+      .slice(0, limit);
+  } catch (error) {
+    console.error('Error reading fixture top cryptocurrencies:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  getHistoricalData,
+  getMultiTimeframeData,
+  getCurrentPrices,
+  getTopCryptocurrencies
+};
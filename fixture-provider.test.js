@@ -0,0 +1,106 @@
+/**
+ * Fixture provider tests
+ * Run against the fixture data set in backend/fixtures
+ */
+
+const fixtureProvider = require('../services/fixtureProvider');
+const marketDataService = require('../services/marketDataService');
+
+describe('fixture provider', () => {
+  it('returns the most recent candles, oldest first', async () => {
+    const candles = await fixtureProvider.getHistoricalData('DOGE', 'USDT', 'day', 50);
+    
+    expect(candles).toHaveLength(50);
+    expect(new Date(candles[0].time).getTime()).toBeLessThan(new Date(candles[49].time).getTime());
+    expect(candles[49].time).toBe('2024-06-30T00:00:00.000Z');
+  });
+  
+  it('hides candles after toTime', async () => {
+    const toTime = new Date('2024-06-01T00:00:00.000Z').getTime();
+    const candles = await fixtureProvider.getHistoricalData('DOGE', 'USDT', 'day', 10, { toTime });
+    
+    expect(candles).toHaveLength(10);
+    expect(candles[9].time).toBe('2024-06-01T00:00:00.000Z');
+  });
+  
+  it('rejects symbols without fixture candles', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await expect(fixtureProvider.getHistoricalData('NOPE', 'USDT', 'day', 10)).rejects.toThrow();
+    
+    console.error.mockRestore();
+  });
+  
+  it('rejects names that could leave the fixture directory', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await expect(fixtureProvider.getHistoricalData('../markets', 'USDT', 'day', 10))
+      .rejects.toThrow('Invalid fixture name: ../markets');
+    await expect(fixtureProvider.getHistoricalData('DOGE', 'USDT', '../../day', 10))
+      .rejects.toThrow('Invalid fixture name: ../../day');
+    await expect(fixtureProvider.getTopCryptocurrencies(3, 'USDT/..')).rejects.toThrow('Invalid fixture name');
+    
+    console.error.mockRestore();
+  });
+  
+  it('lists markets by market cap', async () => {
+    const markets = await fixtureProvider.getTopCryptocurrencies(3);
+    
+    expect(markets.map(market => market.symbol)).toEqual(['BTC', 'ETH', 'SOL']);
+  });
+  
+  it('returns current prices for the requested symbols', async () => {
+    const prices = await fixtureProvider.getCurrentPrices(['DOGE', 'XLM']);
+    
+    expect(Object.keys(prices).sort()).toEqual(['DOGE', 'XLM']);
+    expect(prices.DOGE.price).toBeLessThan(1);
+  });
+  
+  it('loads every timeframe of a profile', async () => {
+    const coinData = await fixtureProvider.getMultiTimeframeData('DOGE', 'USDT', 'intraday');
+    
+    expect(Object.keys(coinData.timeframes)).toEqual(['1H', '4H', '1D']);
+    expect(coinData.timeframes['1H']).toHaveLength(168);
+    expect(coinData.timeframes['1D']).toHaveLength(100);
+    expect(coinData.dailyData).toBe(coinData.timeframes['1D']);
+  });
+});
+
+describe('market data service', () => {
+  it('selects the fixture provider by name', async () => {
+    const dataService = marketDataService.getMarketDataService('fixture');
+    const cheap = await dataService.getCryptocurrenciesUnderPrice(1.0, 100);
+    
+    expect(dataService.provider).toBe('fixture');
+    expect(cheap.map(crypto => crypto.symbol)).toEqual(['DOGE', 'XLM', 'VET', 'ALGO', 'CHZ', 'JASMY']);
+  });
+  
+  it('knows which providers are registered', () => {
+    expect(marketDataService.hasProvider('fixture')).toBe(true);
+    expect(marketDataService.hasProvider('Binance')).toBe(true);
+    expect(marketDataService.hasProvider('nope')).toBe(false);
+    expect(() => marketDataService.getProvider('nope')).toThrow('Unknown market data provider: nope');
+  });
+  
+  it('only offers the fixture provider in tests or when enabled', () => {
+    const { NODE_ENV, FIXTURE_PROVIDER_ENABLED } = process.env;
+    const loadService = (env) => {
+      Object.assign(process.env, env);
+      let service;
+      jest.isolateModules(() => {
+        service = require('../services/marketDataService');
+      });
+      return service;
+    };
+    
+    expect(loadService({ NODE_ENV: 'production', FIXTURE_PROVIDER_ENABLED: 'false' }).hasProvider('fixture')).toBe(false);
+    expect(loadService({ NODE_ENV: 'production', FIXTURE_PROVIDER_ENABLED: 'true' }).hasProvider('fixture')).toBe(true);
+    
+    process.env.NODE_ENV = NODE_ENV;
+    if (FIXTURE_PROVIDER_ENABLED === undefined) {
+      delete process.env.FIXTURE_PROVIDER_ENABLED;
+    } else {
+      process.env.FIXTURE_PROVIDER_ENABLED = FIXTURE_PROVIDER_ENABLED;
+    }
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Futures margin for crypto breakout backtests
+ * Models isolated-margin positions at a chosen leverage: where they are
+ * liquidated, whether the stop loss would trigger before liquidation, and the
+ * return on the margin put up
+ */
+
+/**
+ * Resolve margin options
+ */
+const getMarginConfig = (options = {}) => {
+  const leverage = options.leverage !== undefined ? Number(options.leverage) : 1;
+  
+  if (!Number.isFinite(leverage) || leverage < 1) {
+    throw new Error(`Leverage must be a number of at least 1: ${options.leverage}`);
+  }
+  
+  return {
+    leverage,
+    // Share of the position value that must remain as margin
+    maintenanceMarginRate: options.maintenanceMarginRate !== undefined ? options.maintenanceMarginRate : 0.005
+  };
+};
+
+/**
+ * Liquidation price of an isolated-margin position: where the loss leaves only
+ * the maintenance margin
+ * 
+ * @param {string} direction - 'long' or 'short'
+ * @param {number} entryPrice - Entry price
+ * @param {Object} options - Margin options
+ * @returns {number} Liquidation price
+ */
+const getLiquidationPrice = (direction, entryPrice, options = {}) => {
+  const { leverage, maintenanceMarginRate } = getMarginConfig(options);
+  const side = direction === 'short' ? -1 : 1;
+  
+  return entryPrice * (1 - side * (1 / leverage - maintenanceMarginRate));
+};
+
+/**
+ * Whether a stop loss sits at or beyond the liquidation price, so the position
+ * would be liquidated before the stop could trigger
+ */
+const isStopBeyondLiquidation = (direction, stopLoss, liquidationPrice) =>
+  (direction === 'short' ? stopLoss >= liquidationPrice : stopLoss <= liquidationPrice);
+
+/**
+ * Add margin figures to a backtested trade
+ * A liquidated position also forfeits its remaining maintenance margin, so a
+ * full liquidation loses the whole margin (plus fees)
+ * 
+ * @param {Object} trade - Trade with direction, entryPrice, stopLoss, exits and pnl
+ *   (percent of the position value, net of costs)
+ * @param {Object} options - Margin options
+ * @returns {Object} Trade with leverage, liquidationPrice, liquidated,
+ *   stopBeyondLiquidation and returnOnMargin (percent of the margin)
+ */
+const applyMargin = (trade, options = {}) => {
+  const { leverage, maintenanceMarginRate } = getMarginConfig(options);
+  const liquidationPrice = getLiquidationPrice(trade.direction, trade.entryPrice, options);
+  const liquidatedPercent = trade.exits
+    .filter(exit => exit.type === 'Liquidation')
+    .reduce((sum, exit) => sum + exit.sizePercent, 0);
+  const liquidationLoss = liquidatedPercent * maintenanceMarginRate;
+  const pnl = trade.pnl - liquidationLoss;
+  const costs = trade.costs && {
+    ...trade.costs,
+    liquidation: liquidationLoss,
+    total: trade.costs.total + liquidationLoss
+  };
+  
+  return {
+    ...trade,
+    pnl,
+    costs,
+    leverage,
+    liquidationPrice,
+    liquidated: liquidatedPercent > 0,
+    stopBeyondLiquidation: isStopBeyondLiquidation(trade.direction, trade.stopLoss, liquidationPrice),
+    returnOnMargin: Math.max(-100, pnl * leverage)
+  };
+};
+
+module.exports = {
+  getMarginConfig,
+  getLiquidationPrice,
+  isStopBeyondLiquidation,
+  applyMargin
+};
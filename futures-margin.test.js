@@ -0,0 +1,90 @@
+/**
+ * Futures margin tests
+ * Isolated margin at 5x with the default 0.5% maintenance margin: positions
+ * from 100 are liquidated at 100 * (1 -/+ (1/5 - 0.005))
+ */
+
+const futuresMargin = require('../utils/futuresMargin');
+const exitRules = require('../utils/exitRules');
+
+const candle = (high, low, close) => ({ time: 0, open: close, high, low, close });
+
+describe('futures margin', () => {
+  it('prices liquidation where only the maintenance margin is left', () => {
+    expect(futuresMargin.getLiquidationPrice('long', 100, { leverage: 5 })).toBeCloseTo(80.5, 10);
+    expect(futuresMargin.getLiquidationPrice('short', 100, { leverage: 5 })).toBeCloseTo(119.5, 10);
+    // Unleveraged longs lose everything but the maintenance margin first
+    expect(futuresMargin.getLiquidationPrice('long', 100)).toBeCloseTo(0.5, 10);
+    expect(futuresMargin.getLiquidationPrice('long', 100, { leverage: 5, maintenanceMarginRate: 0 })).toBeCloseTo(80, 10);
+  });
+  
+  it('flags stops at or beyond the liquidation price', () => {
+    expect(futuresMargin.isStopBeyondLiquidation('long', 80.5, 80.5)).toBe(true);
+    expect(futuresMargin.isStopBeyondLiquidation('long', 81, 80.5)).toBe(false);
+    expect(futuresMargin.isStopBeyondLiquidation('short', 120, 119.5)).toBe(true);
+    expect(futuresMargin.isStopBeyondLiquidation('short', 119, 119.5)).toBe(false);
+  });
+  
+  it('scales the return by leverage', () => {
+    const trade = futuresMargin.applyMargin(
+      { direction: 'long', entryPrice: 100, stopLoss: 95, exits: [{ type: 'Take Profit', sizePercent: 100 }], pnl: 3 },
+      { leverage: 5 }
+    );
+    
+    expect(trade).toMatchObject({ leverage: 5, liquidated: false, stopBeyondLiquidation: false, pnl: 3, returnOnMargin: 15 });
+    expect(trade.liquidationPrice).toBeCloseTo(80.5, 10);
+  });
+  
+  it('forfeits the maintenance margin on liquidation and caps the loss at the margin', () => {
+    // Liquidated at 80.5: -19.5%, less 0.1 of fees and the 0.5 maintenance margin
+    const trade = futuresMargin.applyMargin(
+      {
+        direction: 'long',
+        entryPrice: 100,
+        stopLoss: 78,
+        exits: [{ type: 'Liquidation', sizePercent: 100 }],
+        pnl: -19.6,
+        costs: { fees: 0.1, slippage: 0, funding: 0, total: 0.1 }
+      },
+      { leverage: 5 }
+    );
+    
+    expect(trade.liquidated).toBe(true);
+    expect(trade.stopBeyondLiquidation).toBe(true);
+    expect(trade.pnl).toBeCloseTo(-20.1, 10);
+    expect(trade.costs.liquidation).toBeCloseTo(0.5, 10);
+    expect(trade.costs.total).toBeCloseTo(0.6, 10);
+    expect(trade.returnOnMargin).toBe(-100);
+  });
+  
+  it('rejects leverage below 1', () => {
+    expect(() => futuresMargin.getMarginConfig({ leverage: 0.5 })).toThrow('Leverage must be a number of at least 1: 0.5');
+    expect(() => futuresMargin.getMarginConfig({ leverage: 'x' })).toThrow('Leverage must be a number of at least 1: x');
+  });
+});
+
+describe('intrabar liquidation', () => {
+  const run = (trade, bar) => {
+    const manager = exitRules.createTradeManager(trade, { leverage: 5 });
+    return manager.update(bar);
+  };
+  
+  it('liquidates a long whose low touches the liquidation price before its stop', () => {
+    const trade = { direction: 'long', entryPrice: 100, stopLoss: 78, takeProfit: 120 };
+    
+    expect(run(trade, candle(101, 80.6, 90)).isOpen).toBe(true);
+    expect(run(trade, candle(101, 80.5, 90))).toMatchObject({ exitType: 'Liquidation', exitPrice: expect.closeTo(80.5, 10) });
+  });
+  
+  it('liquidates a short whose high reaches the liquidation price', () => {
+    const trade = { direction: 'short', entryPrice: 100, stopLoss: 125, takeProfit: 80 };
+    
+    expect(run(trade, candle(120, 99, 110))).toMatchObject({ exitType: 'Liquidation', exitPrice: expect.closeTo(119.5, 10) });
+  });
+  
+  it('stops out before liquidation when the stop sits inside it', () => {
+    const trade = { direction: 'long', entryPrice: 100, stopLoss: 85, takeProfit: 120 };
+    
+    expect(run(trade, candle(101, 75, 80))).toMatchObject({ exitType: 'Stop Loss', exitPrice: 85 });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Market data service
+ * Selects the market data provider used for screening and exposes
+ * provider-independent helpers built on top of it
+ */
+
+const dotenv = require('dotenv');
+const cryptoCompareService = require('./cryptoCompareService');
+const binanceService = require('./binanceService');
+const fixtureProvider = require('./fixtureProvider');
+
+dotenv.config();
+
+// Methods every market data provider must implement
+const PROVIDER_METHODS = [
+  'getHistoricalData',
+  'getCurrentPrices',
+  'getTopCryptocurrencies',
+  'getMultiTimeframeData'
+];
+
+// Registered providers keyed by lowercase name
+const providers = {
+  cryptocompare: cryptoCompareService,
+  binance: binanceService
+};
+
+// The fixture provider reads local files named after the request, so it is
+// only offered in tests or when enabled explicitly
+if (process.env.NODE_ENV === 'test' || process.env.FIXTURE_PROVIDER_ENABLED === 'true') {
+  providers.fixture = fixtureProvider;
+}
+
+// Provider used when a request does not ask for one
+const DEFAULT_PROVIDER = (process.env.MARKET_DATA_PROVIDER || 'cryptocompare').toLowerCase();
+
+// Known ByDFi listings (this list should be updated regularly)
+// This is just a sample - in production, this would come from a real data source
+const BYDFI_SYMBOLS = [
+  'BTC', 'ETH', 'XRP', 'SOL', 'ADA', 'DOT', 'AVAX', 'MATIC',
+  'LINK', 'ATOM', 'UNI', 'ALGO', 'VET', 'FIL', 'THETA', 'XTZ',
+  'MANA', 'SAND', 'AXS', 'GALA', 'CHZ', 'ENJ', 'ROSE', 'ONE',
+  'DOGE', 'SHIB', 'FTM', 'NEAR', 'EGLD', 'ICP', 'EOS', 'XLM',
+  'HBAR', 'XMR', 'CAKE', 'LTC', 'BCH', 'TRX', 'ETC', 'ZEC',
+  'BAT', 'WAVES', 'DASH', 'KSM', 'NEO', 'QTUM', 'IOTA', 'ZIL'
+];
+
+/**
+ * Register a market data provider
+ * 
+ * @param {string} name - Provider name used to select it (e.g., binance)
+ * @param {Object} provider - Object implementing the provider methods
+ */
+const registerProvider = (name, provider) => {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+  
+  if (missing.length > 0) {
+    throw new Error(`Market data provider ${name} is missing: ${missing.join(', ')}`);
+  }
+  
+  providers[name.toLowerCase()] = provider;
+};
+
+/**
+ * Get a registered market data provider
+ * 
+ * @param {string} name - Provider name (defaults to MARKET_DATA_PROVIDER)
+ * @returns {Object} Market data provider
+ */
+const getProvider = (name) => {
+  const providerName = (name || DEFAULT_PROVIDER).toLowerCase();
+  const provider = providers[providerName];
+  
+  if (!provider) {
+    throw new Error(`Unknown market data provider: ${providerName}`);
+  }
+  
+  return provider;
+};
+
+/**
+ * Whether a market data provider is registered
+ * 
+ * @param {string} name - Provider name (defaults to MARKET_DATA_PROVIDER)
+ * @returns {boolean} True if getProvider would find it
+ */
+const hasProvider = (name) => Boolean(providers[(name || DEFAULT_PROVIDER).toLowerCase()]);
+
+/**
+ * List names of registered market data providers
+ * 
+ * @returns {Array<string>} Provider names
+ */
+const listProviders = () => Object.keys(providers);
+
+/**
+ * Get list of cryptocurrencies under a specific price
+ * 
+ * @param {Object} provider - Market data provider
+ * @param {number} maxPrice - Maximum price
+ * @param {number} limit - Number of cryptocurrencies to return
+ * @param {string} currency - Quote currency
+ * @returns {Promise<Array>} List of cryptocurrencies under the price threshold
+ */
+const getCryptocurrenciesUnderPrice = async (provider, maxPrice = 1.0, limit = 200, currency = 'USDT') => {
+  try {
+    // Get top cryptocurrencies to start with
+    const topCryptos = await provider.getTopCryptocurrencies(limit * 2, currency);
+    
+    // Filter by price and sort by market cap
+    const filteredCryptos = topCryptos
+      .filter(crypto => crypto.price !== null && crypto.price <= maxPrice)
+      .sort((a, b) => (b.marketCap || 0) - (a.marketCap || 0))
+      .slice(0, limit);
+      
+    return filteredCryptos;
+  } catch (error) {
+    console.error('Error fetching cryptocurrencies under price:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get list of cryptocurrencies available on ByDFi exchange
+ * 
+ * @param {Object} provider - Market data provider
+ * @param {string} currency - Quote currency
+ * @returns {Promise<Array>} List of ByDFi-listed cryptocurrencies
+ */
+const getByDFiCryptocurrencies = async (provider, currency = 'USDT') => {
+  try {
+    // Note: There's no direct API for ByDFi listings
+    // In a production app, you would integrate with ByDFi's API if available
+    // or maintain a current list in your database
+    
+    // Get top cryptocurrencies
+    const topCryptos = await provider.getTopCryptocurrencies(500, currency);
+    
+    return topCryptos.filter(crypto => BYDFI_SYMBOLS.includes(crypto.symbol));
+  } catch (error) {
+    console.error('Error fetching ByDFi cryptocurrencies:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a market data service bound to a provider
+ * 
+ * @param {string} name - Provider name (defaults to MARKET_DATA_PROVIDER)
+ * @returns {Object} Market data service
+ */
+const getMarketDataService = (name) => {
+  const provider = getProvider(name);
+  
+  return {
+    provider: (name || DEFAULT_PROVIDER).toLowerCase(),
+    getHistoricalData: (...args) => provider.getHistoricalData(...args),
+    getCurrentPrices: (...args) => provider.getCurrentPrices(...args),
+    getTopCryptocurrencies: (...args) => provider.getTopCryptocurrencies(...args),
+    getMultiTimeframeData: (...args) => provider.getMultiTimeframeData(...args),
+    getCryptocurrenciesUnderPrice: (...args) => getCryptocurrenciesUnderPrice(provider, ...args),
+    getByDFiCryptocurrencies: (...args) => getByDFiCryptocurrencies(provider, ...args)
+  };
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  hasProvider,
+  listProviders,
+  getMarketDataService
+};
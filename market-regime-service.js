@@ -0,0 +1,198 @@
+/**
+ * Market regime service
+ * Classifies the overall market as trending-up, ranging or trending-down from
+ * the trend of the benchmark coins (BTC, ETH) and the breadth of the scanned
+ * universe, so signals can be suppressed or down-weighted against the market
+ */
+
+const indicators = require('../utils/technicalIndicators');
+
+// Benchmark coins and how much each one's trend counts towards the regime
+const BENCHMARKS = [
+  { symbol: 'BTC', weight: 2 },
+  { symbol: 'ETH', weight: 1 }
+];
+
+// Daily bars fetched per benchmark (enough to warm up the EMA and ADX)
+const BENCHMARK_HISTORY_BARS = 250;
+
+// Daily bars fetched per coin for breadth, unless breadthPeriod needs more.
+// Profiles load too few daily bars (100) to warm up an EMA200.
+const BREADTH_HISTORY_BARS = 250;
+
+/**
+ * Resolve regime options
+ */
+const getRegimeConfig = (options = {}) => ({
+  // Benchmark trend: EMA slope over slopeBars bars, confirmed by ADX and +DI / -DI
+  emaPeriod: options.emaPeriod || 50,
+  slopeBars: options.slopeBars || 10,
+  minSlopePercent: options.minSlopePercent || 2,
+  adxPeriod: options.adxPeriod || 14,
+  adxThreshold: options.adxThreshold || 20,
+  // Breadth: share of the universe closing above its breadthPeriod EMA
+  breadthPeriod: options.breadthPeriod || 200,
+  bullishBreadth: options.bullishBreadth || 0.6,
+  bearishBreadth: options.bearishBreadth || 0.4,
+  // Net trend score needed for a trending regime
+  minTrendScore: options.minTrendScore || 2
+});
+
+/**
+ * Classify the trend of a series from its EMA slope and ADX
+ * 
+ * @param {Array} data - OHLCV data, oldest first
+ * @param {Object} options - Regime options
+ * @returns {Object} { trend: 'up' | 'down' | 'flat' | null, emaSlopePercent, adx, plusDI, minusDI };
+ *   trend is null without enough history
+ */
+const analyzeTrend = (data, options = {}) => {
+  const config = getRegimeConfig(options);
+  const closeData = data.map(d => d.close);
+  const ema = indicators.calculateEMA(closeData, config.emaPeriod);
+  const dmi = indicators.calculateADX(
+    data.map(d => d.high),
+    data.map(d => d.low),
+    closeData,
+    config.adxPeriod
+  );
+  
+  const currentEMA = ema[ema.length - 1];
+  const previousEMA = ema[ema.length - 1 - config.slopeBars];
+  const { adx, plusDI, minusDI } = dmi[dmi.length - 1] || {};
+  
+  if (currentEMA === null || currentEMA === undefined || !previousEMA || adx === null || adx === undefined) {
+    return { trend: null, emaSlopePercent: null, adx: null, plusDI: null, minusDI: null };
+  }
+  
+  const emaSlopePercent = ((currentEMA - previousEMA) / previousEMA) * 100;
+  const isTrending = adx >= config.adxThreshold;
+  let trend = 'flat';
+  
+  if (isTrending && emaSlopePercent >= config.minSlopePercent && plusDI > minusDI) {
+    trend = 'up';
+  } else if (isTrending && emaSlopePercent <= -config.minSlopePercent && minusDI > plusDI) {
+    trend = 'down';
+  }
+  
+  return { trend, emaSlopePercent, adx, plusDI, minusDI };
+};
+
+/**
+ * Whether a series closes above its long-term EMA
+ * 
+ * @param {Array} data - OHLCV data, oldest first
+ * @param {Object} options - Regime options
+ * @returns {boolean|null} null without enough history
+ */
+const isAboveBreadthEma = (data, options = {}) => {
+  const config = getRegimeConfig(options);
+  
+  if (!data || data.length === 0) return null;
+  
+  const ema = indicators.calculateEMA(data.map(d => d.close), config.breadthPeriod);
+  const currentEMA = ema[ema.length - 1];
+  
+  return currentEMA === null || currentEMA === undefined ? null : data[data.length - 1].close > currentEMA;
+};
+
+/**
+ * Fetch a coin's daily candles and check whether it closes above its
+ * long-term EMA, for market breadth
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {Object} options - Regime options
+ * @returns {Promise<boolean|null>} null without enough history
+ */
+const getBreadthSample = async (dataService, symbol, currency = 'USDT', options = {}) => {
+  try {
+    const config = getRegimeConfig(options);
+    const data = await dataService.getHistoricalData(
+      symbol,
+      currency,
+      'day',
+      Math.max(BREADTH_HISTORY_BARS, config.breadthPeriod)
+    );
+    
+    return isAboveBreadthEma(data, options);
+  } catch (error) {
+    console.error(`Error fetching breadth sample for ${symbol}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Classify the market regime
+ * Each benchmark trending up adds its weight to the trend score and each one
+ * trending down subtracts it; breadth above bullishBreadth adds 1 and below
+ * bearishBreadth subtracts 1
+ * 
+ * @param {Object} benchmarks - Trend of each benchmark from getBenchmarkTrends
+ * @param {Array<boolean|null>} breadthSamples - getBreadthSample of each scanned coin
+ * @param {Object} options - Regime options
+ * @returns {Object} { regime, trendScore, benchmarks, breadth }
+ */
+const classifyMarketRegime = (benchmarks, breadthSamples = [], options = {}) => {
+  const config = getRegimeConfig(options);
+  let trendScore = 0;
+  
+  BENCHMARKS.forEach(({ symbol, weight }) => {
+    const trend = benchmarks[symbol] && benchmarks[symbol].trend;
+    
+    if (trend === 'up') trendScore += weight;
+    if (trend === 'down') trendScore -= weight;
+  });
+  
+  const samples = breadthSamples.filter(sample => sample !== null);
+  const aboveEma = samples.filter(Boolean).length;
+  const breadth = {
+    aboveEma,
+    total: samples.length,
+    percent: samples.length > 0 ? (aboveEma / samples.length) * 100 : null
+  };
+  
+  if (breadth.percent !== null && breadth.percent >= config.bullishBreadth * 100) trendScore += 1;
+  if (breadth.percent !== null && breadth.percent <= config.bearishBreadth * 100) trendScore -= 1;
+  
+  let regime = 'ranging';
+  if (trendScore >= config.minTrendScore) {
+    regime = 'trending-up';
+  } else if (trendScore <= -config.minTrendScore) {
+    regime = 'trending-down';
+  }
+  
+  return { regime, trendScore, benchmarks, breadth };
+};
+
+/**
+ * Fetch daily candles for the benchmark coins and classify their trends
+ * 
+ * @param {Object} dataService - Market data service
+ * @param {string} currency - Quote currency
+ * @param {Object} options - Regime options
+ * @returns {Promise<Object>} Trend of each benchmark, keyed by symbol
+ */
+const getBenchmarkTrends = async (dataService, currency = 'USDT', options = {}) => {
+  try {
+    const benchmarks = {};
+    
+    for (const { symbol } of BENCHMARKS) {
+      const data = await dataService.getHistoricalData(symbol, currency, 'day', BENCHMARK_HISTORY_BARS);
+      benchmarks[symbol] = analyzeTrend(data, options);
+    }
+    
+    return benchmarks;
+  } catch (error) {
+    console.error('Error fetching benchmark trends:', error);
+    throw error;
+  }
+};
+
+module.exports = {
+  analyzeTrend,
+  getBreadthSample,
+  classifyMarketRegime,
+  getBenchmarkTrends
+};
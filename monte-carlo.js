@@ -0,0 +1,178 @@
+/**
+ * Monte Carlo analysis for crypto breakout backtests
+ * Resamples a backtest's trades thousands of times to show the range of
+ * outcomes the same edge could have produced: final equity, max drawdown and
+ * risk of ruin, with percentile bands around the equity path
+ */
+
+// How each simulated trade sequence is drawn from the backtest's trades
+const RESAMPLING_METHODS = {
+  shuffle: 'Same trades in a random order',
+  bootstrap: 'As many trades drawn at random with replacement',
+  skip: 'Same order with each trade randomly skipped'
+};
+
+// Most simulations run per analysis
+const MAX_SIMULATIONS = 10000;
+
+/**
+ * Validate a resampling method
+ */
+const resolveResamplingMethod = (method = 'shuffle') => {
+  if (!RESAMPLING_METHODS[method]) {
+    throw new Error(`Unknown resampling method: ${method}`);
+  }
+  
+  return method;
+};
+
+/**
+ * Resolve Monte Carlo options
+ */
+const getMonteCarloConfig = (options = {}) => ({
+  method: resolveResamplingMethod(options.method),
+  simulations: Math.max(1, Math.min(Number(options.simulations) || 1000, MAX_SIMULATIONS)),
+  // skip: chance of leaving out each trade
+  skipProbability: options.skipProbability !== undefined ? options.skipProbability : 0.1,
+  // A simulation is ruined once its drawdown from a peak reaches this percent
+  ruinDrawdown: options.ruinDrawdown || 50,
+  initialCapital: options.initialCapital || 10000,
+  percentiles: options.percentiles || [5, 25, 50, 75, 95]
+});
+
+/**
+ * Percentile of sorted values, interpolating between neighbours
+ */
+const getPercentile = (sorted, percentile) => {
+  const position = (percentile / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Mean and percentiles of a list of values
+ */
+const describeDistribution = (values, percentiles) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const distribution = {
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+  
+  percentiles.forEach(percentile => {
+    distribution[`p${percentile}`] = getPercentile(sorted, percentile);
+  });
+  
+  return distribution;
+};
+
+/**
+ * Draw one simulated sequence of trade returns
+ * Skipped trades return 0, so every sequence has one step per original trade
+ */
+const resample = (returns, config) => {
+  if (config.method === 'bootstrap') {
+    return returns.map(() => returns[Math.floor(Math.random() * returns.length)]);
+  }
+  
+  if (config.method === 'skip') {
+    return returns.map(value => (Math.random() < config.skipProbability ? 0 : value));
+  }
+  
+  // Fisher-Yates shuffle
+  const shuffled = returns.slice();
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  
+  return shuffled;
+};
+
+/**
+ * Run a Monte Carlo analysis of a backtest's trades
+ * Each simulation compounds a resampled sequence of the trade returns from
+ * initialCapital. Drawdowns are measured trade to trade, so they can be
+ * smaller than the bar-by-bar drawdown of the backtest.
+ * 
+ * @param {Array<number>} tradeReturns - Percent of equity gained or lost by
+ *   each trade, in order (see performanceMetrics.getTradeReturns)
+ * @param {Object} options - Monte Carlo options
+ * @returns {Object} finalEquity, totalReturn and maxDrawdown distributions
+ *   (mean, min, max and percentiles), riskOfRuin and probabilityOfLoss
+ *   (percent of simulations), and equityBands: the equity percentiles after
+ *   each trade, starting with the initial capital
+ */
+const runMonteCarlo = (tradeReturns, options = {}) => {
+  const config = getMonteCarloConfig(options);
+  
+  if (tradeReturns.length === 0) {
+    return { error: 'No trades to resample' };
+  }
+  
+  const finalEquities = [];
+  const maxDrawdowns = [];
+  // Equity of every simulation after each trade
+  const equityByStep = tradeReturns.map(() => []);
+  let ruined = 0;
+  
+  for (let simulation = 0; simulation < config.simulations; simulation++) {
+    let equity = config.initialCapital;
+    let peak = equity;
+    let maxDrawdown = 0;
+    
+    resample(tradeReturns, config).forEach((tradeReturn, step) => {
+      equity = Math.max(0, equity * (1 + tradeReturn / 100));
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, ((peak - equity) / peak) * 100);
+      equityByStep[step].push(equity);
+    });
+    
+    finalEquities.push(equity);
+    maxDrawdowns.push(maxDrawdown);
+    if (maxDrawdown >= config.ruinDrawdown) ruined++;
+  }
+  
+  const startBand = { trade: 0 };
+  config.percentiles.forEach(percentile => {
+    startBand[`p${percentile}`] = config.initialCapital;
+  });
+  
+  return {
+    method: config.method,
+    simulations: config.simulations,
+    trades: tradeReturns.length,
+    initialCapital: config.initialCapital,
+    ruinDrawdown: config.ruinDrawdown,
+    finalEquity: describeDistribution(finalEquities, config.percentiles),
+    totalReturn: describeDistribution(
+      finalEquities.map(equity => ((equity - config.initialCapital) / config.initialCapital) * 100),
+      config.percentiles
+    ),
+    maxDrawdown: describeDistribution(maxDrawdowns, config.percentiles),
+    riskOfRuin: (ruined / config.simulations) * 100,
+    probabilityOfLoss: (finalEquities.filter(equity => equity < config.initialCapital).length / config.simulations) * 100,
+    equityBands: [
+      startBand,
+      ...equityByStep.map((equities, step) => {
+        const sorted = equities.sort((a, b) => a - b);
+        const band = { trade: step + 1 };
+        
+        config.percentiles.forEach(percentile => {
+          band[`p${percentile}`] = getPercentile(sorted, percentile);
+        });
+        
+        return band;
+      })
+    ]
+  };
+};
+
+module.exports = {
+  RESAMPLING_METHODS,
+  resolveResamplingMethod,
+  runMonteCarlo
+};
@@ -0,0 +1,81 @@
+/**
+ * Monte Carlo analysis tests
+ * Math.random is stubbed so each simulated sequence is known in advance
+ */
+
+const monteCarlo = require('../utils/monteCarlo');
+
+const RETURNS = [10, -50, 20];
+
+describe('Monte Carlo analysis', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('ends every shuffled sequence at the same equity', () => {
+    const result = monteCarlo.runMonteCarlo(RETURNS, { simulations: 20 });
+    
+    // 10000 * 1.1 * 0.5 * 1.2, whatever the order
+    expect(result.finalEquity.min).toBeCloseTo(6600, 8);
+    expect(result.finalEquity.max).toBeCloseTo(6600, 8);
+    expect(result.totalReturn.mean).toBeCloseTo(-34, 8);
+    expect(result.probabilityOfLoss).toBe(100);
+  });
+  
+  it('measures drawdowns trade to trade and counts ruined sequences', () => {
+    // Fisher-Yates with j = 0 every time orders the trades -50, 20, 10
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const result = monteCarlo.runMonteCarlo(RETURNS, { simulations: 2 });
+    
+    expect(result.equityBands.map(band => band.p50)).toEqual([10000, 5000, 6000, 6600].map(value => expect.closeTo(value, 8)));
+    expect(result.maxDrawdown.max).toBeCloseTo(50, 8);
+    expect(result.riskOfRuin).toBe(100);
+  });
+  
+  it('draws trades with replacement when bootstrapping', () => {
+    // Always the last trade: 20% three times
+    jest.spyOn(Math, 'random').mockReturnValue(0.99);
+    const result = monteCarlo.runMonteCarlo(RETURNS, { method: 'bootstrap', simulations: 1 });
+    
+    expect(result.finalEquity.mean).toBeCloseTo(17280, 8);
+    expect(result.maxDrawdown.max).toBe(0);
+  });
+  
+  it('skips trades with the skip probability', () => {
+    // Only the first draw falls under 0.5: the 10% trade is skipped
+    const draws = [0.4, 0.6, 0.6];
+    jest.spyOn(Math, 'random').mockImplementation(() => draws.shift());
+    const result = monteCarlo.runMonteCarlo(RETURNS, { method: 'skip', skipProbability: 0.5, simulations: 1 });
+    
+    expect(result.finalEquity.mean).toBeCloseTo(6000, 8);
+  });
+  
+  it('interpolates percentiles between simulations', () => {
+    // Two of four simulations skip the single 10% trade: 10000, 10000, 11000, 11000
+    const draws = [0.05, 0.5, 0.05, 0.5];
+    jest.spyOn(Math, 'random').mockImplementation(() => draws.shift());
+    const result = monteCarlo.runMonteCarlo([10], { method: 'skip', simulations: 4, percentiles: [25, 50] });
+    
+    expect(result.finalEquity).toEqual({
+      mean: expect.closeTo(10500, 8),
+      min: 10000,
+      max: expect.closeTo(11000, 8),
+      p25: 10000,
+      p50: expect.closeTo(10500, 8)
+    });
+    expect(result.equityBands).toEqual([
+      { trade: 0, p25: 10000, p50: 10000 },
+      { trade: 1, p25: 10000, p50: expect.closeTo(10500, 8) }
+    ]);
+    expect(result.probabilityOfLoss).toBe(0);
+  });
+  
+  it('caps the number of simulations', () => {
+    expect(monteCarlo.runMonteCarlo([1], { simulations: 50000 }).simulations).toBe(10000);
+  });
+  
+  it('rejects unknown methods and empty trade lists', () => {
+    expect(() => monteCarlo.runMonteCarlo(RETURNS, { method: 'nope' })).toThrow('Unknown resampling method: nope');
+    expect(monteCarlo.runMonteCarlo([])).toEqual({ error: 'No trades to resample' });
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * Performance metrics for crypto breakout backtests
+ * Builds a bar-by-bar equity curve from backtested trades and reports the
+ * risk-adjusted performance of an equity curve: drawdowns, CAGR, Sharpe,
+ * Sortino and Calmar ratios, profit factor, exposure, streaks and monthly
+ * returns
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+const getTime = point => new Date(point.time).getTime();
+
+/**
+ * Resolve metric options
+ */
+const getMetricsConfig = (options = {}) => ({
+  // Annual risk-free rate (percent) for the Sharpe and Sortino ratios
+  riskFreeRate: options.riskFreeRate || 0
+});
+
+/**
+ * Share of equity a single-coin trade puts up as margin: all of it, or with
+ * riskPerTrade just enough to lose that percent of equity at the stop
+ */
+const getMarginShare = (trade, options = {}) => {
+  const leverage = options.leverage || 1;
+  const stopDistance = Math.abs(trade.entryPrice - trade.stopLoss) / trade.entryPrice;
+  
+  return options.riskPerTrade && stopDistance > 0
+    ? Math.min(1, (options.riskPerTrade / 100) / stopDistance / leverage)
+    : 1;
+};
+
+/**
+ * Return of each trade on the equity of a single-coin backtest, sized as in
+ * buildEquityCurve
+ * 
+ * @param {Array} trades - Trades with entryPrice, stopLoss and returnOnMargin
+ * @param {Object} options - { leverage, riskPerTrade }
+ * @returns {Array<number>} Percent of equity gained or lost by each trade
+ */
+const getTradeReturns = (trades, options = {}) =>
+  trades.map(trade => getMarginShare(trade, options) * trade.returnOnMargin);
+
+/**
+ * Build the equity curve of a single-coin backtest
+ * Each trade puts the whole equity up as margin, so returns compound, or with
+ * riskPerTrade just enough to lose that percent of equity at the stop. While a
+ * trade is open it is valued at its exits so far plus the rest at the close,
+ * before costs; on its exit bar it settles at its return on margin.
+ * 
+ * @param {Array} data - OHLCV data the trades were simulated on, oldest first
+ * @param {Array} trades - Non-overlapping trades with entryBar, barsHeld,
+ *   direction, entryPrice, stopLoss, exits and returnOnMargin
+ * @param {Object} options - { initialCapital, leverage, riskPerTrade, fromBar }
+ * @returns {Array} { time, equity, inMarket } for every bar from fromBar (0)
+ */
+const buildEquityCurve = (data, trades, options = {}) => {
+  const leverage = options.leverage || 1;
+  const fromBar = options.fromBar || 0;
+  const tradesByEntry = new Map(trades.map(trade => [trade.entryBar, trade]));
+  const curve = [];
+  let equity = options.initialCapital || 10000;
+  let openTrade = null;
+  
+  // Return on margin of an open trade at a bar's close
+  const markToMarket = (trade, index) => {
+    const side = trade.direction === 'short' ? -1 : 1;
+    const getPnl = price => (side * (price - trade.entryPrice)) / trade.entryPrice * 100;
+    const exits = trade.exits.filter(exit => exit.barsHeld <= index - trade.entryBar);
+    const remainingPercent = 100 - exits.reduce((sum, exit) => sum + exit.sizePercent, 0);
+    const pnl = exits.reduce((sum, exit) => sum + getPnl(exit.price) * (exit.sizePercent / 100), 0) +
+      getPnl(data[index].close) * (remainingPercent / 100);
+      
+    return Math.max(-100, pnl * leverage);
+  };
+  
+  data.slice(fromBar).forEach((candle, offset) => {
+    const index = fromBar + offset;
+    const inMarket = openTrade !== null;
+    let markedEquity = equity;
+    
+    if (openTrade && index === openTrade.entryBar + openTrade.barsHeld) {
+      equity *= 1 + getMarginShare(openTrade, options) * (openTrade.returnOnMargin / 100);
+      markedEquity = equity;
+      openTrade = null;
+    } else if (openTrade) {
+      markedEquity = equity * (1 + getMarginShare(openTrade, options) * (markToMarket(openTrade, index) / 100));
+    }
+    
+    // Entered at this bar's close; a trade closed on its entry bar settles at once
+    const entered = tradesByEntry.get(index);
+    if (entered && entered.barsHeld === 0) {
+      equity *= 1 + getMarginShare(entered, options) * (entered.returnOnMargin / 100);
+      markedEquity = equity;
+    } else if (entered) {
+      openTrade = entered;
+    }
+    
+    curve.push({ time: candle.time, equity: markedEquity, inMarket });
+  });
+  
+  return curve;
+};
+
+/**
+ * Maximum drawdown and the longest time spent below a previous peak
+ * 
+ * @returns {Object} { maxDrawdown (percent), maxDrawdownDuration (bars), maxDrawdownDays }
+ */
+const calculateDrawdowns = (equityCurve) => {
+  let peak = null;
+  let peakIndex = 0;
+  let maxDrawdown = 0;
+  let maxDrawdownDuration = 0;
+  let maxDrawdownDays = 0;
+  
+  equityCurve.forEach((point, index) => {
+    if (peak === null || point.equity >= peak) {
+      peak = point.equity;
+      peakIndex = index;
+      return;
+    }
+    
+    maxDrawdown = Math.max(maxDrawdown, ((peak - point.equity) / peak) * 100);
+    maxDrawdownDuration = Math.max(maxDrawdownDuration, index - peakIndex);
+    maxDrawdownDays = Math.max(maxDrawdownDays, (getTime(point) - getTime(equityCurve[peakIndex])) / DAY_MS);
+  });
+  
+  return { maxDrawdown, maxDrawdownDuration, maxDrawdownDays };
+};
+
+/**
+ * Annualized Sharpe and Sortino ratios of the bar-to-bar returns
+ */
+const calculateRatios = (equityCurve, riskFreeRate) => {
+  const returns = equityCurve.slice(1).map((point, index) => point.equity / equityCurve[index].equity - 1);
+  
+  if (returns.length < 2) {
+    return { sharpeRatio: null, sortinoRatio: null };
+  }
+  
+  // Bars per year from the median bar spacing
+  const spacings = equityCurve.slice(1).map((point, index) => getTime(point) - getTime(equityCurve[index]))
+    .sort((a, b) => a - b);
+  const periodsPerYear = YEAR_MS / spacings[Math.floor(spacings.length / 2)];
+  const riskFreeReturn = riskFreeRate / 100 / periodsPerYear;
+  
+  const excessReturns = returns.map(value => value - riskFreeReturn);
+  const mean = excessReturns.reduce((sum, value) => sum + value, 0) / excessReturns.length;
+  const deviation = Math.sqrt(
+    excessReturns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (excessReturns.length - 1)
+  );
+  const downsideDeviation = Math.sqrt(
+    excessReturns.reduce((sum, value) => sum + Math.min(0, value) ** 2, 0) / excessReturns.length
+  );
+  
+  return {
+    sharpeRatio: deviation > 0 ? (mean / deviation) * Math.sqrt(periodsPerYear) : null,
+    sortinoRatio: downsideDeviation > 0 ? (mean / downsideDeviation) * Math.sqrt(periodsPerYear) : null
+  };
+};
+
+/**
+ * Longest runs of winning and losing trades
+ */
+const calculateStreaks = (tradeResults) => {
+  const streaks = { longestWinStreak: 0, longestLossStreak: 0 };
+  let wins = 0;
+  let losses = 0;
+  
+  tradeResults.forEach(result => {
+    wins = result > 0 ? wins + 1 : 0;
+    losses = result > 0 ? 0 : losses + 1;
+    streaks.longestWinStreak = Math.max(streaks.longestWinStreak, wins);
+    streaks.longestLossStreak = Math.max(streaks.longestLossStreak, losses);
+  });
+  
+  return streaks;
+};
+
+/**
+ * Return of each calendar month (UTC), from the previous month's last equity
+ * 
+ * @returns {Array} { month: 'YYYY-MM', return }, oldest first
+ */
+const calculateMonthlyReturns = (equityCurve) => {
+  const monthEnds = new Map();
+  
+  equityCurve.forEach(point => {
+    monthEnds.set(new Date(point.time).toISOString().slice(0, 7), point.equity);
+  });
+  
+  let previous = equityCurve.length > 0 ? equityCurve[0].equity : null;
+  
+  return [...monthEnds.entries()].map(([month, equity]) => {
+    const monthReturn = ((equity - previous) / previous) * 100;
+    previous = equity;
+    
+    return { month, return: monthReturn };
+  });
+};
+
+/**
+ * Calculate the performance metrics of a backtest
+ * 
+ * @param {Array} equityCurve - { time, equity, inMarket }, oldest first
+ * @param {Array<number>} tradeResults - P&L of each trade in exit order, in any unit
+ * @param {Object} options - Metric options
+ * @returns {Object} { initialEquity, finalEquity, totalReturn, cagr, maxDrawdown,
+ *   maxDrawdownDuration, maxDrawdownDays, sharpeRatio, sortinoRatio, calmarRatio,
+ *   profitFactor, exposure, longestWinStreak, longestLossStreak, monthlyReturns };
+ *   ratios are null when they can't be calculated
+ */
+const calculateMetrics = (equityCurve, tradeResults = [], options = {}) => {
+  const config = getMetricsConfig(options);
+  
+  if (equityCurve.length === 0) {
+    return { error: 'No equity curve to measure' };
+  }
+  
+  const initialEquity = equityCurve[0].equity;
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+  const years = (getTime(equityCurve[equityCurve.length - 1]) - getTime(equityCurve[0])) / YEAR_MS;
+  const cagr = years > 0 && finalEquity > 0 ? ((finalEquity / initialEquity) ** (1 / years) - 1) * 100 : null;
+  const drawdowns = calculateDrawdowns(equityCurve);
+  
+  const grossProfit = tradeResults.filter(result => result > 0).reduce((sum, result) => sum + result, 0);
+  const grossLoss = Math.abs(tradeResults.filter(result => result <= 0).reduce((sum, result) => sum + result, 0));
+  
+  return {
+    initialEquity,
+    finalEquity,
+    totalReturn: ((finalEquity - initialEquity) / initialEquity) * 100,
+    cagr,
+    ...drawdowns,
+    ...calculateRatios(equityCurve, config.riskFreeRate),
+    calmarRatio: cagr !== null && drawdowns.maxDrawdown > 0 ? cagr / drawdowns.maxDrawdown : null,
+    // Gross profit over gross loss
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    // Share of bars with an open position
+    exposure: (equityCurve.filter(point => point.inMarket).length / equityCurve.length) * 100,
+    ...calculateStreaks(tradeResults),
+    monthlyReturns: calculateMonthlyReturns(equityCurve)
+  };
+};
+
+module.exports = {
+  getTradeReturns,
+  buildEquityCurve,
+  calculateMetrics
+};
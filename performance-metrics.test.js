@@ -0,0 +1,110 @@
+/**
+ * Performance metrics tests
+ */
+
+const performanceMetrics = require('../utils/performanceMetrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Numbers matched to floating-point precision
+const closeTo = values => values.map(value => expect.closeTo(value, 8));
+
+// Daily equity points from 2024-01-01
+const makeCurve = (equities, inMarket = []) => equities.map((equity, index) => ({
+  time: new Date(Date.UTC(2024, 0, 1) + index * DAY_MS).toISOString(),
+  equity,
+  inMarket: Boolean(inMarket[index])
+}));
+
+describe('performance metrics', () => {
+  it('measures return, drawdown and exposure', () => {
+    const curve = makeCurve([100, 120, 90, 108, 130], [false, true, true, true, false]);
+    const metrics = performanceMetrics.calculateMetrics(curve);
+    
+    // 120 to 90 is a 25% drawdown, below the peak for two bars
+    expect(metrics.totalReturn).toBeCloseTo(30, 10);
+    expect(metrics.maxDrawdown).toBeCloseTo(25, 10);
+    expect(metrics.maxDrawdownDuration).toBe(2);
+    expect(metrics.maxDrawdownDays).toBe(2);
+    expect(metrics.exposure).toBe(60);
+  });
+  
+  it('annualizes Sharpe and Sortino ratios by the bar spacing', () => {
+    // Daily returns +10%, -10%, +10%: mean 1/30, sample variance 0.04/3, downside variance 0.01/3
+    const metrics = performanceMetrics.calculateMetrics(makeCurve([100, 110, 99, 108.9]));
+    
+    expect(metrics.sharpeRatio).toBeCloseTo((1 / 30) / Math.sqrt(0.04 / 3) * Math.sqrt(365.25), 8);
+    expect(metrics.sortinoRatio).toBeCloseTo((1 / 30) / Math.sqrt(0.01 / 3) * Math.sqrt(365.25), 8);
+  });
+  
+  it('compounds CAGR over the years the curve spans', () => {
+    const curve = [{ time: 0, equity: 100 }, { time: YEAR_MS, equity: 90 }, { time: 2 * YEAR_MS, equity: 121 }];
+    const metrics = performanceMetrics.calculateMetrics(curve);
+    
+    // 21% over two years, with a 10% drawdown on the way
+    expect(metrics.cagr).toBeCloseTo(10, 10);
+    expect(metrics.calmarRatio).toBeCloseTo(1, 10);
+  });
+  
+  it('reports profit factor and streaks from the trade results', () => {
+    const metrics = performanceMetrics.calculateMetrics(makeCurve([100, 101]), [10, -5, -3, 8, 6]);
+    
+    expect(metrics.profitFactor).toBeCloseTo(24 / 8, 10);
+    expect(metrics.longestWinStreak).toBe(2);
+    expect(metrics.longestLossStreak).toBe(2);
+    // No losing trades: no profit factor
+    expect(performanceMetrics.calculateMetrics(makeCurve([100, 101]), [5, 3]).profitFactor).toBeNull();
+  });
+  
+  it('returns each month from the previous month\'s last equity', () => {
+    const curve = ['2024-01-15', '2024-01-31', '2024-02-15', '2024-03-01']
+      .map((date, index) => ({ time: date, equity: [100, 110, 99, 108.9][index] }));
+    const monthly = performanceMetrics.calculateMetrics(curve).monthlyReturns;
+    
+    expect(monthly.map(month => month.month)).toEqual(['2024-01', '2024-02', '2024-03']);
+    monthly.forEach((month, index) => expect(month.return).toBeCloseTo([10, -10, 10][index], 10));
+  });
+  
+  it('rejects an empty equity curve', () => {
+    expect(performanceMetrics.calculateMetrics([])).toEqual({ error: 'No equity curve to measure' });
+  });
+});
+
+describe('equity curve', () => {
+  // Long from 100 on bar 1 with a 90 stop, closed at 120 three bars later
+  const data = makeCurve([100, 100, 110, 105, 120]).map(point => ({ time: point.time, close: point.equity }));
+  const trade = {
+    direction: 'long',
+    entryBar: 1,
+    entryPrice: 100,
+    stopLoss: 90,
+    barsHeld: 3,
+    exits: [{ price: 120, sizePercent: 100, barsHeld: 3 }],
+    returnOnMargin: 20
+  };
+  
+  it('marks the open trade to the close and settles it on its exit bar', () => {
+    const curve = performanceMetrics.buildEquityCurve(data, [trade], { initialCapital: 1000 });
+    
+    expect(curve.map(point => point.equity)).toEqual(closeTo([1000, 1000, 1100, 1050, 1200]));
+    expect(curve.map(point => point.inMarket)).toEqual([false, false, true, true, true]);
+  });
+  
+  it('sizes the trade to lose riskPerTrade at the stop', () => {
+    // A 10% stop risking 2% of equity puts up a fifth of it
+    const curve = performanceMetrics.buildEquityCurve(data, [trade], { initialCapital: 1000, riskPerTrade: 2 });
+    
+    expect(curve.map(point => point.equity)).toEqual(closeTo([1000, 1000, 1020, 1010, 1040]));
+    expect(performanceMetrics.getTradeReturns([trade], { riskPerTrade: 2 })).toEqual(closeTo([4]));
+  });
+  
+  it('leverages the marked return', () => {
+    const curve = performanceMetrics.buildEquityCurve(data, [{ ...trade, returnOnMargin: 40 }], {
+      initialCapital: 1000,
+      leverage: 2
+    });
+    
+    expect(curve.map(point => point.equity)).toEqual(closeTo([1000, 1000, 1200, 1100, 1400]));
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Portfolio backtester for crypto breakout screening
+ * Replays the screener over a universe of coins on one shared timeline, with
+ * a single capital pool, a limit on concurrent positions and risk-based
+ * position sizing, to show what running the screener would have earned
+ */
+
+const { createBreakoutAnalyzer } = require('./breakoutDetector');
+const exitRules = require('./exitRules');
+const tradingCosts = require('./tradingCosts');
+const futuresMargin = require('./futuresMargin');
+const relativeStrength = require('./relativeStrength');
+const performanceMetrics = require('./performanceMetrics');
+
+// How coins signalling on the same bar are ranked, best first
+const RANKINGS = {
+  score: 'Highest breakout score',
+  relativeStrength: 'Highest RS rank within the universe'
+};
+
+/**
+ * Validate a ranking
+ */
+const resolveRanking = (rankBy = 'score') => {
+  if (!RANKINGS[rankBy]) {
+    throw new Error(`Unknown ranking: ${rankBy}`);
+  }
+  
+  return rankBy;
+};
+
+/**
+ * Resolve portfolio options
+ */
+const getPortfolioConfig = (options = {}) => ({
+  initialCapital: options.initialCapital || 10000,
+  maxConcurrentPositions: options.maxConcurrentPositions || 5,
+  // Percent of equity lost when a trade hits its stop, and the largest share
+  // of equity one position's margin may take
+  riskPerTrade: options.riskPerTrade || 2,
+  maxPositionSize: options.maxPositionSize || 10,
+  rankBy: resolveRanking(options.rankBy),
+  // Bars of history a coin needs before it is traded, as in the single-coin backtest
+  warmupBars: options.warmupBars || 200
+});
+
+const getTime = candle => new Date(candle.time).getTime();
+
+/**
+ * Rank the coins signalling on a bar, best first
+ */
+const rankCandidates = (candidates, coins, time, rankBy) => {
+  if (rankBy === 'relativeStrength' && candidates.length > 1) {
+    // Returns up to the bar the signals were read from, for every coin trading at this time
+    const universe = coins
+      .filter(coin => coin.indexByTime.has(time))
+      .map(coin => ({
+        symbol: coin.symbol,
+        returns: relativeStrength.analyzeRelativeStrength(coin.data.slice(0, coin.indexByTime.get(time)), []).returns
+      }));
+    const ranks = relativeStrength.rankUniverse(universe);
+    const getRank = ({ coin }) => (ranks[coin.symbol].rsRank !== null ? ranks[coin.symbol].rsRank : -1);
+    
+    return candidates.sort((a, b) => getRank(b) - getRank(a));
+  }
+  
+  return candidates.sort((a, b) => b.analysis.breakoutScore - a.analysis.breakoutScore);
+};
+
+/**
+ * Backtest the screener on a portfolio of coins
+ * Each coin is analyzed bar by bar as in backtestBreakoutStrategy and trades
+ * at the close after a breakout candidate, one position per coin at a time.
+ * When more coins signal than there are free position slots, the best ranked
+ * ones are taken. A position risks riskPerTrade percent of equity between
+ * entry and stop, its margin capped at maxPositionSize percent of equity and
+ * at the free cash. Positions still open at the end are closed at their last
+ * close.
+ * 
+ * @param {Array} universe - { symbol, data } for each coin, data being OHLCV
+ *   candles of one timeframe, oldest first
+ * @param {Object} options - Portfolio, breakout, exit rule, cost and margin options
+ * @returns {Object} Final equity, return and trade statistics, trades (with
+ *   symbol, positionValue, margin and profit), the equity curve and its
+ *   performance metrics (see performanceMetrics)
+ */
+const backtestPortfolio = (universe, options = {}) => {
+  const config = getPortfolioConfig(options);
+  const { leverage } = futuresMargin.getMarginConfig(options);
+  
+  const coins = universe
+    .filter(({ data }) => data.length > config.warmupBars)
+    .map(({ symbol, data }) => ({
+      symbol,
+      data,
+      analyzer: createBreakoutAnalyzer(options),
+      costModel: tradingCosts.createCostModel(data, options),
+      indexByTime: new Map(data.map((candle, index) => [getTime(candle), index])),
+      analysis: null,
+      nextEntryIndex: config.warmupBars
+    }));
+  const timeline = [...new Set(coins.flatMap(coin => coin.data.map(getTime)))].sort((a, b) => a - b);
+  
+  const openPositions = new Map();
+  const trades = [];
+  const equityCurve = [];
+  let cash = config.initialCapital;
+  let skippedSignals = 0;
+  
+  // Margin plus unrealized profit of the open positions, at their last close
+  const getEquity = () => {
+    let equity = cash;
+    
+    openPositions.forEach(position => {
+      const { pnl } = position.manager.getState(position.markPrice);
+      equity += position.margin * (1 + Math.max(-100, pnl * leverage) / 100);
+    });
+    
+    return equity;
+  };
+  
+  const closePosition = (position, state, exitIndex) => {
+    const { coin } = position;
+    const trade = futuresMargin.applyMargin(coin.costModel.applyCosts({
+      direction: position.direction,
+      entryType: 'immediate',
+      entryBar: position.entryIndex,
+      entryPrice: position.entryPrice,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      exitPrice: state.exitPrice,
+      exitType: state.exitType,
+      barsHeld: state.barsHeld,
+      exits: state.exits,
+      pnl: state.pnl,
+      date: coin.data[position.entryIndex].time
+    }), options);
+    const profit = position.margin * (trade.returnOnMargin / 100);
+    
+    cash += position.margin + profit;
+    openPositions.delete(coin.symbol);
+    coin.nextEntryIndex = exitIndex + 1;
+    
+    trades.push({
+      symbol: coin.symbol,
+      ...trade,
+      positionValue: position.margin * leverage,
+      margin: position.margin,
+      profit
+    });
+  };
+  
+  timeline.forEach(time => {
+    const bars = coins
+      .filter(coin => coin.indexByTime.has(time))
+      .map(coin => ({ coin, index: coin.indexByTime.get(time) }));
+      
+    // Exits on this bar free their capital and slot for the entries below
+    bars.forEach(({ coin, index }) => {
+      const position = openPositions.get(coin.symbol);
+      if (!position) return;
+      
+      const state = position.manager.update(coin.data[index]);
+      position.markPrice = coin.data[index].close;
+      
+      if (!state.isOpen) closePosition(position, state, index);
+    });
+    
+    // Analysis of the data up to the previous bar, entered at this bar's close
+    const candidates = [];
+    bars.forEach(({ coin, index }) => {
+      if (index > 0) {
+        coin.analysis = coin.analyzer.update(coin.data[index - 1]);
+      }
+      
+      if (index >= coin.nextEntryIndex && !openPositions.has(coin.symbol) &&
+        coin.analysis && coin.analysis.isBreakoutCandidate) {
+        candidates.push({ coin, index, analysis: coin.analysis });
+      }
+    });
+    
+    const equity = getEquity();
+    
+    rankCandidates(candidates, coins, time, config.rankBy).forEach(({ coin, index, analysis }) => {
+      const entryPrice = coin.data[index].close;
+      const stopLoss = analysis.suggestedStopLoss;
+      const stopDistance = Math.abs(entryPrice - stopLoss) / entryPrice;
+      const margin = stopDistance > 0
+        ? Math.min(
+          (equity * (config.riskPerTrade / 100)) / stopDistance / leverage,
+          equity * (config.maxPositionSize / 100),
+          cash
+        )
+        : 0;
+        
+      if (openPositions.size >= config.maxConcurrentPositions || !(margin > 0)) {
+        skippedSignals++;
+        return;
+      }
+      
+      const trade = {
+        direction: analysis.direction,
+        entryPrice,
+        stopLoss,
+        takeProfit: analysis.suggestedTakeProfit,
+        targets: analysis.tradePlan && analysis.tradePlan.targets
+      };
+      
+      cash -= margin;
+      openPositions.set(coin.symbol, {
+        ...trade,
+        coin,
+        entryIndex: index,
+        margin,
+        markPrice: entryPrice,
+        manager: exitRules.openTrade(coin.data, index, trade, options)
+      });
+    });
+    
+    equityCurve.push({
+      time: new Date(time).toISOString(),
+      equity: getEquity(),
+      cash,
+      openPositions: openPositions.size
+    });
+  });
+  
+  // Close what is still open at the end of the data
+  [...openPositions.values()].forEach(position => {
+    const lastIndex = position.coin.data.length - 1;
+    closePosition(position, position.manager.close(position.coin.data[lastIndex], 'End of Data'), lastIndex);
+  });
+  
+  // The last point shows the equity once they are closed, net of their exit costs
+  if (equityCurve.length > 0) {
+    Object.assign(equityCurve[equityCurve.length - 1], { equity: cash, cash });
+  }
+  
+  const winningTrades = trades.filter(trade => trade.profit > 0).length;
+  
+  return {
+    initialCapital: config.initialCapital,
+    finalEquity: cash,
+    totalReturn: ((cash - config.initialCapital) / config.initialCapital) * 100,
+    leverage,
+    riskPerTrade: config.riskPerTrade,
+    maxPositionSize: config.maxPositionSize,
+    maxConcurrentPositions: config.maxConcurrentPositions,
+    rankBy: config.rankBy,
+    coinsTraded: coins.length,
+    totalTrades: trades.length,
+    winningTrades,
+    losingTrades: trades.length - winningTrades,
+    winRate: trades.length > 0 ? (winningTrades / trades.length) * 100 : 0,
+    liquidations: trades.filter(trade => trade.liquidated).length,
+    skippedSignals,
+    trades,
+    equityCurve,
+    metrics: performanceMetrics.calculateMetrics(
+      equityCurve.map(point => ({ ...point, inMarket: point.openPositions > 0 })),
+      trades.map(trade => trade.profit),
+      options
+    )
+  };
+};
+
+module.exports = {
+  RANKINGS,
+  resolveRanking,
+  backtestPortfolio
+};
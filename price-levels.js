@@ -0,0 +1,192 @@
+/**
+ * Price level detection for crypto breakout screening
+ * Finds swing highs and lows and clusters them into horizontal
+ * support and resistance zones
+ */
+
+/**
+ * Find swing highs in a series
+ * A swing high is a value no lower than the `strength` values on either side,
+ * so the latest `strength` values can never be confirmed swings
+ * 
+ * @param {Array<number>} data - Values, oldest first
+ * @param {number} strength - Bars required on each side
+ * @returns {Array<number>} Indexes of swing highs, oldest first
+ */
+const findSwingHighs = (data, strength = 3) => {
+  const swings = [];
+  
+  for (let i = strength; i < data.length - strength; i++) {
+    let isSwing = true;
+    
+    for (let j = i - strength; j <= i + strength && isSwing; j++) {
+      if (data[j] > data[i]) isSwing = false;
+    }
+    
+    if (isSwing) swings.push(i);
+  }
+  
+  return swings;
+};
+
+/**
+ * Find swing lows in a series
+ * A swing low is a value no higher than the `strength` values on either side
+ * 
+ * @param {Array<number>} data - Values, oldest first
+ * @param {number} strength - Bars required on each side
+ * @returns {Array<number>} Indexes of swing lows, oldest first
+ */
+const findSwingLows = (data, strength = 3) => {
+  const swings = [];
+  
+  for (let i = strength; i < data.length - strength; i++) {
+    let isSwing = true;
+    
+    for (let j = i - strength; j <= i + strength && isSwing; j++) {
+      if (data[j] < data[i]) isSwing = false;
+    }
+    
+    if (isSwing) swings.push(i);
+  }
+  
+  return swings;
+};
+
+/**
+ * Find swing highs and lows in OHLC data
+ * 
+ * @param {Array} data - OHLC data, oldest first
+ * @param {number} strength - Bars required on each side
+ * @returns {Array} Swing points { index, time, price, type }, oldest first
+ */
+const findSwingPoints = (data, strength = 3) => {
+  const highs = findSwingHighs(data.map(d => d.high), strength)
+    .map(index => ({ index, time: data[index].time, price: data[index].high, type: 'high' }));
+  const lows = findSwingLows(data.map(d => d.low), strength)
+    .map(index => ({ index, time: data[index].time, price: data[index].low, type: 'low' }));
+    
+  return [...highs, ...lows].sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Cluster swing points into horizontal zones
+ * Swings are grouped by price, a zone spanning at most `tolerance` (fraction of
+ * its lowest price). Each touch counts towards the zone's strength with a weight
+ * halving every `halfLife` bars, so recent touches matter more.
+ * 
+ * @param {Array} swings - Swing points from findSwingPoints
+ * @param {number} lastIndex - Index of the latest bar, for recency
+ * @param {Object} options - Clustering options
+ * @returns {Array} Zones sorted by price (lowest first)
+ */
+const clusterZones = (swings, lastIndex, options = {}) => {
+  const tolerance = options.tolerance || 0.015;
+  const halfLife = options.halfLife || 50;
+  
+  const sortedSwings = [...swings].sort((a, b) => a.price - b.price);
+  const clusters = [];
+  
+  sortedSwings.forEach(swing => {
+    const cluster = clusters[clusters.length - 1];
+    
+    if (cluster && (swing.price - cluster[0].price) / cluster[0].price <= tolerance) {
+      cluster.push(swing);
+    } else {
+      clusters.push([swing]);
+    }
+  });
+  
+  return clusters.map(cluster => {
+    const prices = cluster.map(swing => swing.price);
+    const latest = cluster.reduce((a, b) => (b.index > a.index ? b : a));
+    
+    return {
+      low: Math.min(...prices),
+      high: Math.max(...prices),
+      price: prices.reduce((sum, price) => sum + price, 0) / prices.length,
+      touches: cluster.length,
+      swingHighs: cluster.filter(swing => swing.type === 'high').length,
+      swingLows: cluster.filter(swing => swing.type === 'low').length,
+      lastTouchTime: latest.time,
+      barsSinceTouch: lastIndex - latest.index,
+      strength: cluster.reduce((sum, swing) => sum + Math.pow(0.5, (lastIndex - swing.index) / halfLife), 0)
+    };
+  });
+};
+
+/**
+ * Find support and resistance zones around the latest close
+ * 
+ * @param {Array} data - OHLC data, oldest first
+ * @param {Object} options - Detection options
+ * @param {number} options.strength - Bars required on each side of a swing (default 3)
+ * @param {number} options.tolerance - Maximum zone height as a fraction of price (default 0.015)
+ * @param {number} options.minTouches - Swings needed for a zone to count (default 2)
+ * @param {number} options.halfLife - Bars after which a touch counts half (default 50)
+ * @returns {Object} Zones, support below and resistance above price (nearest first)
+ */
+const findSupportResistance = (data, options = {}) => {
+  const minTouches = options.minTouches || 2;
+  
+  if (data.length === 0) {
+    return { zones: [], support: [], resistance: [], nearestSupport: null, nearestResistance: null };
+  }
+  
+  const currentPrice = data[data.length - 1].close;
+  const swings = findSwingPoints(data, options.strength || 3);
+  const zones = clusterZones(swings, data.length - 1, options)
+    .filter(zone => zone.touches >= minTouches)
+    .map(zone => ({
+      ...zone,
+      distancePercent: ((zone.price - currentPrice) / currentPrice) * 100
+    }));
+    
+  // Zones containing price are neither support nor resistance
+  const support = zones.filter(zone => zone.high < currentPrice).reverse();
+  const resistance = zones.filter(zone => zone.low > currentPrice);
+  
+  return {
+    zones,
+    support,
+    resistance,
+    nearestSupport: support[0] || null,
+    nearestResistance: resistance[0] || null
+  };
+};
+
+/**
+ * Find the highest resistance zone the latest close broke above
+ * 
+ * @param {Array} zones - Zones from findSupportResistance
+ * @param {number} previousClose - Close of the previous bar
+ * @param {number} close - Latest close
+ * @returns {Object|null} Broken zone
+ */
+const findBrokenResistance = (zones, previousClose, close) => {
+  const broken = zones.filter(zone => previousClose <= zone.high && close > zone.high);
+  return broken.length > 0 ? broken[broken.length - 1] : null;
+};
+
+/**
+ * Find the lowest support zone the latest close broke below
+ * 
+ * @param {Array} zones - Zones from findSupportResistance
+ * @param {number} previousClose - Close of the previous bar
+ * @param {number} close - Latest close
+ * @returns {Object|null} Broken zone
+ */
+const findBrokenSupport = (zones, previousClose, close) => {
+  const broken = zones.filter(zone => previousClose >= zone.low && close < zone.low);
+  return broken.length > 0 ? broken[0] : null;
+};
+
+module.exports = {
+  findSwingHighs,
+  findSwingLows,
+  findSwingPoints,
+  clusterZones,
+  findSupportResistance,
+  findBrokenResistance,
+  findBrokenSupport
+};
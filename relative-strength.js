@@ -0,0 +1,144 @@
+/**
+ * Relative strength for crypto breakout screening
+ * Compares each coin with BTC through its ratio line and with the rest of the
+ * scanned universe through return percentiles, to favor coins that outperform
+ */
+
+// Lookbacks (in bars) for returns and ratio changes
+const DEFAULT_LOOKBACKS = [7, 30, 90];
+
+/**
+ * Resolve relative strength options
+ */
+const getRelativeStrengthConfig = (options = {}) => ({
+  lookbacks: options.lookbacks || DEFAULT_LOOKBACKS,
+  // The ratio line breaks out above the highest of its previous breakoutLookback values
+  breakoutLookback: options.breakoutLookback || 20
+});
+
+// Percent change between the value `lookback` entries back and the latest one
+const getChangePercent = (values, lookback) => {
+  const latest = values[values.length - 1];
+  const previous = values[values.length - 1 - lookback];
+  
+  return previous ? ((latest - previous) / previous) * 100 : null;
+};
+
+/**
+ * Calculate a coin's ratio line against a benchmark
+ * Only bars present in both series are used
+ * 
+ * @param {Array} data - Coin OHLCV data, oldest first
+ * @param {Array} benchmarkData - Benchmark (BTC) OHLCV data, oldest first
+ * @returns {Array} { time, value } with value = coin close / benchmark close
+ */
+const calculateRatioLine = (data, benchmarkData) => {
+  const benchmarkCloses = new Map(
+    benchmarkData.map(candle => [new Date(candle.time).getTime(), candle.close])
+  );
+  
+  return data
+    .filter(candle => benchmarkCloses.get(new Date(candle.time).getTime()) > 0)
+    .map(candle => ({
+      time: candle.time,
+      value: candle.close / benchmarkCloses.get(new Date(candle.time).getTime())
+    }));
+};
+
+/**
+ * Detect a breakout in a ratio line: the latest value above the highest of
+ * the `lookback` values before it
+ * 
+ * @param {Array<number>} ratioValues - Ratio line values, oldest first
+ * @param {number} lookback - Values the latest one is compared with
+ * @returns {Object} { isBreakout, level }, with a null level without enough history
+ */
+const detectRatioBreakout = (ratioValues, lookback = 20) => {
+  if (ratioValues.length < lookback + 1) {
+    return { isBreakout: false, level: null };
+  }
+  
+  const level = Math.max(...ratioValues.slice(-lookback - 1, -1));
+  
+  return { isBreakout: ratioValues[ratioValues.length - 1] > level, level };
+};
+
+/**
+ * Relative strength of a coin against a benchmark
+ * 
+ * @param {Array} data - Coin OHLCV data, oldest first
+ * @param {Array} benchmarkData - Benchmark (BTC) OHLCV data, oldest first
+ * @param {Object} options - Relative strength options
+ * @returns {Object} Returns per lookback and the ratio line's latest value,
+ *   change per lookback and breakout
+ */
+const analyzeRelativeStrength = (data, benchmarkData, options = {}) => {
+  const config = getRelativeStrengthConfig(options);
+  const closeData = data.map(d => d.close);
+  const ratioValues = calculateRatioLine(data, benchmarkData).map(point => point.value);
+  const ratioBreakout = detectRatioBreakout(ratioValues, config.breakoutLookback);
+  
+  const returns = {};
+  const ratioChange = {};
+  config.lookbacks.forEach(lookback => {
+    returns[lookback] = getChangePercent(closeData, lookback);
+    ratioChange[lookback] = getChangePercent(ratioValues, lookback);
+  });
+  
+  return {
+    returns,
+    ratio: {
+      value: ratioValues.length > 0 ? ratioValues[ratioValues.length - 1] : null,
+      change: ratioChange,
+      isBreakout: ratioBreakout.isBreakout,
+      level: ratioBreakout.level
+    }
+  };
+};
+
+/**
+ * Rank coins by their returns within the universe
+ * A coin's percentile for a lookback is the share of the other coins it
+ * outperformed; its RS rank is the average of its percentiles (0-100)
+ * 
+ * @param {Array} universe - { symbol, returns } for each scanned coin, with
+ *   returns keyed by lookback as from analyzeRelativeStrength
+ * @returns {Object} { rsRank, percentiles } keyed by symbol; rsRank is null
+ *   when no lookback could be ranked
+ */
+const rankUniverse = (universe) => {
+  const ranks = {};
+  const lookbacks = [...new Set(universe.flatMap(({ returns }) => Object.keys(returns)))];
+  
+  universe.forEach(({ symbol }) => {
+    ranks[symbol] = { rsRank: null, percentiles: {} };
+  });
+  
+  lookbacks.forEach(lookback => {
+    const ranked = universe.filter(({ returns }) => returns[lookback] !== null && returns[lookback] !== undefined);
+    
+    ranked.forEach(({ symbol, returns }) => {
+      const outperformed = ranked.filter(other => other.returns[lookback] < returns[lookback]).length;
+      ranks[symbol].percentiles[lookback] = ranked.length > 1
+        ? Math.round((outperformed / (ranked.length - 1)) * 100)
+        : null;
+    });
+  });
+  
+  Object.values(ranks).forEach(rank => {
+    const percentiles = Object.values(rank.percentiles).filter(percentile => percentile !== null);
+    
+    rank.rsRank = percentiles.length > 0
+      ? Math.round(percentiles.reduce((sum, percentile) => sum + percentile, 0) / percentiles.length)
+      : null;
+  });
+  
+  return ranks;
+};
+
+module.exports = {
+  calculateRatioLine,
+  detectRatioBreakout,
+  analyzeRelativeStrength,
+  rankUniverse
+};
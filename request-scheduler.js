@@ -0,0 +1,166 @@
+/**
+ * Request scheduler for market data APIs
+ * Throttles requests with token buckets so a provider's per-second and
+ * per-minute limits are respected, and retries rate-limited (429) and
+ * server error (5xx) responses with exponential backoff
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a token bucket that refills continuously
+ * 
+ * @param {number} capacity - Maximum tokens (requests) per interval
+ * @param {number} intervalMs - Interval over which the bucket fully refills
+ * @returns {Object} Token bucket
+ */
+const createTokenBucket = (capacity, intervalMs) => {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + ((now - lastRefill) * capacity) / intervalMs);
+    lastRefill = now;
+  };
+  
+  return {
+    capacity,
+    
+    // Milliseconds until the bucket holds enough tokens
+    getWaitTime: (cost) => {
+      refill();
+      return tokens >= cost ? 0 : Math.ceil(((cost - tokens) * intervalMs) / capacity);
+    },
+    
+    take: (cost) => {
+      refill();
+      tokens -= cost;
+    }
+  };
+};
+
+/**
+ * Get HTTP status from an axios error or an error tagged by a service
+ */
+const getErrorStatus = (error) => (error.response ? error.response.status : error.status);
+
+/**
+ * Check whether a failed request should be retried
+ */
+const isRetryableError = (error) => {
+  const status = getErrorStatus(error);
+  return status === 429 || (status >= 500 && status < 600);
+};
+
+/**
+ * Create a request scheduler
+ * 
+ * @param {Object} options - Scheduler options
+ * @param {string} options.name - Name used in log messages
+ * @param {number} options.perSecond - Maximum request weight per second
+ * @param {number} options.perMinute - Maximum request weight per minute
+ * @param {number} options.maxRetries - Retries for 429 and 5xx responses
+ * @param {number} options.baseDelayMs - First retry delay, doubled on each attempt
+ * @param {number} options.maxDelayMs - Upper bound for a retry delay
+ * @returns {Object} Scheduler with a schedule(request, options) method
+ */
+const createRequestScheduler = (options = {}) => {
+  const config = {
+    name: options.name || 'API',
+    maxRetries: options.maxRetries !== undefined ? options.maxRetries : 4,
+    baseDelayMs: options.baseDelayMs || 500,
+    maxDelayMs: options.maxDelayMs || 30000
+  };
+  
+  const buckets = [];
+  if (options.perSecond) buckets.push(createTokenBucket(options.perSecond, 1000));
+  if (options.perMinute) buckets.push(createTokenBucket(options.perMinute, 60 * 1000));
+  
+  const queue = [];
+  let draining = false;
+  let pausedUntil = 0;
+  
+  // Release queued requests in order as tokens become available
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+    
+    while (queue.length > 0) {
+      const { weight } = queue[0];
+      const bucketWait = buckets.map(bucket => bucket.getWaitTime(Math.min(weight, bucket.capacity)));
+      const waitTime = Math.max(pausedUntil - Date.now(), ...bucketWait, 0);
+      
+      if (waitTime > 0) {
+        await sleep(waitTime);
+        continue;
+      }
+      
+      buckets.forEach(bucket => bucket.take(Math.min(weight, bucket.capacity)));
+      queue.shift().release();
+    }
+    
+    draining = false;
+  };
+  
+  const acquire = (weight) => new Promise(resolve => {
+    queue.push({ weight, release: resolve });
+    drain();
+  });
+  
+  // Honour Retry-After when the provider sends it, otherwise back off exponentially with jitter
+  const getRetryDelay = (error, attempt) => {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    
+    if (retryAfter && !isNaN(parseFloat(retryAfter))) {
+      return Math.min(parseFloat(retryAfter) * 1000, config.maxDelayMs);
+    }
+    
+    const backoff = config.baseDelayMs * Math.pow(2, attempt);
+    return Math.min(backoff + Math.random() * config.baseDelayMs, config.maxDelayMs);
+  };
+  
+  /**
+   * Run a request once the rate limits allow it
+   * 
+   * @param {Function} request - Function returning a promise for the response
+   * @param {Object} requestOptions - Request options
+   * @param {number} requestOptions.weight - Rate limit cost of the request
+   * @returns {Promise<*>} Result of the request
+   */
+  const schedule = async (request, requestOptions = {}) => {
+    const weight = requestOptions.weight || 1;
+    
+    for (let attempt = 0; ; attempt++) {
+      await acquire(weight);
+      
+      try {
+        return await request();
+      } catch (error) {
+        if (!isRetryableError(error) || attempt >= config.maxRetries) {
+          throw error;
+        }
+        
+        const delay = Math.round(getRetryDelay(error, attempt));
+        const status = getErrorStatus(error);
+        
+        // A rate limit response applies to every queued request, not just this one
+        if (status === 429) {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        }
+        
+        console.warn(`${config.name} request failed with status ${status}, retrying in ${delay}ms (attempt ${attempt + 1}/${config.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  };
+  
+  return {
+    schedule,
+    getQueueLength: () => queue.length
+  };
+};
+
+module.exports = {
+  createRequestScheduler
+};
@@ -0,0 +1,108 @@
+/**
+ * Response cache for market data APIs
+ * TTL cache keyed by endpoint and request parameters, with TTLs tied to
+ * how quickly the requested data can change
+ */
+
+const NodeCache = require('node-cache');
+const { getTimeframeMs } = require('../utils/candleResampler');
+
+// Cached responses are shared, so callers must treat them as read-only
+const cache = new NodeCache({ useClones: false, checkperiod: 60 });
+
+// Requests currently in flight, so concurrent callers share one request
+const pendingRequests = new Map();
+
+// TTLs in seconds
+const CACHE_TTL = {
+  prices: 15,
+  markets: 120,
+  minute: 30,
+  hour: 60,
+  '4hour': 300,
+  day: 900,
+  // Windows made only of closed bars never change
+  closedBars: 24 * 60 * 60
+};
+
+/**
+ * Build a cache key from an endpoint and its parameters
+ * 
+ * @param {string} endpoint - Provider and endpoint (e.g., cryptocompare/histohour)
+ * @param {Object} params - Request parameters
+ * @returns {string} Cache key
+ */
+const buildCacheKey = (endpoint, params = {}) => {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined)
+    .sort()
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+    
+  return `${endpoint}?${query}`;
+};
+
+/**
+ * Get the TTL for a candle request
+ * Requests ending before the current bar opened only contain closed bars
+ * 
+ * @param {string} timeframe - Timeframe (minute, hour, 4hour, day)
+ * @param {number} toTime - End of the requested window (ms), undefined for now
+ * @returns {number} TTL in seconds
+ */
+const getCandleTtl = (timeframe, toTime) => {
+  const barDuration = getTimeframeMs(timeframe) || getTimeframeMs('hour');
+  
+  if (toTime && toTime < Date.now() - barDuration) {
+    return CACHE_TTL.closedBars;
+  }
+  
+  return CACHE_TTL[timeframe] || CACHE_TTL.hour;
+};
+
+/**
+ * Return a cached value or fetch and cache it
+ * 
+ * @param {string} key - Cache key
+ * @param {number} ttl - Time to live in seconds
+ * @param {Function} fetchValue - Function returning a promise for the value
+ * @returns {Promise<*>} Cached or freshly fetched value
+ */
+const getOrFetch = async (key, ttl, fetchValue) => {
+  const cached = cache.get(key);
+  if (cached !== undefined) {
+    return cached;
+  }
+  
+  if (pendingRequests.has(key)) {
+    return pendingRequests.get(key);
+  }
+  
+  const request = fetchValue()
+    .then(value => {
+      cache.set(key, value, ttl);
+      return value;
+    })
+    .finally(() => {
+      pendingRequests.delete(key);
+    });
+    
+  pendingRequests.set(key, request);
+  
+  return request;
+};
+
+/**
+ * Remove every cached response
+ */
+const flush = () => {
+  cache.flushAll();
+};
+
+module.exports = {
+  CACHE_TTL,
+  buildCacheKey,
+  getCandleTtl,
+  getOrFetch,
+  flush
+};
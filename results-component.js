@@ -9,7 +9,8 @@ const Results = ({ setLoading }) => {
   const [filterConfig, setFilterConfig] = useState({
     minConfidence: 0,
     minSuccessProbability: 0,
-    profitPotential: 'All'
+    profitPotential: 'All',
+    direction: 'All'
   });
 
   // Load results from localStorage on component mount
@@ -56,13 +57,13 @@ const Results = ({ setLoading }) => {
     const sortableSignals = [...signals];
     
     sortableSignals.sort((a, b) => {
-      // Handle nested properties like mtfAnalysis.score
+      // Handle nested properties like mtfAnalysis.score (missing parents sort as null)
       let aValue, bValue;
       
       if (sortConfig.key.includes('.')) {
         const [parent, child] = sortConfig.key.split('.');
-        aValue = a[parent][child];
-        bValue = b[parent][child];
+        aValue = a[parent] ? a[parent][child] : null;
+        bValue = b[parent] ? b[parent][child] : null;
       } else {
         aValue = a[sortConfig.key];
         bValue = b[sortConfig.key];
@@ -109,6 +110,12 @@ const Results = ({ setLoading }) => {
         return false;
       }
       
+      // Apply direction filter
+      if (filterConfig.direction !== 'All' && 
+          (signal.direction || 'Long') !== filterConfig.direction) {
+        return false;
+      }
+      
       return true;
     });
   };
@@ -119,7 +126,7 @@ const Results = ({ setLoading }) => {
     
     setFilterConfig({
       ...filterConfig,
-      [name]: name === 'profitPotential' ? value : parseFloat(value)
+      [name]: name === 'profitPotential' || name === 'direction' ? value : parseFloat(value)
     });
   };
   
@@ -128,7 +135,8 @@ const Results = ({ setLoading }) => {
     setFilterConfig({
       minConfidence: 0,
       minSuccessProbability: 0,
-      profitPotential: 'All'
+      profitPotential: 'All',
+      direction: 'All'
     });
   };
 
@@ -148,6 +156,13 @@ const Results = ({ setLoading }) => {
     return date.toLocaleString();
   };
 
+  // Color the market regime like price moves
+  const getRegimeClass = (regime) => {
+    if (regime === 'trending-up') return 'positive';
+    if (regime === 'trending-down') return 'negative';
+    return '';
+  };
+
   return (
     <div className="results-container">
       <h1>Breakout Screener Results</h1>
@@ -172,6 +187,15 @@ const Results = ({ setLoading }) => {
               <h3>Accuracy Rate</h3>
               <p>80%+</p>
             </div>
+            {results.marketRegime && (
+              <div className="summary-item">
+                <h3>Market Regime</h3>
+                <p className={getRegimeClass(results.marketRegime.regime)}>{results.marketRegime.regime}</p>
+                {results.marketRegime.breadth.percent !== null && (
+                  <span>{results.marketRegime.breadth.percent.toFixed(0)}% above EMA200</span>
+                )}
+              </div>
+            )}
           </div>
           
           {/* Filter Controls */}
@@ -224,6 +248,20 @@ const Results = ({ setLoading }) => {
                 </select>
               </div>
               
+              <div className="filter-group">
+                <label htmlFor="direction">Direction:</label>
+                <select
+                  id="direction"
+                  name="direction"
+                  value={filterConfig.direction}
+                  onChange={handleFilterChange}
+                >
+                  <option value="All">All</option>
+                  <option value="Long">Long</option>
+                  <option value="Short">Short</option>
+                </select>
+              </div>
+              
               <button 
                 className="btn secondary-btn"
                 onClick={resetFilters}
@@ -241,6 +279,9 @@ const Results = ({ setLoading }) => {
                   <th onClick={() => requestSort('symbol')}>
                     Symbol {sortConfig.key === 'symbol' ? (sortConfig.direction === 'ascending' ? '↑' : '↓') : ''}
                   </th>
+                  <th onClick={() => requestSort('direction')}>
+                    Direction {sortConfig.key === 'direction' ? (sortConfig.direction === 'ascending' ? '↑' : '↓') : ''}
+                  </th>
                   <th onClick={() => requestSort('entryPrice')}>
                     Entry Price {sortConfig.key === 'entryPrice' ? (sortConfig.direction === 'ascending' ? '↑' : '↓') : ''}
                   </th>
@@ -262,15 +303,19 @@ const Results = ({ setLoading }) => {
                   <th onClick={() => requestSort('mtfAnalysis.score')}>
                     MTF Score {sortConfig.key === 'mtfAnalysis.score' ? (sortConfig.direction === 'ascending' ? '↑' : '↓') : ''}
                   </th>
+                  <th onClick={() => requestSort('relativeStrength.rsRank')}>
+                    RS Rank {sortConfig.key === 'relativeStrength.rsRank' ? (sortConfig.direction === 'ascending' ? '↑' : '↓') : ''}
+                  </th>
                   <th>Action</th>
                 </tr>
               </thead>
               <tbody>
                 {getProcessedSignals().map((signal) => (
-                  <tr key={signal.symbol} className={signal.profitPotential === 'Very High' ? 'high-priority' : ''}>
+                  <tr key={`${signal.symbol}-${signal.direction}`} className={signal.profitPotential === 'Very High' ? 'high-priority' : ''}>
                     <td>
                       <strong>{signal.symbol}</strong>
                     </td>
+                    <td className={signal.direction === 'Short' ? 'negative' : 'positive'}>{signal.direction || 'Long'}</td>
                     <td>${signal.entryPrice.toFixed(4)}</td>
                     <td>${signal.stopLoss.toFixed(4)}</td>
                     <td>${signal.takeProfit.toFixed(4)}</td>
@@ -293,8 +338,11 @@ const Results = ({ setLoading }) => {
                       </span>
                     </td>
                     <td>{signal.mtfAnalysis.score}</td>
+                    <td className={signal.relativeStrength?.ratio.isBreakout ? 'positive' : ''}>
+                      {signal.relativeStrength?.rsRank ?? 'N/A'}
+                    </td>
                     <td>
-                      <Link to={`/coin/${signal.symbol}`} className="btn sm-btn">
+                      <Link to={`/coin/${signal.symbol}${signal.direction === 'Short' ? '?direction=short' : ''}`} className="btn sm-btn">
                         Details
                       </Link>
                     </td>
@@ -304,7 +352,7 @@ const Results = ({ setLoading }) => {
                 {/* Show message if no signals match filters */}
                 {getProcessedSignals().length === 0 && (
                   <tr>
-                    <td colSpan="9" className="no-results">
+                    <td colSpan="11" className="no-results">
                       No signals match your filter criteria. Try adjusting your filters.
                     </td>
                   </tr>
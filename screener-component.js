@@ -6,6 +6,16 @@ import { toast } from 'react-toastify';
 // API URL
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
+// Timeframe profile saved in user settings
+const getDefaultTimeframeProfile = () => {
+  try {
+    const savedSettings = JSON.parse(localStorage.getItem('userSettings'));
+    return savedSettings?.defaultTimeframeProfile || 'intraday';
+  } catch (error) {
+    return 'intraday';
+  }
+};
+
 const Screener = ({ setLoading }) => {
   const navigate = useNavigate();
   
@@ -13,17 +23,25 @@ const Screener = ({ setLoading }) => {
   const [screeningParams, setScreeningParams] = useState({
     maxPrice: 1.0,
     currency: 'USDT',
+    direction: 'long',
+    regimeFilter: 'off',
+    timeframeProfile: getDefaultTimeframeProfile(),
     consolidationPeriod: 6,
     consolidationThreshold: 0.15,
     rsiLowerThreshold: 50,
     rsiUpperThreshold: 75,
-    volumeIncreaseThreshold: 0.10,
+    volumeLookback: 20,
+    volumeSurgeThreshold: 1.5,
+    minRelativeVolume: 1.2,
+    volumeDryUpThreshold: 0.8,
     minBreakoutPercent: 0.01,
     maxBreakoutPercent: 0.20,
-    minMTFScore: 75,
+    minMTFScore: 45,
     minAlignmentScore: 4,
+    minRsRank: 0,
     riskRewardRatio: 3.0,
-    maxStopLossPercent: 5
+    maxStopLossPercent: 5,
+    stopMethod: 'atr'
   });
   
   // Preset configurations
@@ -33,10 +51,11 @@ const Screener = ({ setLoading }) => {
       consolidationThreshold: 0.12,
       rsiLowerThreshold: 55,
       rsiUpperThreshold: 70,
-      volumeIncreaseThreshold: 0.15,
+      volumeSurgeThreshold: 2.0,
+      minRelativeVolume: 1.5,
       minBreakoutPercent: 0.02,
       maxBreakoutPercent: 0.15,
-      minMTFScore: 80,
+      minMTFScore: 50,
       minAlignmentScore: 5,
       riskRewardRatio: 4.0,
       maxStopLossPercent: 4
@@ -46,10 +65,11 @@ const Screener = ({ setLoading }) => {
       consolidationThreshold: 0.18,
       rsiLowerThreshold: 45,
       rsiUpperThreshold: 80,
-      volumeIncreaseThreshold: 0.08,
+      volumeSurgeThreshold: 1.3,
+      minRelativeVolume: 1.0,
       minBreakoutPercent: 0.01,
       maxBreakoutPercent: 0.25,
-      minMTFScore: 70,
+      minMTFScore: 40,
       minAlignmentScore: 3,
       riskRewardRatio: 2.5,
       maxStopLossPercent: 6
@@ -59,10 +79,11 @@ const Screener = ({ setLoading }) => {
       consolidationThreshold: 0.15,
       rsiLowerThreshold: 50,
       rsiUpperThreshold: 75,
-      volumeIncreaseThreshold: 0.10,
+      volumeSurgeThreshold: 1.5,
+      minRelativeVolume: 1.2,
       minBreakoutPercent: 0.01,
       maxBreakoutPercent: 0.20,
-      minMTFScore: 75,
+      minMTFScore: 45,
       minAlignmentScore: 4,
       riskRewardRatio: 3.0,
       maxStopLossPercent: 5
@@ -87,9 +108,10 @@ const Screener = ({ setLoading }) => {
     // Convert numeric values
     const numericFields = [
       'maxPrice', 'consolidationPeriod', 'consolidationThreshold',
-      'rsiLowerThreshold', 'rsiUpperThreshold', 'volumeIncreaseThreshold',
+      'rsiLowerThreshold', 'rsiUpperThreshold', 'volumeLookback',
+      'volumeSurgeThreshold', 'minRelativeVolume', 'volumeDryUpThreshold',
       'minBreakoutPercent', 'maxBreakoutPercent', 'minMTFScore',
-      'minAlignmentScore', 'riskRewardRatio', 'maxStopLossPercent'
+      'minAlignmentScore', 'minRsRank', 'riskRewardRatio', 'maxStopLossPercent'
     ];
     
     const newValue = numericFields.includes(name) ? parseFloat(value) : value;
@@ -134,7 +156,13 @@ const Screener = ({ setLoading }) => {
       setLoading(true);
       
       // Call API with default/optimized parameters
-      const response = await axios.get(`${API_URL}/screener/breakout`);
+      const response = await axios.get(`${API_URL}/screener/breakout`, {
+        params: {
+          timeframeProfile: screeningParams.timeframeProfile,
+          direction: screeningParams.direction,
+          regimeFilter: screeningParams.regimeFilter
+        }
+      });
       
       // Check for success
       if (response.data.success) {
@@ -227,6 +255,53 @@ const Screener = ({ setLoading }) => {
               <span className="form-help">Base currency for price</span>
             </div>
           </div>
+          
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="timeframeProfile">Timeframe Profile</label>
+              <select
+                id="timeframeProfile"
+                name="timeframeProfile"
+                value={screeningParams.timeframeProfile}
+                onChange={handleParamChange}
+              >
+                <option value="scalping">Scalping (15m / 1H / 4H)</option>
+                <option value="intraday">Intraday (1H / 4H / 1D)</option>
+                <option value="swing">Swing (4H / 1D / 1W)</option>
+              </select>
+              <span className="form-help">Timeframes combined in the analysis</span>
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="direction">Direction</label>
+              <select
+                id="direction"
+                name="direction"
+                value={screeningParams.direction}
+                onChange={handleParamChange}
+              >
+                <option value="long">Long (breakouts)</option>
+                <option value="short">Short (breakdowns)</option>
+                <option value="both">Both</option>
+              </select>
+              <span className="form-help">Trade direction to screen for</span>
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="regimeFilter">Market Regime</label>
+              <select
+                id="regimeFilter"
+                name="regimeFilter"
+                value={screeningParams.regimeFilter}
+                onChange={handleParamChange}
+              >
+                <option value="off">Ignore</option>
+                <option value="downweight">Down-weight signals against it</option>
+                <option value="suppress">Suppress signals against it</option>
+              </select>
+              <span className="form-help">Longs are against a trending-down market, shorts against a trending-up one</span>
+            </div>
+          </div>
         </div>
         
         <div className="form-section">
@@ -332,18 +407,65 @@ const Screener = ({ setLoading }) => {
           
           <div className="form-row">
             <div className="form-group">
-              <label htmlFor="volumeIncreaseThreshold">Volume Increase Threshold</label>
+              <label htmlFor="volumeSurgeThreshold">Volume Surge Threshold</label>
               <input
                 type="number"
-                id="volumeIncreaseThreshold"
-                name="volumeIncreaseThreshold"
-                min="0.05"
-                max="0.3"
+                id="volumeSurgeThreshold"
+                name="volumeSurgeThreshold"
+                min="1"
+                max="3"
+                step="0.1"
+                value={screeningParams.volumeSurgeThreshold}
+                onChange={handleParamChange}
+              />
+              <span className="form-help">Breakout volume as a multiple of the consolidation average</span>
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="minRelativeVolume">Min Relative Volume</label>
+              <input
+                type="number"
+                id="minRelativeVolume"
+                name="minRelativeVolume"
+                min="0.5"
+                max="3"
+                step="0.1"
+                value={screeningParams.minRelativeVolume}
+                onChange={handleParamChange}
+              />
+              <span className="form-help">Breakout volume as a multiple of the rolling median</span>
+            </div>
+          </div>
+          
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="volumeLookback">Volume Lookback</label>
+              <input
+                type="number"
+                id="volumeLookback"
+                name="volumeLookback"
+                min="10"
+                max="50"
+                step="5"
+                value={screeningParams.volumeLookback}
+                onChange={handleParamChange}
+              />
+              <span className="form-help">Bars in the rolling volume baseline</span>
+            </div>
+            
+            <div className="form-group">
+              <label htmlFor="volumeDryUpThreshold">Volume Dry-Up Threshold</label>
+              <input
+                type="number"
+                id="volumeDryUpThreshold"
+                name="volumeDryUpThreshold"
+                min="0.3"
+                max="1"
                 step="0.05"
-                value={screeningParams.volumeIncreaseThreshold}
+                value={screeningParams.volumeDryUpThreshold}
                 onChange={handleParamChange}
               />
-              <span className="form-help">Minimum volume increase percentage</span>
+              <span className="form-help">Highest consolidation volume as a share of the baseline</span>
             </div>
           </div>
         </div>
@@ -357,13 +479,13 @@ const Screener = ({ setLoading }) => {
                 type="number"
                 id="minMTFScore"
                 name="minMTFScore"
-                min="60"
-                max="90"
+                min="30"
+                max="70"
                 step="5"
                 value={screeningParams.minMTFScore}
                 onChange={handleParamChange}
               />
-              <span className="form-help">Minimum multi-timeframe score</span>
+              <span className="form-help">Minimum multi-timeframe score (% of available points)</span>
             </div>
             
             <div className="form-group">
@@ -380,6 +502,21 @@ const Screener = ({ setLoading }) => {
               />
               <span className="form-help">Minimum timeframe alignment score</span>
             </div>
+            
+            <div className="form-group">
+              <label htmlFor="minRsRank">Minimum RS Rank</label>
+              <input
+                type="number"
+                id="minRsRank"
+                name="minRsRank"
+                min="0"
+                max="100"
+                step="10"
+                value={screeningParams.minRsRank}
+                onChange={handleParamChange}
+              />
+              <span className="form-help">Minimum return percentile among scanned coins (0 to disable)</span>
+            </div>
           </div>
         </div>
         
@@ -398,7 +535,7 @@ const Screener = ({ setLoading }) => {
                 value={screeningParams.riskRewardRatio}
                 onChange={handleParamChange}
               />
-              <span className="form-help">Target profit ratio to risk</span>
+              <span className="form-help">Final target as a multiple of risk</span>
             </div>
             
             <div className="form-group">
@@ -415,6 +552,22 @@ const Screener = ({ setLoading }) => {
               />
               <span className="form-help">Maximum stop loss percentage</span>
             </div>
+            
+            <div className="form-group">
+              <label htmlFor="stopMethod">Stop Placement</label>
+              <select
+                id="stopMethod"
+                name="stopMethod"
+                value={screeningParams.stopMethod}
+                onChange={handleParamChange}
+              >
+                <option value="atr">1 ATR from entry</option>
+                <option value="consolidation">Beyond the consolidation range</option>
+                <option value="swing">Beyond the last swing point</option>
+                <option value="breakoutLevel">Beyond the breakout level</option>
+              </select>
+              <span className="form-help">Structural stops fall back to 1 ATR when they would sit on the wrong side of entry</span>
+            </div>
           </div>
         </div>
         
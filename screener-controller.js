@@ -3,9 +3,80 @@
  * Handles API requests related to cryptocurrency screening
  */
 
-const cryptoCompareService = require('../services/cryptoCompareService');
+const marketDataService = require('../services/marketDataService');
+const candleStore = require('../services/candleStore');
+const marketRegimeService = require('../services/marketRegimeService');
 const breakoutDetector = require('../utils/breakoutDetector');
 const signalGenerator = require('../utils/signalGenerator');
+const relativeStrength = require('../utils/relativeStrength');
+const tradePlanner = require('../utils/tradePlanner');
+const exitRules = require('../utils/exitRules');
+const futuresMargin = require('../utils/futuresMargin');
+const { resolveTimeframeProfile } = require('../utils/timeframeProfiles');
+
+// Daily bars used for backtesting and optimization
+const BACKTEST_HISTORY_BARS = 1000;
+
+// Bars fetched to track a signal: exit rule warm-up plus the bars since it was generated
+const TRACKING_HISTORY_BARS = 500;
+
+// Signals are tracked on the backtester's daily bars by default, so exit rules
+// counted in bars (maxHoldingBars) mean the same for tracked and simulated trades
+const TRACKING_TIMEFRAME = 'day';
+
+// Most signals returned by the custom screener
+const MAX_CUSTOM_RESULTS = 20;
+
+/**
+ * Resolve a direction filter ('long', 'short' or 'both') to the directions to scan
+ */
+const resolveDirections = (direction = 'long') => {
+  if (direction === 'both') return ['long', 'short'];
+  if (direction === 'long' || direction === 'short') return [direction];
+  
+  throw new Error(`Unknown signal direction: ${direction}`);
+};
+
+/**
+ * Breadth sample of a coin, or null (left out of breadth) when its daily
+ * history can't be loaded, so the coin is still screened
+ */
+const sampleBreadth = async (dataService, symbol, currency) => {
+  try {
+    return await marketRegimeService.getBreadthSample(dataService, symbol, currency);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Bars used for relative strength: daily bars when the profile has them,
+ * otherwise its highest timeframe
+ */
+const getRankingData = (coinData) => {
+  const timeframes = coinData.profile.timeframes;
+  return coinData.timeframes['1D'] || coinData.timeframes[timeframes[timeframes.length - 1].timeframe];
+};
+
+/**
+ * Attach relative strength and the RS rank within the scanned universe to signals
+ * 
+ * @param {Array} signals - Successful signals
+ * @param {Array} universe - { symbol, returns, ratio } for each scanned coin
+ * @returns {Array} Signals with relativeStrength
+ */
+const attachRelativeStrength = (signals, universe) => {
+  const ranks = relativeStrength.rankUniverse(universe);
+  
+  return signals.map(signal => {
+    const { returns, ratio } = universe.find(coin => coin.symbol === signal.symbol);
+    
+    return {
+      ...signal,
+      relativeStrength: { ...ranks[signal.symbol], returns, ratio }
+    };
+  });
+};
 
 /**
  * Run breakout screener on cryptocurrencies under $1 available on ByDFi
@@ -19,19 +90,49 @@ const runBreakoutScreener = async (req, res) => {
     const { 
       maxPrice = 1.0,
       maxResults = 10,
-      minScore = 70,
-      currency = 'USDT'
+      minScore = 45,
+      currency = 'USDT',
+      direction,
+      regimeFilter = 'off',
+      timeframeProfile,
+      provider
     } = req.query;
     
+    // Validate the timeframe profile, direction and regime filter before fetching any data
+    let profile;
+    let directions;
+    try {
+      profile = resolveTimeframeProfile(timeframeProfile);
+      directions = resolveDirections(direction);
+      signalGenerator.resolveRegimeFilter(regimeFilter);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = candleStore.withCandleStore(
+      marketDataService.getMarketDataService(provider)
+    );
+    
     // Get cryptocurrencies under price threshold
-    const cheapCryptos = await cryptoCompareService.getCryptocurrenciesUnderPrice(
+    const cheapCryptos = await dataService.getCryptocurrenciesUnderPrice(
       parseFloat(maxPrice),
       100, // Get 100 coins to filter down from
       currency
     );
     
     // Filter to only include those available on ByDFi
-    const byDFiCryptos = await cryptoCompareService.getByDFiCryptocurrencies(currency);
+    const byDFiCryptos = await dataService.getByDFiCryptocurrencies(currency);
     const byDFiSymbols = byDFiCryptos.map(crypto => crypto.symbol);
     
     const eligibleCryptos = cheapCryptos.filter(crypto => 
@@ -40,38 +141,50 @@ const runBreakoutScreener = async (req, res) => {
     
     console.log(`Found ${eligibleCryptos.length} cryptocurrencies under $${maxPrice} on ByDFi`);
     
+    // BTC and ETH trend for the market regime
+    const benchmarks = await marketRegimeService.getBenchmarkTrends(dataService, currency);
+    
+    // BTC on the same timeframes, for relative strength
+    const benchmarkData = await dataService.getMultiTimeframeData('BTC', currency, profile);
+    
     // Generate signals for each eligible cryptocurrency
     const signals = [];
+    const breadthSamples = [];
+    const universe = [];
     let processedCount = 0;
     
     for (const crypto of eligibleCryptos) {
       try {
         // Get multi-timeframe data
-        const coinData = await cryptoCompareService.getMultiTimeframeData(
+        const coinData = await dataService.getMultiTimeframeData(
           crypto.symbol,
-          currency
+          currency,
+          profile
         );
         
-        // Generate breakout signal
-        const signal = signalGenerator.generateBreakoutSignal(coinData);
+        breadthSamples.push(await sampleBreadth(dataService, crypto.symbol, currency));
+        universe.push({
+          symbol: crypto.symbol,
+          ...relativeStrength.analyzeRelativeStrength(getRankingData(coinData), getRankingData(benchmarkData))
+        });
         
-        // If successful signal, add to results
-        if (signal.success && signal.mtfAnalysis.score >= parseInt(minScore)) {
-          signals.push({
-            ...signal,
-            name: crypto.name,
-            marketCap: crypto.marketCap,
-            volume24h: crypto.volume24h,
-            change24h: crypto.change24h
-          });
-        }
+        // Generate breakout (or breakdown) signals
+        directions.forEach(signalDirection => {
+          const signal = signalGenerator.generateBreakoutSignal(coinData, { direction: signalDirection });
         
-        processedCount++;
+          // If successful signal, add to results
+          if (signal.success && signal.mtfAnalysis.score >= parseInt(minScore)) {
+            signals.push({
+              ...signal,
+              name: crypto.name,
+              marketCap: crypto.marketCap,
+              volume24h: crypto.volume24h,
+              change24h: crypto.change24h
+            });
+          }
+        });
         
-        // Limit to maxResults
-        if (signals.length >= parseInt(maxResults)) {
-          break;
-        }
+        processedCount++;
         
       } catch (error) {
         console.error(`Error processing ${crypto.symbol}:`, error);
@@ -79,19 +192,34 @@ const runBreakoutScreener = async (req, res) => {
       }
     }
     
+    // Market regime from the benchmarks and the breadth of every eligible coin,
+    // and relative strength ranked within them, before limiting the results
+    const marketRegime = marketRegimeService.classifyMarketRegime(benchmarks, breadthSamples);
+    const rankedSignals = signalGenerator.applyMarketRegime(
+      attachRelativeStrength(signals, universe),
+      marketRegime,
+      { regimeFilter }
+    );
+    
     // Sort signals by confidence score (descending)
-    signals.sort((a, b) => b.confidence - a.confidence);
+    rankedSignals.sort((a, b) => b.confidence - a.confidence);
     
-    // Apply high-accuracy filter
-    const highAccuracySignals = signalGenerator.filterSignalsForHighAccuracy(signals);
+    // Apply high-accuracy filter and keep the best maxResults
+    const highAccuracySignals = signalGenerator.filterSignalsForHighAccuracy(rankedSignals)
+      .slice(0, parseInt(maxResults));
     
     // Return results
     res.json({
       success: true,
       timestamp: new Date().toISOString(),
+      provider: dataService.provider,
+      timeframeProfile: profile.name,
+      direction: direction || 'long',
+      regimeFilter,
+      marketRegime,
       processed: processedCount,
       totalEligible: eligibleCryptos.length,
-      signalsFound: signals.length,
+      signalsFound: rankedSignals.length,
       highAccuracySignals: highAccuracySignals.length,
       signals: highAccuracySignals
     });
@@ -116,19 +244,72 @@ const analyzeSymbol = async (req, res) => {
   try {
     // Get parameters
     const { symbol, currency = 'USDT' } = req.params;
+    const { direction = 'long', entryType = 'immediate', leverage, timeframeProfile, provider } = req.query;
+    
+    // Validate the timeframe profile, entry type and leverage before fetching any data
+    try {
+      resolveTimeframeProfile(timeframeProfile);
+      signalGenerator.resolveEntryType(entryType);
+      futuresMargin.getMarginConfig({ leverage });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = candleStore.withCandleStore(
+      marketDataService.getMarketDataService(provider)
+    );
     
     // Get multi-timeframe data
-    const coinData = await cryptoCompareService.getMultiTimeframeData(
+    const coinData = await dataService.getMultiTimeframeData(
       symbol,
-      currency
+      currency,
+      timeframeProfile
     );
     
-    // Generate breakout signal
-    const signal = signalGenerator.generateBreakoutSignal(coinData);
+    // Generate breakout (or breakdown) signal
+    const signal = signalGenerator.generateBreakoutSignal(coinData, { direction, entryType });
+    
+    // Score breakdown, chart patterns and tracked breakouts on each timeframe
+    const scoreBreakdown = {};
+    const patterns = {};
+    const breakouts = {};
+    Object.keys(coinData.timeframes).forEach(timeframe => {
+      const analysis = breakoutDetector.analyzeBreakout(coinData.timeframes[timeframe], { direction });
+      
+      scoreBreakdown[timeframe] = {
+        score: analysis.breakoutScore,
+        rawScore: analysis.rawScore,
+        maxScore: analysis.maxScore,
+        isBreakoutCandidate: analysis.isBreakoutCandidate,
+        conditions: analysis.conditions
+      };
+      patterns[timeframe] = analysis.patterns;
+      breakouts[timeframe] = analysis.recentBreakouts;
+    });
     
-    // Generate backtesting results
+    // Backtest over the stored daily history
+    const dailyHistory = await dataService.getHistoricalData(
+      symbol,
+      currency,
+      'day',
+      BACKTEST_HISTORY_BARS
+    );
+    
+    // Generate backtesting results, on isolated margin at the requested leverage
     const backtestResults = breakoutDetector.backtestBreakoutStrategy(
-      coinData.dailyData
+      dailyHistory,
+      { direction, leverage }
     );
     
     // Return analysis
@@ -136,7 +317,15 @@ const analyzeSymbol = async (req, res) => {
       success: true,
       symbol,
       currency,
+      direction,
+      entryType,
       timestamp: new Date().toISOString(),
+      timeframeProfile: coinData.profile.name,
+      // Candles for each timeframe in the profile, for charting
+      candles: coinData.timeframes,
+      scoreBreakdown,
+      patterns,
+      breakouts,
       signal,
       backtestResults
     });
@@ -167,92 +356,175 @@ const runCustomScreener = async (req, res) => {
       consolidationThreshold = 0.15,
       rsiLowerThreshold = 50,
       rsiUpperThreshold = 75,
-      volumeIncreaseThreshold = 0.10,
+      volumeLookback = 20,
+      volumeSurgeThreshold = 1.5,
+      minRelativeVolume = 1.2,
+      volumeDryUpThreshold = 0.8,
       minBreakoutPercent = 0.01,
       maxBreakoutPercent = 0.20,
-      minMTFScore = 75,
-      minAlignmentScore = 4,
+      minMTFScore = 45,
+      minAlignmentScore,
       riskRewardRatio = 3.0,
-      maxStopLossPercent = 5
+      maxStopLossPercent = 5,
+      stopMethod = 'atr',
+      confirmations = [],
+      requireResistanceBreak = false,
+      weights = {},
+      direction = 'long',
+      entryType = 'immediate',
+      regimeFilter = 'off',
+      // Minimum RS rank (0-100) within the scanned coins; 0 disables the filter
+      minRsRank = 0,
+      timeframeProfile,
+      provider
     } = req.body;
     
+    // Validate the timeframe profile, direction, entry type, regime filter,
+    // stop method, confirmations and weights before fetching any data
+    let profile;
+    let directions;
+    try {
+      profile = resolveTimeframeProfile(timeframeProfile);
+      directions = resolveDirections(direction);
+      signalGenerator.resolveEntryType(entryType);
+      signalGenerator.resolveRegimeFilter(regimeFilter);
+      tradePlanner.resolveStopMethod(stopMethod);
+      const unknownConfirmation = confirmations.find(name => !breakoutDetector.BREAKOUT_CONFIRMATIONS[name]);
+      
+      if (unknownConfirmation) {
+        throw new Error(`Unknown breakout confirmation: ${unknownConfirmation}`);
+      }
+      
+      breakoutDetector.resolveWeights(weights);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = candleStore.withCandleStore(
+      marketDataService.getMarketDataService(provider)
+    );
+    
     // Get cryptocurrencies under price threshold
-    const cheapCryptos = await cryptoCompareService.getCryptocurrenciesUnderPrice(
+    const cheapCryptos = await dataService.getCryptocurrenciesUnderPrice(
       maxPrice,
       100,
       currency
     );
     
     // Filter to only include those available on ByDFi
-    const byDFiCryptos = await cryptoCompareService.getByDFiCryptocurrencies(currency);
+    const byDFiCryptos = await dataService.getByDFiCryptocurrencies(currency);
     const byDFiSymbols = byDFiCryptos.map(crypto => crypto.symbol);
     
     const eligibleCryptos = cheapCryptos.filter(crypto => 
       byDFiSymbols.includes(crypto.symbol)
     );
     
+    // BTC and ETH trend for the market regime
+    const benchmarks = await marketRegimeService.getBenchmarkTrends(dataService, currency);
+    
+    // BTC on the same timeframes, for relative strength
+    const benchmarkData = await dataService.getMultiTimeframeData('BTC', currency, profile);
+    
     // Generate signals with custom parameters
     const signals = [];
+    const breadthSamples = [];
+    const universe = [];
     let processedCount = 0;
     
     for (const crypto of eligibleCryptos) {
       try {
         // Get multi-timeframe data
-        const coinData = await cryptoCompareService.getMultiTimeframeData(
+        const coinData = await dataService.getMultiTimeframeData(
           crypto.symbol,
-          currency
+          currency,
+          profile
         );
         
-        // Generate breakout signal with custom parameters
-        const signal = signalGenerator.generateBreakoutSignal(coinData, {
-          consolidationPeriod,
-          consolidationThreshold,
-          rsiLowerThreshold,
-          rsiUpperThreshold,
-          volumeIncreaseThreshold,
-          minBreakoutPercent,
-          maxBreakoutPercent,
-          minMTFScore,
-          minAlignmentScore,
-          riskRewardRatio,
-          maxStopLossPercent
+        breadthSamples.push(await sampleBreadth(dataService, crypto.symbol, currency));
+        universe.push({
+          symbol: crypto.symbol,
+          ...relativeStrength.analyzeRelativeStrength(getRankingData(coinData), getRankingData(benchmarkData))
         });
         
-        // If successful signal, add to results
-        if (signal.success) {
-          signals.push({
-            ...signal,
-            name: crypto.name,
-            marketCap: crypto.marketCap,
-            volume24h: crypto.volume24h,
-            change24h: crypto.change24h
+        // Generate breakout (or breakdown) signals with custom parameters
+        directions.forEach(signalDirection => {
+          const signal = signalGenerator.generateBreakoutSignal(coinData, {
+            direction: signalDirection,
+            entryType,
+            consolidationPeriod,
+            consolidationThreshold,
+            rsiLowerThreshold,
+            rsiUpperThreshold,
+            volumeLookback,
+            volumeSurgeThreshold,
+            minRelativeVolume,
+            volumeDryUpThreshold,
+            minBreakoutPercent,
+            maxBreakoutPercent,
+            minMTFScore,
+            minAlignmentScore,
+            riskRewardRatio,
+            maxStopLossPercent,
+            stopMethod,
+            confirmations,
+            requireResistanceBreak,
+            weights
           });
-        }
+          
+          // If successful signal, add to results
+          if (signal.success) {
+            signals.push({
+              ...signal,
+              name: crypto.name,
+              marketCap: crypto.marketCap,
+              volume24h: crypto.volume24h,
+              change24h: crypto.change24h
+            });
+          }
+        });
         
         processedCount++;
         
-        // Limit to 20 results
-        if (signals.length >= 20) {
-          break;
-        }
-        
       } catch (error) {
         console.error(`Error processing ${crypto.symbol}:`, error);
         continue;
       }
     }
     
+    // Market regime from the benchmarks and the breadth of every eligible coin,
+    // and relative strength ranked within them, before limiting the results
+    const marketRegime = marketRegimeService.classifyMarketRegime(benchmarks, breadthSamples);
+    const rankedSignals = signalGenerator.applyMarketRegime(
+      attachRelativeStrength(signals, universe),
+      marketRegime,
+      { regimeFilter }
+    ).filter(signal => minRsRank <= 0 ||
+      (signal.relativeStrength.rsRank !== null && signal.relativeStrength.rsRank >= minRsRank));
+    
     // Sort signals by confidence score (descending)
-    signals.sort((a, b) => b.confidence - a.confidence);
+    rankedSignals.sort((a, b) => b.confidence - a.confidence);
     
     // Return results
     res.json({
       success: true,
       timestamp: new Date().toISOString(),
+      provider: dataService.provider,
+      marketRegime,
       processed: processedCount,
       totalEligible: eligibleCryptos.length,
-      signalsFound: signals.length,
-      signals,
+      signalsFound: rankedSignals.length,
+      signals: rankedSignals.slice(0, MAX_CUSTOM_RESULTS),
       parameters: {
         maxPrice,
         currency,
@@ -260,13 +532,25 @@ const runCustomScreener = async (req, res) => {
         consolidationThreshold,
         rsiLowerThreshold,
         rsiUpperThreshold,
-        volumeIncreaseThreshold,
+        volumeLookback,
+        volumeSurgeThreshold,
+        minRelativeVolume,
+        volumeDryUpThreshold,
         minBreakoutPercent,
         maxBreakoutPercent,
         minMTFScore,
         minAlignmentScore,
         riskRewardRatio,
-        maxStopLossPercent
+        maxStopLossPercent,
+        stopMethod,
+        confirmations,
+        requireResistanceBreak,
+        weights,
+        direction,
+        entryType,
+        regimeFilter,
+        minRsRank,
+        timeframeProfile: profile
       }
     });
     
@@ -280,6 +564,92 @@ const runCustomScreener = async (req, res) => {
   }
 };
 
+/**
+ * Track a generated signal from the bar it was generated on, applying the same
+ * exit rules as the backtester
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const trackSignal = async (req, res) => {
+  try {
+    // Get parameters; anything else in the body is an exit rule option
+    const { signal, currency = 'USDT', timeframe = TRACKING_TIMEFRAME, provider, ...exitOptions } = req.body;
+    
+    if (!signal || !signal.symbol || !signal.generatedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'signal with symbol and generatedAt is required'
+      });
+    }
+    
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = candleStore.withCandleStore(
+      marketDataService.getMarketDataService(provider)
+    );
+    
+    const candles = await dataService.getHistoricalData(
+      signal.symbol,
+      currency,
+      timeframe,
+      TRACKING_HISTORY_BARS
+    );
+    
+    // Entry on the last bar that had opened when the signal was generated
+    const generatedAt = new Date(signal.generatedAt).getTime();
+    const entryIndex = candles.reduce(
+      (found, candle, index) => (new Date(candle.time).getTime() <= generatedAt ? index : found),
+      -1
+    );
+    
+    if (entryIndex === -1) {
+      return res.status(400).json({
+        success: false,
+        message: 'signal is older than the available price history'
+      });
+    }
+    
+    const trade = {
+      direction: signal.direction.toLowerCase(),
+      entryPrice: signal.entryPrice,
+      stopLoss: signal.stopLoss,
+      takeProfit: signal.takeProfit,
+      targets: signal.tradePlan && signal.tradePlan.targets
+    };
+    const position = exitRules.replayTrade(candles, entryIndex, trade, exitOptions);
+    const currentPrice = candles[candles.length - 1].close;
+    const state = position.getState(currentPrice);
+    
+    // Return tracked position
+    res.json({
+      success: true,
+      symbol: signal.symbol,
+      currency,
+      timeframe,
+      status: state.isOpen ? 'open' : 'closed',
+      entryPrice: signal.entryPrice,
+      currentPrice,
+      position: state,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('Error tracking signal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error tracking signal',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Optimize screener parameters
  * 
@@ -289,17 +659,31 @@ const runCustomScreener = async (req, res) => {
 const optimizeScreenerParameters = async (req, res) => {
   try {
     // Get symbol to use for optimization
-    const { symbol = 'BTC', currency = 'USDT', generations = 10 } = req.body;
+    const { symbol = 'BTC', currency = 'USDT', generations = 10, provider } = req.body;
     
-    // Get historical data for optimization
-    const coinData = await cryptoCompareService.getMultiTimeframeData(
+    if (!marketDataService.hasProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown market data provider: ${provider}`
+      });
+    }
+    
+    // Select market data provider
+    const dataService = candleStore.withCandleStore(
+      marketDataService.getMarketDataService(provider)
+    );
+    
+    // Optimize over the same daily history analyzeSymbol backtests on
+    const dailyHistory = await dataService.getHistoricalData(
       symbol,
-      currency
+      currency,
+      'day',
+      BACKTEST_HISTORY_BARS
     );
     
     // Run optimization
     const optimizationResults = signalGenerator.optimizeParameters(
-      coinData.dailyData,
+      dailyHistory,
       req.body, // Pass any initial parameters in the request
       parseInt(generations)
     );
@@ -328,5 +712,6 @@ module.exports = {
   runBreakoutScreener,
   analyzeSymbol,
   runCustomScreener,
+  trackSignal,
   optimizeScreenerParameters
 };
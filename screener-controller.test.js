@@ -0,0 +1,249 @@
+/**
+ * Screener controller tests
+ * Run the screener end to end against the fixture provider
+ */
+
+process.env.CANDLE_STORE_ENABLED = 'false';
+
+const screenerController = require('../controllers/screenerController');
+const coinsController = require('../controllers/coinsController');
+const marketRegimeService = require('../services/marketRegimeService');
+const signalGenerator = require('../utils/signalGenerator');
+
+// Minimal Express response that records the status and body
+const mockResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Daily-only profile, so every coin only needs daily fixture candles
+const DAILY_PROFILE = [{ timeframe: '1D', weight: 1, alignmentPoints: 1 }];
+
+describe('custom screener', () => {
+  it('scans the eligible fixture coins', async () => {
+    const res = mockResponse();
+    
+    await screenerController.runCustomScreener({
+      body: { provider: 'fixture', timeframeProfile: DAILY_PROFILE, direction: 'both' }
+    }, res);
+    
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.provider).toBe('fixture');
+    // Under $1 and listed on ByDFi: not SOL (price) or JASMY (listing)
+    expect(res.body.totalEligible).toBe(5);
+    expect(res.body.marketRegime.benchmarks.BTC.trend).not.toBeNull();
+    res.body.signals.forEach(signal => {
+      expect(['Long', 'Short']).toContain(signal.direction);
+      expect(signal.relativeStrength).toBeDefined();
+    });
+  });
+  
+  it('measures breadth on daily EMA200 although the profile loads 100 daily bars', async () => {
+    const res = mockResponse();
+    
+    await screenerController.runCustomScreener({
+      body: { provider: 'fixture', timeframeProfile: DAILY_PROFILE }
+    }, res);
+    
+    expect(res.body.marketRegime.breadth.total).toBe(5);
+    expect(res.body.marketRegime.breadth.percent).not.toBeNull();
+  });
+  
+  it('still screens a coin whose breadth sample fails', async () => {
+    const getBreadthSample = marketRegimeService.getBreadthSample;
+    jest.spyOn(marketRegimeService, 'getBreadthSample').mockImplementation((dataService, symbol, ...args) => (
+      symbol === 'DOGE'
+        ? Promise.reject(new Error('Not enough daily history'))
+        : getBreadthSample(dataService, symbol, ...args)
+    ));
+    const res = mockResponse();
+    
+    await screenerController.runCustomScreener({
+      body: { provider: 'fixture', timeframeProfile: DAILY_PROFILE }
+    }, res);
+    
+    marketRegimeService.getBreadthSample.mockRestore();
+    
+    expect(res.statusCode).toBe(200);
+    expect(res.body.processed).toBe(5);
+    expect(res.body.marketRegime.breadth.total).toBe(4);
+  });
+  
+  it('rejects an unknown provider with 400', async () => {
+    const res = mockResponse();
+    
+    await screenerController.runCustomScreener({
+      body: { provider: 'nope', timeframeProfile: DAILY_PROFILE }
+    }, res);
+    
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ success: false, message: 'Unknown market data provider: nope' });
+  });
+});
+
+describe('custom screener input', () => {
+  const invalidInputs = [
+    [{ timeframeProfile: 'hourly' }, 'Unknown timeframe profile: hourly'],
+    [{ timeframeProfile: [] }, 'Timeframe profile must contain at least one timeframe'],
+    [{ timeframeProfile: [{ timeframe: '3m' }] }, 'Unsupported analysis timeframe: 3m'],
+    [{ direction: 'up' }, 'Unknown signal direction: up'],
+    [{ entryType: 'limit' }, 'Unknown entry type: limit'],
+    [{ regimeFilter: 'strict' }, 'Unknown regime filter: strict'],
+    [{ stopMethod: 'fixed' }, 'Unknown stop method: fixed'],
+    [{ confirmations: ['ichimoku'] }, 'Unknown breakout confirmation: ichimoku'],
+    [{ weights: { momentum: 10 } }, 'Unknown score weight: momentum'],
+    [{ weights: { consolidation: -1 } }, 'Score weight consolidation must be a non-negative number']
+  ];
+  
+  invalidInputs.forEach(([body, message]) => {
+    it(`rejects ${JSON.stringify(body)} with 400`, async () => {
+      const res = mockResponse();
+      
+      await screenerController.runCustomScreener({ body: { provider: 'fixture', ...body } }, res);
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ success: false, message });
+    });
+  });
+});
+
+describe('breakout screener', () => {
+  it('rejects an unknown provider with 400', async () => {
+    const res = mockResponse();
+    
+    await screenerController.runBreakoutScreener({ query: { provider: 'nope' } }, res);
+    
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Unknown market data provider: nope');
+  });
+  
+  const invalidInputs = [
+    [{ timeframeProfile: 'hourly' }, 'Unknown timeframe profile: hourly'],
+    [{ direction: 'up' }, 'Unknown signal direction: up'],
+    [{ regimeFilter: 'strict' }, 'Unknown regime filter: strict']
+  ];
+  
+  invalidInputs.forEach(([query, message]) => {
+    it(`rejects ${JSON.stringify(query)} with 400`, async () => {
+      const res = mockResponse();
+      
+      await screenerController.runBreakoutScreener({ query: { provider: 'fixture', ...query } }, res);
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ success: false, message });
+    });
+  });
+});
+
+describe('symbol analysis', () => {
+  it('scores the signal from the same analysis as the score breakdown', async () => {
+    const res = mockResponse();
+    
+    await screenerController.analyzeSymbol({
+      params: { symbol: 'DOGE', currency: 'USDT' },
+      query: { provider: 'fixture' }
+    }, res);
+    
+    expect(res.statusCode).toBe(200);
+    
+    const { signal, scoreBreakdown } = res.body;
+    const mtfScore = signal.success ? signal.mtfAnalysis.score : signal.mtfScore;
+    const weightedScore = scoreBreakdown['1H'].score * 0.2 +
+      scoreBreakdown['4H'].score * 0.3 +
+      scoreBreakdown['1D'].score * 0.5;
+      
+    expect(mtfScore).toBe(Math.round(weightedScore));
+  });
+  
+  const invalidInputs = [
+    [{ timeframeProfile: 'hourly' }, 'Unknown timeframe profile: hourly'],
+    [{ entryType: 'limit' }, 'Unknown entry type: limit'],
+    [{ leverage: '0' }, 'Leverage must be a number of at least 1: 0']
+  ];
+  
+  invalidInputs.forEach(([query, message]) => {
+    it(`rejects ${JSON.stringify(query)} with 400`, async () => {
+      const res = mockResponse();
+      
+      await screenerController.analyzeSymbol({
+        params: { symbol: 'DOGE', currency: 'USDT' },
+        query: { provider: 'fixture', ...query }
+      }, res);
+      
+      expect(res.statusCode).toBe(400);
+      expect(res.body).toEqual({ success: false, message });
+    });
+  });
+});
+
+describe('signal tracking', () => {
+  it('tracks on daily bars, like the backtester', async () => {
+    const res = mockResponse();
+    
+    await screenerController.trackSignal({
+      body: {
+        provider: 'fixture',
+        signal: {
+          symbol: 'DOGE',
+          direction: 'Long',
+          generatedAt: '2024-06-01T12:00:00.000Z',
+          entryPrice: 0.03,
+          stopLoss: 0.001,
+          takeProfit: 1
+        }
+      }
+    }, res);
+    
+    expect(res.statusCode).toBe(200);
+    expect(res.body.timeframe).toBe('day');
+    // Neither exit reached: closed on the 19th daily bar after entry
+    expect(res.body.status).toBe('closed');
+    expect(res.body.position.barsHeld).toBe(19);
+  });
+});
+
+describe('parameter optimization', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('optimizes over the daily backtest history', async () => {
+    const optimize = jest.spyOn(signalGenerator, 'optimizeParameters')
+      .mockReturnValue({ parameters: {}, score: 0, winRate: 0 });
+    const res = mockResponse();
+    
+    await screenerController.optimizeScreenerParameters({ body: { symbol: 'DOGE', provider: 'fixture' } }, res);
+    
+    // Every daily fixture bar, enough for the 250-bar backtest
+    expect(res.statusCode).toBe(200);
+    expect(optimize.mock.calls[0][0]).toHaveLength(300);
+  });
+});
+
+describe('coins', () => {
+  it('lists cheap ByDFi coins from the fixture provider', async () => {
+    const res = mockResponse();
+    
+    await coinsController.getCheapByDFiCryptocurrencies({ query: { provider: 'fixture' } }, res);
+    
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.map(crypto => crypto.symbol)).toEqual(['DOGE', 'XLM', 'VET', 'ALGO', 'CHZ']);
+  });
+  
+  it('rejects an unknown provider with 400', async () => {
+    const res = mockResponse();
+    
+    await coinsController.getTopCryptocurrencies({ query: { provider: 'nope' } }, res);
+    
+    expect(res.statusCode).toBe(400);
+  });
+});
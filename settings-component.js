@@ -6,13 +6,14 @@ const UserSettings = ({ setLoading }) => {
     // General Settings
     defaultScreenerPreset: 'optimized',
     defaultCurrency: 'USDT',
+    defaultTimeframeProfile: 'intraday',
     
     // Technical Parameters
     consolidationPeriod: 6,
     consolidationThreshold: 0.15,
     rsiLowerThreshold: 50,
     rsiUpperThreshold: 75,
-    volumeIncreaseThreshold: 0.10,
+    volumeSurgeThreshold: 1.5,
     minBreakoutPercent: 0.01,
     maxBreakoutPercent: 0.20,
     
@@ -41,7 +42,13 @@ const UserSettings = ({ setLoading }) => {
     
     if (savedSettings) {
       try {
-        const parsedSettings = JSON.parse(savedSettings);
+        const { volumeIncreaseThreshold, ...parsedSettings } = JSON.parse(savedSettings);
+        
+        // Saved before volumeIncreaseThreshold became a volume multiple
+        if (volumeIncreaseThreshold !== undefined && parsedSettings.volumeSurgeThreshold === undefined) {
+          parsedSettings.volumeSurgeThreshold = 1 + volumeIncreaseThreshold;
+        }
+        
         setSettings(prevSettings => ({ ...prevSettings, ...parsedSettings }));
       } catch (error) {
         console.error('Error parsing saved settings:', error);
@@ -94,11 +101,12 @@ const UserSettings = ({ setLoading }) => {
       setSettings({
         defaultScreenerPreset: 'optimized',
         defaultCurrency: 'USDT',
+        defaultTimeframeProfile: 'intraday',
         consolidationPeriod: 6,
         consolidationThreshold: 0.15,
         rsiLowerThreshold: 50,
         rsiUpperThreshold: 75,
-        volumeIncreaseThreshold: 0.10,
+        volumeSurgeThreshold: 1.5,
         minBreakoutPercent: 0.01,
         maxBreakoutPercent: 0.20,
         riskPerTrade: 2,
@@ -161,6 +169,23 @@ const UserSettings = ({ setLoading }) => {
               <span className="form-help">Default quote currency for prices</span>
             </div>
           </div>
+          
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="defaultTimeframeProfile">Default Timeframe Profile</label>
+              <select
+                id="defaultTimeframeProfile"
+                name="defaultTimeframeProfile"
+                value={settings.defaultTimeframeProfile}
+                onChange={handleSettingsChange}
+              >
+                <option value="scalping">Scalping (15m / 1H / 4H)</option>
+                <option value="intraday">Intraday (1H / 4H / 1D)</option>
+                <option value="swing">Swing (4H / 1D / 1W)</option>
+              </select>
+              <span className="form-help">Timeframes combined in multi-timeframe analysis</span>
+            </div>
+          </div>
         </div>
         
         {/* Technical Parameters */}
@@ -233,18 +258,18 @@ const UserSettings = ({ setLoading }) => {
           
           <div className="form-row">
             <div className="form-group">
-              <label htmlFor="volumeIncreaseThreshold">Volume Increase Threshold</label>
+              <label htmlFor="volumeSurgeThreshold">Volume Surge Threshold</label>
               <input
                 type="number"
-                id="volumeIncreaseThreshold"
-                name="volumeIncreaseThreshold"
-                min="0.05"
-                max="0.3"
-                step="0.01"
-                value={settings.volumeIncreaseThreshold}
+                id="volumeSurgeThreshold"
+                name="volumeSurgeThreshold"
+                min="1"
+                max="3"
+                step="0.1"
+                value={settings.volumeSurgeThreshold}
                 onChange={handleSettingsChange}
               />
-              <span className="form-help">Minimum volume increase percentage</span>
+              <span className="form-help">Breakout volume as a multiple of the consolidation average</span>
             </div>
             
             <div className="form-group">
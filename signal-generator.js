@@ -4,51 +4,98 @@
  */
 
 const breakoutDetector = require('./breakoutDetector');
+const priceLevels = require('./priceLevels');
+const { resolveTimeframeProfile } = require('./timeframeProfiles');
+
+// Confidence points and success probability taken off signals against the market
+const REGIME_CONFIDENCE_PENALTY = 2;
+const REGIME_PROBABILITY_PENALTY = 15;
 
 /**
  * Generate trading signals based on breakout analysis
  * 
  * @param {Object} coinData - Cryptocurrency data with OHLCV for multiple timeframes
  * @param {Object} options - Configuration options
+ * @param {string|Array} options.timeframeProfile - Timeframe profile to analyze
+ *   (defaults to the profile the data was loaded for)
+ * @param {string} options.direction - 'long' for breakouts (default) or 'short'
+ *   for breakdowns, with the stop loss above entry and the take profit below
+ * @param {string} options.entryType - 'immediate' to enter at the current price
+ *   (default) or 'retest' to enter on a pullback to the broken level
+ * @param {Object} options.marketRegime - Market regime from the market regime service;
+ *   signals against it are handled according to options.regimeFilter
+ * @param {string} options.regimeFilter - 'off' (default), 'downweight' or 'suppress'
  * @returns {Object} Trading signal information
  */
 const generateBreakoutSignal = (coinData, options = {}) => {
   // Default configuration
   const config = {
+    // Trade direction: 'long' (breakouts) or 'short' (breakdowns)
+    direction: options.direction || 'long',
+    // Entry: 'immediate' (current price) or 'retest' (pullback to the broken level)
+    entryType: resolveEntryType(options.entryType),
+    
+    // Market regime and how to treat signals against it ('off', 'downweight' or 'suppress')
+    marketRegime: options.marketRegime || null,
+    regimeFilter: resolveRegimeFilter(options.regimeFilter),
+    
     // Breakout detection parameters
     consolidationPeriod: options.consolidationPeriod || 6,
     consolidationThreshold: options.consolidationThreshold || 0.15,
     rsiLowerThreshold: options.rsiLowerThreshold || 50,
     rsiUpperThreshold: options.rsiUpperThreshold || 75,
-    volumeIncreaseThreshold: options.volumeIncreaseThreshold || 0.10,
+    // Breakout bar volume against the consolidation window and the rolling median
+    volumeLookback: options.volumeLookback || 20,
+    volumeSurgeThreshold: options.volumeSurgeThreshold || 1.5,
+    minRelativeVolume: options.minRelativeVolume || 1.2,
+    volumeDryUpThreshold: options.volumeDryUpThreshold || 0.8,
     minBreakoutPercent: options.minBreakoutPercent || 0.01,
     maxBreakoutPercent: options.maxBreakoutPercent || 0.20,
+    // Extra scoring conditions from the extended indicator set (e.g. ['adx', 'cmf'])
+    confirmations: options.confirmations || [],
+    // Require the Bollinger breakout to close above a support / resistance zone
+    requireResistanceBreak: options.requireResistanceBreak || false,
+    // Points for each scored condition, e.g. { consolidation: 25, macdCrossover: 5 }
+    weights: options.weights || {},
     
-    // Signal generation parameters
-    minMTFScore: options.minMTFScore || 75,
-    minAlignmentScore: options.minAlignmentScore || 4,
-    minDailyScore: options.minDailyScore || 65,
+    // Signal generation parameters (scores are the share of available points earned)
+    minMTFScore: options.minMTFScore || 45,
+    // Defaults to two thirds of the profile's maximum alignment score (4 of 6)
+    minAlignmentScore: options.minAlignmentScore,
+    // Minimum score on the profile's highest timeframe
+    minHigherTimeframeScore: options.minHigherTimeframeScore || options.minDailyScore || 40,
     requireEma200: options.requireEma200 !== undefined ? options.requireEma200 : true,
     
     // Price filter
     maxPrice: options.maxPrice || 1.0, // For filtering coins under $1
     
     // Risk management parameters
-    riskRewardRatio: options.riskRewardRatio || 3.0, // 1:3 risk-reward
+    riskRewardRatio: options.riskRewardRatio || 3.0, // 1:3 risk-reward, the final target
+    // Stop placement: 'atr', 'consolidation', 'swing' or 'breakoutLevel'
+    stopMethod: options.stopMethod || 'atr',
     maxStopLossPercent: options.maxStopLossPercent || 5, // Max stop loss %
     minProfitPotential: options.minProfitPotential || 'Medium'
   };
   
+  const profile = resolveTimeframeProfile(options.timeframeProfile || coinData.profile);
+  const timeframes = profile.timeframes.map(tf => ({
+    ...tf,
+    data: coinData.timeframes && coinData.timeframes[tf.timeframe]
+  }));
+  
   // Verify we have all required timeframe data
-  if (!coinData.hourlyData || !coinData.fourHourData || !coinData.dailyData) {
+  const missingTimeframes = timeframes.filter(tf => !tf.data || tf.data.length === 0);
+  if (missingTimeframes.length > 0) {
     return {
       success: false,
-      message: 'Missing required timeframe data'
+      message: 'Missing required timeframe data',
+      missingTimeframes: missingTimeframes.map(tf => tf.timeframe)
     };
   }
   
   // Check price filter
-  const currentPrice = coinData.hourlyData[coinData.hourlyData.length - 1].close;
+  const lowestTimeframeData = timeframes[0].data;
+  const currentPrice = lowestTimeframeData[lowestTimeframeData.length - 1].close;
   if (currentPrice > config.maxPrice) {
     return {
       success: false,
@@ -60,28 +107,39 @@ const generateBreakoutSignal = (coinData, options = {}) => {
   
   // Perform multi-timeframe analysis
   const mtfAnalysis = breakoutDetector.multiTimeframeAnalysis(
-    coinData.hourlyData,
-    coinData.fourHourData,
-    coinData.dailyData,
+    timeframes,
     {
       consolidationPeriod: config.consolidationPeriod,
       consolidationThreshold: config.consolidationThreshold,
       rsiLowerThreshold: config.rsiLowerThreshold,
       rsiUpperThreshold: config.rsiUpperThreshold,
-      volumeIncreaseThreshold: config.volumeIncreaseThreshold,
+      volumeLookback: config.volumeLookback,
+      volumeSurgeThreshold: config.volumeSurgeThreshold,
+      minRelativeVolume: config.minRelativeVolume,
+      volumeDryUpThreshold: config.volumeDryUpThreshold,
       minBreakoutPercent: config.minBreakoutPercent,
       maxBreakoutPercent: config.maxBreakoutPercent,
-      ema200Required: config.requireEma200
+      ema200Required: config.requireEma200,
+      direction: config.direction,
+      confirmations: config.confirmations,
+      requireResistanceBreak: config.requireResistanceBreak,
+      weights: config.weights,
+      minMTFScore: config.minMTFScore,
+      stopMethod: config.stopMethod,
+      riskRewardRatio: config.riskRewardRatio
     }
   );
   
+  const minAlignmentScore = config.minAlignmentScore ||
+    Math.ceil(mtfAnalysis.maxAlignmentScore * 2 / 3);
+    
   // Check if signal meets our criteria
   const isValidSignal = (
     mtfAnalysis.mtfScore >= config.minMTFScore &&
-    mtfAnalysis.alignmentScore >= config.minAlignmentScore &&
-    mtfAnalysis.dailyScore >= config.minDailyScore &&
+    mtfAnalysis.alignmentScore >= minAlignmentScore &&
+    mtfAnalysis.higherTimeframeScore >= config.minHigherTimeframeScore &&
     (mtfAnalysis.profitPotential === 'High' || mtfAnalysis.profitPotential === 'Very High' || 
-     (mtfAnalysis.profitPotential === 'Medium' && mtfAnalysis.mtfScore > 85))
+     (mtfAnalysis.profitPotential === 'Medium' && mtfAnalysis.mtfScore > 50))
   );
   
   // If not a valid signal, return early
@@ -91,17 +149,39 @@ const generateBreakoutSignal = (coinData, options = {}) => {
       message: 'Does not meet signal criteria',
       mtfScore: mtfAnalysis.mtfScore,
       alignmentScore: mtfAnalysis.alignmentScore,
-      dailyScore: mtfAnalysis.dailyScore,
+      higherTimeframeScore: mtfAnalysis.higherTimeframeScore,
       profitPotential: mtfAnalysis.profitPotential
     };
   }
   
+  // Both entries; retest entries are only offered once price has closed beyond the level
+  const entries = {
+    immediate: {
+      price: currentPrice,
+      stopLoss: mtfAnalysis.suggestedStopLoss,
+      takeProfit: mtfAnalysis.suggestedTakeProfit,
+      tradePlan: mtfAnalysis.tradePlan
+    },
+    retest: mtfAnalysis.retestEntry || null
+  };
+  
+  const entry = entries[config.entryType];
+  if (!entry) {
+    return {
+      success: false,
+      message: 'No retest entry available',
+      entryType: config.entryType
+    };
+  }
+  
   // Calculate stop loss and take profit levels
-  const stopLoss = mtfAnalysis.suggestedStopLoss;
-  const takeProfit = mtfAnalysis.suggestedTakeProfit;
+  const entryPrice = entry.price;
+  const stopLoss = entry.stopLoss;
+  const takeProfit = entry.takeProfit;
   
-  // Calculate stop loss percentage
-  const stopLossPercent = ((currentPrice - stopLoss) / currentPrice) * 100;
+  // Calculate stop loss percentage (stops sit above entry for shorts)
+  const isShort = config.direction === 'short';
+  const stopLossPercent = (Math.abs(entryPrice - stopLoss) / entryPrice) * 100;
   
   // Check if stop loss is within acceptable range
   if (stopLossPercent > config.maxStopLossPercent) {
@@ -113,24 +193,40 @@ const generateBreakoutSignal = (coinData, options = {}) => {
     };
   }
   
-  // Get 20-day high and low
-  const recentDailyData = coinData.dailyData.slice(-20);
-  const twentyDayHigh = Math.max(...recentDailyData.map(d => d.high));
-  const twentyDayLow = Math.min(...recentDailyData.map(d => d.low));
+  // Range checks use daily bars when the profile has them, otherwise its highest timeframe
+  const rangeTimeframe = timeframes.find(tf => tf.timeframe === '1D') || timeframes[timeframes.length - 1];
+  
+  // Get 20-bar high and low
+  const recentRangeData = rangeTimeframe.data.slice(-20);
+  const twentyBarHigh = Math.max(...recentRangeData.map(d => d.high));
+  const twentyBarLow = Math.min(...recentRangeData.map(d => d.low));
   
-  // Check if current price is near 20-day high (potential resistance)
-  const percentFromHigh = ((twentyDayHigh - currentPrice) / currentPrice) * 100;
-  if (percentFromHigh < 3) {
+  // Check if current price is near 20-bar high (potential resistance)
+  const percentFromHigh = ((twentyBarHigh - currentPrice) / currentPrice) * 100;
+  if (!isShort && percentFromHigh < 3) {
     return {
       success: false,
-      message: 'Price too close to 20-day high',
+      message: `Price too close to 20-bar ${rangeTimeframe.timeframe} high`,
       percentFromHigh
     };
   }
   
+  // Shorts need room below instead (20-bar low is potential support)
+  const percentFromLow = ((currentPrice - twentyBarLow) / currentPrice) * 100;
+  if (isShort && percentFromLow < 3) {
+    return {
+      success: false,
+      message: `Price too close to 20-bar ${rangeTimeframe.timeframe} low`,
+      percentFromLow
+    };
+  }
+  
+  // Nearest support / resistance zones on the range timeframe
+  const levels = priceLevels.findSupportResistance(rangeTimeframe.data.slice(-100));
+  
   // Calculate volatility metrics for risk assessment
-  const priceRange = twentyDayHigh - twentyDayLow;
-  const normalizedVolatility = priceRange / twentyDayLow;
+  const priceRange = twentyBarHigh - twentyBarLow;
+  const normalizedVolatility = priceRange / twentyBarLow;
   
   // Ensure coin is not too volatile
   if (normalizedVolatility > 0.5) {
@@ -146,26 +242,36 @@ const generateBreakoutSignal = (coinData, options = {}) => {
     success: true,
     symbol: coinData.symbol,
     exchange: coinData.exchange || 'ByDFi',
-    signalType: 'Breakout',
-    direction: 'Long',
+    signalType: isShort ? 'Breakdown' : 'Breakout',
+    direction: isShort ? 'Short' : 'Long',
     confidence: calculateConfidenceScore(mtfAnalysis),
-    entryPrice: currentPrice,
+    entryType: config.entryType,
+    entryPrice,
     stopLoss,
     takeProfit,
-    riskRewardRatio: (takeProfit - currentPrice) / (currentPrice - stopLoss),
-    potentialProfitPercent: ((takeProfit - currentPrice) / currentPrice) * 100,
+    entries,
+    // Stop placement and take-profit targets with their share of the position
+    tradePlan: entry.tradePlan,
+    riskRewardRatio: Math.abs(takeProfit - entryPrice) / Math.abs(entryPrice - stopLoss),
+    potentialProfitPercent: (Math.abs(takeProfit - entryPrice) / entryPrice) * 100,
     potentialLossPercent: stopLossPercent,
     timeframe: 'Multi-Timeframe',
+    timeframeProfile: profile.name,
     generatedAt: new Date().toISOString(),
     expiresAt: getExpirationTime(),
     mtfAnalysis: {
       score: mtfAnalysis.mtfScore,
       alignmentScore: mtfAnalysis.alignmentScore,
-      hourlyScore: mtfAnalysis.hourlyScore,
-      fourHourScore: mtfAnalysis.fourHourScore,
-      dailyScore: mtfAnalysis.dailyScore
+      maxAlignmentScore: mtfAnalysis.maxAlignmentScore,
+      higherTimeframeScore: mtfAnalysis.higherTimeframeScore,
+      timeframes: mtfAnalysis.timeframes
     },
     signals: mtfAnalysis.combinedSignals,
+    levels: {
+      timeframe: rangeTimeframe.timeframe,
+      nearestSupport: levels.nearestSupport,
+      nearestResistance: levels.nearestResistance
+    },
     profitPotential: mtfAnalysis.profitPotential,
     riskLevel: mtfAnalysis.riskLevel
   };
@@ -175,23 +281,108 @@ const generateBreakoutSignal = (coinData, options = {}) => {
     mtfAnalysis.mtfScore,
     mtfAnalysis.alignmentScore,
     mtfAnalysis.profitPotential,
-    stopLossPercent
+    stopLossPercent,
+    mtfAnalysis.maxAlignmentScore
   );
   
-  return signalData;
+  if (!config.marketRegime) {
+    return signalData;
+  }
+  
+  const regimeSignal = adjustForMarketRegime(signalData, config.marketRegime, config.regimeFilter);
+  if (!regimeSignal) {
+    return {
+      success: false,
+      message: 'Unfavorable market regime',
+      marketRegime: config.marketRegime.regime
+    };
+  }
+  
+  return regimeSignal;
+};
+
+/**
+ * Validate the entry type of a signal
+ */
+const resolveEntryType = (entryType = 'immediate') => {
+  if (entryType !== 'immediate' && entryType !== 'retest') {
+    throw new Error(`Unknown entry type: ${entryType}`);
+  }
+  
+  return entryType;
+};
+
+/**
+ * Validate how signals against the market regime are treated
+ */
+const resolveRegimeFilter = (regimeFilter = 'off') => {
+  if (!['off', 'downweight', 'suppress'].includes(regimeFilter)) {
+    throw new Error(`Unknown regime filter: ${regimeFilter}`);
+  }
+  
+  return regimeFilter;
+};
+
+/**
+ * Tag a signal with the market regime and apply the regime filter
+ * Longs are against a trending-down market and shorts against a trending-up one
+ * 
+ * @returns {Object|null} Signal, or null when it is suppressed
+ */
+const adjustForMarketRegime = (signal, marketRegime, regimeFilter) => {
+  const againstRegime = signal.direction === 'Short'
+    ? marketRegime.regime === 'trending-up'
+    : marketRegime.regime === 'trending-down';
+  
+  if (againstRegime && regimeFilter === 'suppress') {
+    return null;
+  }
+  
+  const downweight = againstRegime && regimeFilter === 'downweight';
+  
+  return {
+    ...signal,
+    marketRegime: marketRegime.regime,
+    againstRegime,
+    confidence: downweight
+      ? Math.max(1, Math.round((signal.confidence - REGIME_CONFIDENCE_PENALTY) * 10) / 10)
+      : signal.confidence,
+    successProbability: downweight
+      ? signal.successProbability - REGIME_PROBABILITY_PENALTY
+      : signal.successProbability
+  };
+};
+
+/**
+ * Apply the market regime to signals generated before it was known
+ * (breadth is only known once the whole universe has been scanned)
+ * 
+ * @param {Array} signals - Successful signals
+ * @param {Object} marketRegime - Market regime from the market regime service
+ * @param {Object} options - Filter options
+ * @param {string} options.regimeFilter - 'off' (default), 'downweight' or 'suppress'
+ * @returns {Array} Signals tagged with the regime, without suppressed ones
+ */
+const applyMarketRegime = (signals, marketRegime, options = {}) => {
+  const regimeFilter = resolveRegimeFilter(options.regimeFilter);
+  
+  return signals
+    .map(signal => adjustForMarketRegime(signal, marketRegime, regimeFilter))
+    .filter(Boolean);
 };
 
 /**
  * Calculate confidence score from 1-10 based on analysis results
  */
 const calculateConfidenceScore = (mtfAnalysis) => {
-  // Base score from MTF score
-  let score = mtfAnalysis.mtfScore / 10;
+  // Base score from MTF score (a score of 50 gives 8)
+  let score = mtfAnalysis.mtfScore * 0.16;
   
-  // Adjust for alignment
-  if (mtfAnalysis.alignmentScore >= 6) {
+  // Adjust for alignment (relative to the profile's maximum)
+  const alignmentRatio = mtfAnalysis.alignmentScore / mtfAnalysis.maxAlignmentScore;
+  if (alignmentRatio >= 1) {
     score += 1;
-  } else if (mtfAnalysis.alignmentScore >= 4) {
+  } else if (alignmentRatio >= 2 / 3) {
     score += 0.5;
   }
   
@@ -218,14 +409,15 @@ const getExpirationTime = () => {
 /**
  * Estimate probability of success based on analysis metrics and historical data
  */
-const estimateSuccessProbability = (mtfScore, alignmentScore, profitPotential, stopLossPercent) => {
-  // Base probability from MTF score
-  let probability = mtfScore * 0.8;
+const estimateSuccessProbability = (mtfScore, alignmentScore, profitPotential, stopLossPercent, maxAlignmentScore = 6) => {
+  // Base probability from MTF score (a score of 50 gives 65%)
+  let probability = mtfScore * 1.3;
   
-  // Adjust for alignment score
-  if (alignmentScore >= 6) {
+  // Adjust for alignment score (relative to the profile's maximum)
+  const alignmentRatio = alignmentScore / maxAlignmentScore;
+  if (alignmentRatio >= 1) {
     probability += 10;
-  } else if (alignmentScore >= 4) {
+  } else if (alignmentRatio >= 2 / 3) {
     probability += 5;
   }
   
@@ -260,8 +452,9 @@ const filterSignalsForHighAccuracy = (signals, options = {}) => {
     minSuccessProbability: options.minSuccessProbability || 80,
     minRiskRewardRatio: options.minRiskRewardRatio || 2.5,
     maxRiskLevel: options.maxRiskLevel || 'Medium',
-    minMTFScore: options.minMTFScore || 75,
-    minAlignmentScore: options.minAlignmentScore || 4
+    minMTFScore: options.minMTFScore || 45,
+    // Defaults to two thirds of each signal's maximum alignment score
+    minAlignmentScore: options.minAlignmentScore
   };
   
   // Filter signals
@@ -273,7 +466,8 @@ const filterSignalsForHighAccuracy = (signals, options = {}) => {
       (signal.riskLevel === 'Low' || signal.riskLevel === 'Medium' || 
        (signal.riskLevel === 'High' && signal.confidence > 8.5)) &&
       signal.mtfAnalysis.score >= filters.minMTFScore &&
-      signal.mtfAnalysis.alignmentScore >= filters.minAlignmentScore
+      signal.mtfAnalysis.alignmentScore >=
+        (filters.minAlignmentScore || Math.ceil(signal.mtfAnalysis.maxAlignmentScore * 2 / 3))
     );
   });
 };
@@ -285,15 +479,18 @@ const filterSignalsForHighAccuracy = (signals, options = {}) => {
 const optimizeParameters = (historicalData, initialParams = {}, generations = 10) => {
   // Initialize with default or provided parameters
   let bestParams = {
+    direction: initialParams.direction || 'long',
     consolidationPeriod: initialParams.consolidationPeriod || 6,
     consolidationThreshold: initialParams.consolidationThreshold || 0.15,
     rsiLowerThreshold: initialParams.rsiLowerThreshold || 50,
     rsiUpperThreshold: initialParams.rsiUpperThreshold || 75,
-    volumeIncreaseThreshold: initialParams.volumeIncreaseThreshold || 0.10,
+    volumeSurgeThreshold: initialParams.volumeSurgeThreshold || 1.5,
+    minRelativeVolume: initialParams.minRelativeVolume || 1.2,
     minBreakoutPercent: initialParams.minBreakoutPercent || 0.01,
     maxBreakoutPercent: initialParams.maxBreakoutPercent || 0.20,
     riskRewardRatio: initialParams.riskRewardRatio || 3.0,
-    maxStopLossPercent: initialParams.maxStopLossPercent || 5
+    maxStopLossPercent: initialParams.maxStopLossPercent || 5,
+    weights: { ...breakoutDetector.DEFAULT_SCORE_WEIGHTS, ...initialParams.weights }
   };
   
   let bestScore = evaluateParameters(historicalData, bestParams);
@@ -330,21 +527,37 @@ const generateParameterVariations = (baseParams) => {
   // Create 10 variations with small random adjustments
   for (let i = 0; i < 10; i++) {
     variations.push({
+      direction: baseParams.direction,
       consolidationPeriod: randomAdjust(baseParams.consolidationPeriod, 1, 4, 10),
       consolidationThreshold: randomAdjust(baseParams.consolidationThreshold, 0.05, 0.05, 0.30),
       rsiLowerThreshold: randomAdjust(baseParams.rsiLowerThreshold, 5, 40, 60),
       rsiUpperThreshold: randomAdjust(baseParams.rsiUpperThreshold, 5, 70, 85),
-      volumeIncreaseThreshold: randomAdjust(baseParams.volumeIncreaseThreshold, 0.05, 0.05, 0.30),
+      volumeSurgeThreshold: randomAdjust(baseParams.volumeSurgeThreshold, 0.25, 1.0, 3.0),
+      minRelativeVolume: randomAdjust(baseParams.minRelativeVolume, 0.1, 0.8, 2.0),
       minBreakoutPercent: randomAdjust(baseParams.minBreakoutPercent, 0.005, 0.005, 0.05),
       maxBreakoutPercent: randomAdjust(baseParams.maxBreakoutPercent, 0.05, 0.10, 0.40),
       riskRewardRatio: randomAdjust(baseParams.riskRewardRatio, 0.5, 2.0, 5.0),
-      maxStopLossPercent: randomAdjust(baseParams.maxStopLossPercent, 1, 3, 8)
+      maxStopLossPercent: randomAdjust(baseParams.maxStopLossPercent, 1, 3, 8),
+      weights: adjustWeights(baseParams.weights)
     });
   }
   
   return variations;
 };
 
+/**
+ * Randomly adjust each condition weight by up to 5 points (0-30)
+ */
+const adjustWeights = (weights) => {
+  const adjusted = {};
+  
+  Object.keys(weights).forEach(key => {
+    adjusted[key] = Math.round(randomAdjust(weights[key], 5, 0, 30));
+  });
+  
+  return adjusted;
+};
+
 /**
  * Helper function to randomly adjust a parameter value
  */
@@ -371,7 +584,8 @@ const evaluateParameters = (historicalData, params) => {
   
   // Score based on win rate, profit factor, and number of trades
   const winRateScore = backtest.winRate * 0.6; // 60% weight to win rate
-  const profitFactorScore = Math.min(backtest.profitFactor * 10, 30); // 30% weight to profit factor
+  // 30% weight to profit factor, all of it when no trade lost
+  const profitFactorScore = backtest.profitFactor !== null ? Math.min(backtest.profitFactor * 10, 30) : 30;
   const tradesScore = Math.min(backtest.totalTrades, 100) / 10; // 10% weight to number of trades
   
   return winRateScore + profitFactorScore + tradesScore;
@@ -392,6 +606,9 @@ const calculateWinRate = (historicalData, params) => {
 
 module.exports = {
   generateBreakoutSignal,
+  resolveEntryType,
+  resolveRegimeFilter,
+  applyMarketRegime,
   filterSignalsForHighAccuracy,
   optimizeParameters
 };
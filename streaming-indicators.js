@@ -0,0 +1,1066 @@
+/**
+ * Streaming technical indicators
+ * Stateful counterparts of the series functions in technicalIndicators.
+ * Each indicator updates in constant time when a new candle arrives (window
+ * extremes scan their fixed-size window) and can be snapshotted and restored, so a caller can evaluate a candle that
+ * is still forming and roll it back afterwards.
+ * 
+ * Once warmed up, every indicator produces the same values as the
+ * corresponding calculate* function over the same candles.
+ */
+
+/**
+ * Create a fixed-size window holding the most recent values
+ * 
+ * @param {number} size - Number of values to keep
+ * @returns {Object} Rolling window
+ */
+const createRollingWindow = (size) => {
+  let buffer = [];
+  let start = 0;
+  
+  return {
+    push: (value) => {
+      if (buffer.length < size) {
+        buffer.push(value);
+      } else {
+        buffer[start] = value;
+        start = (start + 1) % size;
+      }
+    },
+    
+    // Value `offset` positions back from the latest one
+    get: (offset = 0) => {
+      if (offset >= buffer.length) return undefined;
+      return buffer[(start + buffer.length - 1 - offset) % buffer.length];
+    },
+    
+    // Replace the value `offset` positions back from the latest one
+    set: (offset, value) => {
+      if (offset < buffer.length) {
+        buffer[(start + buffer.length - 1 - offset) % buffer.length] = value;
+      }
+    },
+    
+    length: () => buffer.length,
+    
+    isFull: () => buffer.length === size,
+    
+    // Values in insertion order, oldest first
+    toArray: () => [...buffer.slice(start), ...buffer.slice(0, start)],
+    
+    snapshot: () => ({ buffer: buffer.slice(), start }),
+    
+    restore: (state) => {
+      buffer = state.buffer.slice();
+      start = state.start;
+    }
+  };
+};
+
+/**
+ * Simple Moving Average (SMA)
+ */
+const createSMA = (period) => {
+  const window = createRollingWindow(period);
+  let sum = 0;
+  let updates = 0;
+  
+  const value = () => (window.isFull() ? sum / period : null);
+  
+  return {
+    update: (price) => {
+      if (window.isFull()) sum -= window.get(period - 1);
+      window.push(price);
+      sum += price;
+      
+      // Recompute the running sum once per period so rounding errors cannot accumulate
+      if (++updates % period === 0) {
+        sum = window.toArray().reduce((total, v) => total + v, 0);
+      }
+      
+      return value();
+    },
+    
+    value,
+    
+    snapshot: () => ({ window: window.snapshot(), sum, updates }),
+    
+    restore: (state) => {
+      window.restore(state.window);
+      sum = state.sum;
+      updates = state.updates;
+    }
+  };
+};
+
+/**
+ * Exponential Moving Average (EMA), seeded with the SMA of the first period
+ */
+const createEMA = (period) => {
+  const multiplier = 2 / (period + 1);
+  let count = 0;
+  let seedSum = 0;
+  let ema = null;
+  
+  return {
+    update: (price) => {
+      count++;
+      
+      if (count < period) {
+        seedSum += price;
+      } else if (count === period) {
+        ema = (seedSum + price) / period;
+      } else {
+        ema = (price - ema) * multiplier + ema;
+      }
+      
+      return ema;
+    },
+    
+    value: () => ema,
+    
+    snapshot: () => ({ count, seedSum, ema }),
+    
+    restore: (state) => {
+      ({ count, seedSum, ema } = state);
+    }
+  };
+};
+
+/**
+ * Relative Strength Index (RSI) with Wilder smoothing
+ */
+const createRSI = (period = 14) => {
+  let previous = null;
+  let changes = 0;
+  let gainSum = 0;
+  let lossSum = 0;
+  let avgGain = null;
+  let avgLoss = null;
+  let rsi = null;
+  
+  const computeRSI = () => {
+    const rs = avgGain / (avgLoss === 0 ? 0.001 : avgLoss); // Avoid division by zero
+    return 100 - (100 / (1 + rs));
+  };
+  
+  return {
+    update: (price) => {
+      if (previous === null) {
+        previous = price;
+        return rsi;
+      }
+      
+      const change = price - previous;
+      const gain = change > 0 ? change : 0;
+      const loss = change < 0 ? Math.abs(change) : 0;
+      previous = price;
+      changes++;
+      
+      if (changes < period) {
+        gainSum += gain;
+        lossSum += loss;
+      } else if (changes === period) {
+        avgGain = (gainSum + gain) / period;
+        avgLoss = (lossSum + loss) / period;
+        rsi = computeRSI();
+      } else {
+        avgGain = ((avgGain * (period - 1)) + gain) / period;
+        avgLoss = ((avgLoss * (period - 1)) + loss) / period;
+        rsi = computeRSI();
+      }
+      
+      return rsi;
+    },
+    
+    value: () => rsi,
+    
+    snapshot: () => ({ previous, changes, gainSum, lossSum, avgGain, avgLoss, rsi }),
+    
+    restore: (state) => {
+      ({ previous, changes, gainSum, lossSum, avgGain, avgLoss, rsi } = state);
+    }
+  };
+};
+
+/**
+ * Bollinger Bands
+ * Keeps running sums of values and squared values over the window
+ */
+const createBollingerBands = (period = 20, standardDeviations = 2) => {
+  const empty = { upper: null, middle: null, lower: null, width: null, percent: null };
+  const window = createRollingWindow(period);
+  let sum = 0;
+  let sumSquares = 0;
+  let updates = 0;
+  let bands = empty;
+  
+  return {
+    update: (price) => {
+      if (window.isFull()) {
+        const oldest = window.get(period - 1);
+        sum -= oldest;
+        sumSquares -= oldest * oldest;
+      }
+      
+      window.push(price);
+      sum += price;
+      sumSquares += price * price;
+      
+      // Recompute the running sums once per period so rounding errors cannot accumulate
+      if (++updates % period === 0) {
+        const values = window.toArray();
+        sum = values.reduce((total, v) => total + v, 0);
+        sumSquares = values.reduce((total, v) => total + v * v, 0);
+      }
+      
+      if (!window.isFull()) {
+        return bands;
+      }
+      
+      const middle = sum / period;
+      const stdDev = Math.sqrt(Math.max(0, sumSquares / period - middle * middle));
+      const upper = middle + (standardDeviations * stdDev);
+      const lower = middle - (standardDeviations * stdDev);
+      
+      bands = {
+        upper,
+        middle,
+        lower,
+        width: (upper - lower) / middle,
+        percent: price ? (price - lower) / (upper - lower) : null
+      };
+      
+      return bands;
+    },
+    
+    value: () => bands,
+    
+    snapshot: () => ({ window: window.snapshot(), sum, sumSquares, updates, bands }),
+    
+    restore: (state) => {
+      window.restore(state.window);
+      ({ sum, sumSquares, updates, bands } = state);
+    }
+  };
+};
+
+/**
+ * Average True Range (ATR) with Wilder smoothing
+ */
+const createATR = (period = 14) => {
+  let previousClose = null;
+  let count = 0;
+  let trueRangeSum = 0;
+  let atr = null;
+  
+  return {
+    update: (high, low, close) => {
+      const trueRange = previousClose === null
+        ? high - low // First TR is simply High - Low
+        : Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+        
+      previousClose = close;
+      count++;
+      
+      if (count < period) {
+        trueRangeSum += trueRange;
+      } else if (count === period) {
+        atr = (trueRangeSum + trueRange) / period;
+      } else {
+        atr = ((atr * (period - 1)) + trueRange) / period;
+      }
+      
+      return atr;
+    },
+    
+    value: () => atr,
+    
+    snapshot: () => ({ previousClose, count, trueRangeSum, atr }),
+    
+    restore: (state) => {
+      ({ previousClose, count, trueRangeSum, atr } = state);
+    }
+  };
+};
+
+/**
+ * On-Balance Volume (OBV)
+ */
+const createOBV = () => {
+  let previousClose = null;
+  let obv = null;
+  
+  return {
+    update: (close, volume) => {
+      if (previousClose === null) {
+        obv = volume;
+      } else if (close > previousClose) {
+        obv += volume;
+      } else if (close < previousClose) {
+        obv -= volume;
+      }
+      
+      previousClose = close;
+      return obv;
+    },
+    
+    value: () => obv,
+    
+    snapshot: () => ({ previousClose, obv }),
+    
+    restore: (state) => {
+      ({ previousClose, obv } = state);
+    }
+  };
+};
+
+/**
+ * MACD (Moving Average Convergence Divergence)
+ * Like technicalIndicators.calculateMACD, it reports nothing until
+ * max(fastPeriod, slowPeriod) + signalPeriod prices are in, one bar after
+ * the signal line is first seeded. From then on calculateMACD also reports
+ * the seeding bar, which previous() returns.
+ */
+const createMACD = (fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) => {
+  const empty = { macd: null, signal: null, histogram: null };
+  const minPrices = Math.max(fastPeriod, slowPeriod) + signalPeriod;
+  const fastEMA = createEMA(fastPeriod);
+  const slowEMA = createEMA(slowPeriod);
+  const signalEMA = createEMA(signalPeriod);
+  let count = 0;
+  let seeded = empty;
+  let previous = empty;
+  let result = empty;
+  
+  return {
+    update: (price) => {
+      count++;
+      previous = seeded;
+      const fast = fastEMA.update(price);
+      const slow = slowEMA.update(price);
+      
+      if (fast === null || slow === null) {
+        return result;
+      }
+      
+      const macd = fast - slow;
+      const signal = signalEMA.update(macd);
+      
+      seeded = signal === null
+        ? empty
+        : { macd, signal, histogram: macd - signal };
+      result = count < minPrices ? empty : seeded;
+        
+      return result;
+    },
+    
+    value: () => result,
+    
+    // Value of the bar before the latest one, once the latest one has a value
+    previous: () => (result === empty ? empty : previous),
+    
+    snapshot: () => ({
+      fast: fastEMA.snapshot(),
+      slow: slowEMA.snapshot(),
+      signal: signalEMA.snapshot(),
+      count,
+      seeded,
+      previous,
+      result
+    }),
+    
+    restore: (state) => {
+      fastEMA.restore(state.fast);
+      slowEMA.restore(state.slow);
+      signalEMA.restore(state.signal);
+      count = state.count;
+      seeded = state.seeded;
+      previous = state.previous;
+      result = state.result;
+    }
+  };
+};
+
+// Typical price of a bar
+const getTypicalPrice = (high, low, close) => (high + low + close) / 3;
+
+// Highest value in a window and its offset from the latest value
+const findHighest = (window, size = window.length()) => {
+  let offset = 0;
+  for (let i = 1; i < size; i++) {
+    if (window.get(i) > window.get(offset)) offset = i;
+  }
+  return { value: window.get(offset), offset };
+};
+
+// Lowest value in a window and its offset from the latest value
+const findLowest = (window, size = window.length()) => {
+  let offset = 0;
+  for (let i = 1; i < size; i++) {
+    if (window.get(i) < window.get(offset)) offset = i;
+  }
+  return { value: window.get(offset), offset };
+};
+
+/**
+ * Average Directional Index (ADX) with Directional Movement (+DI / -DI)
+ */
+const createADX = (period = 14) => {
+  const empty = { adx: null, plusDI: null, minusDI: null };
+  let previous = null;
+  let count = 0;
+  let smoothedTR = 0;
+  let smoothedPlusDM = 0;
+  let smoothedMinusDM = 0;
+  let dxSum = 0;
+  let adx = null;
+  let result = empty;
+  
+  return {
+    update: (high, low, close) => {
+      if (previous === null) {
+        previous = { high, low, close };
+        return result;
+      }
+      
+      const upMove = high - previous.high;
+      const downMove = previous.low - low;
+      const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+      const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+      const trueRange = Math.max(high - low, Math.abs(high - previous.close), Math.abs(low - previous.close));
+      previous = { high, low, close };
+      count++;
+      
+      if (count <= period) {
+        smoothedTR += trueRange;
+        smoothedPlusDM += plusDM;
+        smoothedMinusDM += minusDM;
+      } else {
+        smoothedTR = smoothedTR - (smoothedTR / period) + trueRange;
+        smoothedPlusDM = smoothedPlusDM - (smoothedPlusDM / period) + plusDM;
+        smoothedMinusDM = smoothedMinusDM - (smoothedMinusDM / period) + minusDM;
+      }
+      
+      if (count < period) {
+        return result;
+      }
+      
+      const plusDI = smoothedTR === 0 ? 0 : (smoothedPlusDM / smoothedTR) * 100;
+      const minusDI = smoothedTR === 0 ? 0 : (smoothedMinusDM / smoothedTR) * 100;
+      const diSum = plusDI + minusDI;
+      const dx = diSum === 0 ? 0 : (Math.abs(plusDI - minusDI) / diSum) * 100;
+      
+      if (count < 2 * period - 1) {
+        dxSum += dx;
+      } else if (count === 2 * period - 1) {
+        adx = (dxSum + dx) / period;
+      } else {
+        adx = ((adx * (period - 1)) + dx) / period;
+      }
+      
+      result = { adx, plusDI, minusDI };
+      return result;
+    },
+    
+    value: () => result,
+    
+    snapshot: () => ({ previous, count, smoothedTR, smoothedPlusDM, smoothedMinusDM, dxSum, adx, result }),
+    
+    restore: (state) => {
+      ({ previous, count, smoothedTR, smoothedPlusDM, smoothedMinusDM, dxSum, adx, result } = state);
+    }
+  };
+};
+
+/**
+ * Stochastic RSI (%K and %D)
+ */
+const createStochasticRSI = (rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) => {
+  const empty = { k: null, d: null };
+  const rsi = createRSI(rsiPeriod);
+  const rsiWindow = createRollingWindow(stochPeriod);
+  const stochWindow = createRollingWindow(kPeriod);
+  const kWindow = createRollingWindow(dPeriod);
+  let result = empty;
+  
+  // %K and %D are summed newest first, exactly as technicalIndicators.calculateSMA
+  // does, since the k > d crossover is decided on equal values too
+  const average = (window) => {
+    let sum = 0;
+    for (let offset = 0; offset < window.length(); offset++) {
+      sum += window.get(offset);
+    }
+    return sum / window.length();
+  };
+  
+  return {
+    update: (price) => {
+      const currentRSI = rsi.update(price);
+      if (currentRSI === null) return result;
+      
+      rsiWindow.push(currentRSI);
+      if (!rsiWindow.isFull()) return result;
+      
+      // A flat RSI counts as mid-range
+      const highest = findHighest(rsiWindow).value;
+      const lowest = findLowest(rsiWindow).value;
+      const stoch = highest === lowest ? 50 : ((currentRSI - lowest) / (highest - lowest)) * 100;
+      
+      stochWindow.push(stoch);
+      if (!stochWindow.isFull()) return result;
+      
+      const k = average(stochWindow);
+      kWindow.push(k);
+      
+      result = { k, d: kWindow.isFull() ? average(kWindow) : null };
+      return result;
+    },
+    
+    value: () => result,
+    
+    snapshot: () => ({
+      rsi: rsi.snapshot(),
+      rsiWindow: rsiWindow.snapshot(),
+      stochWindow: stochWindow.snapshot(),
+      kWindow: kWindow.snapshot(),
+      result
+    }),
+    
+    restore: (state) => {
+      rsi.restore(state.rsi);
+      rsiWindow.restore(state.rsiWindow);
+      stochWindow.restore(state.stochWindow);
+      kWindow.restore(state.kWindow);
+      result = state.result;
+    }
+  };
+};
+
+/**
+ * Keltner Channels (EMA middle line, ATR-based bands)
+ */
+const createKeltnerChannels = (emaPeriod = 20, atrPeriod = 10, multiplier = 2) => {
+  const empty = { upper: null, middle: null, lower: null };
+  const ema = createEMA(emaPeriod);
+  const atr = createATR(atrPeriod);
+  let result = empty;
+  
+  return {
+    update: (high, low, close) => {
+      const middle = ema.update(close);
+      const range = atr.update(high, low, close);
+      
+      result = middle === null || range === null
+        ? empty
+        : { upper: middle + multiplier * range, middle, lower: middle - multiplier * range };
+        
+      return result;
+    },
+    
+    value: () => result,
+    
+    snapshot: () => ({ ema: ema.snapshot(), atr: atr.snapshot(), result }),
+    
+    restore: (state) => {
+      ema.restore(state.ema);
+      atr.restore(state.atr);
+      result = state.result;
+    }
+  };
+};
+
+/**
+ * Donchian Channels (highest high / lowest low over the period)
+ */
+const createDonchianChannels = (period = 20) => {
+  const empty = { upper: null, middle: null, lower: null };
+  const highs = createRollingWindow(period);
+  const lows = createRollingWindow(period);
+  let result = empty;
+  
+  return {
+    update: (high, low) => {
+      highs.push(high);
+      lows.push(low);
+      
+      if (highs.isFull()) {
+        const upper = findHighest(highs).value;
+        const lower = findLowest(lows).value;
+        result = { upper, middle: (upper + lower) / 2, lower };
+      }
+      
+      return result;
+    },
+    
+    value: () => result,
+    
+    snapshot: () => ({ highs: highs.snapshot(), lows: lows.snapshot(), result }),
+    
+    restore: (state) => {
+      highs.restore(state.highs);
+      lows.restore(state.lows);
+      result = state.result;
+    }
+  };
+};
+
+/**
+ * VWAP anchored at a point in time
+ * Candles before anchorTime are ignored; without an anchor the VWAP starts
+ * at the first candle
+ */
+const createAnchoredVWAP = (anchorTime = null) => {
+  const anchor = anchorTime === null ? -Infinity : new Date(anchorTime).getTime();
+  let cumulativeVolume = 0;
+  let cumulativeValue = 0;
+  let vwap = null;
+  
+  return {
+    update: (time, high, low, close, volume) => {
+      if (new Date(time).getTime() < anchor) return vwap;
+      
+      cumulativeVolume += volume;
+      cumulativeValue += getTypicalPrice(high, low, close) * volume;
+      vwap = cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+      
+      return vwap;
+    },
+    
+    value: () => vwap,
+    
+    snapshot: () => ({ cumulativeVolume, cumulativeValue, vwap }),
+    
+    restore: (state) => {
+      ({ cumulativeVolume, cumulativeValue, vwap } = state);
+    }
+  };
+};
+
+/**
+ * Session VWAP, reset at the start of each UTC session (daily by default)
+ */
+const createSessionVWAP = (sessionMs = 24 * 60 * 60 * 1000) => {
+  let session = null;
+  let cumulativeVolume = 0;
+  let cumulativeValue = 0;
+  let vwap = null;
+  
+  return {
+    update: (time, high, low, close, volume) => {
+      const currentSession = Math.floor(new Date(time).getTime() / sessionMs);
+      
+      if (currentSession !== session) {
+        session = currentSession;
+        cumulativeVolume = 0;
+        cumulativeValue = 0;
+      }
+      
+      cumulativeVolume += volume;
+      cumulativeValue += getTypicalPrice(high, low, close) * volume;
+      vwap = cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+      
+      return vwap;
+    },
+    
+    value: () => vwap,
+    
+    snapshot: () => ({ session, cumulativeVolume, cumulativeValue, vwap }),
+    
+    restore: (state) => {
+      ({ session, cumulativeVolume, cumulativeValue, vwap } = state);
+    }
+  };
+};
+
+/**
+ * SuperTrend (direction 1 = uptrend, -1 = downtrend)
+ */
+const createSuperTrend = (period = 10, multiplier = 3) => {
+  const empty = { value: null, direction: null };
+  const atr = createATR(period);
+  let previousClose = null;
+  let finalUpper = null;
+  let finalLower = null;
+  let direction = 1;
+  let result = empty;
+  
+  return {
+    update: (high, low, close) => {
+      const range = atr.update(high, low, close);
+      const lastClose = previousClose;
+      previousClose = close;
+      
+      if (range === null) return result;
+      
+      const middle = (high + low) / 2;
+      const basicUpper = middle + multiplier * range;
+      const basicLower = middle - multiplier * range;
+      
+      if (finalUpper === null) {
+        finalUpper = basicUpper;
+        finalLower = basicLower;
+      } else {
+        // Bands only tighten, unless the previous close went through them
+        finalUpper = basicUpper < finalUpper || lastClose > finalUpper ? basicUpper : finalUpper;
+        finalLower = basicLower > finalLower || lastClose < finalLower ? basicLower : finalLower;
+        
+        if (direction === 1 && close < finalLower) {
+          direction = -1;
+        } else if (direction === -1 && close > finalUpper) {
+          direction = 1;
+        }
+      }
+      
+      result = { value: direction === 1 ? finalLower : finalUpper, direction };
+      return result;
+    },
+    
+    value: () => result,
+    
+    snapshot: () => ({ atr: atr.snapshot(), previousClose, finalUpper, finalLower, direction, result }),
+    
+    restore: (state) => {
+      atr.restore(state.atr);
+      ({ previousClose, finalUpper, finalLower, direction, result } = state);
+    }
+  };
+};
+
+/**
+ * Money Flow Index (MFI)
+ */
+const createMFI = (period = 14) => {
+  const flows = createRollingWindow(period);
+  let previousTypicalPrice = null;
+  let mfi = null;
+  
+  return {
+    update: (high, low, close, volume) => {
+      const typicalPrice = getTypicalPrice(high, low, close);
+      
+      if (previousTypicalPrice === null) {
+        previousTypicalPrice = typicalPrice;
+        return mfi;
+      }
+      
+      const moneyFlow = typicalPrice * volume;
+      flows.push({
+        positive: typicalPrice > previousTypicalPrice ? moneyFlow : 0,
+        negative: typicalPrice < previousTypicalPrice ? moneyFlow : 0
+      });
+      previousTypicalPrice = typicalPrice;
+      
+      if (!flows.isFull()) return mfi;
+      
+      let positiveFlow = 0;
+      let negativeFlow = 0;
+      flows.toArray().forEach(flow => {
+        positiveFlow += flow.positive;
+        negativeFlow += flow.negative;
+      });
+      
+      if (negativeFlow === 0) {
+        mfi = positiveFlow === 0 ? 50 : 100;
+      } else {
+        mfi = 100 - (100 / (1 + positiveFlow / negativeFlow));
+      }
+      
+      return mfi;
+    },
+    
+    value: () => mfi,
+    
+    snapshot: () => ({ flows: flows.snapshot(), previousTypicalPrice, mfi }),
+    
+    restore: (state) => {
+      flows.restore(state.flows);
+      ({ previousTypicalPrice, mfi } = state);
+    }
+  };
+};
+
+/**
+ * Chaikin Money Flow (CMF)
+ */
+const createCMF = (period = 20) => {
+  const bars = createRollingWindow(period);
+  let cmf = null;
+  
+  return {
+    update: (high, low, close, volume) => {
+      const range = high - low;
+      const multiplier = range === 0 ? 0 : ((close - low) - (high - close)) / range;
+      bars.push({ flow: multiplier * volume, volume });
+      
+      if (!bars.isFull()) return cmf;
+      
+      let flowSum = 0;
+      let volumeSum = 0;
+      bars.toArray().forEach(bar => {
+        flowSum += bar.flow;
+        volumeSum += bar.volume;
+      });
+      
+      cmf = volumeSum === 0 ? 0 : flowSum / volumeSum;
+      return cmf;
+    },
+    
+    value: () => cmf,
+    
+    snapshot: () => ({ bars: bars.snapshot(), cmf }),
+    
+    restore: (state) => {
+      bars.restore(state.bars);
+      cmf = state.cmf;
+    }
+  };
+};
+
+/**
+ * Williams %R (-100 to 0)
+ */
+const createWilliamsR = (period = 14) => {
+  const highs = createRollingWindow(period);
+  const lows = createRollingWindow(period);
+  let williamsR = null;
+  
+  return {
+    update: (high, low, close) => {
+      highs.push(high);
+      lows.push(low);
+      
+      if (!highs.isFull()) return williamsR;
+      
+      // A flat range counts as mid-range
+      const highest = findHighest(highs).value;
+      const lowest = findLowest(lows).value;
+      williamsR = highest === lowest ? -50 : ((highest - close) / (highest - lowest)) * -100;
+      
+      return williamsR;
+    },
+    
+    value: () => williamsR,
+    
+    snapshot: () => ({ highs: highs.snapshot(), lows: lows.snapshot(), williamsR }),
+    
+    restore: (state) => {
+      highs.restore(state.highs);
+      lows.restore(state.lows);
+      williamsR = state.williamsR;
+    }
+  };
+};
+
+/**
+ * Commodity Channel Index (CCI)
+ */
+const createCCI = (period = 20) => {
+  const typicalPrices = createRollingWindow(period);
+  let cci = null;
+  
+  return {
+    update: (high, low, close) => {
+      const typicalPrice = getTypicalPrice(high, low, close);
+      typicalPrices.push(typicalPrice);
+      
+      if (!typicalPrices.isFull()) return cci;
+      
+      // Sum newest first, like calculateSMA
+      let sum = 0;
+      for (let i = 0; i < period; i++) {
+        sum += typicalPrices.get(i);
+      }
+      const average = sum / period;
+      
+      const deviationSum = typicalPrices.toArray()
+        .reduce((total, value) => total + Math.abs(value - average), 0);
+      const meanDeviation = deviationSum / period;
+      
+      cci = meanDeviation === 0 ? 0 : (typicalPrice - average) / (0.015 * meanDeviation);
+      return cci;
+    },
+    
+    value: () => cci,
+    
+    snapshot: () => ({ typicalPrices: typicalPrices.snapshot(), cci }),
+    
+    restore: (state) => {
+      typicalPrices.restore(state.typicalPrices);
+      cci = state.cci;
+    }
+  };
+};
+
+/**
+ * Aroon Up / Down (0-100) and oscillator
+ */
+const createAroon = (period = 25) => {
+  const empty = { up: null, down: null, oscillator: null };
+  const highs = createRollingWindow(period + 1);
+  const lows = createRollingWindow(period + 1);
+  let result = empty;
+  
+  return {
+    update: (high, low) => {
+      highs.push(high);
+      lows.push(low);
+      
+      if (!highs.isFull()) return result;
+      
+      // Bars since the highest high / lowest low over the last period + 1 bars
+      const up = ((period - findHighest(highs).offset) / period) * 100;
+      const down = ((period - findLowest(lows).offset) / period) * 100;
+      
+      result = { up, down, oscillator: up - down };
+      return result;
+    },
+    
+    value: () => result,
+    
+    snapshot: () => ({ highs: highs.snapshot(), lows: lows.snapshot(), result }),
+    
+    restore: (state) => {
+      highs.restore(state.highs);
+      lows.restore(state.lows);
+      result = state.result;
+    }
+  };
+};
+
+// Linear regression value at the latest point of a window (x = 0 .. n - 1, oldest first)
+const getLinearRegressionValue = (values) => {
+  const n = values.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+  
+  for (let x = 0; x < n; x++) {
+    sumX += x;
+    sumY += values[x];
+    sumXY += x * values[x];
+    sumXX += x * x;
+  }
+  
+  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+  
+  return intercept + slope * (n - 1);
+};
+
+/**
+ * TTM Squeeze (Bollinger Bands inside Keltner Channels)
+ * See calculateTTMSqueeze for the meaning of each field
+ */
+const createTTMSqueeze = (period = 20, standardDeviations = 2, keltnerMultiplier = 1.5, rankPeriod = 120) => {
+  const empty = {
+    squeezeOn: null,
+    duration: 0,
+    bandwidthRank: null,
+    fired: false,
+    momentum: null,
+    momentumDirection: null
+  };
+  
+  const bollinger = createBollingerBands(period, standardDeviations);
+  const keltner = createKeltnerChannels(period, period, keltnerMultiplier);
+  const sma = createSMA(period);
+  const highs = createRollingWindow(period);
+  const lows = createRollingWindow(period);
+  const deltas = createRollingWindow(period);
+  const widths = createRollingWindow(rankPeriod);
+  let duration = 0;
+  let result = empty;
+  
+  return {
+    update: (high, low, close) => {
+      const bb = bollinger.update(close);
+      const kc = keltner.update(high, low, close);
+      const average = sma.update(close);
+      highs.push(high);
+      lows.push(low);
+      
+      // Distance of price from the average of the Donchian midline and the SMA
+      if (average !== null) {
+        const midline = (findHighest(highs).value + findLowest(lows).value) / 2;
+        deltas.push(close - (midline + average) / 2);
+      }
+      
+      if (bb.width !== null) {
+        widths.push(bb.width);
+      }
+      
+      if (bb.upper === null || kc.upper === null) {
+        return result;
+      }
+      
+      const squeezeOn = bb.upper < kc.upper && bb.lower > kc.lower;
+      const fired = !squeezeOn && duration > 0;
+      const below = widths.toArray().filter(width => width < bb.width).length;
+      const momentum = deltas.isFull() ? getLinearRegressionValue(deltas.toArray()) : null;
+      
+      result = {
+        squeezeOn,
+        duration: squeezeOn ? duration + 1 : duration,
+        bandwidthRank: (below / widths.length()) * 100,
+        fired,
+        momentum,
+        momentumDirection: momentum === null ? null : (momentum > 0 ? 'up' : 'down')
+      };
+      
+      duration = squeezeOn ? duration + 1 : 0;
+      return result;
+    },
+    
+    value: () => result,
+    
+    snapshot: () => ({
+      bollinger: bollinger.snapshot(),
+      keltner: keltner.snapshot(),
+      sma: sma.snapshot(),
+      highs: highs.snapshot(),
+      lows: lows.snapshot(),
+      deltas: deltas.snapshot(),
+      widths: widths.snapshot(),
+      duration,
+      result
+    }),
+    
+    restore: (state) => {
+      bollinger.restore(state.bollinger);
+      keltner.restore(state.keltner);
+      sma.restore(state.sma);
+      highs.restore(state.highs);
+      lows.restore(state.lows);
+      deltas.restore(state.deltas);
+      widths.restore(state.widths);
+      ({ duration, result } = state);
+    }
+  };
+};
+
+module.exports = {
+  createRollingWindow,
+  createSMA,
+  createEMA,
+  createRSI,
+  createBollingerBands,
+  createATR,
+  createOBV,
+  createMACD,
+  createADX,
+  createStochasticRSI,
+  createKeltnerChannels,
+  createDonchianChannels,
+  createAnchoredVWAP,
+  createSessionVWAP,
+  createSuperTrend,
+  createMFI,
+  createCMF,
+  createWilliamsR,
+  createCCI,
+  createAroon,
+  createTTMSqueeze
+};
@@ -3,6 +3,8 @@
  * This file contains all the key indicators needed for effective breakout detection
  */
 
+const { findSwingHighs, findSwingLows } = require('./priceLevels');
+
 // Calculate Simple Moving Average (SMA)
 const calculateSMA = (data, period) => {
   const results = [];
@@ -282,6 +284,455 @@ const calculateMACD = (data, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9)
   return results;
 };
 
+// Typical price of a bar
+const getTypicalPrice = (high, low, close) => (high + low + close) / 3;
+
+// Highest value and its offset (0 = latest) within data[start..end]
+const findHighest = (data, start, end) => {
+  let index = end;
+  for (let j = end - 1; j >= start; j--) {
+    if (data[j] > data[index]) index = j;
+  }
+  return { value: data[index], offset: end - index };
+};
+
+// Lowest value and its offset (0 = latest) within data[start..end]
+const findLowest = (data, start, end) => {
+  let index = end;
+  for (let j = end - 1; j >= start; j--) {
+    if (data[j] < data[index]) index = j;
+  }
+  return { value: data[index], offset: end - index };
+};
+
+// Calculate Average Directional Index (ADX) with Directional Movement (+DI / -DI)
+const calculateADX = (highData, lowData, closeData, period = 14) => {
+  const empty = { adx: null, plusDI: null, minusDI: null };
+  const results = [];
+  
+  // Not enough data for calculation
+  if (highData.length < period + 1) {
+    return Array(highData.length).fill(empty);
+  }
+  
+  let smoothedTR = 0;
+  let smoothedPlusDM = 0;
+  let smoothedMinusDM = 0;
+  let dxSum = 0;
+  let adx = null;
+  
+  results.push(empty);
+  
+  for (let i = 1; i < highData.length; i++) {
+    const upMove = highData[i] - highData[i - 1];
+    const downMove = lowData[i - 1] - lowData[i];
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+    const trueRange = Math.max(
+      highData[i] - lowData[i],
+      Math.abs(highData[i] - closeData[i - 1]),
+      Math.abs(lowData[i] - closeData[i - 1])
+    );
+    
+    // Wilder smoothing, seeded with the sum of the first period values
+    if (i <= period) {
+      smoothedTR += trueRange;
+      smoothedPlusDM += plusDM;
+      smoothedMinusDM += minusDM;
+    } else {
+      smoothedTR = smoothedTR - (smoothedTR / period) + trueRange;
+      smoothedPlusDM = smoothedPlusDM - (smoothedPlusDM / period) + plusDM;
+      smoothedMinusDM = smoothedMinusDM - (smoothedMinusDM / period) + minusDM;
+    }
+    
+    if (i < period) {
+      results.push(empty);
+      continue;
+    }
+    
+    const plusDI = smoothedTR === 0 ? 0 : (smoothedPlusDM / smoothedTR) * 100;
+    const minusDI = smoothedTR === 0 ? 0 : (smoothedMinusDM / smoothedTR) * 100;
+    const diSum = plusDI + minusDI;
+    const dx = diSum === 0 ? 0 : (Math.abs(plusDI - minusDI) / diSum) * 100;
+    
+    // ADX starts as the average of the first period DX values
+    if (i < 2 * period - 1) {
+      dxSum += dx;
+    } else if (i === 2 * period - 1) {
+      adx = (dxSum + dx) / period;
+    } else {
+      adx = ((adx * (period - 1)) + dx) / period;
+    }
+    
+    results.push({ adx, plusDI, minusDI });
+  }
+  
+  return results;
+};
+
+// Calculate Stochastic RSI (%K and %D, 0-100)
+const calculateStochasticRSI = (data, rsiPeriod = 14, stochPeriod = 14, kPeriod = 3, dPeriod = 3) => {
+  const empty = { k: null, d: null };
+  const rsiData = calculateRSI(data, rsiPeriod);
+  
+  // Position of RSI within its recent range; a flat RSI counts as mid-range
+  const stochData = rsiData.map((rsi, i) => {
+    if (rsi === null || i < rsiPeriod + stochPeriod - 1) return null;
+    
+    const highest = findHighest(rsiData, i - stochPeriod + 1, i).value;
+    const lowest = findLowest(rsiData, i - stochPeriod + 1, i).value;
+    
+    return highest === lowest ? 50 : ((rsi - lowest) / (highest - lowest)) * 100;
+  });
+  
+  // Smooth into %K and %D over the valid values, then pad to the original length
+  const validStoch = stochData.filter(value => value !== null);
+  const kValues = calculateSMA(validStoch, kPeriod);
+  const validK = kValues.filter(value => value !== null);
+  const dValues = [...Array(kValues.length - validK.length).fill(null), ...calculateSMA(validK, dPeriod)];
+  
+  const padding = data.length - validStoch.length;
+  
+  return data.map((value, i) => {
+    if (i < padding || kValues[i - padding] === null) return empty;
+    return { k: kValues[i - padding], d: dValues[i - padding] };
+  });
+};
+
+// Calculate Keltner Channels (EMA middle line, ATR-based bands)
+const calculateKeltnerChannels = (highData, lowData, closeData, emaPeriod = 20, atrPeriod = 10, multiplier = 2) => {
+  const ema = calculateEMA(closeData, emaPeriod);
+  const atr = calculateATR(highData, lowData, closeData, atrPeriod);
+  
+  return closeData.map((close, i) => {
+    if (ema[i] === null || atr[i] === null || atr[i] === undefined) {
+      return { upper: null, middle: null, lower: null };
+    }
+    
+    return {
+      upper: ema[i] + multiplier * atr[i],
+      middle: ema[i],
+      lower: ema[i] - multiplier * atr[i]
+    };
+  });
+};
+
+// Calculate Donchian Channels (highest high / lowest low over the period)
+const calculateDonchianChannels = (highData, lowData, period = 20) => {
+  return highData.map((high, i) => {
+    if (i < period - 1) {
+      return { upper: null, middle: null, lower: null };
+    }
+    
+    const upper = findHighest(highData, i - period + 1, i).value;
+    const lower = findLowest(lowData, i - period + 1, i).value;
+    
+    return { upper, middle: (upper + lower) / 2, lower };
+  });
+};
+
+// Calculate VWAP anchored at a bar (null before the anchor)
+const calculateAnchoredVWAP = (highData, lowData, closeData, volumeData, anchorIndex = 0) => {
+  let cumulativeVolume = 0;
+  let cumulativeValue = 0;
+  
+  return closeData.map((close, i) => {
+    if (i < anchorIndex) return null;
+    
+    cumulativeVolume += volumeData[i];
+    cumulativeValue += getTypicalPrice(highData[i], lowData[i], close) * volumeData[i];
+    
+    return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+  });
+};
+
+// Calculate session VWAP, reset at the start of each UTC session (daily by default)
+const calculateSessionVWAP = (timeData, highData, lowData, closeData, volumeData, sessionMs = 24 * 60 * 60 * 1000) => {
+  let session = null;
+  let cumulativeVolume = 0;
+  let cumulativeValue = 0;
+  
+  return closeData.map((close, i) => {
+    const currentSession = Math.floor(new Date(timeData[i]).getTime() / sessionMs);
+    
+    if (currentSession !== session) {
+      session = currentSession;
+      cumulativeVolume = 0;
+      cumulativeValue = 0;
+    }
+    
+    cumulativeVolume += volumeData[i];
+    cumulativeValue += getTypicalPrice(highData[i], lowData[i], close) * volumeData[i];
+    
+    return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+  });
+};
+
+// Calculate SuperTrend (direction 1 = uptrend, -1 = downtrend)
+const calculateSuperTrend = (highData, lowData, closeData, period = 10, multiplier = 3) => {
+  const empty = { value: null, direction: null };
+  const atr = calculateATR(highData, lowData, closeData, period);
+  const results = [];
+  
+  let finalUpper = null;
+  let finalLower = null;
+  let direction = 1;
+  
+  for (let i = 0; i < closeData.length; i++) {
+    if (atr[i] === null || atr[i] === undefined) {
+      results.push(empty);
+      continue;
+    }
+    
+    const middle = (highData[i] + lowData[i]) / 2;
+    const basicUpper = middle + multiplier * atr[i];
+    const basicLower = middle - multiplier * atr[i];
+    
+    if (finalUpper === null) {
+      finalUpper = basicUpper;
+      finalLower = basicLower;
+    } else {
+      const previousClose = closeData[i - 1];
+      
+      // Bands only tighten, unless the previous close went through them
+      finalUpper = basicUpper < finalUpper || previousClose > finalUpper ? basicUpper : finalUpper;
+      finalLower = basicLower > finalLower || previousClose < finalLower ? basicLower : finalLower;
+      
+      if (direction === 1 && closeData[i] < finalLower) {
+        direction = -1;
+      } else if (direction === -1 && closeData[i] > finalUpper) {
+        direction = 1;
+      }
+    }
+    
+    results.push({
+      value: direction === 1 ? finalLower : finalUpper,
+      direction
+    });
+  }
+  
+  return results;
+};
+
+// Calculate Money Flow Index (MFI)
+const calculateMFI = (highData, lowData, closeData, volumeData, period = 14) => {
+  const results = [];
+  
+  // Not enough data for calculation
+  if (closeData.length < period + 1) {
+    return Array(closeData.length).fill(null);
+  }
+  
+  const typicalPrices = closeData.map((close, i) => getTypicalPrice(highData[i], lowData[i], close));
+  
+  for (let i = 0; i < closeData.length; i++) {
+    if (i < period) {
+      results.push(null);
+      continue;
+    }
+    
+    let positiveFlow = 0;
+    let negativeFlow = 0;
+    
+    for (let j = i - period + 1; j <= i; j++) {
+      const moneyFlow = typicalPrices[j] * volumeData[j];
+      
+      if (typicalPrices[j] > typicalPrices[j - 1]) {
+        positiveFlow += moneyFlow;
+      } else if (typicalPrices[j] < typicalPrices[j - 1]) {
+        negativeFlow += moneyFlow;
+      }
+    }
+    
+    if (negativeFlow === 0) {
+      results.push(positiveFlow === 0 ? 50 : 100);
+    } else {
+      results.push(100 - (100 / (1 + positiveFlow / negativeFlow)));
+    }
+  }
+  
+  return results;
+};
+
+// Calculate Chaikin Money Flow (CMF)
+const calculateCMF = (highData, lowData, closeData, volumeData, period = 20) => {
+  const moneyFlowVolume = closeData.map((close, i) => {
+    const range = highData[i] - lowData[i];
+    const multiplier = range === 0 ? 0 : ((close - lowData[i]) - (highData[i] - close)) / range;
+    return multiplier * volumeData[i];
+  });
+  
+  return closeData.map((close, i) => {
+    if (i < period - 1) return null;
+    
+    let flowSum = 0;
+    let volumeSum = 0;
+    
+    for (let j = i - period + 1; j <= i; j++) {
+      flowSum += moneyFlowVolume[j];
+      volumeSum += volumeData[j];
+    }
+    
+    return volumeSum === 0 ? 0 : flowSum / volumeSum;
+  });
+};
+
+// Calculate Williams %R (-100 to 0)
+const calculateWilliamsR = (highData, lowData, closeData, period = 14) => {
+  return closeData.map((close, i) => {
+    if (i < period - 1) return null;
+    
+    const highest = findHighest(highData, i - period + 1, i).value;
+    const lowest = findLowest(lowData, i - period + 1, i).value;
+    
+    // A flat range counts as mid-range
+    return highest === lowest ? -50 : ((highest - close) / (highest - lowest)) * -100;
+  });
+};
+
+// Calculate Commodity Channel Index (CCI)
+const calculateCCI = (highData, lowData, closeData, period = 20) => {
+  const typicalPrices = closeData.map((close, i) => getTypicalPrice(highData[i], lowData[i], close));
+  const sma = calculateSMA(typicalPrices, period);
+  
+  return typicalPrices.map((typicalPrice, i) => {
+    if (sma[i] === null) return null;
+    
+    let deviationSum = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      deviationSum += Math.abs(typicalPrices[j] - sma[i]);
+    }
+    const meanDeviation = deviationSum / period;
+    
+    return meanDeviation === 0 ? 0 : (typicalPrice - sma[i]) / (0.015 * meanDeviation);
+  });
+};
+
+// Calculate Aroon Up / Down (0-100) and oscillator
+const calculateAroon = (highData, lowData, period = 25) => {
+  return highData.map((high, i) => {
+    if (i < period) {
+      return { up: null, down: null, oscillator: null };
+    }
+    
+    // Bars since the highest high / lowest low over the last period + 1 bars
+    const barsSinceHigh = findHighest(highData, i - period, i).offset;
+    const barsSinceLow = findLowest(lowData, i - period, i).offset;
+    
+    const up = ((period - barsSinceHigh) / period) * 100;
+    const down = ((period - barsSinceLow) / period) * 100;
+    
+    return { up, down, oscillator: up - down };
+  });
+};
+
+// Linear regression value at the latest point of values (x = 0 .. n - 1)
+const getLinearRegressionValue = (values) => {
+  const n = values.length;
+  let sumX = 0;
+  let sumY = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+  
+  for (let x = 0; x < n; x++) {
+    sumX += x;
+    sumY += values[x];
+    sumXY += x * values[x];
+    sumXX += x * x;
+  }
+  
+  const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+  const intercept = (sumY - slope * sumX) / n;
+  
+  return intercept + slope * (n - 1);
+};
+
+// Calculate Linear Regression (end point of the least-squares line over the period)
+const calculateLinearRegression = (data, period) => {
+  return data.map((value, i) => {
+    if (i < period - 1) return null;
+    
+    const values = data.slice(i - period + 1, i + 1);
+    if (values.some(v => v === null)) return null;
+    
+    return getLinearRegressionValue(values);
+  });
+};
+
+// Calculate TTM Squeeze (Bollinger Bands inside Keltner Channels)
+// - squeezeOn: both Bollinger Bands are inside the Keltner Channels
+// - duration: bars the current squeeze has lasted (or the one that just fired)
+// - bandwidthRank: percentage of the last rankPeriod bandwidths below the current one (0 = tightest)
+// - fired: the squeeze was on at the previous bar and released at this one
+// - momentum / momentumDirection: linear regression of price against the
+//   midpoint of the Donchian midline and SMA, and its sign ('up' / 'down')
+const calculateTTMSqueeze = (highData, lowData, closeData, period = 20, standardDeviations = 2, keltnerMultiplier = 1.5, rankPeriod = 120) => {
+  const empty = {
+    squeezeOn: null,
+    duration: 0,
+    bandwidthRank: null,
+    fired: false,
+    momentum: null,
+    momentumDirection: null
+  };
+  
+  const bbData = calculateBollingerBands(closeData, period, standardDeviations);
+  const kcData = calculateKeltnerChannels(highData, lowData, closeData, period, period, keltnerMultiplier);
+  const sma = calculateSMA(closeData, period);
+  
+  // Distance of price from the average of the Donchian midline and the SMA
+  const deltas = closeData.map((close, i) => {
+    if (sma[i] === null) return null;
+    
+    const highest = findHighest(highData, i - period + 1, i).value;
+    const lowest = findLowest(lowData, i - period + 1, i).value;
+    
+    return close - (((highest + lowest) / 2) + sma[i]) / 2;
+  });
+  const momentumData = calculateLinearRegression(deltas, period);
+  
+  const results = [];
+  let duration = 0;
+  
+  for (let i = 0; i < closeData.length; i++) {
+    const bb = bbData[i];
+    const kc = kcData[i];
+    
+    if (bb.upper === null || kc.upper === null) {
+      results.push(empty);
+      continue;
+    }
+    
+    const squeezeOn = bb.upper < kc.upper && bb.lower > kc.lower;
+    const fired = !squeezeOn && duration > 0;
+    
+    // Rank the current bandwidth against the recent ones
+    let below = 0;
+    let count = 0;
+    for (let j = Math.max(0, i - rankPeriod + 1); j <= i; j++) {
+      if (bbData[j].width === null) continue;
+      count++;
+      if (bbData[j].width < bb.width) below++;
+    }
+    
+    const currentDuration = squeezeOn ? duration + 1 : duration;
+    const momentum = momentumData[i];
+    
+    results.push({
+      squeezeOn,
+      duration: currentDuration,
+      bandwidthRank: (below / count) * 100,
+      fired,
+      momentum,
+      momentumDirection: momentum === null ? null : (momentum > 0 ? 'up' : 'down')
+    });
+    
+    duration = squeezeOn ? duration + 1 : 0;
+  }
+  
+  return results;
+};
+
 // Detect if price is consolidating within a range
 const isPriceConsolidating = (data, period = 6, threshold = 0.15) => {
   if (data.length < period) return false;
@@ -320,6 +771,20 @@ const detectBollingerBreakout = (priceData, bbData, lookbackPeriod = 10) => {
   );
 };
 
+// Detect breakdown based on Bollinger Bands
+const detectBollingerBreakdown = (priceData, bbData, lookbackPeriod = 10) => {
+  if (priceData.length < lookbackPeriod || bbData.length < lookbackPeriod) return false;
+  
+  const recentPrices = priceData.slice(-lookbackPeriod);
+  const recentBB = bbData.slice(-lookbackPeriod);
+  
+  // Check if price was inside the bands and now breaks below lower band
+  return (
+    recentPrices[recentPrices.length - 2] >= recentBB[recentBB.length - 2].lower &&
+    recentPrices[recentPrices.length - 1] < recentBB[recentBB.length - 1].lower
+  );
+};
+
 // Detect if there's a positive RSI divergence (bullish signal)
 const detectPositiveRSIDivergence = (priceData, rsiData, lookbackPeriod = 20) => {
   if (priceData.length < lookbackPeriod || rsiData.length < lookbackPeriod) return false;
@@ -327,27 +792,11 @@ const detectPositiveRSIDivergence = (priceData, rsiData, lookbackPeriod = 20) =>
   const recentPrices = priceData.slice(-lookbackPeriod);
   const recentRSI = rsiData.slice(-lookbackPeriod);
   
-  // Find price lows
-  let firstPriceLowIndex = -1;
-  let secondPriceLowIndex = -1;
-  
-  for (let i = 5; i < recentPrices.length - 5; i++) {
-    const current = recentPrices[i];
-    const previousFive = recentPrices.slice(i - 5, i);
-    const nextFive = recentPrices.slice(i + 1, i + 6);
-    
-    if (current <= Math.min(...previousFive, ...nextFive)) {
-      if (firstPriceLowIndex === -1) {
-        firstPriceLowIndex = i;
-      } else {
-        secondPriceLowIndex = i;
-        break;
-      }
-    }
-  }
+  // Find the first two price lows (lowest within 5 bars on either side)
+  const [firstPriceLowIndex, secondPriceLowIndex] = findSwingLows(recentPrices, 5);
   
   // Need two price lows to check for divergence
-  if (firstPriceLowIndex === -1 || secondPriceLowIndex === -1) return false;
+  if (firstPriceLowIndex === undefined || secondPriceLowIndex === undefined) return false;
   
   // Check for divergence: price making lower lows but RSI making higher lows
   const firstPriceLow = recentPrices[firstPriceLowIndex];
@@ -358,6 +807,28 @@ const detectPositiveRSIDivergence = (priceData, rsiData, lookbackPeriod = 20) =>
   return secondPriceLow < firstPriceLow && secondRSILow > firstRSILow;
 };
 
+// Detect if there's a negative RSI divergence (bearish signal)
+const detectNegativeRSIDivergence = (priceData, rsiData, lookbackPeriod = 20) => {
+  if (priceData.length < lookbackPeriod || rsiData.length < lookbackPeriod) return false;
+  
+  const recentPrices = priceData.slice(-lookbackPeriod);
+  const recentRSI = rsiData.slice(-lookbackPeriod);
+  
+  // Find the first two price highs (highest within 5 bars on either side)
+  const [firstPriceHighIndex, secondPriceHighIndex] = findSwingHighs(recentPrices, 5);
+  
+  // Need two price highs to check for divergence
+  if (firstPriceHighIndex === undefined || secondPriceHighIndex === undefined) return false;
+  
+  // Check for divergence: price making higher highs but RSI making lower highs
+  const firstPriceHigh = recentPrices[firstPriceHighIndex];
+  const secondPriceHigh = recentPrices[secondPriceHighIndex];
+  const firstRSIHigh = recentRSI[firstPriceHighIndex];
+  const secondRSIHigh = recentRSI[secondPriceHighIndex];
+  
+  return secondPriceHigh > firstPriceHigh && secondRSIHigh < firstRSIHigh;
+};
+
 // Export all indicators
 module.exports = {
   calculateSMA,
@@ -367,8 +838,24 @@ module.exports = {
   calculateATR,
   calculateOBV,
   calculateMACD,
+  calculateADX,
+  calculateStochasticRSI,
+  calculateKeltnerChannels,
+  calculateDonchianChannels,
+  calculateAnchoredVWAP,
+  calculateSessionVWAP,
+  calculateSuperTrend,
+  calculateMFI,
+  calculateCMF,
+  calculateWilliamsR,
+  calculateCCI,
+  calculateAroon,
+  calculateLinearRegression,
+  calculateTTMSqueeze,
   isPriceConsolidating,
   isVolumeIncreasing,
   detectBollingerBreakout,
-  detectPositiveRSIDivergence
+  detectBollingerBreakdown,
+  detectPositiveRSIDivergence,
+  detectNegativeRSIDivergence
 };
@@ -0,0 +1,166 @@
+/**
+ * Timeframe profiles for multi-timeframe analysis
+ * A profile is an ordered list of timeframes (lowest first), each with a
+ * weight in the combined score and the points it adds to the alignment score
+ */
+
+const { getTimeframeMs, resampleCandles } = require('./candleResampler');
+
+// Where each analysis timeframe's candles come from: the provider timeframe
+// to fetch and how many of those bars to use
+const TIMEFRAME_SOURCES = {
+  '15m': { source: 'minute', sourceBars: 2000 },
+  '30m': { source: 'minute', sourceBars: 2000 },
+  '1H': { source: 'hour', sourceBars: 168 },
+  '2H': { source: 'hour', sourceBars: 500 },
+  '4H': { source: 'hour', sourceBars: 500 },
+  '6H': { source: 'hour', sourceBars: 1000 },
+  '12H': { source: 'hour', sourceBars: 2000 },
+  '1D': { source: 'day', sourceBars: 100 },
+  '1W': { source: 'day', sourceBars: 1000 }
+};
+
+// Built-in profiles
+const TIMEFRAME_PROFILES = {
+  scalping: {
+    label: 'Scalping (15m / 1H / 4H)',
+    timeframes: [
+      { timeframe: '15m', weight: 0.2, alignmentPoints: 1 },
+      { timeframe: '1H', weight: 0.3, alignmentPoints: 2 },
+      { timeframe: '4H', weight: 0.5, alignmentPoints: 3 }
+    ]
+  },
+  intraday: {
+    label: 'Intraday (1H / 4H / 1D)',
+    timeframes: [
+      { timeframe: '1H', weight: 0.2, alignmentPoints: 1 },
+      { timeframe: '4H', weight: 0.3, alignmentPoints: 2 },
+      { timeframe: '1D', weight: 0.5, alignmentPoints: 3 }
+    ]
+  },
+  swing: {
+    label: 'Swing (4H / 1D / 1W)',
+    timeframes: [
+      { timeframe: '4H', weight: 0.2, alignmentPoints: 1 },
+      { timeframe: '1D', weight: 0.3, alignmentPoints: 2 },
+      { timeframe: '1W', weight: 0.5, alignmentPoints: 3 }
+    ]
+  }
+};
+
+const DEFAULT_TIMEFRAME_PROFILE = 'intraday';
+
+// Response keys kept for the timeframes the screener originally supported
+const LEGACY_DATA_KEYS = {
+  '1H': 'hourlyData',
+  '4H': 'fourHourData',
+  '1D': 'dailyData'
+};
+
+/**
+ * Resolve a timeframe profile
+ * 
+ * @param {string|Array|Object} profile - Profile name, a custom ordered list of
+ *   { timeframe, weight, alignmentPoints } entries, or a resolved profile
+ * @returns {Object} Profile with name and timeframes
+ */
+const resolveTimeframeProfile = (profile = DEFAULT_TIMEFRAME_PROFILE) => {
+  if (profile && Array.isArray(profile.timeframes)) {
+    return { ...resolveTimeframeProfile(profile.timeframes), name: profile.name || 'custom' };
+  }
+  
+  if (Array.isArray(profile)) {
+    if (profile.length === 0) {
+      throw new Error('Timeframe profile must contain at least one timeframe');
+    }
+    
+    profile.forEach(entry => {
+      if (!TIMEFRAME_SOURCES[entry.timeframe]) {
+        throw new Error(`Unsupported analysis timeframe: ${entry.timeframe}`);
+      }
+    });
+    
+    // Keep the lowest timeframe first regardless of input order
+    const sorted = [...profile].sort((a, b) => getTimeframeMs(a.timeframe) - getTimeframeMs(b.timeframe));
+    
+    // Higher timeframes count for more alignment points unless set explicitly
+    const timeframes = sorted.map((entry, index) => ({
+      timeframe: entry.timeframe,
+      weight: entry.weight !== undefined ? parseFloat(entry.weight) : 1,
+      alignmentPoints: entry.alignmentPoints !== undefined ? parseFloat(entry.alignmentPoints) : index + 1
+    }));
+    
+    return { name: 'custom', timeframes };
+  }
+  
+  const preset = TIMEFRAME_PROFILES[profile || DEFAULT_TIMEFRAME_PROFILE];
+  
+  if (!preset) {
+    throw new Error(`Unknown timeframe profile: ${profile}`);
+  }
+  
+  return { name: profile || DEFAULT_TIMEFRAME_PROFILE, timeframes: preset.timeframes };
+};
+
+/**
+ * Load candles for every timeframe in a profile
+ * Each provider timeframe is fetched once and resampled into the higher
+ * timeframes that need it
+ * 
+ * @param {Function} getHistoricalData - (symbol, currency, timeframe, limit) => Promise<Array>
+ * @param {string} symbol - Cryptocurrency symbol
+ * @param {string} currency - Quote currency
+ * @param {string|Array} profile - Timeframe profile name or definition
+ * @returns {Promise<Object>} Resolved profile and candles keyed by timeframe
+ */
+const loadTimeframeData = async (getHistoricalData, symbol, currency, profile) => {
+  const resolvedProfile = resolveTimeframeProfile(profile);
+  const { timeframes } = resolvedProfile;
+  
+  // Bars needed from each provider timeframe
+  const sourceBars = {};
+  timeframes.forEach(({ timeframe }) => {
+    const { source, sourceBars: bars } = TIMEFRAME_SOURCES[timeframe];
+    sourceBars[source] = Math.max(sourceBars[source] || 0, bars);
+  });
+  
+  const sources = Object.keys(sourceBars);
+  const sourceData = await Promise.all(
+    sources.map(source => getHistoricalData(symbol, currency, source, sourceBars[source]))
+  );
+  
+  const candlesBySource = {};
+  sources.forEach((source, i) => {
+    candlesBySource[source] = sourceData[i];
+  });
+  
+  const result = {
+    symbol,
+    currency,
+    profile: resolvedProfile,
+    timeframes: {}
+  };
+  
+  timeframes.forEach(({ timeframe }) => {
+    const { source, sourceBars: bars } = TIMEFRAME_SOURCES[timeframe];
+    const candles = candlesBySource[source].slice(-bars);
+    
+    result.timeframes[timeframe] = getTimeframeMs(source) === getTimeframeMs(timeframe)
+      ? candles
+      : resampleCandles(candles, source, timeframe);
+      
+    if (LEGACY_DATA_KEYS[timeframe]) {
+      result[LEGACY_DATA_KEYS[timeframe]] = result.timeframes[timeframe];
+    }
+  });
+  
+  return result;
+};
+
+module.exports = {
+  TIMEFRAME_SOURCES,
+  TIMEFRAME_PROFILES,
+  DEFAULT_TIMEFRAME_PROFILE,
+  resolveTimeframeProfile,
+  loadTimeframeData
+};
@@ -0,0 +1,228 @@
+/**
+ * Trade planner for crypto breakout screening
+ * Places the stop loss from the breakout's structure and splits the exit over
+ * up to three take-profit targets from R-multiples, the pattern's measured
+ * move and the next support / resistance zones
+ */
+
+const { findSwingHighs, findSwingLows } = require('./priceLevels');
+
+// Stop loss placements, with a fallback to the ATR stop when the structure
+// doesn't give a stop on the right side of entry
+const STOP_METHODS = {
+  atr: 'ATR multiple',
+  consolidation: 'Beyond the consolidation range',
+  swing: 'Beyond the last swing point',
+  breakoutLevel: 'Beyond the breakout level'
+};
+
+/**
+ * Validate a stop method
+ */
+const resolveStopMethod = (stopMethod = 'atr') => {
+  if (!STOP_METHODS[stopMethod]) {
+    throw new Error(`Unknown stop method: ${stopMethod}`);
+  }
+  
+  return stopMethod;
+};
+
+/**
+ * Resolve trade plan options
+ */
+const getPlanConfig = (options = {}) => ({
+  stopMethod: resolveStopMethod(options.stopMethod),
+  // ATR stop distance, and the ATR fraction structural stops sit beyond their level
+  stopAtrMultiplier: options.stopAtrMultiplier || 1,
+  stopBufferAtr: options.stopBufferAtr !== undefined ? options.stopBufferAtr : 0.1,
+  consolidationPeriod: options.consolidationPeriod || 6,
+  swingStrength: options.swingStrength || 3,
+  // Final target in multiples of risk
+  riskRewardRatio: options.riskRewardRatio || 3,
+  // Intermediate targets must be at least minTargetR from entry and targetSpacingR apart
+  minTargetR: options.minTargetR || 1,
+  targetSpacingR: options.targetSpacingR || 0.5,
+  // Share of the position closed at each target, nearest first
+  targetSizes: options.targetSizes || [50, 30, 20]
+});
+
+// Significant digits kept in planned prices, so sub-cent coins keep their precision
+const PRICE_PRECISION = 6;
+
+/**
+ * Round a price to PRICE_PRECISION significant digits
+ */
+const roundPrice = price => Number(price.toPrecision(PRICE_PRECISION));
+
+/**
+ * Structural stop price for a method, before the buffer; null without one
+ */
+const getStructureStop = (market, config, isShort) => {
+  const { candles, breakoutLevel } = market;
+  
+  if (config.stopMethod === 'consolidation') {
+    const range = candles.slice(-config.consolidationPeriod - 1, -1);
+    if (range.length === 0) return null;
+    
+    return isShort ? Math.max(...range.map(d => d.high)) : Math.min(...range.map(d => d.low));
+  }
+  
+  if (config.stopMethod === 'swing') {
+    const swings = isShort
+      ? findSwingHighs(candles.map(d => d.high), config.swingStrength).map(index => candles[index].high)
+      : findSwingLows(candles.map(d => d.low), config.swingStrength).map(index => candles[index].low);
+    const beyondEntry = swings.filter(price => (isShort ? price > market.entryPrice : price < market.entryPrice));
+    
+    return beyondEntry.length > 0 ? beyondEntry[beyondEntry.length - 1] : null;
+  }
+  
+  if (config.stopMethod === 'breakoutLevel') {
+    return breakoutLevel !== undefined ? breakoutLevel : null;
+  }
+  
+  return null;
+};
+
+/**
+ * Place the stop loss
+ * 
+ * @returns {Object} { method, price }, with the method actually used
+ */
+const placeStop = (market, config, isShort) => {
+  const side = isShort ? -1 : 1;
+  const { entryPrice, atr } = market;
+  const structureStop = getStructureStop(market, config, isShort);
+  
+  if (structureStop !== null) {
+    const price = roundPrice(structureStop - side * atr * config.stopBufferAtr);
+    
+    if (isShort ? price > entryPrice : price < entryPrice) {
+      return { method: config.stopMethod, price };
+    }
+  }
+  
+  return { method: 'atr', price: roundPrice(entryPrice - side * atr * config.stopAtrMultiplier) };
+};
+
+/**
+ * Structural targets: the next zones in the trade direction and, for longs,
+ * the measured move of a pattern breakout
+ */
+const getStructureTargets = (market, isShort) => {
+  const { levels, patterns = [] } = market;
+  const targets = [];
+  
+  if (levels) {
+    const zones = isShort ? levels.support : levels.resistance;
+    
+    // Exit at the near edge of each zone, before price reaches its middle
+    zones.forEach(zone => targets.push({
+      price: isShort ? zone.high : zone.low,
+      source: isShort ? 'support' : 'resistance'
+    }));
+  }
+  
+  const patternBreakout = isShort ? null : patterns.find(pattern => pattern.status === 'breakout');
+  if (patternBreakout) {
+    targets.push({ price: patternBreakout.target, source: 'measuredMove', pattern: patternBreakout.name });
+  }
+  
+  return targets;
+};
+
+/**
+ * Split the position over the targets, scaling the configured sizes to 100%
+ */
+const getTargetSizes = (count, targetSizes) => {
+  const sizes = targetSizes.slice(0, count);
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+  
+  return sizes.map(size => Math.round((size / total) * 1000) / 10);
+};
+
+/**
+ * Create a trade plan
+ * The final target sits at riskRewardRatio times the risk; up to two
+ * intermediate targets come from the nearest structural targets between
+ * minTargetR and the final target, filled with whole R-multiples when there
+ * are fewer
+ * 
+ * @param {Object} market - { direction, entryPrice, atr, candles, breakoutLevel, levels, patterns };
+ *   candles are recent OHLC data (oldest first, the last one at entry), levels
+ *   come from findSupportResistance and patterns from detectChartPatterns
+ * @param {Object} options - Plan options
+ * @returns {Object} { direction, entryPrice, stopMethod, stopLoss, risk, stopLossPercent,
+ *   targets: [{ price, source, rMultiple, sizePercent }], riskRewardRatio, averageRMultiple }
+ */
+const createTradePlan = (market, options = {}) => {
+  const config = getPlanConfig(options);
+  const isShort = market.direction === 'short';
+  const side = isShort ? -1 : 1;
+  const { entryPrice } = market;
+  
+  const stop = placeStop(market, config, isShort);
+  const risk = Math.abs(entryPrice - stop.price);
+  const getRMultiple = price => (side * (price - entryPrice)) / risk;
+  
+  const finalTarget = {
+    price: roundPrice(entryPrice + side * risk * config.riskRewardRatio),
+    source: 'riskReward'
+  };
+  
+  // Whole R-multiples fill in when structure gives fewer targets
+  const rMultipleTargets = [];
+  for (let r = config.minTargetR; r < config.riskRewardRatio; r++) {
+    rMultipleTargets.push({ price: entryPrice + side * risk * r, source: 'rMultiple' });
+  }
+  
+  // Nearest first, structural targets ahead of R-multiples at the same spacing
+  const intermediateTargets = [];
+  [...getStructureTargets(market, isShort), ...rMultipleTargets]
+    .filter(target => {
+      const rMultiple = getRMultiple(target.price);
+      return rMultiple >= config.minTargetR && rMultiple <= config.riskRewardRatio - config.targetSpacingR;
+    })
+    .forEach(target => {
+      const rMultiple = getRMultiple(target.price);
+      const crowded = intermediateTargets.some(kept =>
+        Math.abs(getRMultiple(kept.price) - rMultiple) < config.targetSpacingR);
+        
+      if (!crowded) intermediateTargets.push(target);
+    });
+    
+  const targets = [
+    ...intermediateTargets
+      .sort((a, b) => getRMultiple(a.price) - getRMultiple(b.price))
+      .slice(0, Math.max(0, config.targetSizes.length - 1)),
+    finalTarget
+  ];
+  const sizes = getTargetSizes(targets.length, config.targetSizes);
+  
+  const plannedTargets = targets.map((target, index) => ({
+    ...target,
+    price: roundPrice(target.price),
+    rMultiple: Math.round(getRMultiple(target.price) * 100) / 100,
+    sizePercent: sizes[index]
+  }));
+  
+  return {
+    direction: market.direction,
+    entryPrice,
+    stopMethod: stop.method,
+    stopLoss: stop.price,
+    risk,
+    stopLossPercent: (risk / entryPrice) * 100,
+    targets: plannedTargets,
+    riskRewardRatio: config.riskRewardRatio,
+    averageRMultiple: Math.round(plannedTargets.reduce(
+      (sum, target) => sum + target.rMultiple * target.sizePercent, 0
+    )) / 100
+  };
+};
+
+module.exports = {
+  STOP_METHODS,
+  resolveStopMethod,
+  roundPrice,
+  createTradePlan
+};
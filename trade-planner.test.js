@@ -0,0 +1,37 @@
+/**
+ * Trade planner tests
+ */
+
+const tradePlanner = require('../utils/tradePlanner');
+
+// Candles oscillating around `price` with a swing low about every 19 bars
+const makeCandles = (price, count = 60) => Array.from({ length: count }, (_, index) => {
+  const mid = price * (1 + 0.05 * Math.sin(index / 3));
+  
+  return { time: index, open: mid, high: mid * 1.01, low: mid * 0.99, close: mid };
+});
+
+describe('trade planner', () => {
+  it('places a swing stop beyond the last swing low', () => {
+    const candles = makeCandles(1);
+    const plan = tradePlanner.createTradePlan(
+      { direction: 'long', entryPrice: 1.01, atr: 0.02, candles },
+      { stopMethod: 'swing' }
+    );
+    
+    // Last trough of the sine (bar 52), less a 0.1 ATR buffer
+    expect(plan.stopMethod).toBe('swing');
+    expect(plan.stopLoss).toBeCloseTo(candles[52].low - 0.002, 5);
+  });
+  
+  it('keeps the precision of sub-cent prices', () => {
+    const plan = tradePlanner.createTradePlan(
+      { direction: 'long', entryPrice: 0.00001234, atr: 0.0000004, candles: makeCandles(0.000012) }
+    );
+    
+    expect(plan.stopLoss).toBe(0.00001194);
+    expect(plan.stopLossPercent).toBeCloseTo(3.24, 2);
+    expect(plan.targets.map(target => target.rMultiple)).toEqual([1, 2, 3]);
+    expect(plan.targets[2].price).toBe(0.00001354);
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Trading costs for crypto breakout backtests
+ * Charges maker / taker fees, slippage on market fills and funding on perpetual
+ * positions, so backtested P&L is reported net of what the trades would cost
+ */
+
+const indicators = require('./technicalIndicators');
+
+// How slippage on a market fill is estimated
+const SLIPPAGE_MODELS = {
+  none: 'No slippage',
+  fixed: 'Fixed basis points of the fill price',
+  atr: 'Fraction of the ATR at the fill bar',
+  volume: 'Square-root impact of the order against the bar\'s volume'
+};
+
+// Exits filled by resting limit orders; every other exit is a market order
+const LIMIT_EXITS = ['Take Profit', 'Partial Take Profit'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Validate a slippage model
+ */
+const resolveSlippageModel = (slippageModel = 'fixed') => {
+  if (!SLIPPAGE_MODELS[slippageModel]) {
+    throw new Error(`Unknown slippage model: ${slippageModel}`);
+  }
+  
+  return slippageModel;
+};
+
+/**
+ * Resolve cost options
+ * Fees and funding rates are percentages; set any of them to 0 to leave that cost out
+ */
+const getCostConfig = (options = {}) => ({
+  makerFee: options.makerFee !== undefined ? options.makerFee : 0.02,
+  takerFee: options.takerFee !== undefined ? options.takerFee : 0.06,
+  slippageModel: resolveSlippageModel(options.slippageModel),
+  // fixed: basis points per market fill
+  slippageBps: options.slippageBps !== undefined ? options.slippageBps : 5,
+  // atr: fraction of the fill bar's ATR
+  slippageAtr: options.slippageAtr !== undefined ? options.slippageAtr : 0.05,
+  // volume: impact coefficient times the square root of the order's share of
+  // the bar's quote volume, for an order of positionSize in the quote currency
+  volumeImpact: options.volumeImpact !== undefined ? options.volumeImpact : 0.1,
+  positionSize: options.positionSize || 1000,
+  // Perpetual funding paid by longs (received by shorts) every fundingIntervalHours
+  fundingRate: options.fundingRate !== undefined ? options.fundingRate : 0.01,
+  fundingIntervalHours: options.fundingIntervalHours || 8
+});
+
+/**
+ * Create a cost model for trades on a series
+ * 
+ * @param {Array} data - OHLCV data the trades were simulated on, oldest first
+ * @param {Object} options - Cost options
+ * @returns {Object} Cost model with applyCosts(trade)
+ */
+const createCostModel = (data, options = {}) => {
+  const config = getCostConfig(options);
+  const fundingIntervalMs = config.fundingIntervalHours * HOUR_MS;
+  const atrData = config.slippageModel === 'atr'
+    ? indicators.calculateATR(data.map(d => d.high), data.map(d => d.low), data.map(d => d.close))
+    : [];
+    
+  // Slippage of a market fill on a bar, as a percentage of the fill price
+  const getSlippagePercent = (barIndex, price) => {
+    const bar = data[barIndex];
+    
+    if (config.slippageModel === 'fixed') {
+      return config.slippageBps / 100;
+    }
+    
+    if (config.slippageModel === 'atr') {
+      return atrData[barIndex] ? (config.slippageAtr * atrData[barIndex] / price) * 100 : 0;
+    }
+    
+    if (config.slippageModel === 'volume') {
+      const quoteVolume = bar.volume * bar.close;
+      return quoteVolume > 0 ? config.volumeImpact * Math.sqrt(config.positionSize / quoteVolume) * 100 : 0;
+    }
+    
+    return 0;
+  };
+  
+  /**
+   * Charge a trade's costs
+   * Costs are percentages of the entry value, like pnl; market fills pay the
+   * taker fee plus slippage and limit fills (retest entries, targets) the maker fee
+   * 
+   * @param {Object} trade - Backtested trade with entryType, entryBar, entryPrice, exits and pnl
+   * @returns {Object} Trade with grossPnl, pnl net of costs and
+   *   costs { fees, slippage, funding, total }
+   */
+  const applyCosts = (trade) => {
+    const isLimitEntry = trade.entryType === 'retest';
+    const entryTime = new Date(data[trade.entryBar].time).getTime();
+    const costs = {
+      fees: isLimitEntry ? config.makerFee : config.takerFee,
+      slippage: isLimitEntry ? 0 : getSlippagePercent(trade.entryBar, trade.entryPrice),
+      funding: 0
+    };
+    
+    trade.exits.forEach(exit => {
+      const share = exit.sizePercent / 100;
+      const value = share * (exit.price / trade.entryPrice);
+      const isLimitExit = LIMIT_EXITS.includes(exit.type);
+      // Funding is paid at every interval boundary (UTC) the position is held over
+      const fundingPayments = Math.floor(new Date(exit.time).getTime() / fundingIntervalMs) -
+        Math.floor(entryTime / fundingIntervalMs);
+        
+      costs.fees += value * (isLimitExit ? config.makerFee : config.takerFee);
+      costs.slippage += isLimitExit ? 0 : value * getSlippagePercent(trade.entryBar + exit.barsHeld, exit.price);
+      costs.funding += (trade.direction === 'short' ? -1 : 1) * share * config.fundingRate * fundingPayments;
+    });
+    
+    costs.total = costs.fees + costs.slippage + costs.funding;
+    
+    return { ...trade, grossPnl: trade.pnl, pnl: trade.pnl - costs.total, costs };
+  };
+  
+  return { applyCosts };
+};
+
+module.exports = {
+  SLIPPAGE_MODELS,
+  resolveSlippageModel,
+  createCostModel
+};
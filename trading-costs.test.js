@@ -0,0 +1,93 @@
+/**
+ * Trading costs tests
+ * Costs are percentages of the entry value, worked out by hand
+ */
+
+const tradingCosts = require('../utils/tradingCosts');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly bars from 06:00 UTC; the 08:00 and 16:00 funding boundaries fall on bars 2 and 10
+const data = Array.from({ length: 12 }, (_, index) => ({
+  time: new Date(Date.parse('2024-01-01T06:00:00.000Z') + index * HOUR_MS).toISOString(),
+  open: 100,
+  high: 100,
+  low: 100,
+  close: 100,
+  volume: 100
+}));
+
+// Long from 100 on bar 0 with a single exit
+const makeTrade = (exit, overrides = {}) => ({
+  direction: 'long',
+  entryType: 'immediate',
+  entryBar: 0,
+  entryPrice: 100,
+  exits: [{ sizePercent: 100, time: data[exit.barsHeld].time, ...exit }],
+  pnl: exit.price - 100,
+  ...overrides
+});
+
+describe('trading costs', () => {
+  it('charges taker fees, fixed slippage and funding on market fills', () => {
+    const trade = tradingCosts.createCostModel(data).applyCosts(
+      makeTrade({ price: 95, type: 'Stop Loss', barsHeld: 3 })
+    );
+    
+    // Fees 0.06 + 0.95 * 0.06, slippage 0.05 + 0.95 * 0.05, one funding payment (08:00) of 0.01
+    expect(trade.costs.fees).toBeCloseTo(0.117, 10);
+    expect(trade.costs.slippage).toBeCloseTo(0.0975, 10);
+    expect(trade.costs.funding).toBeCloseTo(0.01, 10);
+    expect(trade.costs.total).toBeCloseTo(0.2245, 10);
+    expect(trade.grossPnl).toBe(-5);
+    expect(trade.pnl).toBeCloseTo(-5.2245, 10);
+  });
+  
+  it('charges maker fees and no slippage on limit fills', () => {
+    const trade = tradingCosts.createCostModel(data).applyCosts(
+      makeTrade({ price: 110, type: 'Take Profit', barsHeld: 10 }, { entryType: 'retest' })
+    );
+    
+    // Fees 0.02 + 1.1 * 0.02, funding at 08:00 and 16:00
+    expect(trade.costs).toEqual({
+      fees: expect.closeTo(0.042, 10),
+      slippage: 0,
+      funding: expect.closeTo(0.02, 10),
+      total: expect.closeTo(0.062, 10)
+    });
+  });
+  
+  it('pays shorts the funding longs pay', () => {
+    const trade = tradingCosts.createCostModel(data, { makerFee: 0, takerFee: 0, slippageModel: 'none' }).applyCosts(
+      makeTrade({ price: 90, type: 'Take Profit', barsHeld: 10 }, { direction: 'short', pnl: 10 })
+    );
+    
+    expect(trade.costs.funding).toBeCloseTo(-0.02, 10);
+    expect(trade.pnl).toBeCloseTo(10.02, 10);
+  });
+  
+  it('estimates volume slippage from the order\'s share of the bar', () => {
+    const costModel = tradingCosts.createCostModel(data, {
+      slippageModel: 'volume',
+      positionSize: 1000,
+      takerFee: 0,
+      fundingRate: 0
+    });
+    const trade = costModel.applyCosts(makeTrade({ price: 100, type: 'Time Exit', barsHeld: 1 }));
+    
+    // 1,000 against 10,000 of quote volume: 0.1 * sqrt(0.1) per fill, entry and exit
+    expect(trade.costs.slippage).toBeCloseTo(2 * 0.1 * Math.sqrt(0.1) * 100, 10);
+  });
+  
+  it('leaves P&L unchanged with every cost off', () => {
+    const costModel = tradingCosts.createCostModel(data, { makerFee: 0, takerFee: 0, slippageModel: 'none', fundingRate: 0 });
+    const trade = costModel.applyCosts(makeTrade({ price: 105, type: 'Time Exit', barsHeld: 11 }));
+    
+    expect(trade.pnl).toBe(5);
+    expect(trade.costs.total).toBe(0);
+  });
+  
+  it('rejects an unknown slippage model', () => {
+    expect(() => tradingCosts.createCostModel(data, { slippageModel: 'spread' })).toThrow('Unknown slippage model: spread');
+  });
+});
@@ -32,6 +32,11 @@ const UserSchema = new mongoose.Schema({
       enum: ['conservative', 'optimized', 'aggressive'],
       default: 'optimized'
     },
+    defaultTimeframeProfile: {
+      type: String,
+      enum: ['scalping', 'intraday', 'swing'],
+      default: 'intraday'
+    },
     defaultCurrency: {
       type: String,
       enum: ['USDT', 'USD', 'BTC'],
@@ -64,11 +69,11 @@ const UserSchema = new mongoose.Schema({
         min: 65,
         max: 85
       },
-      volumeIncreaseThreshold: {
+      volumeSurgeThreshold: {
         type: Number,
-        default: 0.10,
-        min: 0.05,
-        max: 0.3
+        default: 1.5,
+        min: 1,
+        max: 3
       },
       minBreakoutPercent: {
         type: Number,
@@ -139,4 +144,18 @@ const UserSchema = new mongoose.Schema({
   }
 });
 
+// volumeIncreaseThreshold (a fractional increase, 0.05 - 0.3) was replaced by
+// volumeSurgeThreshold (a multiple of average volume); convert settings saved
+// under the old name as they are loaded
+UserSchema.pre('init', function (doc) {
+  const technicalParams = doc.settings && doc.settings.technicalParams;
+  
+  if (technicalParams && technicalParams.volumeIncreaseThreshold !== undefined) {
+    if (technicalParams.volumeSurgeThreshold === undefined) {
+      technicalParams.volumeSurgeThreshold = 1 + technicalParams.volumeIncreaseThreshold;
+    }
+    delete technicalParams.volumeIncreaseThreshold;
+  }
+});
+
 module.exports = mongoose.model('User', UserSchema);
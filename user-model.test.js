@@ -0,0 +1,28 @@
+/**
+ * User model tests
+ * Documents are hydrated as if loaded from the database
+ */
+
+const User = require('../models/User');
+
+const loadUser = technicalParams => User.hydrate({
+  name: 'Trader',
+  email: 'trader@example.com',
+  password: 'secret1',
+  settings: { technicalParams }
+});
+
+describe('user settings', () => {
+  it('converts a saved volume increase threshold into a surge multiple', () => {
+    const user = loadUser({ volumeIncreaseThreshold: 0.1 });
+    
+    expect(user.settings.technicalParams.volumeSurgeThreshold).toBeCloseTo(1.1, 10);
+    expect(user.toObject().settings.technicalParams).not.toHaveProperty('volumeIncreaseThreshold');
+  });
+  
+  it('keeps a surge threshold saved under the new name', () => {
+    const user = loadUser({ volumeIncreaseThreshold: 0.1, volumeSurgeThreshold: 2 });
+    
+    expect(user.settings.technicalParams.volumeSurgeThreshold).toBe(2);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Volume analysis for crypto breakout screening
+ * Measures volume against a rolling baseline of the bars before it, so a single
+ * quiet bar can't make an ordinary one look like a surge
+ */
+
+// Whole bars in a window; periods may be fractional (the optimizer adjusts
+// them continuously), and a partial bar counts as a whole one
+const getBars = period => Math.ceil(period);
+
+/**
+ * Mean, median and standard deviation of the `period` values before `index`
+ * 
+ * @param {Array<number>} volumeData - Volumes, oldest first
+ * @param {number} index - Index of the bar being measured
+ * @param {number} period - Bars in the baseline
+ * @returns {Object|null} Baseline, or null without enough history
+ */
+const getBaseline = (volumeData, index, period) => {
+  const bars = getBars(period);
+  if (index < bars) return null;
+  
+  const window = volumeData.slice(index - bars, index);
+  const mean = window.reduce((sum, volume) => sum + volume, 0) / bars;
+  const variance = window.reduce((sum, volume) => sum + Math.pow(volume - mean, 2), 0) / bars;
+  
+  const sorted = [...window].sort((a, b) => a - b);
+  const middle = Math.floor(bars / 2);
+  const median = bars % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  
+  return { mean, median, stdDev: Math.sqrt(variance) };
+};
+
+/**
+ * Average volume of the `length` bars before `index`
+ */
+const getWindowAverage = (volumeData, index, length) => {
+  const bars = getBars(length);
+  if (index < bars) return null;
+  
+  return volumeData.slice(index - bars, index).reduce((sum, volume) => sum + volume, 0) / bars;
+};
+
+// Ratio of a value to its baseline, null without a positive baseline
+const getRatio = (value, baseline) => (baseline > 0 ? value / baseline : null);
+
+/**
+ * Relative volume at a bar against its rolling baseline
+ */
+const getRelativeVolume = (volumeData, index, period) => {
+  const baseline = getBaseline(volumeData, index, period);
+  if (!baseline) return null;
+  
+  return {
+    mean: baseline.mean,
+    median: baseline.median,
+    relativeToMean: getRatio(volumeData[index], baseline.mean),
+    relativeToMedian: getRatio(volumeData[index], baseline.median)
+  };
+};
+
+/**
+ * Volume z-score at a bar against its rolling baseline
+ */
+const getVolumeZScore = (volumeData, index, period) => {
+  const baseline = getBaseline(volumeData, index, period);
+  if (!baseline) return null;
+  
+  return baseline.stdDev > 0 ? (volumeData[index] - baseline.mean) / baseline.stdDev : 0;
+};
+
+/**
+ * Calculate relative volume against the previous `period` bars
+ * 
+ * @param {Array<number>} volumeData - Volumes, oldest first
+ * @param {number} period - Bars in the rolling baseline
+ * @returns {Array} { mean, median, relativeToMean, relativeToMedian } per bar
+ *   (null until `period` earlier bars exist)
+ */
+const calculateRelativeVolume = (volumeData, period = 20) =>
+  volumeData.map((volume, index) => getRelativeVolume(volumeData, index, period));
+
+/**
+ * Calculate how many standard deviations each bar's volume is from the mean
+ * of the previous `period` bars
+ * 
+ * @param {Array<number>} volumeData - Volumes, oldest first
+ * @param {number} period - Bars in the rolling baseline
+ * @returns {Array<number|null>} Z-scores (null until `period` earlier bars exist)
+ */
+const calculateVolumeZScore = (volumeData, period = 20) =>
+  volumeData.map((volume, index) => getVolumeZScore(volumeData, index, period));
+
+/**
+ * Detect volume drying up during a consolidation
+ * Compares the average volume of the consolidation window (the bars before the
+ * latest one) with the average of the `period` bars before that window
+ * 
+ * @param {Array<number>} volumeData - Volumes, oldest first
+ * @param {number} windowLength - Bars in the consolidation window
+ * @param {number} period - Bars in the baseline before the window
+ * @param {number} threshold - Highest window / baseline ratio that counts as a dry-up
+ * @returns {Object} { ratio, isDryUp }, with a null ratio without enough history
+ */
+const detectVolumeDryUp = (volumeData, windowLength, period = 20, threshold = 0.8) => {
+  const windowEnd = volumeData.length - 1;
+  const ratio = getRatio(
+    getWindowAverage(volumeData, windowEnd, windowLength),
+    getWindowAverage(volumeData, windowEnd - getBars(windowLength), period)
+  );
+  
+  return { ratio, isDryUp: ratio !== null && ratio <= threshold };
+};
+
+/**
+ * Measure the latest bar's volume against the consolidation window before it
+ * 
+ * @param {Array<number>} volumeData - Volumes, oldest first
+ * @param {number} windowLength - Bars in the consolidation window
+ * @returns {number|null} Latest volume / window average volume
+ */
+const measureVolumeSurge = (volumeData, windowLength) => {
+  const latest = volumeData.length - 1;
+  return getRatio(volumeData[latest], getWindowAverage(volumeData, latest, windowLength));
+};
+
+/**
+ * Volume measures for the latest bar
+ * Only the last `period + windowLength + 1` volumes are read
+ * 
+ * @param {Array<number>} volumeData - Volumes, oldest first
+ * @param {Object} options - Analysis options
+ * @param {number} options.period - Bars in the rolling baseline (default 20)
+ * @param {number} options.consolidationPeriod - Bars in the consolidation window (default 6)
+ * @param {number} options.surgeThreshold - Minimum surge against the consolidation window (default 1.5)
+ * @param {number} options.minRelativeVolume - Minimum volume against the rolling median (default 1.2)
+ * @param {number} options.dryUpThreshold - Highest consolidation / baseline ratio for a dry-up (default 0.8)
+ * @returns {Object} Relative volume, z-score, surge and dry-up of the latest bar
+ */
+const analyzeVolume = (volumeData, options = {}) => {
+  const period = options.period || 20;
+  const consolidationPeriod = options.consolidationPeriod || 6;
+  const surgeThreshold = options.surgeThreshold || 1.5;
+  const minRelativeVolume = options.minRelativeVolume || 1.2;
+  
+  const latest = volumeData.length - 1;
+  const relativeVolume = getRelativeVolume(volumeData, latest, period);
+  const surge = measureVolumeSurge(volumeData, consolidationPeriod);
+  const dryUp = detectVolumeDryUp(volumeData, consolidationPeriod, period, options.dryUpThreshold || 0.8);
+  
+  return {
+    relativeToMean: relativeVolume ? relativeVolume.relativeToMean : null,
+    relativeToMedian: relativeVolume ? relativeVolume.relativeToMedian : null,
+    zScore: getVolumeZScore(volumeData, latest, period),
+    surge,
+    isSurge: surge !== null && surge >= surgeThreshold &&
+      relativeVolume !== null && relativeVolume.relativeToMedian >= minRelativeVolume,
+    dryUpRatio: dryUp.ratio,
+    isDryUp: dryUp.isDryUp
+  };
+};
+
+module.exports = {
+  calculateRelativeVolume,
+  calculateVolumeZScore,
+  detectVolumeDryUp,
+  measureVolumeSurge,
+  analyzeVolume
+};
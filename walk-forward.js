@@ -0,0 +1,205 @@
+/**
+ * Walk-forward analysis for crypto breakout strategies
+ * Splits history into train / test windows, optimizes the strategy parameters
+ * on each train window and trades them on the test window that follows, so
+ * the reported performance is out of sample
+ */
+
+const breakoutDetector = require('./breakoutDetector');
+const signalGenerator = require('./signalGenerator');
+const performanceMetrics = require('./performanceMetrics');
+
+// How train windows move through history
+const WINDOW_MODES = {
+  rolling: 'Fixed-length train window that moves forward with the test window',
+  anchored: 'Train window that always starts at the first bar and grows'
+};
+
+// Bars backtestBreakoutStrategy warms up on before its first trade, and the
+// fewest bars it backtests
+const WARMUP_BARS = 200;
+const MIN_BACKTEST_BARS = 250;
+
+/**
+ * Validate a window mode
+ */
+const resolveWindowMode = (mode = 'rolling') => {
+  if (!WINDOW_MODES[mode]) {
+    throw new Error(`Unknown window mode: ${mode}`);
+  }
+  
+  return mode;
+};
+
+/**
+ * Resolve walk-forward options
+ * Train windows must be long enough to backtest on their own and test windows,
+ * after their warm-up bars, too
+ */
+const getWalkForwardConfig = (options = {}) => {
+  const config = {
+    mode: resolveWindowMode(options.mode),
+    // Bars each train window is optimized on (the first train window's length
+    // in anchored mode) and bars traded out of sample per window
+    trainBars: options.trainBars !== undefined ? Number(options.trainBars) : 500,
+    testBars: options.testBars !== undefined ? Number(options.testBars) : 100,
+    // Optimizer generations per train window
+    generations: options.generations || 10,
+    initialCapital: options.initialCapital || 10000
+  };
+  
+  if (!(config.trainBars >= MIN_BACKTEST_BARS)) {
+    throw new Error(`trainBars must be at least ${MIN_BACKTEST_BARS}: ${options.trainBars}`);
+  }
+  
+  if (!(config.testBars >= MIN_BACKTEST_BARS - WARMUP_BARS)) {
+    throw new Error(`testBars must be at least ${MIN_BACKTEST_BARS - WARMUP_BARS}: ${options.testBars}`);
+  }
+  
+  return config;
+};
+
+/**
+ * Split a series into train / test windows
+ * Test windows follow each other without overlap; in rolling mode the train
+ * window is the trainBars before its test window, in anchored mode everything
+ * before it
+ * 
+ * @param {number} length - Number of bars in the series
+ * @param {Object} config - Walk-forward config
+ * @returns {Array} { trainStart, trainEnd, testStart, testEnd } bar indexes,
+ *   ends exclusive
+ */
+const buildWindows = (length, config) => {
+  const windows = [];
+  
+  for (let testStart = config.trainBars; testStart + config.testBars <= length; testStart += config.testBars) {
+    windows.push({
+      trainStart: config.mode === 'anchored' ? 0 : testStart - config.trainBars,
+      trainEnd: testStart,
+      testStart,
+      testEnd: testStart + config.testBars
+    });
+  }
+  
+  return windows;
+};
+
+/**
+ * Return per bar of a backtest's equity curve, in percent
+ */
+const getReturnPerBar = backtest => backtest.metrics.totalReturn / Math.max(1, backtest.equityCurve.length - 1);
+
+/**
+ * Headline figures of a backtest over one window
+ */
+const summarizeWindow = backtest => ({
+  totalTrades: backtest.totalTrades,
+  winRate: backtest.winRate,
+  profitFactor: backtest.profitFactor,
+  totalReturn: backtest.metrics.totalReturn,
+  maxDrawdown: backtest.metrics.maxDrawdown,
+  returnPerBar: getReturnPerBar(backtest)
+});
+
+/**
+ * Walk-forward analysis of the breakout strategy on one series
+ * Each test window is backtested with the parameters optimized on its train
+ * window, warmed up on the bars before it and starting from the equity the
+ * previous test window ended with. Train and test windows are traded up to
+ * their last bar, where trades still open are closed. The efficiency ratio compares the
+ * out-of-sample return per bar with the in-sample one; values well below 1
+ * mean the optimizer is fitting noise.
+ * 
+ * @param {Array} historicalData - OHLCV data, oldest first
+ * @param {Object} options - Walk-forward options; the rest are passed to the
+ *   optimizer as initial parameters and to every backtest (costs, margin,
+ *   exit rules, riskPerTrade)
+ * @returns {Object} windows (bars, times, parameters, whether they were
+ *   optimized, in-sample and out-of-sample figures, efficiencyRatio), the
+ *   number of optimized windows, the stitched out-of-sample equityCurve and
+ *   trades, their metrics and the overall efficiencyRatio
+ */
+const runWalkForward = (historicalData, options = {}) => {
+  const config = getWalkForwardConfig(options);
+  const windows = buildWindows(historicalData.length, config);
+  
+  if (windows.length === 0) {
+    return { error: 'Not enough historical data for one train and test window' };
+  }
+  
+  const equityCurve = [];
+  const trades = [];
+  let equity = config.initialCapital;
+  
+  const results = windows.map((window, index) => {
+    const trainData = historicalData.slice(window.trainStart, window.trainEnd);
+    const optimization = signalGenerator.optimizeParameters(trainData, options, config.generations);
+    const parameters = { ...options, ...optimization.parameters };
+    
+    // Both windows trade up to their last bar, so every bar of their equity
+    // curves counts towards the return per bar
+    const inSample = breakoutDetector.backtestBreakoutStrategy(trainData, { ...parameters, tradeToEnd: true });
+    
+    // Bars before the test window warm up the indicators; trading starts at testStart
+    const testData = historicalData.slice(Math.max(0, window.testStart - WARMUP_BARS), window.testEnd);
+    const outOfSample = breakoutDetector.backtestBreakoutStrategy(testData, {
+      ...parameters,
+      initialCapital: equity,
+      tradeToEnd: true
+    });
+    
+    if (inSample.error || outOfSample.error) {
+      return { ...window, parameters: optimization.parameters, error: inSample.error || outOfSample.error };
+    }
+    
+    equityCurve.push(...outOfSample.equityCurve);
+    trades.push(...outOfSample.trades.map(trade => ({ ...trade, window: index })));
+    equity = outOfSample.metrics.finalEquity;
+    
+    const inSampleReturn = getReturnPerBar(inSample);
+    
+    return {
+      ...window,
+      trainStartTime: historicalData[window.trainStart].time,
+      testStartTime: historicalData[window.testStart].time,
+      testEndTime: historicalData[window.testEnd - 1].time,
+      parameters: optimization.parameters,
+      optimizationScore: optimization.score,
+      // The optimizer scores parameters with too few trades 0, so a window
+      // scored 0 keeps the initial parameters rather than optimized ones
+      optimized: optimization.score > 0,
+      inSample: summarizeWindow(inSample),
+      outOfSample: summarizeWindow(outOfSample),
+      efficiencyRatio: inSampleReturn > 0 ? getReturnPerBar(outOfSample) / inSampleReturn : null
+    };
+  });
+  
+  const evaluated = results.filter(window => !window.error);
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const inSampleReturn = evaluated.length > 0 ? average(evaluated.map(window => window.inSample.returnPerBar)) : 0;
+  const outOfSampleReturn = evaluated.length > 0 ? average(evaluated.map(window => window.outOfSample.returnPerBar)) : 0;
+  
+  return {
+    mode: config.mode,
+    trainBars: config.trainBars,
+    testBars: config.testBars,
+    initialCapital: config.initialCapital,
+    finalEquity: equity,
+    windows: results,
+    optimizedWindows: evaluated.filter(window => window.optimized).length,
+    equityCurve,
+    trades,
+    metrics: performanceMetrics.calculateMetrics(equityCurve, trades.map(trade => trade.returnOnMargin), options),
+    inSampleReturnPerBar: inSampleReturn,
+    outOfSampleReturnPerBar: outOfSampleReturn,
+    efficiencyRatio: inSampleReturn > 0 ? outOfSampleReturn / inSampleReturn : null
+  };
+};
+
+module.exports = {
+  WINDOW_MODES,
+  resolveWindowMode,
+  getWalkForwardConfig,
+  runWalkForward
+};
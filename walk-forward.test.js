@@ -0,0 +1,109 @@
+/**
+ * Walk-forward analysis tests
+ * The optimizer and backtest are stubbed so every figure can be worked out by hand
+ */
+
+const walkForward = require('../utils/walkForward');
+const breakoutDetector = require('../utils/breakoutDetector');
+const signalGenerator = require('../utils/signalGenerator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const makeCandles = count => Array.from({ length: count }, (_, index) => ({
+  time: new Date(Date.UTC(2022, 0, 1) + index * DAY_MS),
+  open: 1,
+  high: 1,
+  low: 1,
+  close: 1,
+  volume: 1
+}));
+
+// Backtest stub: in sample (no initialCapital) returns 10% over 200 bars,
+// out of sample 1% over 50 bars, rising linearly from the capital it starts with
+const stubBacktest = (data, options) => {
+  const inSample = options.initialCapital === undefined;
+  const initialCapital = inSample ? 10000 : options.initialCapital;
+  const totalReturn = inSample ? 10 : 1;
+  const bars = inSample ? 200 : 50;
+  const equityCurve = Array.from({ length: bars + 1 }, (_, index) => ({
+    time: data[data.length - 1 - bars + index].time,
+    equity: initialCapital * (1 + (totalReturn / 100) * (index / bars))
+  }));
+  
+  return {
+    totalTrades: 1,
+    winRate: 100,
+    profitFactor: null,
+    trades: [{ returnOnMargin: totalReturn }],
+    equityCurve,
+    metrics: { totalReturn, maxDrawdown: 0, finalEquity: equityCurve[bars].equity }
+  };
+};
+
+describe('walk-forward analysis', () => {
+  let optimizeCalls;
+  
+  beforeEach(() => {
+    optimizeCalls = 0;
+    jest.spyOn(breakoutDetector, 'backtestBreakoutStrategy').mockImplementation(stubBacktest);
+    // The first window finds nothing to optimize; the optimizer scores it 0
+    jest.spyOn(signalGenerator, 'optimizeParameters').mockImplementation(() => {
+      optimizeCalls += 1;
+      return { parameters: { volumeSurgeThreshold: 1.5 }, score: optimizeCalls === 1 ? 0 : 50, winRate: 50 };
+    });
+  });
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+  
+  it('lays rolling windows out back to back after the first train window', () => {
+    const result = walkForward.runWalkForward(makeCandles(460), { trainBars: 250, testBars: 50 });
+    
+    // 460 bars fit 4 test windows of 50 after 250 train bars; the last 10 are unused
+    expect(result.windows.map(({ trainStart, trainEnd, testStart, testEnd }) => [trainStart, trainEnd, testStart, testEnd]))
+      .toEqual([[0, 250, 250, 300], [50, 300, 300, 350], [100, 350, 350, 400], [150, 400, 400, 450]]);
+  });
+  
+  it('anchors every train window at the first bar in anchored mode', () => {
+    const result = walkForward.runWalkForward(makeCandles(400), { mode: 'anchored', trainBars: 250, testBars: 50 });
+    
+    expect(result.windows.map(({ trainStart, trainEnd }) => [trainStart, trainEnd]))
+      .toEqual([[0, 250], [0, 300], [0, 350]]);
+  });
+  
+  it('chains each test window from the equity the previous one ended with', () => {
+    const result = walkForward.runWalkForward(makeCandles(400), { trainBars: 250, testBars: 50 });
+    
+    // Three out-of-sample windows of 1% each: 10000 * 1.01^3
+    expect(result.finalEquity).toBeCloseTo(10303.01, 6);
+    expect(result.metrics.totalReturn).toBeCloseTo(3.0301, 6);
+    expect(result.equityCurve).toHaveLength(3 * 51);
+    expect(result.equityCurve[51].equity).toBeCloseTo(10100, 6);
+    expect(result.equityCurve[102].equity).toBeCloseTo(10201, 6);
+    expect(result.trades.map(trade => trade.window)).toEqual([0, 1, 2]);
+  });
+  
+  it('divides the out-of-sample return per bar by the in-sample one', () => {
+    const result = walkForward.runWalkForward(makeCandles(400), { trainBars: 250, testBars: 50 });
+    
+    // 1% over 50 bars against 10% over 200 bars: 0.02 / 0.05
+    result.windows.forEach(window => {
+      expect(window.inSample.returnPerBar).toBeCloseTo(0.05, 10);
+      expect(window.outOfSample.returnPerBar).toBeCloseTo(0.02, 10);
+      expect(window.efficiencyRatio).toBeCloseTo(0.4, 10);
+    });
+    expect(result.efficiencyRatio).toBeCloseTo(0.4, 10);
+  });
+  
+  it('marks windows the optimizer found nothing for as not optimized', () => {
+    const result = walkForward.runWalkForward(makeCandles(400), { trainBars: 250, testBars: 50 });
+    
+    expect(result.windows.map(window => window.optimized)).toEqual([false, true, true]);
+    expect(result.optimizedWindows).toBe(2);
+  });
+  
+  it('rejects train windows shorter than a backtest', () => {
+    expect(() => walkForward.getWalkForwardConfig({ trainBars: 249 })).toThrow('trainBars must be at least 250: 249');
+  });
+});